@@ -0,0 +1,24 @@
+// One-off: doctors created before reviews start with no rating, so the listing can sort by rating.
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const main = async () => {
+  // Raw command: the client cannot select documents that are missing a field
+  const result = await prisma.$runCommandRaw({
+    update: 'Doctor',
+    updates: [
+      { q: { ratingAverage: { $exists: false } }, u: { $set: { ratingAverage: 0 } }, multi: true },
+      { q: { ratingCount: { $exists: false } }, u: { $set: { ratingCount: 0 } }, multi: true },
+    ],
+  });
+
+  console.log(`Backfilled ratings on ${result.nModified} doctors`);
+};
+
+main()
+  .catch((err) => {
+    console.error('Backfilling doctor ratings failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,38 @@
+// One-off: fill startAt/endAt on slots created before slots stored absolute instants.
+// Their wall clock was UTC back then, so run it before changing any doctor's timezone.
+const { PrismaClient } = require('@prisma/client');
+const { withSlotInstants } = require('../src/utils/timeSlotHelpers');
+
+const prisma = new PrismaClient();
+
+const BATCH_SIZE = 500;
+
+const main = async () => {
+  const doctors = await prisma.doctor.findMany({ select: { id: true, timezone: true } });
+  const timeZones = new Map(doctors.map((doctor) => [doctor.id, doctor.timezone]));
+  let updated = 0;
+
+  for (;;) {
+    const slots = await prisma.timeSlot.findMany({
+      where: { OR: [{ startAt: { isSet: false } }, { startAt: null }] },
+      select: { id: true, doctorId: true, date: true, startTime: true, endTime: true },
+      take: BATCH_SIZE,
+    });
+    if (slots.length === 0) break;
+
+    for (const slot of slots) {
+      const { startAt, endAt } = withSlotInstants(slot, timeZones.get(slot.doctorId) || 'UTC');
+      await prisma.timeSlot.update({ where: { id: slot.id }, data: { startAt, endAt } });
+    }
+    updated += slots.length;
+  }
+
+  console.log(`Backfilled ${updated} time slots`);
+};
+
+main()
+  .catch((err) => {
+    console.error('Slot instant backfill failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,26 @@
+// One-off: slots created before group sessions get a single seat, and BOOKED slots count that seat as booked.
+// Run it before deploying, since free-slot filters match on seatsBooked.
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const main = async () => {
+  // Raw command: the client cannot select documents that are missing a field
+  const result = await prisma.$runCommandRaw({
+    update: 'TimeSlot',
+    updates: [
+      { q: { capacity: { $exists: false } }, u: { $set: { capacity: 1 } }, multi: true },
+      { q: { seatsBooked: { $exists: false }, status: 'BOOKED' }, u: { $set: { seatsBooked: 1 } }, multi: true },
+      { q: { seatsBooked: { $exists: false } }, u: { $set: { seatsBooked: 0 } }, multi: true },
+    ],
+  });
+
+  console.log(`Backfilled seats on ${result.nModified} time slots`);
+};
+
+main()
+  .catch((err) => {
+    console.error('Backfilling slot seats failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,57 @@
+// One-off: builds the specialization catalog from the free-text specialization of existing doctors
+// and links every doctor to its entry. Running it again only links doctors that are not linked yet.
+const { PrismaClient } = require('@prisma/client');
+const { slugify } = require('../src/utils/specializations');
+
+const prisma = new PrismaClient();
+
+const main = async () => {
+  // Raw command: the client cannot select documents that are missing a field
+  await prisma.$runCommandRaw({
+    update: 'Doctor',
+    updates: [{ q: { specializationIds: { $exists: false } }, u: { $set: { specializationIds: [] } }, multi: true }],
+  });
+
+  const doctors = await prisma.doctor.findMany({
+    where: { specializationIds: { isEmpty: true } },
+    select: { id: true, specialization: true },
+  });
+
+  let created = 0;
+  let linked = 0;
+  for (const doctor of doctors) {
+    const slug = slugify(doctor.specialization);
+    if (!slug) {
+      console.warn(`Doctor ${doctor.id} has no usable specialization, skipped`);
+      continue;
+    }
+
+    // Doctors typed the same specialization differently; the first spelling seen names the entry
+    let entry = await prisma.specialization.findFirst({
+      where: { OR: [{ slug }, { synonyms: { has: slug } }] },
+      select: { id: true, name: true },
+    });
+    if (!entry) {
+      entry = await prisma.specialization.create({
+        data: { slug, name: doctor.specialization.trim() },
+        select: { id: true, name: true },
+      });
+      created += 1;
+    }
+
+    await prisma.doctor.update({
+      where: { id: doctor.id },
+      data: { specialization: entry.name, specializations: { connect: { id: entry.id } } },
+    });
+    linked += 1;
+  }
+
+  console.log(`Created ${created} specializations and linked ${linked} doctors`);
+};
+
+main()
+  .catch((err) => {
+    console.error('Migrating specializations failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
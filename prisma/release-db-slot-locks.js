@@ -0,0 +1,29 @@
+// One-off: slot locks moved to Redis, so slots still marked LOCKED in the database go back to AVAILABLE
+// and the old lock fields are dropped. Run it before deploying, since LOCKED is no longer a valid status.
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const main = async () => {
+  // Raw command: the client no longer knows the LOCKED status or the lock fields
+  const result = await prisma.$runCommandRaw({
+    update: 'TimeSlot',
+    updates: [
+      { q: { status: 'LOCKED' }, u: { $set: { status: 'AVAILABLE' } }, multi: true },
+      {
+        q: { $or: [{ lockExpires: { $exists: true } }, { lockedAt: { $exists: true } }, { lockedBy: { $exists: true } }] },
+        u: { $unset: { lockExpires: '', lockedAt: '', lockedBy: '' } },
+        multi: true,
+      },
+    ],
+  });
+
+  console.log(`Cleared database lock state on ${result.nModified} time slots`);
+};
+
+main()
+  .catch((err) => {
+    console.error('Releasing database slot locks failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
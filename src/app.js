@@ -5,6 +5,14 @@ const cookieParser = require('cookie-parser');
 const morgan = require('morgan');
 const { PrismaClient } = require('@prisma/client');
 const { getDatabaseNow } = require('./utils/time');
+const { expireWaitlistOffers, offerReleasedSlots } = require('./utils/waitlist');
+const { popExpiredSlotLocks } = require('./utils/slotLocks');
+const { finalizePastAppointments } = require('./utils/appointmentLifecycle');
+const { dispatchDueReminders } = require('./utils/reminders');
+const { extendAllTemplates } = require('./utils/availabilityTemplates');
+const { createTransport } = require('./lib/notificationTransport');
+const redis = require('./lib/redisClient');
+const timezone = require('./middleware/timezone');
 const cron = require('node-cron'); 
 
 const app = express();
@@ -22,11 +30,16 @@ app.use(morgan('combined'));
 app.use(express.json());
 app.use(cookieParser()); 
 app.use(express.urlencoded({ extended: true }));
+app.use(timezone);
 
 // Routes 
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/doctors', require('./routes/doctors'));
 app.use('/api/appointments', require('./routes/appointments'));
+app.use('/api/policies', require('./routes/policies'));
+app.use('/api/blackouts', require('./routes/blackouts'));
+app.use('/api/reviews', require('./routes/reviews'));
+app.use('/api/specializations', require('./routes/specializations'));
 
 // Basic route
 app.get('/', (req, res) => {
@@ -49,31 +62,72 @@ app.use('*', (req, res) => {
   res.status(404).json({ error: 'Route not found' });
 });
 
-// Background job: release expired locks every 5 minutes
-if (process.env.ENABLE_LOCK_CLEANUP === 'true') {
+// Background job: pass lapsed locks and expired waitlist offers on to the waitlist every 5 minutes.
+// Locks themselves expire in Redis, so nothing is left to release here.
+// ENABLE_LOCK_CLEANUP is the job's former name and still switches it on.
+if (process.env.ENABLE_WAITLIST_OFFERS === 'true' || process.env.ENABLE_LOCK_CLEANUP === 'true') {
   cron.schedule('*/5 * * * *', async () => {
     try {
       const now = await getDatabaseNow(prisma);
 
-      await prisma.timeSlot.updateMany({
-        where: {
-          status: "LOCKED",
-          lockExpires: { lt: now }
-        },
-        data: {
-          status: "AVAILABLE",
-          lockedBy: null,
-          lockedAt: null,
-          lockExpires: null
-        }
-      });
-
-      console.log(`[CRON] Released expired locks at ${now.toISOString()}`);
+      const lapsedSlotIds = await popExpiredSlotLocks(redis, now);
+      const expiredOffers = await expireWaitlistOffers(prisma, now);
+      const offers = await offerReleasedSlots(prisma, redis, lapsedSlotIds, now);
+
+      console.log(`[CRON] Waitlist: ${expiredOffers} offers expired, ${offers.length} slots offered`);
+    } catch (e) {
+      console.error('[CRON] Waitlist offer job error:', e);
+    }
+  });
+}
+
+// Background job: finalize appointments whose slot has ended every 15 minutes
+if (process.env.ENABLE_APPOINTMENT_FINALIZER === 'true') {
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      const now = await getDatabaseNow(prisma);
+      const { completed, noShow } = await finalizePastAppointments(prisma, redis, now);
+
+      console.log(`[CRON] Finalized appointments at ${now.toISOString()}: ${completed} completed, ${noShow} no-show`);
     } catch (e) {
-      console.error('[CRON] Lock cleanup job error:', e);
+      console.error('[CRON] Appointment finalizer job error:', e);
     }
   });
 }
 
+// Background job: keep template-generated slots available for each doctor's rolling horizon, daily at 01:00 UTC
+if (process.env.ENABLE_SLOT_GENERATION === 'true') {
+  cron.schedule('0 1 * * *', async () => {
+    try {
+      const now = await getDatabaseNow(prisma);
+      const { doctors, created } = await extendAllTemplates(prisma, redis, now);
+
+      console.log(`[CRON] Slot generation at ${now.toISOString()}: ${created} slots created for ${doctors} doctors`);
+    } catch (e) {
+      console.error('[CRON] Slot generation job error:', e);
+    }
+  }, { timezone: 'UTC' });
+}
+
+// Background job: deliver due appointment reminders every minute. Without a transport the job does not
+// run, so reminders stay pending instead of being marked sent.
+const reminderTransport = process.env.ENABLE_REMINDERS === 'true' ? createTransport() : null;
+if (process.env.ENABLE_REMINDERS === 'true' && !reminderTransport) {
+  console.error('[CRON] Reminders are enabled but no notification transport is configured; the job is not scheduled');
+}
+if (reminderTransport) {
+  cron.schedule('* * * * *', async () => {
+    try {
+      const now = await getDatabaseNow(prisma);
+      const { sent, retried, failed, skipped } = await dispatchDueReminders(prisma, reminderTransport, now);
+
+      if (sent || retried || failed || skipped) {
+        console.log(`[CRON] Reminders via ${reminderTransport.name}: ${sent} sent, ${retried} retried, ${failed} failed, ${skipped} skipped`);
+      }
+    } catch (e) {
+      console.error('[CRON] Reminder job error:', e);
+    }
+  });
+}
 
 module.exports = app;
@@ -3,17 +3,36 @@ const {
   validateAppointment, 
   validateAppointmentStatusUpdate, 
   validateAppointmentReschedule, 
-  validateRescheduleConfirm 
+  validateRescheduleConfirm,
+  validateAppointmentCancel,
+  validateDoctorScheduleQuery,
+  validateAppointmentListQuery
 } = require('../utils/validation');
-const { getDatabaseNow, getUtcDateTime } = require('../utils/time');
+const {
+  getDatabaseNow,
+  getZonedToday,
+  getSlotStartUtc,
+  getSlotEndUtc,
+  resolveDisplayTimeZone,
+} = require('../utils/time');
+const { parseDateUtc, formatDateYmd, diffInDaysUtc, describeSlotTimes } = require('../utils/timeSlotHelpers');
+const { offerReleasedSlots, markWaitlistOfferBooked } = require('../utils/waitlist');
+const { SERIES_SCOPES, getFollowingOccurrences, resolveSeriesShift } = require('../utils/appointmentSeries');
+const { invalidateUserAppointmentCaches, getRescheduleChain } = require('../utils/appointmentHelpers');
+const { hasReachedNoShowLimit, recordNoShow } = require('../utils/appointmentLifecycle');
+const { ACTOR_ROLES, recordAppointmentEvent } = require('../utils/appointmentEvents');
+const { POLICY_RULES, resolvePolicy, evaluateCancellation, evaluateReschedule, hasReachedStrikeLimit, recordStrikes } = require('../utils/appointmentPolicy');
+const { scheduleAppointmentReminders, cancelAppointmentReminders } = require('../utils/reminders');
+const { findBlackedOutSlots } = require('../utils/blackouts');
+const { LOCK_MINUTES, getSlotLock, getUserSlotLocks, acquireSlotLocks, releaseSlotLock, releaseSlotLocks } = require('../utils/slotLocks');
+const { selectSeatFields, getFreeSeats, hasBookedSeats, bookSeat, releaseSeat } = require('../utils/slotSeats');
 const redis = require('../lib/redisClient');
 
 const prisma = new PrismaClient();
 
-// Slot status constants
+// Slot status constants; locks live in Redis, not on the slot
 const SLOT_STATUS = {
   AVAILABLE: 'AVAILABLE',
-  LOCKED: 'LOCKED',
   BOOKED: 'BOOKED',
 };
 
@@ -23,8 +42,16 @@ const APPOINTMENT_STATUS = {
   COMPLETED: 'COMPLETED',
   CANCELLED: 'CANCELLED',
   RESCHEDULED: 'RESCHEDULED',
+  NO_SHOW: 'NO_SHOW',
 }
 
+// Longest range the doctor schedule endpoint returns in one request
+const MAX_SCHEDULE_RANGE_DAYS = 31;
+
+// A doctor deactivated after a slot was locked takes no bookings, same as at lock time
+const sendDoctorInactive = (res) =>
+  res.status(409).json({ success: false, error: 'Doctor is not accepting bookings', code: 'DOCTOR_INACTIVE' });
+
 // Confirm booking for a locked slot
 const confirmBooking = async (req, res) => {
   try {
@@ -39,51 +66,63 @@ const confirmBooking = async (req, res) => {
     // Fetch slot and check existence
     const slot = await prisma.timeSlot.findUnique({
       where: { id: timeSlotId },
-      select: { id: true, doctorId: true, status: true, lockedBy: true, lockExpires: true, date: true, startTime: true },
+      select: {
+        id: true,
+        doctorId: true,
+        status: true,
+        date: true,
+        startTime: true,
+        endTime: true,
+        startAt: true,
+        endAt: true,
+        doctor: { select: { isActive: true } },
+      },
     });
     if (!slot || slot.doctorId !== doctorId) {
       return res.status(404).json({ success: false, error: 'Time slot not found for this doctor', code: 'SLOT_NOT_FOUND' });
     }
+    if (!slot.doctor.isActive) return sendDoctorInactive(res);
     if (slot.status === SLOT_STATUS.BOOKED) {
       return res.status(409).json({ success: false, error: 'Time slot already booked', code: 'SLOT_ALREADY_BOOKED' });
     }
 
     // Check OTP validity
-    const user = await prisma.user.findUnique({ where: { id: userId }, select: { otpVerifiedUntil: true } });
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { otpVerifiedUntil: true, noShowCount: true, lastNoShowAt: true, strikeCount: true, lastStrikeAt: true } });
     if (!user?.otpVerifiedUntil || user.otpVerifiedUntil <= nowUtc) {
       return res.status(403).json({ success: false, error: 'OTP verification required', code: 'OTP_REQUIRED' });
     }
 
-    // Check slot lock
-    const isLockValid = slot.status === SLOT_STATUS.LOCKED && slot.lockedBy === userId && slot.lockExpires && slot.lockExpires > nowUtc;
-    if (!isLockValid) {
+    // Block booking for users with too many no-shows
+    if (hasReachedNoShowLimit(user, nowUtc)) {
+      return res.status(403).json({ success: false, error: 'Booking restricted due to repeated no-shows', code: 'NO_SHOW_LIMIT' });
+    }
+
+    // Block booking for users with too many late-cancellation strikes
+    if (hasReachedStrikeLimit(user, nowUtc)) {
+      return res.status(403).json({ success: false, error: 'Booking restricted due to repeated late cancellations', code: 'STRIKE_LIMIT' });
+    }
+
+    // Check the user's seat hold; an expired hold no longer counts
+    const lock = await getSlotLock(redis, timeSlotId, userId, nowUtc);
+    if (!lock) {
       return res.status(409).json({ success: false, error: 'Slot is not locked by you or lock has expired', code: 'LOCK_INVALID' });
     }
 
     // Transaction to confirm booking
     const appointment = await prisma.$transaction(async (tx) => {
-      const todayUtc = new Date(Date.UTC(nowUtc.getUTCFullYear(), nowUtc.getUTCMonth(), nowUtc.getUTCDate()));
-
       // Prevent booking past slots
-      if (slot.date < todayUtc) throw { code: 'SLOT_IN_PAST', message: 'Cannot book a past date slot' };
+      if (getSlotEndUtc(slot) <= nowUtc) throw { code: 'SLOT_IN_PAST', message: 'Cannot book a past date slot' };
 
-      // Prevent booking a slot that already started today
-      if (slot.date.getTime() === todayUtc.getTime()) {
-        const hh = String(nowUtc.getUTCHours()).padStart(2, '0');
-        const mm = String(nowUtc.getUTCMinutes()).padStart(2, '0');
-        if (slot.startTime <= `${hh}:${mm}`) throw { code: 'SLOT_ALREADY_STARTED', message: 'Cannot book a slot that already started' };
-      }
+      // Prevent booking a slot that already started
+      if (getSlotStartUtc(slot) <= nowUtc) throw { code: 'SLOT_ALREADY_STARTED', message: 'Cannot book a slot that already started' };
 
-      // Update slot atomically
-      const updateResult = await tx.timeSlot.updateMany({
-        where: { id: timeSlotId, doctorId, status: SLOT_STATUS.LOCKED, lockedBy: userId, lockExpires: { gt: nowUtc } },
-        data: { status: SLOT_STATUS.BOOKED, lockedBy: null, lockedAt: null, lockExpires: null },
-      });
-      if (updateResult.count !== 1) throw { code: 'CONFLICT_SLOT_STATE', message: 'Slot state changed, try again' };
+      // Prevent the same user taking two seats of one slot
+      const existingBooking = await tx.appointment.findFirst({ where: { timeSlotId, userId, status: SLOT_STATUS.BOOKED } });
+      if (existingBooking) throw { code: 'SLOT_ALREADY_BOOKED', message: 'You already have a booking for this slot' };
 
-      // Prevent double booking
-      const existingBooking = await tx.appointment.findFirst({ where: { timeSlotId, status: SLOT_STATUS.BOOKED } });
-      if (existingBooking) throw { code: 'SLOT_ALREADY_BOOKED', message: 'This slot already has an active booking' };
+      // Take one seat atomically
+      const booked = await bookSeat(tx, { id: timeSlotId, doctorId });
+      if (!booked) throw { code: 'CONFLICT_SLOT_STATE', message: 'Slot state changed, try again' };
 
       // Create appointment
       const newAppointment = await tx.appointment.create({
@@ -91,12 +130,36 @@ const confirmBooking = async (req, res) => {
         select: { id: true, userId: true, doctorId: true, timeSlotId: true, status: true, createdAt: true },
       });
 
+      await recordAppointmentEvent(tx, {
+        appointmentId: newAppointment.id,
+        actor: { id: userId, role: ACTOR_ROLES.USER },
+        newStatus: APPOINTMENT_STATUS.BOOKED,
+        newSlotId: timeSlotId,
+      });
+
+      await scheduleAppointmentReminders(tx, {
+        appointmentId: newAppointment.id,
+        userId,
+        slotStartUtc: getSlotStartUtc(slot),
+        nowUtc,
+      });
+
       // Clear OTP after booking
       await tx.user.update({ where: { id: userId }, data: { otpVerifiedUntil: null } });
 
+      // Close out a waitlist offer for this slot, if any
+      await markWaitlistOfferBooked(tx, userId, timeSlotId);
+
       return newAppointment;
     });
 
+    // The hold has served its purpose; the seat is booked now
+    try {
+      await releaseSlotLock(redis, lock);
+    } catch (lockErr) {
+      console.warn('Redis lock cleanup failed:', lockErr.message);
+    }
+
     // Redis cache invalidation
    try {
   const cacheSetKey = `user:${userId}:appointments:keys`;
@@ -138,7 +201,14 @@ const confirmBooking = async (req, res) => {
 };
 
 
-// List current user's appointments with slot and doctor info
+// Adds the slot's absolute times and its wall clock in the viewer's zone (else the doctor's)
+const withDisplayTimes = (req, appt) => (
+  appt.timeSlot
+    ? { ...appt, timeSlot: { ...appt.timeSlot, ...describeSlotTimes(appt.timeSlot, resolveDisplayTimeZone(req, appt.doctor?.timezone)) } }
+    : appt
+);
+
+// List current user's appointments with filters, sorting and cursor pagination
 const listAppointments = async (req, res) => {
   try {
     const userId = req.user?.id;
@@ -147,113 +217,146 @@ const listAppointments = async (req, res) => {
       return res.status(401).json({ success: false, error: 'Unauthorized' });
     }
 
-    const CACHE_TTL = 14400;
-
-    // Normalize query
-    const statusFilter = (req.query.status || '').toString().trim().toUpperCase();
-    const typeFilter = (req.query.type || '').toString().trim().toLowerCase();
+    const { error, value } = validateAppointmentListQuery(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error: error.details[0].message });
+    }
 
-    const allowedStatuses = [
-      APPOINTMENT_STATUS.BOOKED,
-      APPOINTMENT_STATUS.COMPLETED,
-      APPOINTMENT_STATUS.CANCELLED,
-      APPOINTMENT_STATUS.RESCHEDULED,
-    ];
-    const allowedTypes = ['upcoming', 'past', 'all'];
+    const CACHE_TTL = 14400;
+    const { type, from, to, doctorId, sortBy, order, limit, cursor, collapse } = value;
+    const statuses = value.status ? [...new Set(value.status.split(','))].sort() : [];
 
-    const status = allowedStatuses.includes(statusFilter) ? statusFilter : null;
-    const type = allowedTypes.includes(typeFilter) ? typeFilter : 'all';
+    // Every query parameter is part of the key so filters and pages never share an entry
+    const cacheSetKey = `user:${userId}:appointments:keys`;
+    const cacheKey = [
+      `user:${userId}:appointments`,
+      statuses.join(',') || 'any',
+      type,
+      from || '-',
+      to || '-',
+      doctorId || 'any',
+      `${sortBy}:${order}`,
+      limit,
+      cursor || 'first',
+      collapse ? 'collapsed' : 'full',
+      // Times are rendered in the viewer's zone
+      req.timeZone || req.user?.timezone || 'doctor',
+    ].join(':');
 
-    const cacheKey = `user:${userId}:appointments:${status || 'any'}:${type}`;
     const cachedData = await redis.get(cacheKey);
     if (cachedData) {
       try {
-        const parsed = JSON.parse(cachedData);
+        const parsed = typeof cachedData === 'string' ? JSON.parse(cachedData) : cachedData;
         return res.json({
           success: true,
           message: 'Appointments fetched from cache',
-          data: parsed,
+          data: parsed.data,
+          pagination: parsed.pagination,
         });
       } catch {
         await redis.del(cacheKey);
       }
     }
 
-    const where = { userId };
-    if (status) where.status = status;
-
     const nowUtc = await getDatabaseNow(prisma);
-    const todayUtc = new Date(Date.UTC(nowUtc.getUTCFullYear(), nowUtc.getUTCMonth(), nowUtc.getUTCDate()));
-    const currentHM = `${String(nowUtc.getUTCHours()).padStart(2, '0')}:${String(nowUtc.getUTCMinutes()).padStart(2, '0')}`;
-
-    if (!status) {
-      // Only include cancelled automatically if status is undefined
-      if (type === 'upcoming') {
-        // Include BOOKED future + CANCELLED future
-        where.OR = [
-          {
-            AND: [
-              { status: APPOINTMENT_STATUS.BOOKED },
-              { timeSlot: { is: { OR: [{ date: { gt: todayUtc } }, { AND: [{ date: { equals: todayUtc } }, { startTime: { gt: currentHM } }] }] } } }
-            ]
-          },
-          {
-            AND: [
-              { status: APPOINTMENT_STATUS.CANCELLED },
-              { timeSlot: { is: { OR: [{ date: { gt: todayUtc } }, { AND: [{ date: { equals: todayUtc } }, { startTime: { gt: currentHM } }] }] } } }
-            ]
-          },
-           {
-            AND: [
-              { status: APPOINTMENT_STATUS.RESCHEDULED },
-              { timeSlot: { is: { OR: [{ date: { gt: todayUtc } }, { AND: [{ date: { equals: todayUtc } }, { startTime: { gt: currentHM } }] }] } } }
-            ]
-          }
-        ];
-      } else if (type === 'all') {
-        // All appointments including CANCELLED
-        // no extra filter needed; cancelled are included naturally
+
+    const futureSlot = { timeSlot: { is: { startAt: { gt: nowUtc } } } };
+    const pastSlot = { timeSlot: { is: { startAt: { lte: nowUtc } } } };
+
+    const conditions = [];
+    if (statuses.length > 0) conditions.push({ status: { in: statuses } });
+
+    if (type === 'upcoming') {
+      // Future BOOKED / CANCELLED / RESCHEDULED unless an explicit status list narrows it
+      if (statuses.length === 0) {
+        conditions.push({ status: { in: [APPOINTMENT_STATUS.BOOKED, APPOINTMENT_STATUS.CANCELLED, APPOINTMENT_STATUS.RESCHEDULED] } });
       }
+      conditions.push(futureSlot);
+    } else if (type === 'past') {
+      conditions.push({
+        OR: [
+          { status: APPOINTMENT_STATUS.COMPLETED },
+          { status: APPOINTMENT_STATUS.NO_SHOW },
+          { AND: [{ status: APPOINTMENT_STATUS.BOOKED }, pastSlot] },
+          { AND: [{ status: APPOINTMENT_STATUS.CANCELLED }, pastSlot] },
+        ],
+      });
     }
 
-    // Past filtering stays the same
-    if (type === 'past') {
-      where.OR = [
-        { status: APPOINTMENT_STATUS.COMPLETED },
-        {
-          AND: [
-            { status: APPOINTMENT_STATUS.BOOKED },
-            { timeSlot: { is: { OR: [{ date: { lt: todayUtc } }, { AND: [{ date: { equals: todayUtc } }, { startTime: { lte: currentHM } }] }] } } }
-          ]
-        },
-        {
-          AND: [
-            { status: APPOINTMENT_STATUS.CANCELLED },
-            { timeSlot: { is: { OR: [{ date: { lt: todayUtc } }, { AND: [{ date: { equals: todayUtc } }, { startTime: { lte: currentHM } }] }] } } }
-          ]
-        }
-      ];
+    // Date range on the slot date (the doctor's calendar day), both ends inclusive
+    if (from || to) {
+      const dateFilter = {};
+      if (from) dateFilter.gte = parseDateUtc(from);
+      if (to) dateFilter.lte = parseDateUtc(to);
+      conditions.push({ timeSlot: { is: { date: dateFilter } } });
     }
 
-    const appointments = await prisma.appointment.findMany({
-      where,
-      orderBy: { createdAt: 'desc' },
-      select: {
-        id: true,
-        status: true,
-        notes: true,
-        createdAt: true,
-        doctor: { select: { id: true, name: true, specialization: true, imageUrl: true } },
-        timeSlot: { select: { id: true, date: true, startTime: true, endTime: true } },
+    // Collapse reschedule chains: only the latest appointment of each chain represents the visit
+    if (collapse) conditions.push({ NOT: { status: APPOINTMENT_STATUS.RESCHEDULED } });
+
+    const where = { userId };
+    if (doctorId) where.doctorId = doctorId;
+    if (conditions.length > 0) where.AND = conditions;
+
+    // id is the tie-breaker so the cursor position is stable
+    const orderBy = sortBy === 'slot'
+      ? [{ timeSlot: { startAt: order } }, { id: order }]
+      : [{ createdAt: order }, { id: order }];
+
+    if (cursor) {
+      const cursorAppointment = await prisma.appointment.findFirst({ where: { id: cursor, userId }, select: { id: true } });
+      if (!cursorAppointment) {
+        return res.status(400).json({ success: false, error: 'Invalid cursor' });
       }
-    });
+    }
+
+    const [total, rows] = await Promise.all([
+      prisma.appointment.count({ where }),
+      prisma.appointment.findMany({
+        where,
+        orderBy,
+        take: limit + 1,
+        ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+        select: {
+          id: true,
+          status: true,
+          notes: true,
+          seriesId: true,
+          seriesIndex: true,
+          rescheduleCount: true,
+          rescheduledFromId: true,
+          createdAt: true,
+          doctor: { select: { id: true, name: true, specialization: true, imageUrl: true, timezone: true } },
+          timeSlot: { select: { id: true, date: true, startTime: true, endTime: true, startAt: true, endAt: true } },
+        }
+      }),
+    ]);
 
-    await redis.set(cacheKey, JSON.stringify(appointments), { ex: CACHE_TTL });
+    // One extra row tells us whether another page exists
+    const hasMore = rows.length > limit;
+    const appointments = (hasMore ? rows.slice(0, limit) : rows).map((appt) => withDisplayTimes(req, appt));
+    const pagination = {
+      total,
+      limit,
+      sortBy,
+      order,
+      hasMore,
+      nextCursor: hasMore ? appointments[appointments.length - 1].id : null,
+    };
+
+    try {
+      await redis.set(cacheKey, JSON.stringify({ data: appointments, pagination }), { ex: CACHE_TTL });
+      // Track the key so booking changes can invalidate every cached page
+      await redis.sadd(cacheSetKey, cacheKey);
+    } catch (err) {
+      console.warn('Redis SET failed:', err.message);
+    }
 
     return res.json({
       success: true,
       message: 'Appointments fetched successfully',
       data: appointments,
+      pagination,
     });
 
   } catch (e) {
@@ -284,7 +387,7 @@ const getAppointmentById = async (req, res) => {
         const parsed = JSON.parse(cachedData);
         return res.json({
           success: true,
-          data: parsed,
+          data: withDisplayTimes(req, parsed),
           message: "Appointment fetched from cache",
         });
       } catch (err) {
@@ -301,6 +404,11 @@ const getAppointmentById = async (req, res) => {
         userId: true, // Needed to check ownership
         status: true,
         notes: true,
+        seriesId: true,
+        seriesIndex: true,
+        checkedInAt: true,
+        rescheduleCount: true,
+        rescheduledFromId: true,
         createdAt: true,
         updatedAt: true,
         doctor: {
@@ -310,10 +418,11 @@ const getAppointmentById = async (req, res) => {
             specialization: true,
             imageUrl: true,
             bio: true,
+            timezone: true,
           },
         },
         timeSlot: {
-          select: { id: true, date: true, startTime: true, endTime: true },
+          select: { id: true, date: true, startTime: true, endTime: true, startAt: true, endAt: true },
         },
       },
     });
@@ -326,14 +435,26 @@ const getAppointmentById = async (req, res) => {
       });
     }
 
-    // Store result in Redis cache for 6 hours
+    // Full reschedule chain (original -> current), only when this appointment is part of one
+    const chain = appointment.rescheduledFromId || appointment.status === APPOINTMENT_STATUS.RESCHEDULED
+      ? await getRescheduleChain(prisma, appointment.id)
+      : [];
+    appointment.rescheduleChain = chain.length > 1
+      ? {
+          originalAppointmentId: chain[0].id,
+          currentAppointmentId: chain[chain.length - 1].id,
+          appointments: chain,
+        }
+      : null;
+
+    // Store result in Redis cache for 6 hours; display times depend on the viewer so they are added per request
     await redis.set(cacheKey, JSON.stringify(appointment));
     await redis.expire(cacheKey, 21600); // 6 hours
 
     // Return appointment
     return res.json({
       success: true,
-      data: appointment,
+      data: withDisplayTimes(req, appointment),
       message: "Appointment fetched successfully",
     });
   } catch (e) {
@@ -347,12 +468,61 @@ const getAppointmentById = async (req, res) => {
 };
 
 
+// Status history of an appointment (owner or admin)
+const getAppointmentHistory = async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    const { id } = req.params;
+
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    const [appt, user] = await Promise.all([
+      prisma.appointment.findUnique({ where: { id }, select: { id: true, userId: true, status: true } }),
+      prisma.user.findUnique({ where: { id: userId }, select: { role: true } }),
+    ]);
+
+    const isAdmin = user?.role?.toLowerCase() === 'admin';
+    if (!appt || (appt.userId !== userId && !isAdmin)) {
+      return res.status(404).json({ success: false, error: 'Appointment not found' });
+    }
+
+    const events = await prisma.appointmentEvent.findMany({
+      where: { appointmentId: id },
+      orderBy: { createdAt: 'asc' },
+      select: {
+        id: true,
+        actorRole: true,
+        previousStatus: true,
+        newStatus: true,
+        oldSlotId: true,
+        newSlotId: true,
+        reason: true,
+        details: true,
+        createdAt: true,
+        actor: { select: { id: true, name: true } },
+      },
+    });
+
+    return res.json({
+      success: true,
+      message: events.length > 0 ? 'Appointment history fetched successfully' : 'No history recorded for this appointment',
+      data: { appointmentId: appt.id, status: appt.status, events },
+    });
+  } catch (e) {
+    console.error('getAppointmentHistory error:', e);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+
 // Update appointment status (booked -> completed/cancelled)
 const updateAppointmentStatus = async (req, res) => {
   try {
     const userId = req.user?.id;
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, reason } = req.body;
 
     // Validate request body
     const { error } = validateAppointmentStatusUpdate(req.body);
@@ -366,7 +536,7 @@ const updateAppointmentStatus = async (req, res) => {
     // Fetch appointment
     const appt = await prisma.appointment.findUnique({
       where: { id },
-      select: { id: true, status: true, userId: true }
+      select: { id: true, status: true, userId: true, timeSlotId: true }
     });
 
     if (!appt || appt.userId !== userId) {
@@ -377,7 +547,7 @@ const updateAppointmentStatus = async (req, res) => {
     }
 
     // Allowed statuses
-    const allowedStatuses = ['BOOKED','COMPLETED', 'CANCELLED'];
+    const allowedStatuses = ['BOOKED','COMPLETED', 'CANCELLED', 'NO_SHOW'];
     if (!allowedStatuses.includes(status)) {
       return res.status(400).json({
         success: false,
@@ -394,13 +564,47 @@ const updateAppointmentStatus = async (req, res) => {
       });
     }
 
-    // Update appointment
-    const updated = await prisma.appointment.update({
-      where: { id: appt.id },
-      data: { status },
-      select: { id: true, status: true }
+    // Update appointment, keeping the user's no-show count in line with manual corrections.
+    // Guarded on the status read above, so a concurrent change is neither overwritten nor counted twice.
+    const nowUtc = await getDatabaseNow(prisma);
+    const updated = await prisma.$transaction(async (tx) => {
+      const changed = await tx.appointment.updateMany({
+        where: { id: appt.id, status: appt.status },
+        data: { status }
+      });
+      if (changed.count !== 1) return null;
+
+      await recordAppointmentEvent(tx, {
+        appointmentId: appt.id,
+        actor: { id: userId, role: ACTOR_ROLES.ADMIN },
+        previousStatus: appt.status,
+        newStatus: status,
+        oldSlotId: appt.timeSlotId,
+        newSlotId: appt.timeSlotId,
+        reason,
+      });
+
+      // Reminders only make sense while the visit is still booked
+      if (status !== APPOINTMENT_STATUS.BOOKED) {
+        await cancelAppointmentReminders(tx, [appt.id]);
+      }
+
+      if (status === APPOINTMENT_STATUS.NO_SHOW) {
+        await recordNoShow(tx, appt.userId, nowUtc);
+      } else if (appt.status === APPOINTMENT_STATUS.NO_SHOW) {
+        await tx.user.updateMany({ where: { id: appt.userId, noShowCount: { gt: 0 } }, data: { noShowCount: { decrement: 1 } } });
+      }
+
+      return { id: appt.id, status };
     });
 
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        error: 'Appointment status changed in the meantime; reload and try again'
+      });
+    }
+
 // ✅ Invalidate Redis cache for this user's appointments
     const cacheSetKey = `user:${userId}:appointments:keys`;
     const cachedKeys = await redis.smembers(cacheSetKey);
@@ -425,27 +629,102 @@ const updateAppointmentStatus = async (req, res) => {
 };
 
 
+// Check a patient in on the day of their visit (front desk); checked-in visits are finalized as COMPLETED
+const checkInAppointment = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const appt = await prisma.appointment.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        userId: true,
+        status: true,
+        checkedInAt: true,
+        timeSlotId: true,
+        doctor: { select: { timezone: true } },
+        timeSlot: { select: { date: true, startTime: true, endTime: true } },
+      },
+    });
+
+    if (!appt) return res.status(404).json({ success: false, error: 'Appointment not found' });
+
+    if (appt.status !== APPOINTMENT_STATUS.BOOKED)
+      return res.status(409).json({ success: false, error: 'Only booked appointments can be checked in' });
+
+    if (appt.checkedInAt) {
+      return res.json({
+        success: true,
+        message: 'Already checked in',
+        data: { id: appt.id, status: appt.status, checkedInAt: appt.checkedInAt },
+      });
+    }
+
+    const nowUtc = await getDatabaseNow(prisma);
+    // The slot date is the doctor's calendar day
+    if (appt.timeSlot && appt.timeSlot.date > getZonedToday(nowUtc, appt.doctor?.timezone))
+      return res.status(400).json({ success: false, error: 'Cannot check in before the day of the appointment' });
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const result = await tx.appointment.update({
+        where: { id: appt.id },
+        data: { checkedInAt: nowUtc },
+        select: { id: true, status: true, checkedInAt: true },
+      });
+
+      await recordAppointmentEvent(tx, {
+        appointmentId: appt.id,
+        actor: { id: req.user?.id, role: ACTOR_ROLES.ADMIN },
+        previousStatus: appt.status,
+        newStatus: appt.status,
+        oldSlotId: appt.timeSlotId,
+        newSlotId: appt.timeSlotId,
+        reason: 'Checked in',
+      });
+
+      return result;
+    });
+
+    try {
+      await invalidateUserAppointmentCaches(redis, appt.userId, [appt.id]);
+    } catch (cacheErr) {
+      console.error('Redis cache invalidation error:', cacheErr);
+    }
+
+    return res.json({ success: true, message: 'Checked in successfully', data: updated });
+  } catch (e) {
+    console.error('checkInAppointment error:', e);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+
 // Reschedule Request + Lock New Slot
+// scope "following" shifts every later occurrence of the series by the same offset and locks those slots too.
 const rescheduleAppointment = async (req, res) => {
   const userId = req.user?.id;
   const { id } = req.params;
 
   try {
     // Validate request body
-    const { error } = validateAppointmentReschedule(req.body || {});
+    const { error, value } = validateAppointmentReschedule(req.body || {});
     if (error) return res.status(400).json({ success: false, error: error.details[0].message });
 
-    const { newTimeSlotId } = req.body;
+    const { newTimeSlotId, scope } = value;
 
     // Fetch appointment and current slot
     const appt = await prisma.appointment.findFirst({
       where: { id, userId },
       select: {
         id: true,
+        userId: true,
         status: true,
         doctorId: true,
         timeSlotId: true,
-        timeSlot: { select: { id: true, date: true, startTime: true } },
+        seriesId: true,
+        seriesIndex: true,
+        rescheduleCount: true,
+        timeSlot: { select: { id: true, date: true, startTime: true, startAt: true } },
       },
     });
 
@@ -460,63 +739,106 @@ const rescheduleAppointment = async (req, res) => {
     if (appt.timeSlotId === newTimeSlotId)
       return res.status(400).json({ success: false, error: 'New time slot must be different from current slot' });
 
+    if (scope === SERIES_SCOPES.FOLLOWING && !appt.seriesId)
+      return res.status(400).json({ success: false, error: 'Appointment is not part of a series' });
+
     const nowUtc = await getDatabaseNow(prisma);
 
-    // Prevent rescheduling within 24 hours of the original slot
-    const apptStartUtc = getUtcDateTime(appt.timeSlot.date, appt.timeSlot.startTime);
-    if (apptStartUtc.getTime() - nowUtc.getTime() <= 24 * 60 * 60 * 1000) {
-      return res.status(400).json({ success: false, error: 'Rescheduling not allowed within 24 hours' });
+    // Apply the reschedule policy (cutoff window and maximum reschedules)
+    const apptStartUtc = getSlotStartUtc(appt.timeSlot);
+    const policyDecision = evaluateReschedule(await resolvePolicy(prisma, appt.doctorId), apptStartUtc, nowUtc, appt.rescheduleCount);
+    if (!policyDecision.allowed) {
+      return res.status(400).json({
+        success: false,
+        error: policyDecision.rule === POLICY_RULES.RESCHEDULE_LIMIT_REACHED
+          ? `Maximum of ${policyDecision.maxReschedules} reschedules reached`
+          : `Rescheduling not allowed within ${policyDecision.cutoffHours} hours`,
+        code: policyDecision.rule,
+        data: { policy: policyDecision },
+      });
     }
 
     // Fetch new slot for validation
     const newSlot = await prisma.timeSlot.findFirst({
       where: { id: newTimeSlotId, doctorId: appt.doctorId },
-      select: { id: true, date: true, startTime: true, status: true, lockExpires: true },
+      select: { id: true, date: true, startTime: true, startAt: true, status: true, ...selectSeatFields, doctor: { select: { isActive: true } } },
     });
 
     if (!newSlot) return res.status(404).json({ success: false, error: 'New time slot not found' });
+    if (!newSlot.doctor.isActive) return sendDoctorInactive(res);
 
-    const newStartUtc = getUtcDateTime(newSlot.date, newSlot.startTime);
+    const newStartUtc = getSlotStartUtc(newSlot);
     if (newStartUtc <= nowUtc)
       return res.status(400).json({ success: false, error: 'Cannot reschedule to a past or ongoing slot' });
 
-    // Locking logic using new status + lockExpires
-    const lockResult = await prisma.timeSlot.updateMany({
-      where: {
-        id: newTimeSlotId,
+    // Occurrences to move: just this one, or this one and every later occurrence
+    let pairs = [{ appointment: appt, oldSlotId: appt.timeSlotId, newSlot }];
+    if (scope === SERIES_SCOPES.FOLLOWING) {
+      const occurrences = await getFollowingOccurrences(prisma, appt);
+      const shift = await resolveSeriesShift(prisma, appt.doctorId, occurrences, newSlot);
+      if (shift.missing.length > 0) {
+        return res.status(409).json({ success: false, error: 'No slot exists for one or more following occurrences', data: shift.missing });
+      }
+      pairs = shift.pairs;
+    }
+
+    // New slots must not fall on a day the doctor is on leave or the clinic is closed
+    const blackedOut = await findBlackedOutSlots(prisma, pairs.map((pair) => ({ ...pair.newSlot, doctorId: appt.doctorId })));
+    if (blackedOut.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Doctor is unavailable on the new date',
+        data: blackedOut.map((slot) => ({ slotId: slot.id, date: formatDateYmd(slot.date), startTime: slot.startTime })),
+      });
+    }
+
+    if (pairs.some((pair) => pair.newSlot.status !== SLOT_STATUS.AVAILABLE || getFreeSeats(pair.newSlot) === 0))
+      return res.status(409).json({ success: false, error: 'New slot is locked or booked' });
+
+    // A seat hold on every new slot; all new slots are held or none are
+    let locks;
+    try {
+      locks = await acquireSlotLocks(redis, {
+        slots: pairs.map((pair) => ({ id: pair.newSlot.id, seats: getFreeSeats(pair.newSlot) })),
+        userId,
+        nowUtc,
+        minutes: LOCK_MINUTES,
+      });
+    } catch (lockErr) {
+      if (lockErr?.code === 'SERIES_SLOT_UNAVAILABLE')
+        return res.status(409).json({ success: false, error: 'New slot is locked or booked' });
+      throw lockErr;
+    }
+
+    const data = {
+      lock: {
+        timeSlotId: newTimeSlotId,
         doctorId: appt.doctorId,
-        OR: [
-          { status: 'AVAILABLE' }, // free slot
-          { status: 'LOCKED', lockExpires: { lt: nowUtc } }, // previously locked but expired
-          { lockedBy: userId }, // current user already locked
-        ],
-      },
-      data: {
-        status: 'LOCKED',
         lockedBy: userId,
-        lockedAt: nowUtc,
-        lockExpires: new Date(nowUtc.getTime() + 5 * 60 * 1000), // 5 min lock
+        lockedAt: locks[0].lockedAt,
+        lockExpires: locks[0].expiresAt,
+        date: newSlot.date,
+        startTime: newSlot.startTime,
       },
-    });
+      oldSlotId: appt.timeSlotId,
+      policy: policyDecision,
+    };
 
-    if (lockResult.count !== 1)
-      return res.status(409).json({ success: false, error: 'New slot is locked or booked' });
+    if (scope === SERIES_SCOPES.FOLLOWING) {
+      data.scope = scope;
+      data.occurrences = pairs.map((pair) => ({
+        appointmentId: pair.appointment.id,
+        oldSlotId: pair.oldSlotId,
+        newSlotId: pair.newSlot.id,
+        date: pair.newSlot.date,
+        startTime: pair.newSlot.startTime,
+      }));
+    }
 
     return res.json({
       success: true,
-      message: 'New time slot locked for reschedule',
-      data: {
-        lock: {
-          timeSlotId: newTimeSlotId,
-          doctorId: appt.doctorId,
-          lockedBy: userId,
-          lockedAt: nowUtc,
-          lockExpires: new Date(nowUtc.getTime() + 5 * 60 * 1000),
-          date: newSlot.date,
-          startTime: newSlot.startTime,
-        },
-        oldSlotId: appt.timeSlotId,
-      },
+      message: scope === SERIES_SCOPES.FOLLOWING ? 'New time slots locked for series reschedule' : 'New time slot locked for reschedule',
+      data,
     });
 
   } catch (e) {
@@ -526,20 +848,30 @@ const rescheduleAppointment = async (req, res) => {
 };
 
 
-// Cancel appointment. >24h releases slot; <=24h keeps slot booked.
+// Cancel appointment. The doctor's (or clinic-wide) policy decides whether the slot is released
+// and whether a late cancellation adds strikes. scope "following" also cancels later series occurrences.
 const cancelAppointment = async (req, res) => {
   const userId = req.user?.id; // Get current user ID
   const { id } = req.params; // Appointment ID from URL
 
   try {
+    const { error, value } = validateAppointmentCancel(req.body || {});
+    if (error) return res.status(400).json({ success: false, error: error.details[0].message });
+
+    const { scope, reason } = value;
+
     // Fetch appointment with its slot
     const appt = await prisma.appointment.findFirst({
       where: { id, userId },
       select: {
         id: true,
+        userId: true,
+        doctorId: true,
         status: true,
         timeSlotId: true,
-        timeSlot: { select: { id: true, date: true, startTime: true, status: true } },
+        seriesId: true,
+        seriesIndex: true,
+        timeSlot: { select: { id: true, date: true, startTime: true, startAt: true, status: true, seatsBooked: true } },
       },
     });
 
@@ -551,64 +883,111 @@ const cancelAppointment = async (req, res) => {
       return res.status(409).json({ success: false, error: 'Only booked appointments can be cancelled' });
     }
 
+    if (scope === SERIES_SCOPES.FOLLOWING && !appt.seriesId) {
+      return res.status(400).json({ success: false, error: 'Appointment is not part of a series' });
+    }
+
+    // Appointments to cancel: this one, or this one and all later occurrences
+    const targets = scope === SERIES_SCOPES.FOLLOWING ? await getFollowingOccurrences(prisma, appt) : [appt];
+
     const nowUtc = await getDatabaseNow(prisma); // Current UTC time
-    let isMoreThan24h = true; // Flag to determine if slot can be released
+    const policy = await resolvePolicy(prisma, appt.doctorId);
+
+    // Evaluate the policy per appointment; a seat is only released if the rule allows it and it is still booked
+    const plan = targets.map((target) => {
+      const apptStartUtc = target.timeSlot ? getSlotStartUtc(target.timeSlot) : null;
+      const decision = evaluateCancellation(policy, apptStartUtc, nowUtc);
+      return {
+        target,
+        decision,
+        releaseSlot: Boolean(target.timeSlot && decision.releaseSlot && hasBookedSeats(target.timeSlot)),
+      };
+    });
 
-    // Check if appointment slot is more than 24h away
-    if (appt.timeSlot) {
-      const apptStartUtc = getUtcDateTime(appt.timeSlot.date, appt.timeSlot.startTime);
-      isMoreThan24h = apptStartUtc.getTime() - nowUtc.getTime() > 24 * 60 * 60 * 1000;
+    // Late cancellation blocked by policy (only the requested appointment can be late)
+    if (!plan[0].decision.allowed) {
+      return res.status(409).json({
+        success: false,
+        error: `Cancellation not allowed within ${policy.cancelCutoffHours} hours`,
+        code: plan[0].decision.rule,
+        data: { policy: plan[0].decision },
+      });
     }
 
-    // Transaction: cancel appointment and optionally release slot
-    const updatedAppointment = await prisma.$transaction(async (tx) => {
-      // Release slot if >24h and currently booked
-      if (appt.timeSlot && isMoreThan24h && appt.timeSlot.status === 'BOOKED') {
-        await tx.timeSlot.update({
-          where: { id: appt.timeSlotId },
-          data: { status: 'AVAILABLE', lockedAt: null, lockedBy: null },
+    const strikes = plan.reduce((total, item) => total + (item.decision.allowed ? item.decision.strikes : 0), 0);
+
+    // Transaction: cancel appointments and optionally free their seats
+    const updatedAppointments = await prisma.$transaction(async (tx) => {
+      const updated = [];
+      for (const { target, releaseSlot, decision } of plan) {
+        if (releaseSlot) await releaseSeat(tx, target.timeSlotId);
+
+        // Update appointment status to CANCELLED
+        updated.push(await tx.appointment.update({
+          where: { id: target.id },
+          data: { status: 'CANCELLED' },
+          select: { id: true, status: true, timeSlotId: true },
+        }));
+
+        await recordAppointmentEvent(tx, {
+          appointmentId: target.id,
+          actor: { id: userId, role: ACTOR_ROLES.USER },
+          previousStatus: APPOINTMENT_STATUS.BOOKED,
+          newStatus: APPOINTMENT_STATUS.CANCELLED,
+          oldSlotId: target.timeSlotId,
+          reason,
+          details: { policyRule: decision.rule, slotReleased: releaseSlot, scope },
         });
       }
 
-      // Update appointment status to CANCELLED
-      return tx.appointment.update({
-        where: { id: appt.id },
-        data: { status: 'CANCELLED' },
-        select: { id: true, status: true, timeSlotId: true },
-      });
+      await cancelAppointmentReminders(tx, plan.map((item) => item.target.id));
+
+      // Penalty for late cancellation, as configured by the policy
+      if (strikes > 0) {
+        await recordStrikes(tx, userId, strikes, nowUtc);
+      }
+
+      return updated;
     });
 
-   // Invalidate all cached appointment data for this user
-try {
-  const cacheSetKey = `user:${userId}:appointments:keys`;
-  const cachedKeys = await redis.smembers(cacheSetKey);
+    // Invalidate all cached appointment data for this user
+    try {
+      await invalidateUserAppointmentCaches(redis, userId, targets.map((target) => target.id));
+    } catch (cacheErr) {
+      console.error("Redis cache invalidation error:", cacheErr);
+    }
 
-  if (cachedKeys.length > 0) {
-    await Promise.all([
-      ...cachedKeys.map(key => redis.del(key)),
-      redis.del(cacheSetKey),
-      redis.del(`appointment:${userId}:${id}`)
-    ]);
-  } else {
-    // Still delete the appointment key + set key if they exist
-    await Promise.all([
-      redis.del(cacheSetKey),
-      redis.del(`appointment:${userId}:${id}`)
-    ]);
-  }
-} catch (cacheErr) {
-  console.error("Redis cache invalidation error:", cacheErr);
-}
+    // Offer the released slots to the next waitlisted users
+    const releasedSlotIds = plan.filter((item) => item.releaseSlot).map((item) => item.target.timeSlotId);
+    if (releasedSlotIds.length > 0) {
+      try {
+        await offerReleasedSlots(prisma, redis, releasedSlotIds, nowUtc);
+      } catch (waitlistErr) {
+        console.warn('Waitlist offer failed:', waitlistErr.message);
+      }
+    }
+
+    const data = {
+      appointment: updatedAppointments[0],
+      slotReleased: plan[0].releaseSlot,
+      policy: plan[0].decision,
+      strikesAdded: strikes,
+    };
 
+    if (scope === SERIES_SCOPES.FOLLOWING) {
+      data.scope = scope;
+      data.cancelled = updatedAppointments.map((appointment, index) => ({
+        appointment,
+        slotReleased: plan[index].releaseSlot,
+        policy: plan[index].decision,
+      }));
+    }
 
     // Return success with slot release info
     return res.json({
       success: true,
-      message: 'Appointment cancelled',
-      data: {
-        appointment: updatedAppointment,
-        slotReleased: isMoreThan24h,
-      },
+      message: scope === SERIES_SCOPES.FOLLOWING ? 'Appointment and following occurrences cancelled' : 'Appointment cancelled',
+      data,
     });
   } catch (e) {
     console.error('cancelAppointment error:', e);
@@ -617,17 +996,140 @@ try {
 };
 
 
+// Move one booked appointment onto a slot the user has locked; runs inside the reschedule transaction.
+// locks holds the user's seat holds on the new slots, read before the transaction.
+const rescheduleOccurrence = async (tx, { appt, oldSlotId, newSlotId, doctorId, userId, nowUtc, reason, locks }) => {
+  // --- Fetch and validate new slot ---
+  const newSlot = await tx.timeSlot.findFirst({
+    where: { id: newSlotId, doctorId },
+    select: {
+      id: true,
+      status: true,
+      date: true,
+      startTime: true,
+      endTime: true,
+      startAt: true,
+    },
+  });
+
+  if (!newSlot) throw { code: "NEW_SLOT_NOT_FOUND" };
+
+  if (!locks.has(newSlotId)) {
+    throw { code: "NEW_SLOT_NOT_LOCKED_BY_USER" };
+  }
+
+  // Ensure the new slot is not in the past
+  const slotStartUtc = getSlotStartUtc(newSlot);
+  if (slotStartUtc <= nowUtc) throw { code: "SLOT_ALREADY_STARTED_OR_PAST" };
+
+  // --- Book a seat on the new slot ---
+  const booked = await bookSeat(tx, { id: newSlotId });
+  if (!booked) throw { code: "CONFLICT_NEW_SLOT" };
+
+  // --- Mark old appointment as RESCHEDULED ---
+  await tx.appointment.update({
+    where: { id: appt.id },
+    data: { status: "RESCHEDULED" },
+  });
+
+  // --- Free the seat on the old slot ---
+  await releaseSeat(tx, oldSlotId);
+  // --- Create new appointment record (keeps its place in the series, if any) ---
+  const createdAppt = await tx.appointment.create({
+    data: {
+      userId: appt.userId,
+      doctorId: appt.doctorId,
+      timeSlotId: newSlotId,
+      seriesId: appt.seriesId || null,
+      seriesIndex: appt.seriesIndex ?? null,
+      rescheduleCount: (appt.rescheduleCount || 0) + 1,
+      rescheduledFromId: appt.id,
+      status: "BOOKED",
+      notes: appt.notes,
+    },
+    select: {
+      id: true,
+      userId: true,
+      doctorId: true,
+      timeSlotId: true,
+      seriesId: true,
+      seriesIndex: true,
+      rescheduleCount: true,
+      rescheduledFromId: true,
+      status: true,
+      notes: true,
+      createdAt: true,
+      updatedAt: true,
+      timeSlot: {
+        select: {
+          date: true,
+          startTime: true,
+          endTime: true,
+          status: true,
+        },
+      },
+      doctor: {
+        select: {
+          id: true,
+          name: true,
+          specialization: true,
+        },
+      },
+    },
+  });
+
+  // --- Safety: remove any conflicting appointments pointing to this slot (other seats stay booked) ---
+  await tx.appointment.updateMany({
+    where: { timeSlotId: newSlotId, status: { not: "BOOKED" }, NOT: { id: createdAppt.id } },
+    data: { timeSlotId: null },
+  });
+
+  // --- Close out a waitlist offer for the new slot, if any ---
+  await markWaitlistOfferBooked(tx, userId, newSlotId);
+
+  // --- Move reminders to the new slot time ---
+  await cancelAppointmentReminders(tx, [appt.id]);
+  await scheduleAppointmentReminders(tx, { appointmentId: createdAppt.id, userId: appt.userId, slotStartUtc, nowUtc });
+
+  // --- Audit both sides of the move ---
+  const actor = { id: userId, role: ACTOR_ROLES.USER };
+  await recordAppointmentEvent(tx, {
+    appointmentId: appt.id,
+    actor,
+    previousStatus: "BOOKED",
+    newStatus: "RESCHEDULED",
+    oldSlotId,
+    newSlotId,
+    reason,
+    details: { rescheduledTo: createdAppt.id },
+  });
+  await recordAppointmentEvent(tx, {
+    appointmentId: createdAppt.id,
+    actor,
+    newStatus: "BOOKED",
+    oldSlotId,
+    newSlotId,
+    reason,
+    details: { rescheduledFrom: appt.id },
+  });
+
+  return createdAppt;
+};
+
+
 // Confirm reschedule - finalize new slot, confirm booking and release old slot
+// scope "following" confirms the whole shifted series locked by rescheduleAppointment.
 const confirmReschedule = async (req, res) => {
   const userId = req.user?.id;
-  const { appointmentId, newSlotId, oldSlotId, doctorId } = req.body;
 
   try {
     // 1️⃣ Validate input
-    const { error } = validateRescheduleConfirm(req.body);
+    const { error, value } = validateRescheduleConfirm(req.body);
     if (error)
       return res.status(400).json({ success: false, error: error.details[0].message });
 
+    const { appointmentId, newSlotId, oldSlotId, doctorId, scope, reason } = value;
+
     // 2️⃣ Fetch appointment and validate ownership, status, doctor, and old slot
     const appt = await prisma.appointment.findFirst({
       where: { id: appointmentId, userId },
@@ -637,7 +1139,11 @@ const confirmReschedule = async (req, res) => {
         doctorId: true,
         status: true,
         timeSlotId: true,
-        notes: true
+        seriesId: true,
+        seriesIndex: true,
+        rescheduleCount: true,
+        notes: true,
+        timeSlot: { select: { date: true, startTime: true, startAt: true } }
       },
     });
 
@@ -662,130 +1168,105 @@ const confirmReschedule = async (req, res) => {
         error: "New slot must differ from old slot",
       });
 
+    if (scope === SERIES_SCOPES.FOLLOWING && !appt.seriesId)
+      return res.status(400).json({ success: false, error: "Appointment is not part of a series" });
+
+    const doctor = await prisma.doctor.findUnique({ where: { id: doctorId }, select: { isActive: true } });
+    if (!doctor?.isActive) return sendDoctorInactive(res);
+
     const nowUtc = await getDatabaseNow(prisma);
 
-    // 3️⃣ Transaction: update old appointment, create new appointment, book new slot
-    const newAppointment = await prisma.$transaction(async (tx) => {
-      // --- Fetch and validate new slot ---
-      const newSlot = await tx.timeSlot.findFirst({
+    // Re-check the reschedule policy in case it changed (or the cutoff passed) since the slot was locked
+    if (appt.timeSlot) {
+      const policyDecision = evaluateReschedule(
+        await resolvePolicy(prisma, appt.doctorId),
+        getSlotStartUtc(appt.timeSlot),
+        nowUtc,
+        appt.rescheduleCount
+      );
+      if (!policyDecision.allowed)
+        return res.status(400).json({ success: false, error: "Reschedule no longer allowed by policy", code: policyDecision.rule, data: { policy: policyDecision } });
+    }
+
+    // Occurrences to move: this one, or this one and the shifted later occurrences
+    let pairs = [{ appointment: appt, oldSlotId, newSlotId }];
+    if (scope === SERIES_SCOPES.FOLLOWING) {
+      const newSlot = await prisma.timeSlot.findFirst({
         where: { id: newSlotId, doctorId },
-        select: {
-          id: true,
-          status: true,
-          lockedBy: true,
-          lockExpires: true,
-          date: true,
-          startTime: true,
-          endTime: true,
-        },
+        select: { id: true, date: true, startTime: true },
       });
+      if (!newSlot)
+        return res.status(404).json({ success: false, error: "New slot not found for this doctor" });
+
+      const occurrences = await getFollowingOccurrences(prisma, appt);
+      const shift = await resolveSeriesShift(prisma, doctorId, occurrences, newSlot);
+      if (shift.missing.length > 0)
+        return res.status(409).json({ success: false, error: "No slot exists for one or more following occurrences", data: shift.missing });
+
+      pairs = shift.pairs.map((pair) => ({
+        appointment: pair.appointment,
+        oldSlotId: pair.oldSlotId,
+        newSlotId: pair.newSlot.id,
+      }));
+    }
 
-      if (!newSlot) throw { code: "NEW_SLOT_NOT_FOUND" };
-
-      if (
-        newSlot.status !== "LOCKED" ||
-        newSlot.lockedBy !== userId ||
-        (newSlot.lockExpires && newSlot.lockExpires < nowUtc)
-      ) {
-        throw { code: "NEW_SLOT_NOT_LOCKED_BY_USER" };
+    const locks = await getUserSlotLocks(redis, pairs.map((pair) => pair.newSlotId), userId, nowUtc);
+
+    // 3️⃣ Transaction: update old appointments, create new appointments, book new slots
+    const newAppointments = await prisma.$transaction(async (tx) => {
+      const created = [];
+      for (const pair of pairs) {
+        created.push(await rescheduleOccurrence(tx, {
+          appt: pair.appointment,
+          oldSlotId: pair.oldSlotId,
+          newSlotId: pair.newSlotId,
+          doctorId,
+          userId,
+          nowUtc,
+          reason,
+          locks,
+        }));
       }
+      return created;
+    });
 
-      // Ensure the new slot is not in the past
-      const slotStartUtc = getUtcDateTime(newSlot.date, newSlot.startTime);
-      if (slotStartUtc <= nowUtc) throw { code: "SLOT_ALREADY_STARTED_OR_PAST" };
-
-      // --- Book the new slot ---
-      const bookedCount = await tx.timeSlot.updateMany({
-        where: {
-          id: newSlotId,
-          status: "LOCKED",
-          lockedBy: userId,
-          lockExpires: { gt: nowUtc },
-        },
-        data: { status: "BOOKED", lockedBy: null, lockExpires: null, lockedAt: null },
-      });
-
-      if (bookedCount.count !== 1) throw { code: "CONFLICT_NEW_SLOT" };
+    // The seats on the new slots are booked now, so their holds are no longer needed
+    try {
+      await releaseSlotLocks(redis, [...locks.values()]);
+    } catch (lockErr) {
+      console.warn('Redis lock cleanup failed:', lockErr.message);
+    }
 
-      // --- Mark old appointment as RESCHEDULED ---
-      await tx.appointment.update({
-        where: { id: appt.id },
-        data: { status: "RESCHEDULED" },
-      });
+    // 4️⃣ Invalidate Redis cache for user's appointments (every member of the affected chains)
+    try {
+      const chains = await Promise.all(newAppointments.map((appointment) => getRescheduleChain(prisma, appointment.id)));
+      await invalidateUserAppointmentCaches(redis, userId, [
+        ...pairs.map((pair) => pair.appointment.id),
+        ...chains.flat().map((appointment) => appointment.id),
+      ]);
+    } catch (cacheErr) {
+      console.error("Redis cache invalidation error:", cacheErr);
+    }
 
-      // --- Free up old slot ---
-      await tx.timeSlot.update({
-        where: { id: oldSlotId },
-        data: {
-          status: "AVAILABLE",
-          lockedBy: null,
-          lockExpires: null,
-        },
-      });
-      // --- Create new appointment record ---
-      const createdAppt = await tx.appointment.create({
-        data: {
-          userId: appt.userId,
-          doctorId: appt.doctorId,
-          timeSlotId: newSlotId,
-          status: "BOOKED",
-          notes: appt.notes,
-        },
-        select: {
-          id: true,
-          userId: true,
-          doctorId: true,
-          timeSlotId: true,
-          status: true,
-          notes: true,
-          createdAt: true,
-          updatedAt: true,
-          timeSlot: {
-            select: {
-              date: true,
-              startTime: true,
-              endTime: true,
-              status: true,
-            },
-          },
-          doctor: {
-            select: {
-              id: true,
-              name: true,
-              specialization: true,
-            },
-          },
-        },
-      });
+    // Offer the freed old slots to the next waitlisted users
+    try {
+      await offerReleasedSlots(prisma, redis, pairs.map((pair) => pair.oldSlotId), nowUtc);
+    } catch (waitlistErr) {
+      console.warn('Waitlist offer failed:', waitlistErr.message);
+    }
 
-      // --- Safety: remove any conflicting appointments pointing to this slot ---
-      await tx.appointment.updateMany({
-        where: { timeSlotId: newSlotId, NOT: { id: createdAppt.id } },
-        data: { timeSlotId: null },
+    if (scope === SERIES_SCOPES.FOLLOWING) {
+      return res.json({
+        success: true,
+        message: "Series reschedule confirmed",
+        data: { scope, appointments: newAppointments },
       });
-
-      return createdAppt;
-    });
-
-    // 4️⃣ Invalidate Redis cache for user's appointments
-const cacheSetKey = `user:${userId}:appointments:keys`;
-const cachedKeys = await redis.smembers(cacheSetKey);
-
-if (cachedKeys.length > 0) {
-  await redis.del(...cachedKeys); // ✅ Bulk delete instead of Promise.all
-}
-await redis.del(cacheSetKey); // Delete the set itself
-
-// Invalidate single appointment cache (old + new)
-await redis.del(
-  `appointment:${userId}:${appointmentId}`,
-  `appointment:${userId}:${newAppointment.id}`
-);
+    }
 
     return res.json({
       success: true,
       message: "Reschedule confirmed",
-      data: newAppointment,
+      data: newAppointments[0],
     });
   } catch (err) {
     console.error("confirmReschedule error:", err);
@@ -817,6 +1298,100 @@ await redis.del(
 
 
 
+// Doctor's schedule: appointments with patient info, grouped by day (admin or the doctor themself)
+const listDoctorAppointments = async (req, res) => {
+  try {
+    const { doctorId } = req.params;
+
+    const { error, value } = validateDoctorScheduleQuery(req.query);
+    if (error) return res.status(400).json({ success: false, error: error.details[0].message });
+
+    // Days and times are the doctor's wall clock
+    const doctor = await prisma.doctor.findUnique({ where: { id: doctorId }, select: { timezone: true } });
+    const timeZone = doctor?.timezone || 'UTC';
+
+    // Default to a single day: today, or the "from" date if given
+    const fromDate = value.from ? parseDateUtc(value.from) : getZonedToday(await getDatabaseNow(prisma), timeZone);
+    const toDate = value.to ? parseDateUtc(value.to) : fromDate;
+
+    if (diffInDaysUtc(fromDate, toDate) > MAX_SCHEDULE_RANGE_DAYS) {
+      return res.status(400).json({ success: false, error: `Date range cannot exceed ${MAX_SCHEDULE_RANGE_DAYS} days` });
+    }
+
+    // Superseded (RESCHEDULED) rows are hidden unless explicitly requested
+    const statuses = value.status
+      ? value.status.split(',')
+      : [APPOINTMENT_STATUS.BOOKED, APPOINTMENT_STATUS.COMPLETED, APPOINTMENT_STATUS.CANCELLED, APPOINTMENT_STATUS.NO_SHOW];
+
+    const appointments = await prisma.appointment.findMany({
+      where: {
+        doctorId,
+        status: { in: statuses },
+        timeSlot: { is: { date: { gte: fromDate, lte: toDate } } },
+      },
+      select: {
+        id: true,
+        status: true,
+        notes: true,
+        seriesId: true,
+        checkedInAt: true,
+        createdAt: true,
+        user: { select: { id: true, name: true, email: true, phone: true } },
+        timeSlot: { select: { id: true, date: true, startTime: true, endTime: true, startAt: true, endAt: true } },
+      },
+    });
+
+    // Group by slot day, ordered by slot time within each day
+    const days = new Map();
+    appointments
+      .slice()
+      .sort((a, b) =>
+        a.timeSlot.date - b.timeSlot.date || a.timeSlot.startTime.localeCompare(b.timeSlot.startTime)
+      )
+      .forEach((appt) => {
+        const day = formatDateYmd(appt.timeSlot.date);
+        if (!days.has(day)) days.set(day, []);
+        days.get(day).push({
+          id: appt.id,
+          status: appt.status,
+          notes: appt.notes,
+          seriesId: appt.seriesId,
+          checkedInAt: appt.checkedInAt,
+          createdAt: appt.createdAt,
+          patient: appt.user,
+          slot: {
+            slotId: appt.timeSlot.id,
+            startTime: appt.timeSlot.startTime,
+            endTime: appt.timeSlot.endTime,
+            startsAt: getSlotStartUtc(appt.timeSlot).toISOString(),
+            endsAt: getSlotEndUtc(appt.timeSlot).toISOString(),
+          },
+        });
+      });
+
+    const data = {
+      doctorId,
+      from: formatDateYmd(fromDate),
+      to: formatDateYmd(toDate),
+      timeZone,
+      statuses,
+      total: appointments.length,
+      days: Array.from(days, ([date, items]) => ({ date, count: items.length, appointments: items })),
+    };
+
+    return res.json({
+      success: true,
+      message: appointments.length > 0 ? 'Doctor schedule fetched successfully' : 'No appointments in this range',
+      data,
+    });
+  } catch (e) {
+    console.error('listDoctorAppointments error:', e);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+
+
 module.exports = { 
   confirmBooking, 
   listAppointments, 
@@ -824,7 +1399,10 @@ module.exports = {
   updateAppointmentStatus,
   rescheduleAppointment,
   cancelAppointment,
-  confirmReschedule
+  confirmReschedule,
+  listDoctorAppointments,
+  checkInAppointment,
+  getAppointmentHistory
 };
 
 
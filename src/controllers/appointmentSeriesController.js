@@ -0,0 +1,244 @@
+const { PrismaClient } = require('@prisma/client');
+const { validateSeriesBooking } = require('../utils/validation');
+const { getDatabaseNow, getSlotStartUtc } = require('../utils/time');
+const { formatDateYmd, invalidateDoctorSlotCaches } = require('../utils/timeSlotHelpers');
+const { findSeriesSlots } = require('../utils/appointmentSeries');
+const { invalidateUserAppointmentCaches } = require('../utils/appointmentHelpers');
+const { markWaitlistOfferBooked } = require('../utils/waitlist');
+const { hasReachedNoShowLimit } = require('../utils/appointmentLifecycle');
+const { hasReachedStrikeLimit } = require('../utils/appointmentPolicy');
+const { ACTOR_ROLES, recordAppointmentEvent } = require('../utils/appointmentEvents');
+const { scheduleAppointmentReminders } = require('../utils/reminders');
+const { findBlackedOutSlots } = require('../utils/blackouts');
+const {
+  MAX_SERIES_LOCKS,
+  acquireSlotLocks,
+  getUserSlotLocks,
+  releaseSlotLocks,
+  countUserSlotLocks,
+} = require('../utils/slotLocks');
+const { getFreeSeats, bookSeat } = require('../utils/slotSeats');
+const redis = require('../lib/redisClient');
+
+const prisma = new PrismaClient();
+
+// Series locks cover several slots, so they get a little longer than a single 5 minute lock
+const SERIES_LOCK_MINUTES = 10;
+
+// Resolve and validate the slots of a requested series; throws coded errors
+const resolveSeries = async ({ doctorId, firstSlotId, frequency, occurrences }, nowUtc) => {
+  const firstSlot = await prisma.timeSlot.findFirst({
+    where: { id: firstSlotId, doctorId },
+    select: { id: true, doctorId: true, date: true, startTime: true, startAt: true, doctor: { select: { isActive: true } } },
+  });
+  if (!firstSlot) throw { code: 'SLOT_NOT_FOUND', message: 'First time slot not found for this doctor' };
+  if (!firstSlot.doctor.isActive) throw { code: 'DOCTOR_INACTIVE', message: 'Doctor is not accepting bookings' };
+
+  if (getSlotStartUtc(firstSlot) <= nowUtc) {
+    throw { code: 'SLOT_IN_PAST', message: 'Cannot book a series starting in the past' };
+  }
+
+  const { slots, missing } = await findSeriesSlots(prisma, firstSlot, frequency, occurrences);
+  if (missing.length > 0) {
+    throw { code: 'SERIES_SLOTS_MISSING', message: 'No slot exists for one or more occurrences', data: missing };
+  }
+
+  const blackedOut = await findBlackedOutSlots(prisma, slots.map((slot) => ({ ...slot, doctorId })));
+  if (blackedOut.length > 0) {
+    throw {
+      code: 'SERIES_SLOTS_BLACKED_OUT',
+      message: 'The doctor is unavailable on one or more occurrences',
+      data: blackedOut.map((slot) => ({ date: formatDateYmd(slot.date), startTime: slot.startTime })),
+    };
+  }
+
+  return { firstSlot, slots };
+};
+
+const seriesErrorStatus = {
+  SLOT_NOT_FOUND: 404,
+  DOCTOR_INACTIVE: 409,
+  SLOT_IN_PAST: 409,
+  SERIES_SLOTS_MISSING: 409,
+  SERIES_SLOTS_BLACKED_OUT: 409,
+  SERIES_SLOT_UNAVAILABLE: 409,
+  LOCK_LIMIT: 429,
+  OTP_REQUIRED: 403,
+  NO_SHOW_LIMIT: 403,
+  STRIKE_LIMIT: 403,
+  CONFLICT_SLOT_STATE: 409,
+};
+
+const sendSeriesError = (res, err) => {
+  const body = { success: false, error: err.message || 'One or more slots in the series are locked or booked', code: err.code };
+  if (err.data) body.data = err.data;
+  return res.status(seriesErrorStatus[err.code] || 400).json(body);
+};
+
+const selectBookingLimitFields = { noShowCount: true, lastNoShowAt: true, strikeCount: true, lastStrikeAt: true };
+
+// Restricted users may neither book nor hold seats
+const checkBookingLimits = (user, nowUtc) => {
+  if (hasReachedNoShowLimit(user, nowUtc)) {
+    throw { code: 'NO_SHOW_LIMIT', message: 'Booking restricted due to repeated no-shows' };
+  }
+  if (hasReachedStrikeLimit(user, nowUtc)) {
+    throw { code: 'STRIKE_LIMIT', message: 'Booking restricted due to repeated late cancellations' };
+  }
+};
+
+// Lock every slot of a recurring series for the current user
+const lockAppointmentSeries = async (req, res) => {
+  try {
+    const { error, value } = validateSeriesBooking(req.body);
+    if (error) return res.status(400).json({ success: false, error: error.details[0].message });
+
+    const userId = req.user?.id;
+    const nowUtc = await getDatabaseNow(prisma);
+    checkBookingLimits(await prisma.user.findUnique({ where: { id: userId }, select: selectBookingLimitFields }), nowUtc);
+    const { firstSlot, slots } = await resolveSeries(value, nowUtc);
+
+    const booked = slots.find((slot) => slot.status !== 'AVAILABLE' || getFreeSeats(slot) === 0);
+    if (booked) throw { code: 'SERIES_SLOT_UNAVAILABLE', slotId: booked.id };
+
+    // Series holds count with the user's other locks, so nobody holds more than one series' worth of slots
+    const held = await countUserSlotLocks(redis, userId, nowUtc);
+    const heldInSeries = (await getUserSlotLocks(redis, slots.map((slot) => slot.id), userId, nowUtc)).size;
+    if (held - heldInSeries + slots.length > MAX_SERIES_LOCKS) {
+      throw { code: 'LOCK_LIMIT', message: 'Lock limit reached. Complete or release existing locks.' };
+    }
+
+    // All or nothing: a single occurrence whose free seats are all held by others gives every lock back
+    const locks = await acquireSlotLocks(redis, {
+      slots: slots.map((slot) => ({ id: slot.id, seats: getFreeSeats(slot) })),
+      userId,
+      nowUtc,
+      minutes: SERIES_LOCK_MINUTES,
+    });
+    const lockExpires = new Date(Math.min(...locks.map((lock) => lock.expiresAt.getTime())));
+
+    try {
+      await invalidateDoctorSlotCaches(redis, value.doctorId);
+    } catch (err) {
+      console.warn('Redis cache invalidation failed:', err.message);
+    }
+
+    return res.json({
+      success: true,
+      message: 'Series slots locked',
+      data: {
+        doctorId: value.doctorId,
+        firstSlotId: firstSlot.id,
+        frequency: value.frequency,
+        occurrences: value.occurrences,
+        lockedBy: userId,
+        lockedAt: nowUtc.toISOString(),
+        expiresAt: lockExpires.toISOString(),
+        slots: slots.map((slot) => ({
+          slotId: slot.id,
+          date: formatDateYmd(slot.date),
+          startTime: slot.startTime,
+          endTime: slot.endTime,
+        })),
+      },
+    });
+  } catch (err) {
+    if (err?.code && seriesErrorStatus[err.code]) return sendSeriesError(res, err);
+
+    console.error('lockAppointmentSeries error:', err);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+// Confirm a locked series: book every slot and create linked appointments atomically
+const confirmAppointmentSeries = async (req, res) => {
+  try {
+    const { error, value } = validateSeriesBooking(req.body);
+    if (error) return res.status(400).json({ success: false, error: error.details[0].message });
+
+    const { doctorId, frequency, occurrences, notes } = value;
+    const userId = req.user?.id;
+    const nowUtc = await getDatabaseNow(prisma);
+
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { otpVerifiedUntil: true, ...selectBookingLimitFields } });
+    if (!user?.otpVerifiedUntil || user.otpVerifiedUntil <= nowUtc) {
+      throw { code: 'OTP_REQUIRED', message: 'OTP verification required' };
+    }
+    checkBookingLimits(user, nowUtc);
+
+    const { firstSlot, slots } = await resolveSeries(value, nowUtc);
+
+    const locks = await getUserSlotLocks(redis, slots.map((slot) => slot.id), userId, nowUtc);
+    const notLocked = slots.find((slot) => !locks.has(slot.id));
+    if (notLocked) {
+      throw { code: 'CONFLICT_SLOT_STATE', message: `Slot on ${formatDateYmd(notLocked.date)} is not locked by you or lock has expired` };
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const series = await tx.appointmentSeries.create({
+        data: { userId, doctorId, frequency, occurrences, startTime: firstSlot.startTime },
+        select: { id: true, frequency: true, occurrences: true, startTime: true, createdAt: true },
+      });
+
+      const appointments = [];
+      for (const [index, slot] of slots.entries()) {
+        const booked = await bookSeat(tx, { id: slot.id, doctorId });
+        if (!booked) {
+          throw { code: 'CONFLICT_SLOT_STATE', message: `Slot on ${formatDateYmd(slot.date)} is already booked` };
+        }
+
+        const appointment = await tx.appointment.create({
+          data: { userId, doctorId, timeSlotId: slot.id, seriesId: series.id, seriesIndex: index, status: 'BOOKED', notes: notes || null },
+          select: { id: true, timeSlotId: true, seriesIndex: true, status: true, createdAt: true },
+        });
+        appointments.push({ ...appointment, date: formatDateYmd(slot.date), startTime: slot.startTime, endTime: slot.endTime });
+
+        await recordAppointmentEvent(tx, {
+          appointmentId: appointment.id,
+          actor: { id: userId, role: ACTOR_ROLES.USER },
+          newStatus: 'BOOKED',
+          newSlotId: slot.id,
+          details: { seriesId: series.id, seriesIndex: index },
+        });
+
+        await scheduleAppointmentReminders(tx, {
+          appointmentId: appointment.id,
+          userId,
+          slotStartUtc: getSlotStartUtc(slot),
+          nowUtc,
+        });
+
+        await markWaitlistOfferBooked(tx, userId, slot.id);
+      }
+
+      // Clear OTP after booking
+      await tx.user.update({ where: { id: userId }, data: { otpVerifiedUntil: null } });
+
+      return { series, appointments };
+    });
+
+    try {
+      await releaseSlotLocks(redis, [...locks.values()]);
+      await invalidateUserAppointmentCaches(redis, userId);
+      await invalidateDoctorSlotCaches(redis, doctorId);
+    } catch (cacheErr) {
+      console.error('Redis cache invalidation error:', cacheErr);
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: 'Appointment series booked successfully',
+      data: { ...result.series, doctorId, appointments: result.appointments },
+    });
+  } catch (err) {
+    if (err?.code && seriesErrorStatus[err.code]) return sendSeriesError(res, err);
+
+    console.error('confirmAppointmentSeries error:', err);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  lockAppointmentSeries,
+  confirmAppointmentSeries,
+};
@@ -3,8 +3,9 @@ const jwt = require('jsonwebtoken');
 const crypto = require('crypto'); // ← add this
 const { PrismaClient } = require('@prisma/client');
 const { getDatabaseNow } = require('../utils/time');
-const { validateRegistration, validateLogin, validateOTP, validateEmail } = require('../utils/validation');
+const { validateRegistration, validateProfileUpdate, validateLogin, validateOTP, validateEmail } = require('../utils/validation');
 const { getOTP, deleteOTP, saveOTP } = require('../utils/otp');
+const { invalidateUserAppointmentCaches } = require('../utils/appointmentHelpers');
 const redis = require('../lib/redisClient');
 
 const prisma = new PrismaClient();
@@ -51,7 +52,7 @@ const register = async (req, res) => {
       return res.status(400).json({ success: false, error: error.details[0].message });
     }
 
-    const { name, email, password, adminSecret } = req.body;
+    const { name, email, password, timezone, adminSecret } = req.body;
 
     const existingUser = await prisma.user.findUnique({ where: { email } });
 
@@ -65,8 +66,8 @@ const register = async (req, res) => {
     const role = adminSecret && adminSecret === process.env.ADMIN_SECRET ? 'ADMIN' : 'USER';
 
     const user = await prisma.user.create({
-      data: { name, email, password: hashedPassword, role },
-      select: { id: true, name: true, email: true, phone: true, createdAt: true, role:true }
+      data: { name, email, password: hashedPassword, role, timezone: timezone || null },
+      select: { id: true, name: true, email: true, phone: true, timezone: true, createdAt: true, role:true }
     });
 
     const tokens = generateTokens(user);
@@ -226,6 +227,7 @@ const getProfile = async (req, res) => {
         email: true,
         phone: true,
         role: true,
+        timezone: true,
         createdAt: true,
       },
     });
@@ -241,6 +243,7 @@ const getProfile = async (req, res) => {
       email: user.email,
       phone: user.phone,
       role: user.role?.toLowerCase() || null,
+      timezone: user.timezone || null,
       createdAt: user.createdAt,
     };
 
@@ -259,6 +262,44 @@ const getProfile = async (req, res) => {
 };
 
 
+// -------------------- Update Profile --------------------
+// Only the preferred timezone can be changed; appointment times are rendered in it
+const updateProfile = async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) {
+      return res.status(401).json({ success: false, error: "Unauthorized" });
+    }
+
+    const { error, value } = validateProfileUpdate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error: error.details[0].message });
+    }
+
+    const user = await prisma.user.update({
+      where: { id: userId },
+      data: { timezone: value.timezone },
+      select: { id: true, name: true, email: true, phone: true, role: true, timezone: true, createdAt: true },
+    });
+
+    // Cached profile and appointment lists were rendered with the old zone
+    try {
+      await redis.del(`user:${userId}:profile`);
+      await invalidateUserAppointmentCaches(redis, userId);
+    } catch (err) {
+      console.warn("Redis cache invalidation failed:", err.message);
+    }
+
+    res.json({
+      success: true,
+      data: { ...user, role: user.role?.toLowerCase() || null },
+      message: "Profile updated successfully",
+    });
+  } catch (err) {
+    console.error("Update profile error:", err);
+    res.status(500).json({ success: false, error: "Internal server error" });
+  }
+};
 
 // -------------------- Logout --------------------
 const logout = async (req, res) => {
@@ -345,6 +386,7 @@ module.exports = {
   generateOTPForUser,
   verifyOTP,
   getProfile,
+  updateProfile,
   logout,
   refresh
 };
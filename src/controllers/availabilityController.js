@@ -0,0 +1,114 @@
+const { PrismaClient } = require('@prisma/client');
+const { validateAvailabilityTemplate } = require('../utils/validation');
+const { getDatabaseNow } = require('../utils/time');
+const { formatDateYmd, invalidateDoctorSlotCaches } = require('../utils/timeSlotHelpers');
+const { regenerateTemplateSlots, removeTemplateSlots } = require('../utils/availabilityTemplates');
+const redis = require('../lib/redisClient');
+
+const prisma = new PrismaClient();
+
+const selectTemplateFields = {
+  id: true,
+  doctorId: true,
+  windows: true,
+  horizonDays: true,
+  isActive: true,
+  generatedThrough: true,
+  updatedAt: true,
+};
+
+const formatTemplate = (template) => ({
+  ...template,
+  generatedThrough: template.generatedThrough ? formatDateYmd(template.generatedThrough) : null,
+});
+
+// Get a doctor's weekly availability template (admin or the doctor themself)
+const getAvailabilityTemplate = async (req, res) => {
+  try {
+    const { doctorId } = req.params;
+
+    const template = await prisma.availabilityTemplate.findUnique({ where: { doctorId }, select: selectTemplateFields });
+    if (!template) return res.status(404).json({ success: false, error: 'No availability template for this doctor' });
+
+    return res.json({ success: true, message: 'Availability template fetched successfully', data: formatTemplate(template) });
+  } catch (e) {
+    console.error('getAvailabilityTemplate error:', e);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+// Create or replace a doctor's template; untouched future slots are regenerated from it, booked ones are kept
+const saveAvailabilityTemplate = async (req, res) => {
+  try {
+    const { doctorId } = req.params;
+
+    const { error, value } = validateAvailabilityTemplate(req.body);
+    if (error) return res.status(400).json({ success: false, error: error.details[0].message });
+
+    const doctor = await prisma.doctor.findUnique({ where: { id: doctorId }, select: { id: true } });
+    if (!doctor) return res.status(404).json({ success: false, error: 'Doctor not found' });
+
+    const template = await prisma.availabilityTemplate.upsert({
+      where: { doctorId },
+      create: { ...value, doctorId },
+      update: value,
+      select: { id: true },
+    });
+
+    const nowUtc = await getDatabaseNow(prisma);
+    const generation = value.isActive
+      ? await regenerateTemplateSlots(prisma, redis, doctorId, template.id, nowUtc)
+      : { removed: await removeTemplateSlots(prisma, redis, template.id, nowUtc), created: 0 };
+
+    try {
+      await invalidateDoctorSlotCaches(redis, doctorId);
+    } catch (err) {
+      console.warn('Redis cache invalidation failed:', err.message);
+    }
+
+    const saved = await prisma.availabilityTemplate.findUnique({ where: { id: template.id }, select: selectTemplateFields });
+
+    return res.json({
+      success: true,
+      message: 'Availability template saved',
+      data: { template: formatTemplate(saved), slotsRemoved: generation.removed, slotsCreated: generation.created },
+    });
+  } catch (e) {
+    console.error('saveAvailabilityTemplate error:', e);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+// Delete a doctor's template along with its untouched future slots
+const deleteAvailabilityTemplate = async (req, res) => {
+  try {
+    const { doctorId } = req.params;
+
+    const template = await prisma.availabilityTemplate.findUnique({ where: { doctorId }, select: { id: true } });
+    if (!template) return res.status(404).json({ success: false, error: 'No availability template for this doctor' });
+
+    const nowUtc = await getDatabaseNow(prisma);
+    const removed = await removeTemplateSlots(prisma, redis, template.id, nowUtc);
+
+    // Slots that stay (booked or past) keep their history but lose the link
+    await prisma.timeSlot.updateMany({ where: { templateId: template.id }, data: { templateId: null } });
+    await prisma.availabilityTemplate.delete({ where: { id: template.id } });
+
+    try {
+      await invalidateDoctorSlotCaches(redis, doctorId);
+    } catch (err) {
+      console.warn('Redis cache invalidation failed:', err.message);
+    }
+
+    return res.json({ success: true, message: 'Availability template deleted', data: { slotsRemoved: removed } });
+  } catch (e) {
+    console.error('deleteAvailabilityTemplate error:', e);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getAvailabilityTemplate,
+  saveAvailabilityTemplate,
+  deleteAvailabilityTemplate,
+};
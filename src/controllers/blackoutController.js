@@ -0,0 +1,312 @@
+const { PrismaClient } = require('@prisma/client');
+const { validateBlackoutCreate, validateBlackoutListQuery, validateBlackoutResolve } = require('../utils/validation');
+const { getDatabaseNow, getSlotStartUtc } = require('../utils/time');
+const { parseDateUtc, formatDateYmd, invalidateDoctorSlotCaches } = require('../utils/timeSlotHelpers');
+const {
+  BLACKOUT_ACTIONS,
+  formatBlackout,
+  findAffectedAppointments,
+  findReplacementSlot,
+  cancelForBlackout,
+  rescheduleForBlackout,
+  buildBlackoutNotice,
+} = require('../utils/blackouts');
+const { generateTemplateSlots, extendAllTemplates } = require('../utils/availabilityTemplates');
+const { invalidateUserAppointmentCaches } = require('../utils/appointmentHelpers');
+const { ACTOR_ROLES } = require('../utils/appointmentEvents');
+const { getHeldSeatCounts } = require('../utils/slotLocks');
+const { createTransport } = require('../lib/notificationTransport');
+const redis = require('../lib/redisClient');
+
+const prisma = new PrismaClient();
+
+const selectBlackoutFields = {
+  id: true,
+  doctorId: true,
+  startDate: true,
+  endDate: true,
+  reason: true,
+  createdBy: true,
+  createdAt: true,
+};
+
+// A replacement slot can be taken by a patient between lookup and claim; try a few before giving up
+const MAX_REPLACEMENT_ATTEMPTS = 3;
+
+const formatAffectedAppointment = (appt) => ({
+  appointmentId: appt.id,
+  userId: appt.userId,
+  doctorId: appt.doctorId,
+  seriesId: appt.seriesId,
+  patient: appt.user,
+  doctor: appt.doctor,
+  slot: appt.timeSlot && {
+    slotId: appt.timeSlot.id,
+    date: formatDateYmd(appt.timeSlot.date),
+    startTime: appt.timeSlot.startTime,
+    endTime: appt.timeSlot.endTime,
+  },
+});
+
+// List blackouts, optionally for one doctor (including clinic-wide ones) or within a date range
+const listBlackouts = async (req, res) => {
+  try {
+    const { error, value } = validateBlackoutListQuery(req.query);
+    if (error) return res.status(400).json({ success: false, error: error.details[0].message });
+
+    const { doctorId, scope, from, to } = value;
+    const conditions = [];
+    if (doctorId) conditions.push({ OR: [{ doctorId }, { doctorId: null }] });
+    if (scope === 'clinic') conditions.push({ doctorId: null });
+    if (scope === 'doctor') conditions.push({ doctorId: { not: null } });
+    if (from) conditions.push({ endDate: { gte: parseDateUtc(from) } });
+    if (to) conditions.push({ startDate: { lte: parseDateUtc(to) } });
+
+    const blackouts = await prisma.blackout.findMany({
+      where: conditions.length > 0 ? { AND: conditions } : {},
+      select: selectBlackoutFields,
+      orderBy: { startDate: 'asc' },
+    });
+
+    return res.json({
+      success: true,
+      message: blackouts.length > 0 ? 'Blackouts fetched successfully' : 'No blackouts found',
+      data: blackouts.map(formatBlackout),
+    });
+  } catch (e) {
+    console.error('listBlackouts error:', e);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+// Mark a doctor on leave or the clinic closed; AVAILABLE slots inside are hidden, booked ones are reported
+const createBlackout = async (req, res) => {
+  try {
+    const { error, value } = validateBlackoutCreate(req.body);
+    if (error) return res.status(400).json({ success: false, error: error.details[0].message });
+
+    const { doctorId, reason } = value;
+    if (doctorId) {
+      const doctor = await prisma.doctor.findUnique({ where: { id: doctorId }, select: { id: true } });
+      if (!doctor) return res.status(404).json({ success: false, error: 'Doctor not found' });
+    }
+
+    const blackout = await prisma.blackout.create({
+      data: {
+        doctorId,
+        startDate: parseDateUtc(value.startDate),
+        endDate: parseDateUtc(value.endDate),
+        reason: reason || null,
+        createdBy: req.user?.id || null,
+      },
+      select: selectBlackoutFields,
+    });
+
+    try {
+      await invalidateDoctorSlotCaches(redis, doctorId);
+    } catch (err) {
+      console.warn('Redis cache invalidation failed:', err.message);
+    }
+
+    const affected = await findAffectedAppointments(prisma, blackout);
+
+    return res.status(201).json({
+      success: true,
+      message: affected.length > 0
+        ? 'Blackout created; some booked appointments fall inside it'
+        : 'Blackout created',
+      data: { blackout: formatBlackout(blackout), affectedAppointments: affected.length },
+    });
+  } catch (e) {
+    console.error('createBlackout error:', e);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+// Lift a blackout; hidden slots reappear and template slots are generated for the freed days
+const deleteBlackout = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const blackout = await prisma.blackout.findUnique({ where: { id }, select: selectBlackoutFields });
+    if (!blackout) return res.status(404).json({ success: false, error: 'Blackout not found' });
+
+    await prisma.blackout.delete({ where: { id } });
+
+    const nowUtc = await getDatabaseNow(prisma);
+    let slotsCreated = 0;
+    if (blackout.doctorId) {
+      ({ created: slotsCreated } = await generateTemplateSlots(prisma, blackout.doctorId, nowUtc));
+    } else {
+      ({ created: slotsCreated } = await extendAllTemplates(prisma, redis, nowUtc));
+    }
+
+    try {
+      await invalidateDoctorSlotCaches(redis, blackout.doctorId);
+    } catch (err) {
+      console.warn('Redis cache invalidation failed:', err.message);
+    }
+
+    return res.json({ success: true, message: 'Blackout removed', data: { blackout: formatBlackout(blackout), slotsCreated } });
+  } catch (e) {
+    console.error('deleteBlackout error:', e);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+// Report of BOOKED appointments that fall inside the blackout
+const getBlackoutAppointments = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const blackout = await prisma.blackout.findUnique({ where: { id }, select: selectBlackoutFields });
+    if (!blackout) return res.status(404).json({ success: false, error: 'Blackout not found' });
+
+    const affected = await findAffectedAppointments(prisma, blackout);
+    const appointments = affected
+      .map(formatAffectedAppointment)
+      .sort((a, b) => `${a.slot.date} ${a.slot.startTime}`.localeCompare(`${b.slot.date} ${b.slot.startTime}`));
+
+    return res.json({
+      success: true,
+      message: appointments.length > 0 ? 'Affected appointments fetched successfully' : 'No booked appointments fall inside this blackout',
+      data: { blackout: formatBlackout(blackout), total: appointments.length, appointments },
+    });
+  } catch (e) {
+    console.error('getBlackoutAppointments error:', e);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+// Bulk cancel the affected appointments, or move each to the doctor's earliest free slot after the blackout,
+// and notify the patients. Appointments that cannot be handled are reported and stay booked.
+const resolveBlackoutAppointments = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error, value } = validateBlackoutResolve(req.body);
+    if (error) return res.status(400).json({ success: false, error: error.details[0].message });
+
+    const { action, appointmentIds, reason, notify } = value;
+
+    const blackout = await prisma.blackout.findUnique({ where: { id }, select: selectBlackoutFields });
+    if (!blackout) return res.status(404).json({ success: false, error: 'Blackout not found' });
+
+    const affected = await findAffectedAppointments(prisma, blackout);
+    const targets = appointmentIds ? affected.filter((appt) => appointmentIds.includes(appt.id)) : affected;
+
+    const unresolved = (appointmentIds || [])
+      .filter((apptId) => !targets.some((appt) => appt.id === apptId))
+      .map((apptId) => ({ appointmentId: apptId, reason: 'Not a booked appointment inside this blackout' }));
+    const resolved = [];
+
+    const nowUtc = await getDatabaseNow(prisma);
+    const actor = { id: req.user?.id, role: ACTOR_ROLES.ADMIN };
+    const eventReason = reason || blackout.reason || 'Doctor unavailable';
+    const transport = notify && targets.length > 0 ? createTransport() : null;
+    // Slots a patient is checking out right now are not taken away from them
+    const triedSlotIds = action === BLACKOUT_ACTIONS.RESCHEDULE ? [...(await getHeldSeatCounts(redis, nowUtc)).keys()] : [];
+
+    for (const appt of targets) {
+      if (getSlotStartUtc(appt.timeSlot) <= nowUtc) {
+        unresolved.push({ appointmentId: appt.id, reason: 'Appointment already started' });
+        continue;
+      }
+
+      let outcome = null;
+      let movedTo = null;
+      try {
+        if (action === BLACKOUT_ACTIONS.CANCEL) {
+          const cancelled = await prisma.$transaction((tx) => cancelForBlackout(tx, { appt, actor, reason: eventReason, blackout }));
+          if (cancelled) outcome = { appointmentId: appt.id, status: 'CANCELLED' };
+        } else {
+          for (let attempt = 0; attempt < MAX_REPLACEMENT_ATTEMPTS && !outcome; attempt += 1) {
+            const newSlot = await findReplacementSlot(prisma, appt, blackout, triedSlotIds);
+            if (!newSlot) break;
+            triedSlotIds.push(newSlot.id);
+
+            const created = await prisma.$transaction((tx) =>
+              rescheduleForBlackout(tx, { appt, newSlot, actor, reason: eventReason, blackout, nowUtc })
+            );
+            if (created) {
+              movedTo = newSlot;
+              outcome = {
+                appointmentId: appt.id,
+                status: 'RESCHEDULED',
+                newAppointmentId: created.id,
+                newSlot: { slotId: newSlot.id, date: formatDateYmd(newSlot.date), startTime: newSlot.startTime, endTime: newSlot.endTime },
+              };
+            }
+          }
+        }
+      } catch (err) {
+        // Earlier appointments are already done, so a failure is reported for this one and the rest go on
+        if (err?.code !== 'APPOINTMENT_CHANGED') {
+          console.error(`Blackout resolution for appointment ${appt.id} failed:`, err);
+          unresolved.push({ appointmentId: appt.id, reason: 'Could not be processed; try again' });
+          continue;
+        }
+      }
+
+      if (!outcome) {
+        unresolved.push({
+          appointmentId: appt.id,
+          reason: action === BLACKOUT_ACTIONS.CANCEL ? 'Appointment is no longer booked' : 'No free slot found after the blackout',
+        });
+        continue;
+      }
+
+      outcome.notified = false;
+      if (transport) {
+        try {
+          await transport.send(buildBlackoutNotice({ appt, newSlot: movedTo, blackout }));
+          outcome.notified = true;
+        } catch (err) {
+          console.warn(`Blackout notice for appointment ${appt.id} failed:`, err.message);
+        }
+      }
+      resolved.push({ ...outcome, userId: appt.userId, doctorId: appt.doctorId });
+    }
+
+    // Refresh the caches of every patient and doctor touched
+    try {
+      const byUser = new Map();
+      resolved.forEach((item) => {
+        if (!byUser.has(item.userId)) byUser.set(item.userId, []);
+        byUser.get(item.userId).push(item.appointmentId, item.newAppointmentId);
+      });
+      for (const [userId, ids] of byUser) {
+        await invalidateUserAppointmentCaches(redis, userId, ids.filter(Boolean));
+      }
+      for (const doctorId of new Set(resolved.map((item) => item.doctorId))) {
+        await invalidateDoctorSlotCaches(redis, doctorId);
+      }
+    } catch (err) {
+      console.warn('Redis cache invalidation failed:', err.message);
+    }
+
+    return res.json({
+      success: true,
+      message: action === BLACKOUT_ACTIONS.CANCEL ? 'Affected appointments cancelled' : 'Affected appointments rescheduled',
+      data: {
+        blackoutId: blackout.id,
+        action,
+        processed: resolved.length,
+        notified: resolved.filter((item) => item.notified).length,
+        resolved,
+        unresolved,
+      },
+    });
+  } catch (e) {
+    console.error('resolveBlackoutAppointments error:', e);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  listBlackouts,
+  createBlackout,
+  deleteBlackout,
+  getBlackoutAppointments,
+  resolveBlackoutAppointments,
+};
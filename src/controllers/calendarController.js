@@ -0,0 +1,80 @@
+const { PrismaClient } = require('@prisma/client');
+const { getDatabaseNow } = require('../utils/time');
+const { generateCalendarToken, hashCalendarToken, buildCalendarFeed } = require('../utils/calendarFeed');
+
+const prisma = new PrismaClient();
+
+const TOKEN_PATTERN = /^[a-f0-9]{48}$/;
+
+const buildFeedUrl = (req, token) => `${req.protocol}://${req.get('host')}/api/appointments/calendar/${token}.ics`;
+
+// Public: iCalendar feed of the token owner's appointments
+const getCalendarFeed = async (req, res) => {
+  try {
+    const { token } = req.params;
+    if (!TOKEN_PATTERN.test(token || '')) {
+      return res.status(404).json({ success: false, error: 'Calendar feed not found' });
+    }
+
+    const user = await prisma.user.findFirst({
+      where: { calendarTokenHash: hashCalendarToken(token) },
+      select: { id: true },
+    });
+    if (!user) return res.status(404).json({ success: false, error: 'Calendar feed not found' });
+
+    // Every appointment is needed to resolve reschedule chains; the feed builder drops old ones
+    const appointments = await prisma.appointment.findMany({
+      where: { userId: user.id },
+      orderBy: { createdAt: 'asc' },
+      select: {
+        id: true,
+        status: true,
+        notes: true,
+        rescheduleCount: true,
+        rescheduledFromId: true,
+        updatedAt: true,
+        doctor: { select: { name: true, specialization: true, consultationMode: true } },
+        timeSlot: { select: { date: true, startTime: true, endTime: true, startAt: true, endAt: true } },
+      },
+    });
+
+    const nowUtc = await getDatabaseNow(prisma);
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="appointments.ics"');
+    res.set('Cache-Control', 'private, max-age=300');
+    return res.send(buildCalendarFeed(appointments, nowUtc));
+  } catch (err) {
+    console.error('getCalendarFeed error:', err);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+// Issue a new feed token; any previously shared feed URL stops working
+const rotateCalendarToken = async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) return res.status(401).json({ success: false, error: 'Unauthorized' });
+
+    const token = generateCalendarToken();
+    await prisma.user.update({
+      where: { id: userId },
+      data: { calendarTokenHash: hashCalendarToken(token) },
+    });
+
+    // Only the hash is stored, so this response is the one chance to read the URL
+    return res.json({
+      success: true,
+      message: 'Calendar feed token rotated',
+      data: { token, feedUrl: buildFeedUrl(req, token) },
+    });
+  } catch (err) {
+    console.error('rotateCalendarToken error:', err);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getCalendarFeed,
+  rotateCalendarToken,
+};
@@ -1,21 +1,89 @@
 const { PrismaClient } = require('@prisma/client');
-const { validateDoctorCreate, validateTimeSlotCreate, validateBatchTimeSlotCreate, validateSlotsFetchQuery } = require('../utils/validation');
-const { getDatabaseNow, parseToMinutes, toTimeString } = require('../utils/time');
+const {
+  validateDoctorCreate,
+  validateDoctorUpdate,
+  validateDoctorDeactivate,
+  validateDoctorScheduleSettings,
+  validateTimeSlotCreate,
+  validateBatchTimeSlotCreate,
+  validateSlotsFetchQuery,
+  validateTimeSlotUpdate,
+  validateTimeSlotDelete,
+  validateBulkTimeSlotDelete,
+  validateDoctorSuggestQuery,
+} = require('../utils/validation');
+const {
+  getDatabaseNow,
+  parseToMinutes,
+  toTimeString,
+  zonedTimeToUtc,
+  getZonedToday,
+  getSlotStartUtc,
+  resolveDisplayTimeZone,
+} = require('../utils/time');
 const {
   WEEKDAY_GROUPS,
-  getTodayUtc,
+  resolveSlotLayout,
+  findOverlappingBreaks,
+  parseDateUtc,
   validateTimeframeRange,
   buildTimeSegments,
   getMatchingDatesInRange,
   filterSchedulableDates,
   formatDateYmd,
+  withSlotInstants,
+  describeSlotTimes,
+  addDaysUtc,
+  diffInDaysUtc,
+  MAX_BATCH_RANGE_DAYS,
   resolveBatchDateRange,
   invalidateDoctorSlotCaches,
 } = require('../utils/timeSlotHelpers');
+const { parseRRule } = require('../utils/recurrence');
+const { findBlackouts, isBlackedOut, excludeBlackedOutSlots, findBlackedOutSlots, formatBlackout } = require('../utils/blackouts');
+const { isSlotInUse, buildFreeSlotFilter, findSlotsWithHistory, cancelSlotBookings, releaseSlotOffers, buildSlotCancellationNotice } = require('../utils/slotRemoval');
+const { rememberRemovedTemplateSlots, generateTemplateSlots } = require('../utils/availabilityTemplates');
+const { invalidateUserAppointmentCaches } = require('../utils/appointmentHelpers');
+const { ACTOR_ROLES } = require('../utils/appointmentEvents');
+const { hasReachedNoShowLimit } = require('../utils/appointmentLifecycle');
+const { hasReachedStrikeLimit } = require('../utils/appointmentPolicy');
+const { offerReleasedSlots, declineWaitlistOffer, cancelDoctorWaitlist } = require('../utils/waitlist');
+const {
+  LOCK_MINUTES,
+  MAX_ACTIVE_LOCKS,
+  getSlotHolds,
+  getSlotLock,
+  getHeldSeatCounts,
+  countUserSlotLocks,
+  acquireSlotLock,
+  releaseUserSlotLock,
+  renewSlotLock,
+  clearSlotLocks,
+  resolveLockExtension,
+} = require('../utils/slotLocks');
+const { selectSeatFields, getSlotCapacity, getFreeSeats, describeSeats } = require('../utils/slotSeats');
+const {
+  selectSpecializationFields,
+  resolveSpecializations,
+  countDoctorsBySpecialization,
+  invalidateSpecializationCache,
+} = require('../utils/specializations');
+const {
+  SEARCH_CANDIDATE_LIMIT,
+  SUGGEST_CACHE_PREFIX,
+  SUGGEST_INDEX_KEY,
+  SUGGEST_CACHE_TTL,
+  tokenize,
+  rankDoctors,
+  buildSuggestions,
+  invalidateSuggestionCache,
+} = require('../utils/doctorSearch');
+const { createTransport } = require('../lib/notificationTransport');
 const { 
   getNowUtc,
   getEarliestAvailableSlots,
   parseDoctorQuery,
+  mapDoctorsWithEarliestSlot,
   mapAndSortDoctorsByEarliestSlot,
   sortByConsultationModePriority
 } = require("../utils/helper");
@@ -33,19 +101,81 @@ const selectDoctorFields = {
   experience: true,
   bio: true,
   imageUrl: true,
+  slotDurationMinutes: true,
+  slotBufferMinutes: true,
+  breaks: true,
+  timezone: true,
+  ratingAverage: true,
+  ratingCount: true,
+  specializations: { select: { slug: true, name: true } },
+};
+
+const selectScheduleSettings = { id: true, slotDurationMinutes: true, slotBufferMinutes: true, breaks: true, timezone: true };
+
+// Inactive doctors are hidden from patients and get no new slots until reactivated
+const sendDoctorInactive = (res) =>
+  res.status(409).json({ success: false, error: "Doctor is not accepting bookings", code: "DOCTOR_INACTIVE" });
+
+// The requested names, slugs or synonyms as catalog entries; the first becomes the displayed specialization
+const resolveDoctorSpecializations = async ({ specialization, specializations }) => {
+  const resolved = await resolveSpecializations(prisma, specializations || [specialization]);
+  return { specialization: resolved[0].name, ids: resolved.map(({ id }) => ({ id })) };
+};
+
+const sendUnknownSpecialization = (res, err) =>
+  res.status(400).json({ success: false, error: err.message, code: err.code, data: err.data });
+
+// The account linked to a doctor must exist and may sign in as one doctor only; throws a coded error
+const checkDoctorAccount = async (userId, doctorId) => {
+  if (!userId) return;
+
+  const [user, linked] = await Promise.all([
+    prisma.user.findUnique({ where: { id: userId }, select: { id: true } }),
+    prisma.doctor.findFirst({ where: { userId, ...(doctorId && { id: { not: doctorId } }) }, select: { id: true } }),
+  ]);
+  if (!user) throw { code: 'ACCOUNT_NOT_FOUND', message: 'User account not found' };
+  if (linked) throw { code: 'ACCOUNT_LINKED', message: 'User account is already linked to another doctor' };
+};
+
+const accountErrorStatus = { ACCOUNT_NOT_FOUND: 400, ACCOUNT_LINKED: 409 };
+
+const sendAccountError = (res, err) =>
+  res.status(accountErrorStatus[err.code]).json({ success: false, error: err.message, code: err.code });
+
+// Existing slots closer than the buffer to the timeframe count as conflicts too
+const buildConflictRange = (startMinutes, endMinutes, bufferMinutes) => ({
+  startTime: { lt: toTimeString(Math.min(endMinutes + bufferMinutes, 24 * 60)) },
+  endTime: { gt: toTimeString(Math.max(startMinutes - bufferMinutes, 0)) },
+});
+
+// Response when generation produced nothing: either the timeframe sits inside a break or no whole slot fits
+const sendEmptyTimeframe = (res, startMinutes, endMinutes, breakWindows) => {
+  const blocking = findOverlappingBreaks(startMinutes, endMinutes, breakWindows);
+  if (blocking.length > 0) {
+    return res.status(409).json({
+      success: false,
+      error: "Requested timeframe falls inside a break",
+      data: blocking.map(({ name, startTime, endTime }) => ({ name, startTime, endTime })),
+    });
+  }
+  return res.status(400).json({ success: false, error: "No slot fits in the requested timeframe" });
 };
 
 // Add a new doctor 
 const createDoctor = async (req, res) => {
   try {
     // Validate incoming request body
-    const { error } = validateDoctorCreate(req.body);
+    const { error, value } = validateDoctorCreate(req.body);
     if (error) return res.status(400).json({ success: false, error: error.details[0].message });
 
+    const { specialization, specializations, ...profile } = value;
+    const resolved = await resolveDoctorSpecializations({ specialization, specializations });
+    await checkDoctorAccount(profile.userId);
+
     // Create new doctor in the database
     const doctor = await prisma.doctor.create({
-      data: { ...req.body },
-      select: selectDoctorFields,
+      data: { ...profile, specialization: resolved.specialization, specializations: { connect: resolved.ids } },
+      select: { ...selectDoctorFields, userId: true },
     });
 
     // Invalidate all cached doctor lists in Redis
@@ -67,6 +197,8 @@ try {
     }
   } while (cursor !== "0");
 
+  await invalidateSpecializationCache(redis);
+  await invalidateSuggestionCache(redis);
 } catch (err) {
   console.warn("Redis cache invalidation failed:", err.message);
 }
@@ -79,6 +211,8 @@ try {
       data: { doctor },
     });
   } catch (e) {
+    if (e?.code === 'UNKNOWN_SPECIALIZATION') return sendUnknownSpecialization(res, e);
+    if (accountErrorStatus[e?.code]) return sendAccountError(res, e);
     // Handle unique constraint violation (email)
     if (e?.code === 'P2002') return res.status(409).json({ success: false, error: 'Doctor with this email already exists' });
 
@@ -87,15 +221,251 @@ try {
   }
 };
 
+// Update a doctor's profile; schedule settings have their own endpoint
+const updateDoctor = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error, value } = validateDoctorUpdate(req.body);
+    if (error) return res.status(400).json({ success: false, error: error.details[0].message });
+
+    const existing = await prisma.doctor.findUnique({ where: { id }, select: { id: true } });
+    if (!existing) return res.status(404).json({ success: false, error: 'Doctor not found' });
+
+    const { specialization, specializations, ...profile } = value;
+    await checkDoctorAccount(profile.userId, id);
+
+    const data = { ...profile };
+    if (specialization || specializations) {
+      const resolved = await resolveDoctorSpecializations({ specialization, specializations });
+      data.specialization = resolved.specialization;
+      data.specializations = { set: resolved.ids };
+    }
+
+    const doctor = await prisma.doctor.update({ where: { id }, data, select: { ...selectDoctorFields, isActive: true, userId: true } });
+
+    try {
+      await invalidateDoctorSlotCaches(redis, id);
+      await invalidateSpecializationCache(redis);
+      await invalidateSuggestionCache(redis);
+    } catch (err) {
+      console.warn('Redis cache invalidation failed:', err.message);
+    }
+
+    return res.json({ success: true, message: 'Doctor updated successfully', data: { doctor } });
+  } catch (e) {
+    if (e?.code === 'UNKNOWN_SPECIALIZATION') return sendUnknownSpecialization(res, e);
+    if (accountErrorStatus[e?.code]) return sendAccountError(res, e);
+    if (e?.code === 'P2002') return res.status(409).json({ success: false, error: 'Doctor with this email already exists' });
+
+    console.error('updateDoctor error:', e);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+// Deactivate a doctor: hidden from listing and booking, future slots removed and open waitlist entries closed.
+// Future bookings (or held seats) need force=true, which cancels them and notifies the patients.
+const deactivateDoctor = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error, value } = validateDoctorDeactivate(req.query);
+    if (error) return res.status(400).json({ success: false, error: error.details[0].message });
+
+    const { force, reason, notify } = value;
+
+    const doctor = await prisma.doctor.findUnique({ where: { id }, select: { id: true } });
+    if (!doctor) return res.status(404).json({ success: false, error: 'Doctor not found' });
+
+    const nowUtc = await getDatabaseNow(prisma);
+    const slots = await prisma.timeSlot.findMany({
+      where: { doctorId: id, startAt: { gt: nowUtc } },
+      select: selectSlotForChange,
+      orderBy: [{ date: 'asc' }, { startTime: 'asc' }],
+    });
+
+    const heldSeats = await getHeldSeatCounts(redis, nowUtc);
+    const inUse = slots.filter((slot) => isSlotInUse(slot, heldSeats));
+    if (inUse.length > 0 && !force) {
+      return res.status(409).json({
+        success: false,
+        error: 'Doctor has locked or booked future slots; pass force=true to cancel their bookings',
+        code: 'SLOT_IN_USE',
+        data: inUse.map((slot) => formatSlot(slot, heldSeats)),
+      });
+    }
+
+    // Hide the doctor first so nobody locks a slot while the rest is cleaned up
+    await prisma.doctor.update({ where: { id }, data: { isActive: false } });
+
+    // Template slots are not remembered as removed, so reactivation generates them again. Slots that
+    // earlier appointments refer to stay as history; they are hidden with the doctor.
+    const actor = { id: req.user?.id, role: ACTOR_ROLES.ADMIN };
+    const { cancelled, kept } = slots.length > 0
+      ? await removeSlots(slots, { force, actor, reason: reason || 'Doctor deactivated', rememberRemoved: false, keepHistory: true })
+      : { cancelled: [], kept: [] };
+    const notified = await afterSlotBookingsCancelled(cancelled, notify);
+    const waitlistCancelled = await cancelDoctorWaitlist(prisma, id);
+
+    try {
+      await invalidateDoctorSlotCaches(redis, id);
+      await invalidateSpecializationCache(redis);
+      await invalidateSuggestionCache(redis);
+    } catch (err) {
+      console.warn('Redis cache invalidation failed:', err.message);
+    }
+
+    return res.json({
+      success: true,
+      message: 'Doctor deactivated',
+      data: {
+        doctorId: id,
+        isActive: false,
+        slotsRemoved: slots.length - kept.length,
+        slotsKept: kept.length,
+        cancelledAppointments: cancelled.map((appt) => appt.id),
+        notified,
+        waitlistCancelled,
+      },
+    });
+  } catch (e) {
+    // The doctor is already hidden; running it again with force removes what got booked
+    if (e?.code === 'SLOT_STATE_CHANGED') {
+      return res.status(409).json({ success: false, error: 'A slot was booked in the meantime; retry with force=true' });
+    }
+    console.error('deactivateDoctor error:', e);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+// Make a deactivated doctor bookable again and regenerate the slots of their availability template
+const reactivateDoctor = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const doctor = await prisma.doctor.findUnique({ where: { id }, select: { id: true, isActive: true } });
+    if (!doctor) return res.status(404).json({ success: false, error: 'Doctor not found' });
+    if (doctor.isActive) return res.status(409).json({ success: false, error: 'Doctor is already active' });
+
+    await prisma.doctor.update({ where: { id }, data: { isActive: true } });
+
+    const nowUtc = await getDatabaseNow(prisma);
+    const { created } = await generateTemplateSlots(prisma, id, nowUtc);
+
+    try {
+      await invalidateDoctorSlotCaches(redis, id);
+      await invalidateSpecializationCache(redis);
+      await invalidateSuggestionCache(redis);
+    } catch (err) {
+      console.warn('Redis cache invalidation failed:', err.message);
+    }
+
+    return res.json({ success: true, message: 'Doctor reactivated', data: { doctorId: id, isActive: true, slotsCreated: created } });
+  } catch (e) {
+    console.error('reactivateDoctor error:', e);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+// Future AVAILABLE slots keep their wall-clock times in the new zone, so their instants are recomputed
+const moveFreeSlotsToTimeZone = async (tx, doctorId, timeZone, nowUtc) => {
+  const slots = await tx.timeSlot.findMany({
+    where: { doctorId, status: 'AVAILABLE', date: { gte: addDaysUtc(getZonedToday(nowUtc, timeZone), -1) } },
+    select: { id: true, date: true, startTime: true, endTime: true },
+  });
+
+  for (const slot of slots) {
+    const { startAt, endAt } = withSlotInstants(slot, timeZone);
+    await tx.timeSlot.update({ where: { id: slot.id }, data: { startAt, endAt } });
+  }
+
+  return slots.length;
+};
+
+// Update a doctor's slot generation settings (length, buffer, breaks, timezone). Existing slots keep
+// their length; a timezone change keeps free slots at the same local time and is refused while any
+// future slot is locked or booked, since those times were promised to patients.
+const updateScheduleSettings = async (req, res) => {
+  try {
+    const { doctorId } = req.params;
+
+    const { error, value } = validateDoctorScheduleSettings(req.body);
+    if (error) return res.status(400).json({ success: false, error: error.details[0].message });
+
+    const doctor = await prisma.doctor.findUnique({ where: { id: doctorId }, select: { id: true, timezone: true } });
+    if (!doctor) return res.status(404).json({ success: false, error: 'Doctor not found' });
+
+    const nowUtc = await getDatabaseNow(prisma);
+    const timeZoneChanged = Boolean(value.timezone) && value.timezone !== doctor.timezone;
+    if (timeZoneChanged) {
+      const heldSeats = await getHeldSeatCounts(redis, nowUtc);
+      const heldSlots = await prisma.timeSlot.count({
+        where: {
+          doctorId,
+          endAt: { gt: nowUtc },
+          OR: [{ status: 'BOOKED' }, { seatsBooked: { gt: 0 } }, { id: { in: [...heldSeats.keys()] } }],
+        },
+      });
+      if (heldSlots > 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'Cannot change the timezone while future slots are locked or booked',
+          data: { heldSlots },
+        });
+      }
+    }
+
+    const { updated, slotsUpdated } = await prisma.$transaction(async (tx) => ({
+      updated: await tx.doctor.update({ where: { id: doctorId }, data: value, select: selectScheduleSettings }),
+      slotsUpdated: timeZoneChanged ? await moveFreeSlotsToTimeZone(tx, doctorId, value.timezone, nowUtc) : 0,
+    }));
+
+    try {
+      await invalidateDoctorSlotCaches(redis, doctorId);
+    } catch (err) {
+      console.warn('Redis cache invalidation failed:', err.message);
+    }
+
+    return res.json({ success: true, message: 'Schedule settings updated', data: { ...updated, slotsUpdated } });
+  } catch (e) {
+    console.error('updateScheduleSettings error:', e);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
 // List doctors with optional filters, availability, and earliest slot sorting with pagination (8 per page)
+// Search mode: the doctors matching the other filters are scored against the query words, then paged.
+// Typo tolerance keeps the database from filtering by the query, so only the first SEARCH_CANDIDATE_LIMIT
+// candidates are scored; truncated tells the client that more doctors were left out and the filters should narrow.
+const findSearchedDoctors = async (where, pagination, search) => {
+  const candidates = await prisma.doctor.findMany({
+    where,
+    select: selectDoctorFields,
+    orderBy: pagination.orderBy,
+    take: SEARCH_CANDIDATE_LIMIT + 1,
+  });
+  const truncated = candidates.length > SEARCH_CANDIDATE_LIMIT;
+
+  const ranked = rankDoctors(candidates.slice(0, SEARCH_CANDIDATE_LIMIT), search, { byRelevance: pagination.sortKey === "relevance" });
+  const { page, skip, take } = pagination;
+  return {
+    doctors: ranked.slice(skip, skip + take),
+    pagination: { total: ranked.length, page, limit: take, hasMore: skip + take < ranked.length, truncated },
+  };
+};
+
 const listDoctors = async (req, res) => {
   try {
     // ✅ Parse query
-    const { filters, pagination, availableNormalized } = parseDoctorQuery(req.query);
+    const { filters, pagination, availableNormalized, search } = parseDoctorQuery(req.query);
 
     // ✅ Build cache key
     const normalizedFilters = JSON.stringify(filters);
-    const cacheKey = `doctors:list:${normalizedFilters}:page:${pagination.page}:${pagination.take}:${availableNormalized || "none"}`;
+    const viewerTimeZone = req.timeZone || req.user?.timezone || null;
+    // The sort is part of the key, so a page sorted by rating is never served for another order
+    const sortKey = pagination.sortKey;
+    const searchKey = search ? search.join(" ") : "none";
+    const cacheKey = `doctors:list:${normalizedFilters}:q:${searchKey}:page:${pagination.page}:${pagination.take}:sort:${sortKey}:${availableNormalized || "none"}:tz:${viewerTimeZone || "doctor"}`;
 
     const ttl = availableNormalized ? 30 : 3600;
 
@@ -103,7 +473,7 @@ const listDoctors = async (req, res) => {
     try {
       const cached = await redis.get(cacheKey);
       if (cached) {
-        return res.json(JSON.parse(cached));
+        return res.json(typeof cached === "string" ? JSON.parse(cached) : cached);
       }
     } catch (err) {
       console.warn("Redis GET failed, continuing without cache:", err.message);
@@ -113,22 +483,31 @@ const listDoctors = async (req, res) => {
     if (availableNormalized === "earliest") {
       const nowData = await getNowUtc(prisma);
 
-      // Step 1️⃣ - Get all available slots (future only)
-      const futureSlots = await prisma.timeSlot.findMany({
-        where: {
-          status: "AVAILABLE",
-          OR: [
-            { date: { gt: nowData.todayUtc } },
-            { AND: [{ date: nowData.todayUtc }, { startTime: { gt: nowData.currentHM } }] },
-          ],
-        },
-        select: { doctorId: true, date: true, startTime: true, endTime: true, id: true },
-        orderBy: [{ date: "asc" }, { startTime: "asc" }],
-      });
+      // Seats someone holds a lock on are not bookable right now
+      let heldSeats = new Map();
+      try {
+        heldSeats = await getHeldSeatCounts(redis, nowData.nowUtc);
+      } catch (err) {
+        console.warn("Redis lock lookup failed:", err.message);
+      }
+
+      // Step 1️⃣ - Get all available slots (future only) with a seat nobody holds
+      const futureSlots = (
+        await prisma.timeSlot.findMany({
+          where: { status: "AVAILABLE", startAt: { gt: nowData.nowUtc } },
+          select: { doctorId: true, date: true, startTime: true, endTime: true, startAt: true, endAt: true, id: true, ...selectSeatFields },
+          orderBy: { startAt: "asc" },
+        })
+      ).filter((slot) => getFreeSeats(slot, heldSeats.get(slot.id) || 0) > 0);
+
+      // Slots on days a doctor is on leave or the clinic is closed are not bookable.
+      // Local dates west of UTC can still be yesterday in UTC terms.
+      const blackouts = await findBlackouts(prisma, { fromDate: addDaysUtc(nowData.todayUtc, -1) });
+      const openSlots = excludeBlackedOutSlots(futureSlots, blackouts);
 
       // Step 2️⃣ - Get unique earliest slot per doctor
       const earliestByDoctor = new Map();
-      futureSlots.forEach((slot) => {
+      openSlots.forEach((slot) => {
         if (!earliestByDoctor.has(slot.doctorId)) earliestByDoctor.set(slot.doctorId, slot);
       });
 
@@ -137,7 +516,7 @@ const listDoctors = async (req, res) => {
       if (doctorIds.length === 0) {
         const response = { success: true, data: [], message: "No doctors with available slots found" };
         try {
-          await redis.set(cacheKey, JSON.stringify(response), { EX: ttl });
+          await redis.set(cacheKey, JSON.stringify(response), { ex: ttl });
         } catch (err) {
           console.warn("Redis SET failed 1:", err.message);
         }
@@ -145,18 +524,39 @@ const listDoctors = async (req, res) => {
       }
 
       // Step 4️⃣ - Apply search + filters ONLY on these doctors
+      const where = {
+        id: { in: doctorIds },
+        ...filters, // applies specialization, consultation_mode
+      };
+
+      // A search keeps its ranking; the earliest slot is only shown alongside
+      if (search) {
+        const { doctors, pagination: searchPagination } = await findSearchedDoctors(where, pagination, search);
+        const response = {
+          success: true,
+          data: mapDoctorsWithEarliestSlot(doctors, earliestByDoctor, viewerTimeZone),
+          pagination: searchPagination,
+          message: doctors.length > 0 ? "Doctors fetched successfully (search results with available slots)" : "No doctors match the search",
+        };
+
+        try {
+          await redis.set(cacheKey, JSON.stringify(response), { ex: ttl });
+        } catch (err) {
+          console.warn("Redis SET failed 4:", err.message);
+        }
+
+        return res.json(response);
+      }
+
       const doctors = await prisma.doctor.findMany({
-        where: {
-          id: { in: doctorIds },
-          ...filters, // applies q, specialization, consultation_mode
-        },
+        where,
         select: selectDoctorFields,
         skip: pagination.skip,
         take: pagination.take,
       });
 
       // Step 5️⃣ - Map and sort final list by earliest slot
-      let result = mapAndSortDoctorsByEarliestSlot(doctors, earliestByDoctor);
+      let result = mapAndSortDoctorsByEarliestSlot(doctors, earliestByDoctor, viewerTimeZone);
 
 const consultation_mode = req.query.consultation_mode; // <-- ADD THIS
 
@@ -171,7 +571,7 @@ const consultation_mode = req.query.consultation_mode; // <-- ADD THIS
       };
 
       try {
-        await redis.set(cacheKey, JSON.stringify(response), { EX: ttl });
+        await redis.set(cacheKey, JSON.stringify(response), { ex: ttl });
       } catch (err) {
         console.warn("Redis SET failed 2:", err.message);
       }
@@ -179,7 +579,26 @@ const consultation_mode = req.query.consultation_mode; // <-- ADD THIS
       return res.json(response); 
     }
 
-    // ✅ Case 2: Normal filters (no "earliest")
+    // ✅ Case 2: Search mode, ranked by relevance with a score per doctor
+    if (search) {
+      const { doctors, pagination: searchPagination } = await findSearchedDoctors(filters, pagination, search);
+      const response = {
+        success: true,
+        data: doctors,
+        pagination: searchPagination,
+        message: doctors.length > 0 ? "Doctors fetched successfully (search results)" : "No doctors match the search",
+      };
+
+      try {
+        await redis.set(cacheKey, JSON.stringify(response), { ex: ttl });
+      } catch (err) {
+        console.warn("Redis SET failed 5:", err.message);
+      }
+
+      return res.json(response);
+    }
+
+    // ✅ Case 3: Normal filters (no "earliest")
     const doctors = await prisma.doctor.findMany({
       where: filters,
       select: selectDoctorFields,
@@ -200,7 +619,7 @@ const consultation_mode = req.query.consultation_mode; // <-- ADD THIS
     };
 
     try {
-      await redis.set(cacheKey, JSON.stringify(response), { EX: ttl });
+      await redis.set(cacheKey, JSON.stringify(response), { ex: ttl });
     } catch (err) {
       console.warn("Redis SET failed 3:", err.message);
     }
@@ -218,6 +637,74 @@ const consultation_mode = req.query.consultation_mode; // <-- ADD THIS
 
 
 
+// Active doctors and the catalog with their doctor counts; suggestions for every query are built from it
+const loadSuggestionIndex = async () => {
+  try {
+    const cached = await redis.get(SUGGEST_INDEX_KEY);
+    if (cached) return typeof cached === "string" ? JSON.parse(cached) : cached;
+  } catch (err) {
+    console.warn("Redis GET failed, continuing without cache:", err.message);
+  }
+
+  const [doctors, entries] = await Promise.all([
+    prisma.doctor.findMany({
+      where: { isActive: true },
+      select: { id: true, name: true, specialization: true, specializationIds: true },
+    }),
+    prisma.specialization.findMany({ select: selectSpecializationFields }),
+  ]);
+  const counts = countDoctorsBySpecialization(doctors);
+
+  const index = {
+    doctors: doctors.map(({ id, name, specialization }) => ({ id, name, specialization })),
+    specializations: entries.map(({ slug, name, synonyms, id }) => ({ slug, name, synonyms, doctorCount: counts.get(id) || 0 })),
+  };
+
+  try {
+    await redis.set(SUGGEST_INDEX_KEY, JSON.stringify(index), { ex: SUGGEST_CACHE_TTL });
+  } catch (err) {
+    console.warn("Redis SET failed:", err.message);
+  }
+
+  return index;
+};
+
+// Type-ahead for the search box: doctor names and specializations starting with what has been typed
+const suggestDoctors = async (req, res) => {
+  try {
+    const { error, value } = validateDoctorSuggestQuery(req.query);
+    if (error) return res.status(400).json({ success: false, error: error.details[0].message });
+
+    const { q, limit } = value;
+    const cacheKey = `${SUGGEST_CACHE_PREFIX}q:${tokenize(q).join(" ")}:${limit}`;
+
+    try {
+      const cached = await redis.get(cacheKey);
+      if (cached) return res.json(typeof cached === "string" ? JSON.parse(cached) : cached);
+    } catch (err) {
+      console.warn("Redis GET failed, continuing without cache:", err.message);
+    }
+
+    const suggestions = buildSuggestions(await loadSuggestionIndex(), q, limit);
+    const response = {
+      success: true,
+      message: suggestions.length > 0 ? "Suggestions fetched successfully" : "No suggestions found",
+      data: suggestions,
+    };
+
+    try {
+      await redis.set(cacheKey, JSON.stringify(response), { ex: SUGGEST_CACHE_TTL });
+    } catch (err) {
+      console.warn("Redis SET failed:", err.message);
+    }
+
+    return res.json(response);
+  } catch (e) {
+    console.error("suggestDoctors error:", e);
+    return res.status(500).json({ success: false, error: "Internal server error" });
+  }
+};
+
 // Get single doctor by ID 
 const getDoctorById = async (req, res) => {
   try {
@@ -236,8 +723,9 @@ const getDoctorById = async (req, res) => {
     }
 
     // Fetch doctor from DB if not cached
-    const doctor = await prisma.doctor.findUnique({
-      where: { id: doctorId },
+    // Inactive doctors are not shown to patients
+    const doctor = await prisma.doctor.findFirst({
+      where: { id: doctorId, isActive: true },
       select: selectDoctorFields,
     });
 
@@ -271,32 +759,31 @@ const getDoctorById = async (req, res) => {
   }
 };
 
-// Create multiple 30-minute time slots for a doctor within a specified timeframe
+// Create time slots of the doctor's slot length (or the requested durationMinutes) within a specified timeframe
 const createTimeSlot = async (req, res) => {
   try {
     const { doctorId } = req.params; 
     if (!doctorId) return res.status(400).json({ success: false, error: "doctorId is required in path" });
 
     // Check if doctor exists
-    const doctor = await prisma.doctor.findUnique({ where: { id: doctorId }, select: { id: true } });
+    const doctor = await prisma.doctor.findUnique({ where: { id: doctorId }, select: { ...selectScheduleSettings, isActive: true } });
     if (!doctor) return res.status(404).json({ success: false, error: "Doctor not found" });
+    if (!doctor.isActive) return sendDoctorInactive(res);
 
     // Validate request body
-    const { error } = validateTimeSlotCreate(req.body);
+    const { error, value } = validateTimeSlotCreate(req.body);
     if (error) return res.status(400).json({ success: false, error: error.details[0].message });
 
-    const { date, startTime, endTime } = req.body;
-
-    const startMinutes = parseToMinutes(startTime);
-    const endMinutes = parseToMinutes(endTime);
+    const { date, startTime, endTime, capacity } = value;
+    const layout = resolveSlotLayout(doctor, value, parseToMinutes);
+    const { slotMinutes } = layout;
 
     // Validate timeframe
-    if (endMinutes <= startMinutes) {
-      return res.status(400).json({ success: false, error: "endTime must be greater than startTime" });
-    }
-    if ((endMinutes - startMinutes) % 30 !== 0) {
-      return res.status(400).json({ success: false, error: "Timeframe must be a multiple of 30 minutes" });
+    const timeframe = validateTimeframeRange(startTime, endTime, parseToMinutes, slotMinutes, layout);
+    if (timeframe.error) {
+      return res.status(400).json({ success: false, error: timeframe.error });
     }
+    const { startMinutes, endMinutes } = timeframe;
 
     // Parse date
     const parsedDate = new Date(`${date}T00:00:00.000Z`);
@@ -304,30 +791,33 @@ const createTimeSlot = async (req, res) => {
       return res.status(400).json({ success: false, error: "Invalid date" });
     }
 
-    // ✅ Prevent past dates & past times
-    const now = new Date();
-    const todayUTC = new Date();
-    todayUTC.setUTCHours(0, 0, 0, 0);
+    // ✅ Prevent past dates & past times (date and times are the doctor's wall clock)
+    const nowUtc = await getDatabaseNow(prisma);
 
-    if (parsedDate < todayUTC) {
+    if (parsedDate < getZonedToday(nowUtc, doctor.timezone)) {
       return res.status(400).json({ success: false, error: "Cannot create time slots for past dates" });
     }
 
-    if (parsedDate.getTime() === todayUTC.getTime()) {
-      // Today → ensure start time is in the future
-      const nowMinutesUTC = now.getUTCHours() * 60 + now.getUTCMinutes();
-      if (startMinutes <= nowMinutesUTC) {
-        return res.status(400).json({ success: false, error: "Cannot create time slots in the past for today" });
-      }
+    if (zonedTimeToUtc(parsedDate, startTime, doctor.timezone) <= nowUtc) {
+      return res.status(400).json({ success: false, error: "Cannot create time slots in the past for today" });
+    }
+
+    // No slots while the doctor is on leave or the clinic is closed
+    const blackouts = await findBlackouts(prisma, { doctorIds: [doctorId], fromDate: parsedDate, toDate: parsedDate });
+    if (blackouts.length > 0) {
+      return res.status(409).json({ success: false, error: "Doctor is unavailable on this date", data: blackouts.map(formatBlackout) });
     }
 
-    // Check for overlapping slots
+    // Generate segments of the resolved slot length, skipping breaks and leaving buffers
+    const segments = buildTimeSegments(startMinutes, endMinutes, toTimeString, slotMinutes, layout);
+    if (segments.length === 0) return sendEmptyTimeframe(res, startMinutes, endMinutes, layout.breakWindows);
+
+    // Check for overlapping slots (interval overlap, so slots of any length are compared correctly)
     const conflicts = await prisma.timeSlot.findMany({
       where: {
         doctorId,
         date: parsedDate,
-        startTime: { lt: endTime },
-        endTime: { gt: startTime },
+        ...buildConflictRange(startMinutes, endMinutes, layout.bufferMinutes),
       },
       select: { id: true, startTime: true, endTime: true },
     });
@@ -335,26 +825,21 @@ const createTimeSlot = async (req, res) => {
       return res.status(409).json({ success: false, error: "Requested timeframe overlaps with existing slots", data: conflicts });
     }
 
-    // Generate 30-min segments
-    const segments = [];
-    for (let cursor = startMinutes; cursor < endMinutes; cursor += 30) {
-      segments.push({ startTime: toTimeString(cursor), endTime: toTimeString(cursor + 30) });
-    }
-
     // Create slots in DB
     await prisma.timeSlot.createMany({
-      data: segments.map((s) => ({
+      data: segments.map((s) => withSlotInstants({
         doctorId,
         date: parsedDate,
         startTime: s.startTime,
         endTime: s.endTime,
-      })),
+        capacity,
+      }, doctor.timezone)),
     });
 
     // Fetch created slots
     const createdSlots = await prisma.timeSlot.findMany({
       where: { doctorId, date: parsedDate, startTime: { in: segments.map((s) => s.startTime) } },
-      select: { id: true, doctorId: true, startTime: true, endTime: true, status: true },
+      select: { id: true, doctorId: true, startTime: true, endTime: true, startAt: true, endAt: true, status: true, capacity: true },
       orderBy: { startTime: "asc" },
     });
 
@@ -393,6 +878,9 @@ try {
         date,
         startTime: slot.startTime,
         endTime: slot.endTime,
+        ...describeSlotTimes(slot, resolveDisplayTimeZone(req, doctor.timezone)),
+        durationMinutes: slotMinutes,
+        capacity: slot.capacity,
         status: slot.status,
       })),
     });
@@ -407,89 +895,151 @@ try {
 };
 
 
-// Create 30-minute time slots across multiple days using a weekly day-group pattern
+// Create time slots across multiple days picked by a day group, an explicit weekday list or an RRULE
+// (doctor's slot length unless overridden). dryRun returns the slots that would be created.
 const createBatchTimeSlot = async (req, res) => {
   try {
     const { doctorId } = req.params;
     if (!doctorId) return res.status(400).json({ success: false, error: 'doctorId is required in path' });
 
-    const doctor = await prisma.doctor.findUnique({ where: { id: doctorId }, select: { id: true } });
+    const doctor = await prisma.doctor.findUnique({ where: { id: doctorId }, select: { ...selectScheduleSettings, isActive: true } });
     if (!doctor) return res.status(404).json({ success: false, error: 'Doctor not found' });
+    if (!doctor.isActive) return sendDoctorInactive(res);
 
-    const { error } = validateBatchTimeSlotCreate(req.body);
+    const { error, value } = validateBatchTimeSlotCreate(req.body);
     if (error) return res.status(400).json({ success: false, error: error.details[0].message });
 
-    const { scheduleType, group, startTime, endTime } = req.body;
+    const { group, weekdays, rrule, startTime, endTime, capacity, dryRun } = value;
+    const scheduleType = value.scheduleType || (rrule ? 'rrule' : 'weekly');
+    const rule = rrule ? parseRRule(rrule).rule : null;
+    const recurrence = rule || weekdays || WEEKDAY_GROUPS[group];
+    const layout = resolveSlotLayout(doctor, value, parseToMinutes);
+    const { slotMinutes } = layout;
 
-    const timeframe = validateTimeframeRange(startTime, endTime, parseToMinutes);
+    const timeframe = validateTimeframeRange(startTime, endTime, parseToMinutes, slotMinutes, layout);
     if (timeframe.error) {
       return res.status(400).json({ success: false, error: timeframe.error });
     }
 
-    const dateRange = resolveBatchDateRange(req.body.startDate, req.body.endDate);
+    const nowUtc = await getDatabaseNow(prisma);
+    const localToday = getZonedToday(nowUtc, doctor.timezone);
+    const dateRange = resolveBatchDateRange(value.startDate, value.endDate, rule, localToday);
     const { startDate, endDate, parsedStartDate, parsedEndDate } = dateRange;
 
     if (Number.isNaN(parsedStartDate.getTime()) || Number.isNaN(parsedEndDate.getTime())) {
       return res.status(400).json({ success: false, error: 'Invalid startDate or endDate' });
     }
+    if (diffInDaysUtc(parsedStartDate, parsedEndDate) > MAX_BATCH_RANGE_DAYS) {
+      return res.status(400).json({ success: false, error: `Date range cannot exceed ${MAX_BATCH_RANGE_DAYS} days` });
+    }
 
-    const todayUTC = getTodayUtc();
-    if (parsedEndDate < todayUTC) {
+    if (parsedEndDate < localToday) {
       return res.status(400).json({ success: false, error: 'Cannot create time slots for past dates' });
     }
 
-    const weekdayNums = WEEKDAY_GROUPS[group];
-    const matchingDates = getMatchingDatesInRange(parsedStartDate, parsedEndDate, weekdayNums);
+    const matchingDates = getMatchingDatesInRange(parsedStartDate, parsedEndDate, recurrence);
     if (matchingDates.length === 0) {
       return res.status(400).json({
         success: false,
-        error: 'No matching days found for the selected group within the given date range',
+        error: 'No matching days found for the selected recurrence within the given date range',
       });
     }
 
-    const schedulableDates = filterSchedulableDates(matchingDates, timeframe.startMinutes);
-    if (schedulableDates.length === 0) {
+    const futureDates = filterSchedulableDates(matchingDates, timeframe.startMinutes, doctor.timezone, nowUtc);
+    if (futureDates.length === 0) {
       return res.status(400).json({
         success: false,
         error: 'No schedulable dates remain after excluding past dates and times',
       });
     }
 
-    const segments = buildTimeSegments(timeframe.startMinutes, timeframe.endMinutes, toTimeString);
+    // Days inside a blackout are skipped rather than failing the whole batch
+    const blackouts = await findBlackouts(prisma, {
+      doctorIds: [doctorId],
+      fromDate: futureDates[0],
+      toDate: futureDates[futureDates.length - 1],
+    });
+    const schedulableDates = futureDates.filter((date) => !isBlackedOut(blackouts, doctorId, date));
+    const blackoutDates = futureDates.filter((date) => isBlackedOut(blackouts, doctorId, date)).map(formatDateYmd);
+    if (schedulableDates.length === 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Every matching date falls inside a blackout',
+        data: blackouts.map(formatBlackout),
+      });
+    }
+
+    const segments = buildTimeSegments(timeframe.startMinutes, timeframe.endMinutes, toTimeString, slotMinutes, layout);
+    if (segments.length === 0) return sendEmptyTimeframe(res, timeframe.startMinutes, timeframe.endMinutes, layout.breakWindows);
 
     const conflicts = await prisma.timeSlot.findMany({
       where: {
         doctorId,
         date: { in: schedulableDates },
-        startTime: { lt: endTime },
-        endTime: { gt: startTime },
+        ...buildConflictRange(timeframe.startMinutes, timeframe.endMinutes, layout.bufferMinutes),
       },
       select: { id: true, date: true, startTime: true, endTime: true },
       orderBy: [{ date: 'asc' }, { startTime: 'asc' }],
     });
 
-    if (conflicts.length > 0) {
-      return res.status(409).json({
-        success: false,
-        error: 'Requested timeframe overlaps with existing slots on one or more dates',
-        data: conflicts.map((slot) => ({
-          slotId: slot.id,
-          date: formatDateYmd(slot.date),
-          startTime: slot.startTime,
-          endTime: slot.endTime,
-        })),
-      });
-    }
+    const conflictData = conflicts.map((slot) => ({
+      slotId: slot.id,
+      date: formatDateYmd(slot.date),
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+    }));
 
     const slotData = schedulableDates.flatMap((date) =>
-      segments.map((segment) => ({
+      segments.map((segment) => withSlotInstants({
         doctorId,
         date,
         startTime: segment.startTime,
         endTime: segment.endTime,
-      }))
+        capacity,
+      }, doctor.timezone))
     );
 
+    const summary = {
+      scheduleType,
+      group,
+      weekdays,
+      rrule,
+      startDate,
+      endDate,
+      startTime,
+      endTime,
+      timeZone: doctor.timezone,
+      durationMinutes: slotMinutes,
+      bufferMinutes: layout.bufferMinutes,
+      capacity,
+      datesProcessed: schedulableDates.length,
+      blackoutDates,
+    };
+
+    // Preview: report slots and conflicts, write nothing
+    if (dryRun) {
+      return res.json({
+        success: true,
+        message: 'Batch time slots preview',
+        data: {
+          ...summary,
+          dryRun: true,
+          dates: schedulableDates.map(formatDateYmd),
+          slotsToCreate: conflicts.length > 0 ? 0 : slotData.length,
+          slots: slotData.map((slot) => ({ date: formatDateYmd(slot.date), startTime: slot.startTime, endTime: slot.endTime })),
+          conflicts: conflictData,
+        },
+      });
+    }
+
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Requested timeframe overlaps with existing slots on one or more dates',
+        data: conflictData,
+      });
+    }
+
     await prisma.timeSlot.createMany({ data: slotData });
 
     const createdSlots = await prisma.timeSlot.findMany({
@@ -498,10 +1048,11 @@ const createBatchTimeSlot = async (req, res) => {
         date: { in: schedulableDates },
         startTime: { in: segments.map((s) => s.startTime) },
       },
-      select: { id: true, doctorId: true, date: true, startTime: true, endTime: true, status: true },
+      select: { id: true, doctorId: true, date: true, startTime: true, endTime: true, startAt: true, endAt: true, status: true },
       orderBy: [{ date: 'asc' }, { startTime: 'asc' }],
     });
 
+    const displayTimeZone = resolveDisplayTimeZone(req, doctor.timezone);
     try {
       await invalidateDoctorSlotCaches(redis, doctorId);
     } catch (err) {
@@ -512,13 +1063,7 @@ const createBatchTimeSlot = async (req, res) => {
       success: true,
       message: 'Batch time slots created successfully',
       data: {
-        scheduleType,
-        group,
-        startDate,
-        endDate,
-        startTime,
-        endTime,
-        datesProcessed: schedulableDates.length,
+        ...summary,
         slotsCreated: createdSlots.length,
         slots: createdSlots.map((slot) => ({
           slotId: slot.id,
@@ -526,6 +1071,7 @@ const createBatchTimeSlot = async (req, res) => {
           date: formatDateYmd(slot.date),
           startTime: slot.startTime,
           endTime: slot.endTime,
+          ...describeSlotTimes(slot, displayTimeZone),
           status: slot.status,
         })),
       },
@@ -540,11 +1086,411 @@ const createBatchTimeSlot = async (req, res) => {
 };
 
 
+// Slots whose free seats are all held by Redis locks are reported as LOCKED although the database still says AVAILABLE
+const formatSlot = (slot, heldSeats = new Map()) => ({
+  slotId: slot.id,
+  doctorId: slot.doctorId,
+  date: formatDateYmd(slot.date),
+  startTime: slot.startTime,
+  endTime: slot.endTime,
+  status: slot.status === "AVAILABLE" && heldSeats.has(slot.id) && getFreeSeats(slot, heldSeats.get(slot.id)) === 0
+    ? "LOCKED"
+    : slot.status,
+  ...describeSeats(slot, heldSeats.get(slot.id) || 0),
+});
+
+const selectSlotForChange = {
+  id: true,
+  doctorId: true,
+  date: true,
+  startTime: true,
+  endTime: true,
+  startAt: true,
+  endAt: true,
+  status: true,
+  ...selectSeatFields,
+  templateId: true,
+};
+
+const sendSlotInUse = (res, slots, action, heldSeats) =>
+  res.status(409).json({
+    success: false,
+    error: `Cannot ${action} locked or booked slots; pass force=true to cancel their bookings`,
+    code: "SLOT_IN_USE",
+    data: slots.map((slot) => formatSlot(slot, heldSeats)),
+  });
+
+// Blackouts hide a slot from patients without deleting it
+const HISTORY_DELETE_HINT = "add a blackout for the day to stop bookings instead";
+
+const sendSlotHasHistory = (res, slots, action, hint) =>
+  res.status(409).json({
+    success: false,
+    error: `Cannot ${action} slots that earlier appointments refer to; ${hint}`,
+    code: "SLOT_HAS_HISTORY",
+    data: slots.map((slot) => formatSlot(slot)),
+  });
+
+// Delete slots in one transaction; with force their bookings are cancelled first, otherwise any slot
+// that got booked in the meantime rolls everything back. Locks on the removed slots are dropped afterwards.
+// Removed template slots are remembered so the generator does not put them back, unless rememberRemoved is false.
+// Slots that earlier appointments refer to are never deleted: callers check first, and one that gains
+// history in the meantime rolls everything back, unless keepHistory leaves such slots in place (freed).
+// Returns the cancelled bookings and the slots that were kept.
+const removeSlots = async (slots, { force, actor, reason, rememberRemoved = true, keepHistory = false }) => {
+  const result = await prisma.$transaction(async (tx) => {
+    const slotIds = slots.map((slot) => slot.id);
+    const withHistory = await findSlotsWithHistory(tx, slotIds);
+    if (withHistory.size > 0 && !keepHistory) throw { code: "SLOT_STATE_CHANGED" };
+
+    const cancelled = force ? await cancelSlotBookings(tx, { slotIds, actor, reason }) : [];
+    const removed = slots.filter((slot) => !withHistory.has(slot.id));
+    const kept = slots.filter((slot) => withHistory.has(slot.id));
+    const removedIds = removed.map((slot) => slot.id);
+
+    await releaseSlotOffers(tx, slotIds);
+    // The bookings just cancelled are all that still point to the deleted slots
+    if (cancelled.length > 0) {
+      await tx.appointment.updateMany({
+        where: { id: { in: cancelled.map((appt) => appt.id) }, timeSlotId: { in: removedIds } },
+        data: { timeSlotId: null },
+      });
+    }
+
+    const deleted = await tx.timeSlot.deleteMany({
+      where: { id: { in: removedIds }, ...(force ? {} : buildFreeSlotFilter()) },
+    });
+    if (deleted.count !== removed.length) throw { code: "SLOT_STATE_CHANGED" };
+
+    if (kept.length > 0) {
+      const freed = await tx.timeSlot.updateMany({
+        where: { id: { in: kept.map((slot) => slot.id) }, ...(force ? {} : buildFreeSlotFilter()) },
+        data: { status: "AVAILABLE", seatsBooked: 0 },
+      });
+      if (freed.count !== kept.length) throw { code: "SLOT_STATE_CHANGED" };
+    }
+
+    if (rememberRemoved) await rememberRemovedTemplateSlots(tx, removed);
+
+    return { cancelled, kept };
+  });
+
+  try {
+    await clearSlotLocks(redis, slots.map((slot) => slot.id));
+  } catch (err) {
+    console.warn("Redis lock cleanup failed:", err.message);
+  }
+
+  return result;
+};
+
+// Tell patients their appointment was cancelled and refresh their caches; returns how many were notified.
+// Runs after the change is committed, so a misconfigured transport only skips the notices.
+const afterSlotBookingsCancelled = async (cancelled, notify) => {
+  let notified = 0;
+  let transport = null;
+  if (notify && cancelled.length > 0) {
+    try {
+      transport = createTransport();
+    } catch (err) {
+      console.warn("Cancellation notices skipped:", err.message);
+    }
+  }
+
+  for (const appt of cancelled) {
+    if (transport) {
+      try {
+        await transport.send(buildSlotCancellationNotice(appt));
+        notified += 1;
+      } catch (err) {
+        console.warn(`Cancellation notice for appointment ${appt.id} failed:`, err.message);
+      }
+    }
+
+    try {
+      await invalidateUserAppointmentCaches(redis, appt.userId, [appt.id]);
+    } catch (err) {
+      console.warn("Redis cache invalidation failed:", err.message);
+    }
+  }
+
+  return notified;
+};
+
+// Move a future slot to another date and/or start time, keeping its length. Locked or booked slots
+// need force, which cancels the booking so the slot moves as AVAILABLE.
+const updateTimeSlot = async (req, res) => {
+  try {
+    const { doctorId, slotId } = req.params;
+
+    const { error, value } = validateTimeSlotUpdate(req.body);
+    if (error) return res.status(400).json({ success: false, error: error.details[0].message });
+
+    const { force, reason, notify } = value;
+
+    const doctor = await prisma.doctor.findUnique({ where: { id: doctorId }, select: selectScheduleSettings });
+    if (!doctor) return res.status(404).json({ success: false, error: "Doctor not found" });
+
+    const slot = await prisma.timeSlot.findFirst({ where: { id: slotId, doctorId }, select: selectSlotForChange });
+    if (!slot) return res.status(404).json({ success: false, error: "Time slot not found" });
+
+    const nowUtc = await getDatabaseNow(prisma);
+    if (getSlotStartUtc(slot) <= nowUtc) {
+      return res.status(409).json({ success: false, error: "Cannot change a slot that has already started" });
+    }
+
+    const newDate = value.date ? parseDateUtc(value.date) : slot.date;
+    const startMinutes = parseToMinutes(value.startTime || slot.startTime);
+    const endMinutes = startMinutes + parseToMinutes(slot.endTime) - parseToMinutes(slot.startTime);
+    if (Number.isNaN(newDate.getTime())) return res.status(400).json({ success: false, error: "Invalid date" });
+    if (endMinutes > 24 * 60) return res.status(400).json({ success: false, error: "Slot must end by 24:00" });
+
+    const startTime = toTimeString(startMinutes);
+    const endTime = toTimeString(endMinutes);
+    if (newDate.getTime() === slot.date.getTime() && startTime === slot.startTime) {
+      return res.status(400).json({ success: false, error: "Slot is already at the requested time" });
+    }
+    const { startAt, endAt } = withSlotInstants({ date: newDate, startTime, endTime }, doctor.timezone);
+    if (startAt <= nowUtc) {
+      return res.status(400).json({ success: false, error: "Cannot move a slot into the past" });
+    }
+
+    const blackouts = await findBlackouts(prisma, { doctorIds: [doctorId], fromDate: newDate, toDate: newDate });
+    if (blackouts.length > 0) {
+      return res.status(409).json({ success: false, error: "Doctor is unavailable on this date", data: blackouts.map(formatBlackout) });
+    }
+
+    const layout = resolveSlotLayout(doctor, {}, parseToMinutes);
+    const breaks = findOverlappingBreaks(startMinutes, endMinutes, layout.breakWindows);
+    if (breaks.length > 0) return sendEmptyTimeframe(res, startMinutes, endMinutes, breaks);
+
+    const conflicts = await prisma.timeSlot.findMany({
+      where: {
+        doctorId,
+        date: newDate,
+        id: { not: slot.id },
+        ...buildConflictRange(startMinutes, endMinutes, layout.bufferMinutes),
+      },
+      select: { id: true, startTime: true, endTime: true },
+    });
+    if (conflicts.length > 0) {
+      return res.status(409).json({ success: false, error: "Requested time overlaps with existing slots", data: conflicts });
+    }
+
+    // Earlier appointments on this slot belong to its old time
+    if ((await findSlotsWithHistory(prisma, [slot.id])).size > 0) {
+      return sendSlotHasHistory(res, [slot], "move", "create a slot at the new time instead");
+    }
+
+    const heldSeats = await getHeldSeatCounts(redis, nowUtc);
+    if (isSlotInUse(slot, heldSeats) && !force) return sendSlotInUse(res, [slot], "move", heldSeats);
+
+    const actor = { id: req.user?.id, role: ACTOR_ROLES.ADMIN };
+    const cancelled = await prisma.$transaction(async (tx) => {
+      if ((await findSlotsWithHistory(tx, [slot.id])).size > 0) throw { code: "SLOT_STATE_CHANGED" };
+
+      const cancelledBookings = force
+        ? await cancelSlotBookings(tx, { slotIds: [slot.id], actor, reason: reason || "Time slot moved" })
+        : [];
+
+      await releaseSlotOffers(tx, [slot.id]);
+      // The bookings just cancelled were for the old time
+      if (cancelledBookings.length > 0) {
+        await tx.appointment.updateMany({
+          where: { id: { in: cancelledBookings.map((appt) => appt.id) } },
+          data: { timeSlotId: null },
+        });
+      }
+
+      // A moved slot is no longer the template's; its old place stays empty
+      const moved = await tx.timeSlot.updateMany({
+        where: { id: slot.id, ...(force ? {} : buildFreeSlotFilter()) },
+        data: {
+          date: newDate,
+          startTime,
+          endTime,
+          startAt,
+          endAt,
+          status: "AVAILABLE",
+          seatsBooked: 0,
+          templateId: null,
+        },
+      });
+      if (moved.count !== 1) throw { code: "SLOT_STATE_CHANGED" };
+
+      await rememberRemovedTemplateSlots(tx, [slot]);
+
+      return cancelledBookings;
+    });
+
+    const notified = await afterSlotBookingsCancelled(cancelled, notify);
+
+    try {
+      // A lock taken on the old time does not carry over to the new one
+      await clearSlotLocks(redis, [slot.id]);
+      await invalidateDoctorSlotCaches(redis, doctorId);
+    } catch (err) {
+      console.warn("Redis cache invalidation failed:", err.message);
+    }
+
+    return res.json({
+      success: true,
+      message: "Time slot moved",
+      data: {
+        slot: formatSlot({ ...slot, date: newDate, startTime, endTime, status: "AVAILABLE", seatsBooked: 0 }),
+        previous: { date: formatDateYmd(slot.date), startTime: slot.startTime, endTime: slot.endTime },
+        cancelledAppointments: cancelled.map((appt) => appt.id),
+        notified,
+      },
+    });
+  } catch (e) {
+    if (e?.code === "SLOT_STATE_CHANGED") {
+      return res.status(409).json({ success: false, error: "Time slot was locked or booked in the meantime" });
+    }
+    if (e?.code === "P2002") {
+      return res.status(409).json({ success: false, error: "A slot already exists at the requested time" });
+    }
+    console.error("updateTimeSlot error:", e);
+    return res.status(500).json({ success: false, error: "Internal server error" });
+  }
+};
+
+// Delete a single future slot; locked or booked slots need force=true, which cancels the booking
+const deleteTimeSlot = async (req, res) => {
+  try {
+    const { doctorId, slotId } = req.params;
+
+    const { error, value } = validateTimeSlotDelete(req.query);
+    if (error) return res.status(400).json({ success: false, error: error.details[0].message });
+
+    const { force, reason, notify } = value;
+
+    const slot = await prisma.timeSlot.findFirst({ where: { id: slotId, doctorId }, select: selectSlotForChange });
+    if (!slot) return res.status(404).json({ success: false, error: "Time slot not found" });
+
+    const nowUtc = await getDatabaseNow(prisma);
+    if (getSlotStartUtc(slot) <= nowUtc) {
+      return res.status(409).json({ success: false, error: "Cannot delete a slot that has already started" });
+    }
+
+    if ((await findSlotsWithHistory(prisma, [slot.id])).size > 0) {
+      return sendSlotHasHistory(res, [slot], "delete", HISTORY_DELETE_HINT);
+    }
+
+    const heldSeats = await getHeldSeatCounts(redis, nowUtc);
+    if (isSlotInUse(slot, heldSeats) && !force) return sendSlotInUse(res, [slot], "delete", heldSeats);
+
+    const actor = { id: req.user?.id, role: ACTOR_ROLES.ADMIN };
+    const { cancelled } = await removeSlots([slot], { force, actor, reason: reason || "Time slot removed" });
+    const notified = await afterSlotBookingsCancelled(cancelled, notify);
+
+    try {
+      await invalidateDoctorSlotCaches(redis, doctorId);
+    } catch (err) {
+      console.warn("Redis cache invalidation failed:", err.message);
+    }
+
+    return res.json({
+      success: true,
+      message: "Time slot deleted",
+      data: { slot: formatSlot(slot), cancelledAppointments: cancelled.map((appt) => appt.id), notified },
+    });
+  } catch (e) {
+    if (e?.code === "SLOT_STATE_CHANGED") {
+      return res.status(409).json({ success: false, error: "Time slot was locked or booked in the meantime" });
+    }
+    console.error("deleteTimeSlot error:", e);
+    return res.status(500).json({ success: false, error: "Internal server error" });
+  }
+};
+
+// Delete a doctor's future slots in a date range, optionally only those within a daily time window.
+// All or nothing: without force a single locked or booked slot refuses the whole request.
+const bulkDeleteTimeSlots = async (req, res) => {
+  try {
+    const { doctorId } = req.params;
+
+    const { error, value } = validateBulkTimeSlotDelete(req.query);
+    if (error) return res.status(400).json({ success: false, error: error.details[0].message });
+
+    const { startDate, endDate, startTime, endTime, force, reason, notify } = value;
+    const parsedStartDate = parseDateUtc(startDate);
+    const parsedEndDate = parseDateUtc(endDate);
+    if (Number.isNaN(parsedStartDate.getTime()) || Number.isNaN(parsedEndDate.getTime())) {
+      return res.status(400).json({ success: false, error: "Invalid startDate or endDate" });
+    }
+    if (diffInDaysUtc(parsedStartDate, parsedEndDate) > MAX_BATCH_RANGE_DAYS) {
+      return res.status(400).json({ success: false, error: `Date range cannot exceed ${MAX_BATCH_RANGE_DAYS} days` });
+    }
+
+    const doctor = await prisma.doctor.findUnique({ where: { id: doctorId }, select: { id: true } });
+    if (!doctor) return res.status(404).json({ success: false, error: "Doctor not found" });
+
+    const matching = await prisma.timeSlot.findMany({
+      where: {
+        doctorId,
+        date: { gte: parsedStartDate, lte: parsedEndDate },
+        ...(startTime && { startTime: { gte: startTime } }),
+        ...(endTime && { endTime: { lte: endTime } }),
+      },
+      select: selectSlotForChange,
+      orderBy: [{ date: "asc" }, { startTime: "asc" }],
+    });
+
+    // Slots that already started are history and are never deleted
+    const nowUtc = await getDatabaseNow(prisma);
+    const slots = matching.filter((slot) => getSlotStartUtc(slot) > nowUtc);
+    const summary = { startDate, endDate, startTime, endTime, matched: matching.length, skippedStarted: matching.length - slots.length };
+
+    if (slots.length === 0) {
+      return res.json({ success: true, message: "No future slots matched", data: { ...summary, deleted: 0, cancelledAppointments: [], notified: 0 } });
+    }
+
+    const withHistory = await findSlotsWithHistory(prisma, slots.map((slot) => slot.id));
+    if (withHistory.size > 0) {
+      return sendSlotHasHistory(res, slots.filter((slot) => withHistory.has(slot.id)), "delete", HISTORY_DELETE_HINT);
+    }
+
+    const heldSeats = await getHeldSeatCounts(redis, nowUtc);
+    const inUse = slots.filter((slot) => isSlotInUse(slot, heldSeats));
+    if (inUse.length > 0 && !force) return sendSlotInUse(res, inUse, "delete", heldSeats);
+
+    const actor = { id: req.user?.id, role: ACTOR_ROLES.ADMIN };
+    const { cancelled } = await removeSlots(slots, { force, actor, reason: reason || "Time slots removed" });
+    const notified = await afterSlotBookingsCancelled(cancelled, notify);
+
+    try {
+      await invalidateDoctorSlotCaches(redis, doctorId);
+    } catch (err) {
+      console.warn("Redis cache invalidation failed:", err.message);
+    }
+
+    return res.json({
+      success: true,
+      message: "Time slots deleted",
+      data: {
+        ...summary,
+        deleted: slots.length,
+        cancelledAppointments: cancelled.map((appt) => appt.id),
+        notified,
+        slots: slots.map((slot) => formatSlot(slot)),
+      },
+    });
+  } catch (e) {
+    if (e?.code === "SLOT_STATE_CHANGED") {
+      return res.status(409).json({ success: false, error: "One or more slots were locked or booked in the meantime; nothing was deleted" });
+    }
+    console.error("bulkDeleteTimeSlots error:", e);
+    return res.status(500).json({ success: false, error: "Internal server error" });
+  }
+};
+
+
 // Fetch available (unbooked & unlocked) slots for a doctor on a given date or date range
 const getAvailableSlots = async (req, res) => {
   try {
     const { doctorId } = req.params;
-    const { date, start, end } = req.query;
+    const { date, start, end, duration } = req.query;
 
     // required path param
     if (!doctorId) {
@@ -552,22 +1498,21 @@ const getAvailableSlots = async (req, res) => {
     }
 
     // validate query params (expects validateSlotsFetchQuery to accept {date, start, end})
-    const { error } = validateSlotsFetchQuery({ date, start, end });
+    const { error } = validateSlotsFetchQuery({ date, start, end, duration });
     if (error) {
       return res.status(400).json({ success: false, error: error.details[0].message });
     }
 
-    // check doctor exists
-    const doctor = await prisma.doctor.findUnique({ where: { id: doctorId }, select: { id: true } });
+    // check doctor exists and is shown to patients
+    const doctor = await prisma.doctor.findFirst({ where: { id: doctorId, isActive: true }, select: { id: true, timezone: true } });
     if (!doctor) {
       return res.status(404).json({ success: false, error: "Doctor not found" });
     }
 
-    // current UTC date/time from DB 
+    // Dates in the query are the doctor's calendar days
     const nowUtc = await getDatabaseNow(prisma);
-    const todayUtc = new Date(Date.UTC(nowUtc.getUTCFullYear(), nowUtc.getUTCMonth(), nowUtc.getUTCDate()));
-    const todayStr = todayUtc.toISOString().split("T")[0];
-    const currentTimeStr = `${String(nowUtc.getUTCHours()).padStart(2, "0")}:${String(nowUtc.getUTCMinutes()).padStart(2, "0")}`;
+    const todayUtc = getZonedToday(nowUtc, doctor.timezone);
+    const displayTimeZone = resolveDisplayTimeZone(req, doctor.timezone);
 
     // determine date range
     let startDate, endDate;
@@ -594,17 +1539,28 @@ const getAvailableSlots = async (req, res) => {
         date: { gte: startDate, lte: endDate },
         status: "AVAILABLE",
       },
-      select: { id: true, doctorId: true, date: true, startTime: true, endTime: true, status: true },
+      select: { id: true, doctorId: true, date: true, startTime: true, endTime: true, startAt: true, endAt: true, status: true, ...selectSeatFields },
       orderBy: [{ date: "asc" }, { startTime: "asc" }],
     });
 
-    // Filter out slots that already started today (only remove today's past slots)
-    const filtered = slots.filter((slot) => {
-      const slotDateStr = slot.date.toISOString().split("T")[0];
-      if (slotDateStr === todayStr) {
-        return slot.startTime > currentTimeStr; // keep only future slots for today
-      }
-      return true; // keep all other days
+    const slotLength = (slot) => parseToMinutes(slot.endTime) - parseToMinutes(slot.startTime);
+
+    // Hide slots on days the doctor is on leave or the clinic is closed
+    const blackouts = await findBlackouts(prisma, { doctorIds: [doctorId], fromDate: startDate, toDate: endDate });
+
+    // Hide slots whose free seats are all held by locks
+    let heldSeats = new Map();
+    try {
+      heldSeats = await getHeldSeatCounts(redis, nowUtc);
+    } catch (err) {
+      console.warn("Redis lock lookup failed:", err.message);
+    }
+
+    // Filter out slots that already started and other lengths if requested
+    const filtered = excludeBlackedOutSlots(slots, blackouts).filter((slot) => {
+      if (getFreeSeats(slot, heldSeats.get(slot.id) || 0) === 0) return false;
+      if (duration && slotLength(slot) !== Number(duration)) return false;
+      return getSlotStartUtc(slot) > nowUtc;
     });
 
     // map to desired response shape (flat array)
@@ -614,7 +1570,10 @@ const getAvailableSlots = async (req, res) => {
       date: slot.date.toISOString().split("T")[0], // YYYY-MM-DD
       startTime: slot.startTime,
       endTime: slot.endTime,
+      ...describeSlotTimes(slot, displayTimeZone),
+      durationMinutes: slotLength(slot),
       status: slot.status,
+      ...describeSeats(slot, heldSeats.get(slot.id) || 0),
     }));
 
     return res.json({
@@ -647,75 +1606,58 @@ const lockTimeSlot = async (req, res) => {
     // Fetch the slot and ensure it belongs to the doctor
     const slot = await prisma.timeSlot.findFirst({
       where: { id: slotId, doctorId },
-      select: { id: true, status: true, lockedBy: true, lockExpires: true },
+      select: { id: true, doctorId: true, date: true, status: true, ...selectSeatFields, doctor: { select: { isActive: true } } },
     });
 
     if (!slot) {
       return res.status(404).json({ success: false, error: "Time slot not found" });
     }
 
-    // Reject if slot is already booked
+    if (!slot.doctor.isActive) return sendDoctorInactive(res);
+
+    // Reject if every seat is already booked
     if (slot.status === "BOOKED") {
       return res.status(409).json({ success: false, error: "Time slot already booked" });
     }
 
-    if (slot.status === "LOCKED") {
-      return res.status(409).json({ success: false, error: "Time slot already locked" });
+    // Reject slots hidden by a doctor or clinic blackout
+    const [blackedOut] = await findBlackedOutSlots(prisma, [slot]);
+    if (blackedOut) {
+      return res.status(409).json({ success: false, error: "Doctor is unavailable on this date" });
     }
 
     const nowUtc = await getDatabaseNow(prisma);
 
-    // Check if slot is currently locked by another user
-    const isLockedByOther =
-      slot.status === "LOCKED" &&
-      slot.lockedBy &&
-      slot.lockedBy !== userId &&
-      slot.lockExpires &&
-      slot.lockExpires > nowUtc;
-
-    if (isLockedByOther) {
-      return res.status(409).json({ success: false, error: "Time slot is temporarily locked" });
-    }
-
-    // Limit active locks per user (e.g., max 3)
-    const activeLocks = await prisma.timeSlot.count({
-      where: { lockedBy: userId, status: "LOCKED", lockExpires: { gt: nowUtc } },
+    // Users restricted from booking may not hold a seat either
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { noShowCount: true, lastNoShowAt: true, strikeCount: true, lastStrikeAt: true },
     });
+    if (hasReachedNoShowLimit(user, nowUtc)) {
+      return res.status(403).json({ success: false, error: "Booking restricted due to repeated no-shows", code: "NO_SHOW_LIMIT" });
+    }
+    if (hasReachedStrikeLimit(user, nowUtc)) {
+      return res.status(403).json({ success: false, error: "Booking restricted due to repeated late cancellations", code: "STRIKE_LIMIT" });
+    }
 
-    if (activeLocks >= 3) {
+    // Limit active locks per user; locking a slot you already hold a seat on keeps that hold
+    const currentLock = await getSlotLock(redis, slotId, userId, nowUtc);
+    if (!currentLock && (await countUserSlotLocks(redis, userId, nowUtc)) >= MAX_ACTIVE_LOCKS) {
       return res.status(429).json({
         success: false,
         error: "Lock limit reached. Complete or release existing locks.",
       });
     }
 
-    // Calculate lock expiration timestamp (5 minutes)
-    const lockDurationMs = 5 * 60 * 1000;
-    const expiresAt = new Date(nowUtc.getTime() + lockDurationMs);
-
-    // Atomic lock attempt
-    const updateResult = await prisma.timeSlot.updateMany({
-      where: {
-        id: slotId,
-        doctorId,
-        OR: [
-          { status: "AVAILABLE" },
-          { lockedBy: userId },
-          { lockExpires: { lt: nowUtc } },
-        ],
-      },
-      data: {
-        status: "LOCKED",
-        lockedBy: userId,
-        lockedAt: nowUtc,       // ✅ Added to store when the lock was created
-        lockExpires: expiresAt,
-      },
-    });
+    // Atomic attempt to hold one of the seats nobody has booked
+    const lock = await acquireSlotLock(redis, { slotId, userId, nowUtc, minutes: LOCK_MINUTES, seats: getFreeSeats(slot) });
 
-    if (updateResult.count !== 1) {
+    if (!lock) {
       return res.status(409).json({
         success: false,
-        error: "Unable to lock slot. It may be locked or booked.",
+        error: getSlotCapacity(slot) > 1
+          ? "Every remaining seat is temporarily held"
+          : "Time slot is temporarily locked",
       });
     }
 
@@ -745,8 +1687,8 @@ const lockTimeSlot = async (req, res) => {
         slotId,
         doctorId,
         lockedBy: userId,
-        lockedAt: nowUtc.toISOString(),   // ✅ Include lockedAt in response
-        expiresAt: expiresAt.toISOString(),
+        lockedAt: lock.lockedAt.toISOString(),
+        expiresAt: lock.expiresAt.toISOString(),
       },
     });
   } catch (e) {
@@ -756,6 +1698,89 @@ const lockTimeSlot = async (req, res) => {
 };
 
 
+const sendLockNotHeld = (res) =>
+  res.status(409).json({ success: false, error: "Slot is not locked by you or lock has expired", code: "LOCK_INVALID" });
+
+// Give back a slot locked by the current user, e.g. when checkout is abandoned; it no longer counts
+// toward the lock limit and is offered to the waitlist
+const releaseSlotLock = async (req, res) => {
+  try {
+    const { doctorId, slotId } = req.params;
+    const userId = req.user?.id;
+
+    const slot = await prisma.timeSlot.findFirst({ where: { id: slotId, doctorId }, select: { id: true } });
+    if (!slot) return res.status(404).json({ success: false, error: "Time slot not found" });
+
+    const nowUtc = await getDatabaseNow(prisma);
+    const released = await releaseUserSlotLock(redis, slotId, userId, nowUtc);
+    if (!released) return sendLockNotHeld(res);
+
+    try {
+      // A slot offered from the waitlist that is handed back goes to the next person waiting
+      await declineWaitlistOffer(prisma, userId, slotId);
+      await offerReleasedSlots(prisma, redis, [slotId], nowUtc);
+    } catch (err) {
+      console.warn("Waitlist offer failed:", err.message);
+    }
+
+    try {
+      await invalidateDoctorSlotCaches(redis, doctorId);
+    } catch (err) {
+      console.warn("Redis cache invalidation failed:", err.message);
+    }
+
+    return res.json({
+      success: true,
+      message: "Slot lock released",
+      data: { slotId, doctorId, releasedAt: nowUtc.toISOString() },
+    });
+  } catch (e) {
+    console.error("releaseSlotLock error:", e);
+    return res.status(500).json({ success: false, error: "Internal server error" });
+  }
+};
+
+// Push the current user's lock out by another few minutes (e.g. while the OTP step is in progress),
+// never past the maximum total hold
+const extendSlotLock = async (req, res) => {
+  try {
+    const { doctorId, slotId } = req.params;
+    const userId = req.user?.id;
+
+    const slot = await prisma.timeSlot.findFirst({ where: { id: slotId, doctorId }, select: { id: true } });
+    if (!slot) return res.status(404).json({ success: false, error: "Time slot not found" });
+
+    const nowUtc = await getDatabaseNow(prisma);
+    const lock = await getSlotLock(redis, slotId, userId, nowUtc);
+    if (!lock) return sendLockNotHeld(res);
+
+    const extension = resolveLockExtension(lock, nowUtc);
+    if (!extension) {
+      return res.status(409).json({ success: false, error: "Lock cannot be extended any further", code: "LOCK_EXTENSION_LIMIT" });
+    }
+
+    // Only extends the lock that was read above, so a concurrent release or re-lock is never overwritten
+    const extended = await renewSlotLock(redis, lock, extension.expiresAt);
+    if (!extended) return sendLockNotHeld(res);
+
+    return res.json({
+      success: true,
+      message: "Slot lock extended",
+      data: {
+        slotId,
+        doctorId,
+        lockedBy: userId,
+        lockedAt: lock.lockedAt.toISOString(),
+        expiresAt: extension.expiresAt.toISOString(),
+        maxExpiresAt: extension.maxExpiresAt.toISOString(),
+      },
+    });
+  } catch (e) {
+    console.error("extendSlotLock error:", e);
+    return res.status(500).json({ success: false, error: "Internal server error" });
+  }
+};
+
 // Fetch a specific time slot by doctor and slot ID, including doctor info
 const getSlotById = async (req, res) => {
   try {
@@ -778,15 +1803,17 @@ const getSlotById = async (req, res) => {
         date: true,
         startTime: true,
         endTime: true,
+        startAt: true,
+        endAt: true,
         status: true,
-        lockExpires: true,
-        lockedBy: true,
+        ...selectSeatFields,
         doctor: {
           select: {
             name: true,
             specialization: true,
             consultationMode: true,
             experience: true,
+            timezone: true,
           },
         },
       },
@@ -800,6 +1827,13 @@ const getSlotById = async (req, res) => {
       });
     }
 
+    // Seat holds come from Redis; the database only knows AVAILABLE or BOOKED
+    const nowUtc = await getDatabaseNow(prisma);
+    const holds = slot.status === "AVAILABLE" ? await getSlotHolds(redis, slot.id, nowUtc) : [];
+    const seats = describeSeats(slot, holds.length);
+    // A single-seat slot names its holder; a group slot only reports how many seats are held
+    const lock = getSlotCapacity(slot) === 1 ? holds[0] : null;
+
     // Prepare response with consistent lockExpires format
     return res.status(200).json({
       success: true,
@@ -810,9 +1844,11 @@ const getSlotById = async (req, res) => {
         date: slot.date.toISOString().split("T")[0],
         startTime: slot.startTime,
         endTime: slot.endTime,
-        status: slot.status,
-        lockExpires: slot.lockExpires ? slot.lockExpires.toISOString() : null,
-        lockedBy: slot.lockedBy,
+        ...describeSlotTimes(slot, resolveDisplayTimeZone(req, slot.doctor.timezone)),
+        status: holds.length > 0 && seats.seatsRemaining === 0 ? "LOCKED" : slot.status,
+        ...seats,
+        lockExpires: lock ? lock.expiresAt.toISOString() : null,
+        lockedBy: lock ? lock.userId : null,
         doctor: slot.doctor,
       },
     });
@@ -829,11 +1865,21 @@ const getSlotById = async (req, res) => {
 
 module.exports = { 
   createDoctor, 
-  listDoctors, 
+  updateDoctor,
+  deactivateDoctor,
+  reactivateDoctor,
+  updateScheduleSettings,
+  listDoctors,
+  suggestDoctors, 
   getDoctorById, 
   createTimeSlot,
   createBatchTimeSlot,
+  updateTimeSlot,
+  deleteTimeSlot,
+  bulkDeleteTimeSlots,
   getAvailableSlots,
   lockTimeSlot,
+  releaseSlotLock,
+  extendSlotLock,
   getSlotById
  };
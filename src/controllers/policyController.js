@@ -0,0 +1,110 @@
+const { PrismaClient } = require('@prisma/client');
+const { validatePolicyUpsert } = require('../utils/validation');
+const { resolvePolicy } = require('../utils/appointmentPolicy');
+
+const prisma = new PrismaClient();
+
+const selectPolicyFields = {
+  id: true,
+  doctorId: true,
+  cancelCutoffHours: true,
+  rescheduleCutoffHours: true,
+  allowLateCancel: true,
+  releaseSlotOnLateCancel: true,
+  maxReschedules: true,
+  lateCancelStrikes: true,
+  updatedAt: true,
+};
+
+// Create or replace the policy for a doctor (doctorId) or the clinic-wide default (null)
+const savePolicy = async (doctorId, data) => {
+  const existing = await prisma.appointmentPolicy.findFirst({ where: { doctorId }, select: { id: true } });
+
+  if (existing) {
+    return prisma.appointmentPolicy.update({ where: { id: existing.id }, data, select: selectPolicyFields });
+  }
+  return prisma.appointmentPolicy.create({ data: { ...data, doctorId }, select: selectPolicyFields });
+};
+
+// Get the clinic-wide default policy
+const getDefaultPolicy = async (req, res) => {
+  try {
+    const policy = await resolvePolicy(prisma, null);
+    return res.json({ success: true, message: 'Policy fetched successfully', data: policy });
+  } catch (e) {
+    console.error('getDefaultPolicy error:', e);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+// Replace the clinic-wide default policy
+const updateDefaultPolicy = async (req, res) => {
+  try {
+    const { error, value } = validatePolicyUpsert(req.body);
+    if (error) return res.status(400).json({ success: false, error: error.details[0].message });
+
+    const policy = await savePolicy(null, value);
+    return res.json({ success: true, message: 'Default policy saved successfully', data: policy });
+  } catch (e) {
+    console.error('updateDefaultPolicy error:', e);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+// Get the policy that applies to a doctor (override or inherited default)
+const getDoctorPolicy = async (req, res) => {
+  try {
+    const { doctorId } = req.params;
+
+    const doctor = await prisma.doctor.findUnique({ where: { id: doctorId }, select: { id: true } });
+    if (!doctor) return res.status(404).json({ success: false, error: 'Doctor not found' });
+
+    const policy = await resolvePolicy(prisma, doctorId);
+    return res.json({ success: true, message: 'Policy fetched successfully', data: { doctorId, ...policy } });
+  } catch (e) {
+    console.error('getDoctorPolicy error:', e);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+// Set a per-doctor policy override
+const updateDoctorPolicy = async (req, res) => {
+  try {
+    const { doctorId } = req.params;
+
+    const { error, value } = validatePolicyUpsert(req.body);
+    if (error) return res.status(400).json({ success: false, error: error.details[0].message });
+
+    const doctor = await prisma.doctor.findUnique({ where: { id: doctorId }, select: { id: true } });
+    if (!doctor) return res.status(404).json({ success: false, error: 'Doctor not found' });
+
+    const policy = await savePolicy(doctorId, value);
+    return res.json({ success: true, message: 'Doctor policy saved successfully', data: policy });
+  } catch (e) {
+    console.error('updateDoctorPolicy error:', e);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+// Remove a per-doctor override so the doctor falls back to the default policy
+const deleteDoctorPolicy = async (req, res) => {
+  try {
+    const { doctorId } = req.params;
+
+    const result = await prisma.appointmentPolicy.deleteMany({ where: { doctorId } });
+    if (result.count === 0) return res.status(404).json({ success: false, error: 'No policy override for this doctor' });
+
+    return res.json({ success: true, message: 'Doctor policy override removed', data: { doctorId } });
+  } catch (e) {
+    console.error('deleteDoctorPolicy error:', e);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getDefaultPolicy,
+  updateDefaultPolicy,
+  getDoctorPolicy,
+  updateDoctorPolicy,
+  deleteDoctorPolicy,
+};
@@ -0,0 +1,196 @@
+const { PrismaClient } = require('@prisma/client');
+const {
+  validateReviewCreate,
+  validateReviewListQuery,
+  validateReviewModerationQuery,
+  validateReviewModeration,
+} = require('../utils/validation');
+const { getDatabaseNow } = require('../utils/time');
+const { invalidateDoctorSlotCaches } = require('../utils/timeSlotHelpers');
+const {
+  REVIEW_STATUS,
+  selectReviewFields,
+  selectModeratedReviewFields,
+  formatReview,
+  refreshDoctorRating,
+} = require('../utils/reviews');
+const redis = require('../lib/redisClient');
+
+const prisma = new PrismaClient();
+
+// The doctor's rating shows up in the cached doctor list and profile
+const refreshRatingAndCaches = async (doctorId) => {
+  const rating = await refreshDoctorRating(prisma, doctorId);
+
+  try {
+    await invalidateDoctorSlotCaches(redis, doctorId);
+  } catch (err) {
+    console.warn('Redis cache invalidation failed:', err.message);
+  }
+
+  return rating;
+};
+
+const buildPagination = (total, page, limit) => ({ total, page, limit, hasMore: page * limit < total });
+
+// Review a COMPLETED appointment of the current user; one review per appointment
+const createReview = async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    const { id } = req.params;
+
+    const { error, value } = validateReviewCreate(req.body);
+    if (error) return res.status(400).json({ success: false, error: error.details[0].message });
+
+    const appt = await prisma.appointment.findFirst({
+      where: { id, userId },
+      select: { id: true, doctorId: true, status: true, review: { select: { id: true } } },
+    });
+    if (!appt) return res.status(404).json({ success: false, error: 'Appointment not found' });
+
+    if (appt.status !== 'COMPLETED') {
+      return res.status(409).json({ success: false, error: 'Only completed appointments can be reviewed', code: 'APPOINTMENT_NOT_COMPLETED' });
+    }
+    if (appt.review) {
+      return res.status(409).json({ success: false, error: 'This appointment has already been reviewed', code: 'REVIEW_EXISTS' });
+    }
+
+    const review = await prisma.review.create({
+      data: { appointmentId: appt.id, userId, doctorId: appt.doctorId, rating: value.rating, text: value.text || null },
+      select: selectReviewFields,
+    });
+
+    const rating = await refreshRatingAndCaches(appt.doctorId);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Review submitted',
+      data: { review: formatReview(review), doctorRating: rating },
+    });
+  } catch (e) {
+    // Two submissions for the same appointment at once
+    if (e?.code === 'P2002') {
+      return res.status(409).json({ success: false, error: 'This appointment has already been reviewed', code: 'REVIEW_EXISTS' });
+    }
+    console.error('createReview error:', e);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+// Visible reviews of an active doctor, newest first
+const listDoctorReviews = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error, value } = validateReviewListQuery(req.query);
+    if (error) return res.status(400).json({ success: false, error: error.details[0].message });
+
+    const { page, limit } = value;
+
+    const doctor = await prisma.doctor.findFirst({
+      where: { id, isActive: true },
+      select: { id: true, ratingAverage: true, ratingCount: true },
+    });
+    if (!doctor) return res.status(404).json({ success: false, error: 'Doctor not found' });
+
+    const where = { doctorId: id, status: REVIEW_STATUS.VISIBLE };
+    const [total, reviews] = await Promise.all([
+      prisma.review.count({ where }),
+      prisma.review.findMany({
+        where,
+        select: selectReviewFields,
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+    ]);
+
+    return res.json({
+      success: true,
+      message: reviews.length > 0 ? 'Reviews fetched successfully' : 'No reviews found',
+      data: reviews.map(formatReview),
+      rating: { average: doctor.ratingAverage, count: doctor.ratingCount },
+      pagination: buildPagination(total, page, limit),
+    });
+  } catch (e) {
+    console.error('listDoctorReviews error:', e);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+// Moderation queue: every review, optionally by doctor, status or flag
+const listReviews = async (req, res) => {
+  try {
+    const { error, value } = validateReviewModerationQuery(req.query);
+    if (error) return res.status(400).json({ success: false, error: error.details[0].message });
+
+    const { doctorId, status, flagged, page, limit } = value;
+    const where = {};
+    if (doctorId) where.doctorId = doctorId;
+    if (status) where.status = status;
+    if (flagged !== undefined) where.flagged = flagged;
+
+    const [total, reviews] = await Promise.all([
+      prisma.review.count({ where }),
+      prisma.review.findMany({
+        where,
+        select: selectModeratedReviewFields,
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+    ]);
+
+    return res.json({
+      success: true,
+      message: reviews.length > 0 ? 'Reviews fetched successfully' : 'No reviews found',
+      data: reviews.map(formatReview),
+      pagination: buildPagination(total, page, limit),
+    });
+  } catch (e) {
+    console.error('listReviews error:', e);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+// Hide or show a review and set or clear its flag; hiding or showing updates the doctor's rating
+const moderateReview = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error, value } = validateReviewModeration(req.body);
+    if (error) return res.status(400).json({ success: false, error: error.details[0].message });
+
+    const review = await prisma.review.findUnique({ where: { id }, select: { id: true, doctorId: true, status: true } });
+    if (!review) return res.status(404).json({ success: false, error: 'Review not found' });
+
+    const data = {
+      moderatedBy: req.user?.id || null,
+      moderatedAt: await getDatabaseNow(prisma),
+    };
+    if (value.hidden !== undefined) data.status = value.hidden ? REVIEW_STATUS.HIDDEN : REVIEW_STATUS.VISIBLE;
+    if (value.flagged !== undefined) data.flagged = value.flagged;
+    if (value.reason !== undefined) data.moderationReason = value.reason || null;
+
+    const updated = await prisma.review.update({ where: { id }, data, select: selectModeratedReviewFields });
+
+    const statusChanged = data.status !== undefined && data.status !== review.status;
+    const rating = statusChanged ? await refreshRatingAndCaches(review.doctorId) : null;
+
+    return res.json({
+      success: true,
+      message: 'Review moderated',
+      data: { review: formatReview(updated), ...(rating && { doctorRating: rating }) },
+    });
+  } catch (e) {
+    console.error('moderateReview error:', e);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  createReview,
+  listDoctorReviews,
+  listReviews,
+  moderateReview,
+};
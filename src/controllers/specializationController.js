@@ -0,0 +1,181 @@
+const { PrismaClient } = require('@prisma/client');
+const { validateSpecializationCreate, validateSpecializationUpdate } = require('../utils/validation');
+const { invalidateDoctorSlotCaches } = require('../utils/timeSlotHelpers');
+const { invalidateSuggestionCache } = require('../utils/doctorSearch');
+const {
+  SPECIALIZATION_CACHE_KEY,
+  SPECIALIZATION_CACHE_TTL,
+  selectSpecializationFields,
+  slugify,
+  normalizeSynonyms,
+  findSlugConflicts,
+  countDoctorsBySpecialization,
+  formatSpecialization,
+  invalidateSpecializationCache,
+} = require('../utils/specializations');
+const redis = require('../lib/redisClient');
+
+const prisma = new PrismaClient();
+
+// Doctor lists and search suggestions show specialization names, so a catalog change clears them too
+const invalidateCatalogCaches = async () => {
+  try {
+    await invalidateSpecializationCache(redis);
+    await invalidateSuggestionCache(redis);
+    await invalidateDoctorSlotCaches(redis);
+  } catch (err) {
+    console.warn('Redis cache invalidation failed:', err.message);
+  }
+};
+
+const sendSlugConflict = (res, conflicts) =>
+  res.status(409).json({
+    success: false,
+    error: `Already used by another specialization: ${conflicts.join(', ')}`,
+    code: 'SPECIALIZATION_EXISTS',
+    data: conflicts,
+  });
+
+// Every catalog entry with the number of active doctors listed under it, by name
+const listSpecializations = async (req, res) => {
+  try {
+    try {
+      const cached = await redis.get(SPECIALIZATION_CACHE_KEY);
+      if (cached) return res.json(typeof cached === 'string' ? JSON.parse(cached) : cached);
+    } catch (err) {
+      console.warn('Redis GET failed, continuing without cache:', err.message);
+    }
+
+    const [entries, doctors] = await Promise.all([
+      prisma.specialization.findMany({ select: selectSpecializationFields, orderBy: { name: 'asc' } }),
+      prisma.doctor.findMany({ where: { isActive: true }, select: { specializationIds: true } }),
+    ]);
+    const counts = countDoctorsBySpecialization(doctors);
+
+    const response = {
+      success: true,
+      message: entries.length > 0 ? 'Specializations fetched successfully' : 'No specializations found',
+      data: entries.map((entry) => formatSpecialization(entry, counts)),
+    };
+
+    try {
+      await redis.set(SPECIALIZATION_CACHE_KEY, JSON.stringify(response), { ex: SPECIALIZATION_CACHE_TTL });
+    } catch (err) {
+      console.warn('Redis SET failed:', err.message);
+    }
+
+    return res.json(response);
+  } catch (e) {
+    console.error('listSpecializations error:', e);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+// Add a catalog entry; its slug and synonyms may not match any other entry's
+const createSpecialization = async (req, res) => {
+  try {
+    const { error, value } = validateSpecializationCreate(req.body);
+    if (error) return res.status(400).json({ success: false, error: error.details[0].message });
+
+    const slug = value.slug || slugify(value.name);
+    if (!slug) return res.status(400).json({ success: false, error: 'name must contain letters or digits' });
+
+    const synonyms = normalizeSynonyms(value.synonyms, slug);
+    const conflicts = await findSlugConflicts(prisma, [slug, ...synonyms]);
+    if (conflicts.length > 0) return sendSlugConflict(res, conflicts);
+
+    const entry = await prisma.specialization.create({
+      data: { slug, name: value.name, synonyms },
+      select: selectSpecializationFields,
+    });
+
+    await invalidateCatalogCaches();
+
+    return res.status(201).json({ success: true, message: 'Specialization created', data: { specialization: formatSpecialization(entry) } });
+  } catch (e) {
+    if (e?.code === 'P2002') return sendSlugConflict(res, [slugify(req.body?.slug || req.body?.name)]);
+
+    console.error('createSpecialization error:', e);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+// Rename an entry or change its slug or synonyms. Doctors showing the old name as their
+// primary specialization show the new one.
+const updateSpecialization = async (req, res) => {
+  try {
+    const { error, value } = validateSpecializationUpdate(req.body);
+    if (error) return res.status(400).json({ success: false, error: error.details[0].message });
+
+    const existing = await prisma.specialization.findUnique({ where: { slug: req.params.slug }, select: selectSpecializationFields });
+    if (!existing) return res.status(404).json({ success: false, error: 'Specialization not found' });
+
+    const slug = value.slug || existing.slug;
+    const synonyms = normalizeSynonyms(value.synonyms || existing.synonyms, slug);
+    const conflicts = await findSlugConflicts(prisma, [slug, ...synonyms], existing.id);
+    if (conflicts.length > 0) return sendSlugConflict(res, conflicts);
+
+    const name = value.name || existing.name;
+    const entry = await prisma.$transaction(async (tx) => {
+      const updated = await tx.specialization.update({
+        where: { id: existing.id },
+        data: { slug, name, synonyms },
+        select: selectSpecializationFields,
+      });
+
+      if (name !== existing.name) {
+        await tx.doctor.updateMany({
+          where: { specializationIds: { has: existing.id }, specialization: existing.name },
+          data: { specialization: name },
+        });
+      }
+
+      return updated;
+    });
+
+    await invalidateCatalogCaches();
+
+    return res.json({ success: true, message: 'Specialization updated', data: { specialization: formatSpecialization(entry) } });
+  } catch (e) {
+    if (e?.code === 'P2002') return sendSlugConflict(res, [req.body?.slug]);
+
+    console.error('updateSpecialization error:', e);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+// Remove an entry nobody is listed under; doctors have to be moved to other entries first
+const deleteSpecialization = async (req, res) => {
+  try {
+    const existing = await prisma.specialization.findUnique({
+      where: { slug: req.params.slug },
+      select: { id: true, doctorIds: true },
+    });
+    if (!existing) return res.status(404).json({ success: false, error: 'Specialization not found' });
+
+    if (existing.doctorIds.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Doctors are still listed under this specialization',
+        code: 'SPECIALIZATION_IN_USE',
+        data: { doctorCount: existing.doctorIds.length },
+      });
+    }
+
+    await prisma.specialization.delete({ where: { id: existing.id } });
+
+    await invalidateCatalogCaches();
+
+    return res.json({ success: true, message: 'Specialization deleted' });
+  } catch (e) {
+    console.error('deleteSpecialization error:', e);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  listSpecializations,
+  createSpecialization,
+  updateSpecialization,
+  deleteSpecialization,
+};
@@ -0,0 +1,184 @@
+const { PrismaClient } = require('@prisma/client');
+const { validateWaitlistJoin } = require('../utils/validation');
+const { getDatabaseNow, getZonedToday } = require('../utils/time');
+const { parseDateUtc, formatDateYmd } = require('../utils/timeSlotHelpers');
+const {
+  WAITLIST_STATUS,
+  ACTIVE_WAITLIST_STATUSES,
+  getWaitlistPosition,
+  offerReleasedSlots,
+} = require('../utils/waitlist');
+const { releaseUserSlotLock } = require('../utils/slotLocks');
+const redis = require('../lib/redisClient');
+
+const prisma = new PrismaClient();
+
+const selectWaitlistFields = {
+  id: true,
+  userId: true,
+  doctorId: true,
+  fromDate: true,
+  toDate: true,
+  consultationMode: true,
+  status: true,
+  offeredSlotId: true,
+  offerExpires: true,
+  createdAt: true,
+};
+
+const formatWaitlistEntry = (entry, position) => ({
+  id: entry.id,
+  doctorId: entry.doctorId,
+  fromDate: entry.fromDate ? formatDateYmd(entry.fromDate) : null,
+  toDate: entry.toDate ? formatDateYmd(entry.toDate) : null,
+  consultationMode: entry.consultationMode,
+  status: entry.status,
+  position,
+  offeredSlotId: entry.offeredSlotId,
+  offerExpires: entry.offerExpires ? entry.offerExpires.toISOString() : null,
+  createdAt: entry.createdAt,
+});
+
+// Join the waitlist for a fully booked doctor
+const joinWaitlist = async (req, res) => {
+  try {
+    const { doctorId } = req.params;
+    const userId = req.user?.id;
+
+    const { error, value } = validateWaitlistJoin(req.body || {});
+    if (error) return res.status(400).json({ success: false, error: error.details[0].message });
+
+    const { fromDate, toDate, consultationMode } = value;
+
+    const doctor = await prisma.doctor.findUnique({ where: { id: doctorId }, select: { id: true, consultationMode: true, timezone: true, isActive: true } });
+    if (!doctor) return res.status(404).json({ success: false, error: 'Doctor not found' });
+    if (!doctor.isActive) {
+      return res.status(409).json({ success: false, error: 'Doctor is not accepting bookings', code: 'DOCTOR_INACTIVE' });
+    }
+
+    // Requested mode must be one the doctor actually offers
+    if (consultationMode && doctor.consultationMode !== 'both' && doctor.consultationMode !== consultationMode) {
+      return res.status(400).json({ success: false, error: `Doctor does not offer ${consultationMode} consultations` });
+    }
+
+    // Dates are the doctor's calendar days
+    if (toDate && parseDateUtc(toDate) < getZonedToday(await getDatabaseNow(prisma), doctor.timezone)) {
+      return res.status(400).json({ success: false, error: 'toDate cannot be in the past' });
+    }
+
+    // One active entry per user per doctor
+    const existing = await prisma.waitlistEntry.findFirst({
+      where: { userId, doctorId, status: { in: ACTIVE_WAITLIST_STATUSES } },
+      select: { id: true },
+    });
+    if (existing) {
+      return res.status(409).json({ success: false, error: 'You are already on the waitlist for this doctor' });
+    }
+
+    const entry = await prisma.waitlistEntry.create({
+      data: {
+        userId,
+        doctorId,
+        fromDate: fromDate ? parseDateUtc(fromDate) : null,
+        toDate: toDate ? parseDateUtc(toDate) : null,
+        consultationMode: consultationMode || null,
+      },
+      select: selectWaitlistFields,
+    });
+
+    const position = await getWaitlistPosition(prisma, entry);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Joined waitlist successfully',
+      data: formatWaitlistEntry(entry, position),
+    });
+  } catch (e) {
+    console.error('joinWaitlist error:', e);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+// Leave the waitlist; an outstanding offer is released and passed to the next user
+const leaveWaitlist = async (req, res) => {
+  try {
+    const { doctorId } = req.params;
+    const userId = req.user?.id;
+
+    const entry = await prisma.waitlistEntry.findFirst({
+      where: { userId, doctorId, status: { in: ACTIVE_WAITLIST_STATUSES } },
+      select: { id: true, status: true, offeredSlotId: true },
+    });
+    if (!entry) return res.status(404).json({ success: false, error: 'Waitlist entry not found' });
+
+    await prisma.waitlistEntry.update({
+      where: { id: entry.id },
+      data: { status: WAITLIST_STATUS.CANCELLED },
+    });
+
+    let slotReleased = false;
+    if (entry.status === WAITLIST_STATUS.OFFERED && entry.offeredSlotId) {
+      const nowUtc = await getDatabaseNow(prisma);
+      slotReleased = Boolean(await releaseUserSlotLock(redis, entry.offeredSlotId, userId, nowUtc));
+
+      if (slotReleased) {
+        try {
+          await offerReleasedSlots(prisma, redis, [entry.offeredSlotId], nowUtc);
+        } catch (err) {
+          console.warn('Waitlist offer failed:', err.message);
+        }
+      }
+    }
+
+    return res.json({
+      success: true,
+      message: 'Left waitlist successfully',
+      data: { id: entry.id, status: WAITLIST_STATUS.CANCELLED, slotReleased },
+    });
+  } catch (e) {
+    console.error('leaveWaitlist error:', e);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+// List the current user's waitlist entries for a doctor with queue position
+const listWaitlist = async (req, res) => {
+  try {
+    const { doctorId } = req.params;
+    const userId = req.user?.id;
+
+    const doctor = await prisma.doctor.findUnique({ where: { id: doctorId }, select: { id: true } });
+    if (!doctor) return res.status(404).json({ success: false, error: 'Doctor not found' });
+
+    const entries = await prisma.waitlistEntry.findMany({
+      where: { userId, doctorId },
+      select: selectWaitlistFields,
+      orderBy: { createdAt: 'desc' },
+    });
+
+    const waitingCount = await prisma.waitlistEntry.count({
+      where: { doctorId, status: WAITLIST_STATUS.WAITING },
+    });
+
+    const data = [];
+    for (const entry of entries) {
+      const position = await getWaitlistPosition(prisma, entry);
+      data.push(formatWaitlistEntry(entry, position));
+    }
+
+    return res.json({
+      success: true,
+      message: data.length > 0 ? 'Waitlist entries fetched successfully' : 'No waitlist entries',
+      data: { waitingCount, entries: data },
+    });
+  } catch (e) {
+    console.error('listWaitlist error:', e);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  joinWaitlist,
+  leaveWaitlist,
+  listWaitlist,
+};
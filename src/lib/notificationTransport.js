@@ -0,0 +1,100 @@
+// notificationTransport.js
+// Every transport exposes `name` and `send({ to: { name, email, phone }, subject, text })`
+const fs = require('fs/promises');
+const path = require('path');
+
+// Local development: print the message
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async ({ to, subject, text }) => {
+    console.log(`[NOTIFY] to=${to.email || to.phone} subject="${subject}"\n${text}`);
+  },
+});
+
+// Local development: append one JSON line per message
+const createFileTransport = () => {
+  const filePath = path.resolve(process.env.NOTIFICATION_FILE || 'notifications.log');
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.appendFile(filePath, `${JSON.stringify({ ...message, loggedAt: new Date().toISOString() })}\n`);
+    },
+  };
+};
+
+// Production e-mail
+const createSmtpTransport = () => {
+  const nodemailer = require('nodemailer');
+  const { SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, SMTP_FROM } = process.env;
+
+  if (!SMTP_HOST || !SMTP_FROM) {
+    console.error("❌ Missing SMTP_HOST / SMTP_FROM environment variables");
+  }
+
+  const mailer = nodemailer.createTransport({
+    host: SMTP_HOST,
+    port: Number(SMTP_PORT) || 587,
+    secure: SMTP_SECURE === 'true',
+    auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    send: async ({ to, subject, text }) => {
+      if (!to.email) throw new Error('Recipient has no email address');
+      await mailer.sendMail({ from: SMTP_FROM, to: to.email, subject, text });
+    },
+  };
+};
+
+// Production SMS through the Twilio REST API
+const createSmsTransport = () => {
+  const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM_NUMBER } = process.env;
+
+  if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_FROM_NUMBER) {
+    console.error("❌ Missing Twilio environment variables");
+  }
+
+  const url = `https://api.twilio.com/2010-04-01/Accounts/${TWILIO_ACCOUNT_SID}/Messages.json`;
+  const authorization = `Basic ${Buffer.from(`${TWILIO_ACCOUNT_SID}:${TWILIO_AUTH_TOKEN}`).toString('base64')}`;
+
+  return {
+    name: 'sms',
+    send: async ({ to, text }) => {
+      if (!to.phone) throw new Error('Recipient has no phone number');
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { Authorization: authorization, 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ To: to.phone, From: TWILIO_FROM_NUMBER, Body: text }),
+      });
+      if (!response.ok) throw new Error(`SMS provider responded with ${response.status}`);
+    },
+  };
+};
+
+const TRANSPORT_FACTORIES = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+  smtp: createSmtpTransport,
+  sms: createSmsTransport,
+};
+
+// Transport chosen by NOTIFICATION_TRANSPORT. Without one, development prints to the console; production
+// returns null so callers skip sending instead of reporting a delivery that only reached the server log.
+const createTransport = (name = process.env.NOTIFICATION_TRANSPORT) => {
+  if (!name) {
+    if (process.env.NODE_ENV !== 'production') return createConsoleTransport();
+
+    console.warn('NOTIFICATION_TRANSPORT is not set; notifications are not sent');
+    return null;
+  }
+
+  const factory = TRANSPORT_FACTORIES[name];
+  if (!factory) throw new Error(`Unknown notification transport: ${name}`);
+  return factory();
+};
+
+module.exports = { createTransport };
@@ -14,7 +14,7 @@ const auth = async (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     const user = await prisma.user.findUnique({
       where: { id: decoded.userId },
-      select: { id: true, email: true, name: true, phone: true }
+      select: { id: true, email: true, name: true, phone: true, timezone: true }
     });
 
     if (!user) {
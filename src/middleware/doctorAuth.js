@@ -0,0 +1,40 @@
+// doctorAuth.js
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+// Allows admins, or the user account an admin linked to the doctor (Doctor.userId).
+// Doctor emails are public and registration does not prove ownership, so emails are never trusted here.
+const doctorAuth = async (req, res, next) => {
+  try {
+    // req.user should already be set by auth middleware
+    if (!req.user) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    const doctorId = req.params.doctorId || req.params.id;
+
+    const [user, doctor] = await Promise.all([
+      prisma.user.findUnique({ where: { id: req.user.id }, select: { id: true, role: true } }),
+      prisma.doctor.findUnique({ where: { id: doctorId }, select: { id: true, userId: true } }),
+    ]);
+
+    if (!doctor) {
+      return res.status(404).json({ success: false, error: 'Doctor not found' });
+    }
+
+    const isAdmin = user?.role?.toLowerCase() === 'admin';
+    const isSelf = Boolean(user?.id) && doctor.userId === user.id;
+
+    if (!isAdmin && !isSelf) {
+      return res.status(403).json({ success: false, error: 'Forbidden. Admins or this doctor only.' });
+    }
+
+    req.isAdmin = isAdmin;
+    next();
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ success: false, error: 'Server error.' });
+  }
+};
+
+module.exports = doctorAuth;
@@ -0,0 +1,16 @@
+const { isValidTimeZone } = require('../utils/time');
+
+// Optional X-Timezone header (IANA name); slot times in responses are rendered in it
+const timezone = (req, res, next) => {
+  const requested = req.header('X-Timezone');
+  if (!requested) return next();
+
+  if (!isValidTimeZone(requested)) {
+    return res.status(400).json({ success: false, error: 'Invalid X-Timezone header. Use an IANA timezone such as Asia/Kolkata' });
+  }
+
+  req.timeZone = requested;
+  next();
+};
+
+module.exports = timezone;
@@ -1,30 +1,54 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
-const { confirmBooking, listAppointments, getAppointmentById, updateAppointmentStatus, rescheduleAppointment, cancelAppointment, confirmReschedule } = require('../controllers/appointmentController');
+const { confirmBooking, listAppointments, getAppointmentById, updateAppointmentStatus, checkInAppointment, getAppointmentHistory, rescheduleAppointment, cancelAppointment, confirmReschedule } = require('../controllers/appointmentController');
+const { lockAppointmentSeries, confirmAppointmentSeries } = require('../controllers/appointmentSeriesController');
+const { getCalendarFeed, rotateCalendarToken } = require('../controllers/calendarController');
+const { createReview } = require('../controllers/reviewController');
 const adminAuth = require('../middleware/adminAuth');
 
 // Protected: confirm booking
 router.post('/confirm', auth, confirmBooking);
 
+// Protected: lock all slots of a recurring series
+router.post('/series/lock', auth, lockAppointmentSeries);
+
+// Protected: confirm a locked recurring series
+router.post('/series/confirm', auth, confirmAppointmentSeries);
+
+// Public: iCalendar feed, authorized by the secret token in the URL
+router.get('/calendar/:token.ics', getCalendarFeed);
+
+// Protected: rotate the calendar feed token (invalidates the old feed URL)
+router.post('/calendar/token', auth, rotateCalendarToken);
+
 // Protected: list appointments for current user
 router.get('/', auth, listAppointments);
 
 // Protected: get appointment details
 router.get('/:id', auth, getAppointmentById);
 
+// Protected: get appointment status history (owner or admin)
+router.get('/:id/history', auth, getAppointmentHistory);
+
 // Protected: update appointment status
 router.put('/:id/status', auth, adminAuth, updateAppointmentStatus);
 
-// Protected: reschedule appointment (>24h only)
+// Protected: check a patient in for their visit (front desk)
+router.put('/:id/check-in', auth, adminAuth, checkInAppointment);
+
+// Protected: reschedule appointment (subject to policy), optionally with following series occurrences
 router.put('/:id/reschedule', auth, rescheduleAppointment);
 
 // Protected: confirm reschedule (finalize new slot and release old)
 router.post('/reschedule/confirm', auth, confirmReschedule);
 
-// Protected: cancel appointment (>24h only)
+// Protected: cancel appointment (subject to policy), optionally with following series occurrences
 router.put('/:id/cancel', auth, cancelAppointment);
 
+// Protected: review a completed appointment (once per appointment)
+router.post('/:id/review', auth, createReview);
+
 module.exports = router;
 
 
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { register, login, generateOTPForUser, verifyOTP, getProfile, logout, refresh } = require('../controllers/authController');
+const { register, login, generateOTPForUser, verifyOTP, getProfile, updateProfile, logout, refresh } = require('../controllers/authController');
 const auth = require('../middleware/auth');
 
 router.post('/register', register);
@@ -10,6 +10,7 @@ router.post('/verify-otp', verifyOTP);
 router.post('/logout', logout);
 router.post('/refresh', refresh);
 router.get('/me', auth, getProfile);
+router.patch('/profile', auth, updateProfile);
 
 module.exports = router;
 
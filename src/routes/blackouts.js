@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { listBlackouts, createBlackout, deleteBlackout, getBlackoutAppointments, resolveBlackoutAppointments } = require('../controllers/blackoutController');
+const adminAuth = require('../middleware/adminAuth');
+
+// Protected: List doctor leave and clinic closures
+router.get('/', auth, adminAuth, listBlackouts);
+
+// Protected: Create a blackout for a doctor (doctorId) or the whole clinic (no doctorId)
+router.post('/', auth, adminAuth, createBlackout);
+
+// Protected: Lift a blackout
+router.delete('/:id', auth, adminAuth, deleteBlackout);
+
+// Protected: Booked appointments that fall inside a blackout
+router.get('/:id/appointments', auth, adminAuth, getBlackoutAppointments);
+
+// Protected: Bulk cancel or reschedule the affected appointments and notify the patients
+router.post('/:id/appointments/resolve', auth, adminAuth, resolveBlackoutAppointments);
+
+module.exports = router;
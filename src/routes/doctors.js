@@ -1,33 +1,92 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
-const { createDoctor, listDoctors, getDoctorById, createTimeSlot, createBatchTimeSlot, getAvailableSlots, lockTimeSlot, getSlotById } = require('../controllers/doctorController');
+const { createDoctor, updateDoctor, deactivateDoctor, reactivateDoctor, updateScheduleSettings, listDoctors, suggestDoctors, getDoctorById, createTimeSlot, createBatchTimeSlot, updateTimeSlot, deleteTimeSlot, bulkDeleteTimeSlots, getAvailableSlots, lockTimeSlot, releaseSlotLock, extendSlotLock, getSlotById } = require('../controllers/doctorController');
+const { joinWaitlist, leaveWaitlist, listWaitlist } = require('../controllers/waitlistController');
+const { listDoctorAppointments } = require('../controllers/appointmentController');
+const { getAvailabilityTemplate, saveAvailabilityTemplate, deleteAvailabilityTemplate } = require('../controllers/availabilityController');
+const { listDoctorReviews } = require('../controllers/reviewController');
 const adminAuth = require('../middleware/adminAuth');
+const doctorAuth = require('../middleware/doctorAuth');
 
 // Public: Get all doctors based on filters
 router.get('/', listDoctors);
 
+// Public: Type-ahead suggestions of doctor names and specializations
+router.get('/suggest', suggestDoctors);
+
 // Public: Get a single doctor by id
 router.get('/:id', getDoctorById);
 
+// Public: Paginated reviews of a doctor, newest first
+router.get('/:id/reviews', listDoctorReviews);
+
 // Protected: Create a doctor
 router.post('/', auth, adminAuth, createDoctor);
 
+// Protected: Update a doctor's profile
+router.patch('/:id', auth, adminAuth, updateDoctor);
+
+// Protected: Deactivate a doctor and remove their future slots (force=true cancels their bookings)
+router.delete('/:id', auth, adminAuth, deactivateDoctor);
+
+// Protected: Reactivate a doctor and regenerate their template slots
+router.post('/:id/reactivate', auth, adminAuth, reactivateDoctor);
+
+// Protected: Update slot length, buffer and breaks used when generating slots
+router.put('/:doctorId/schedule-settings', auth, adminAuth, updateScheduleSettings);
+
+// Protected: Weekly availability template (admin or the doctor themself)
+router.get('/:doctorId/availability-template', auth, doctorAuth, getAvailabilityTemplate);
+
+// Protected: Create or replace the availability template and regenerate unbooked future slots
+router.put('/:doctorId/availability-template', auth, adminAuth, saveAvailabilityTemplate);
+
+// Protected: Delete the availability template and its unbooked future slots
+router.delete('/:doctorId/availability-template', auth, adminAuth, deleteAvailabilityTemplate);
+
 // Protected: Create a time slot for a doctor
 router.post('/:doctorId/slots', auth, adminAuth, createTimeSlot);
 
 // Protected: Create batch weekly time slots for a doctor
 router.post('/:doctorId/slots/batch', auth, adminAuth, createBatchTimeSlot);
 
+// Protected: Delete future slots in a date range / daily time window (force=true cancels their bookings)
+router.delete('/:doctorId/slots', auth, adminAuth, bulkDeleteTimeSlots);
+
+// Protected: Move a future slot to another date or start time
+router.patch('/:doctorId/slots/:slotId', auth, adminAuth, updateTimeSlot);
+
+// Protected: Delete a future slot (force=true cancels its booking)
+router.delete('/:doctorId/slots/:slotId', auth, adminAuth, deleteTimeSlot);
+
 // Public: Get available slots for a doctor for a given date
 router.get('/:doctorId/slots', getAvailableSlots);
 
 // Protected: Lock a specific slot for 5 minutes
 router.post('/:doctorId/slots/:slotId/lock', auth, lockTimeSlot);
 
+// Protected: Release the current user's lock on a slot
+router.delete('/:doctorId/slots/:slotId/lock', auth, releaseSlotLock);
+
+// Protected: Extend the current user's lock by 5 minutes, up to 15 minutes in total
+router.post('/:doctorId/slots/:slotId/lock/extend', auth, extendSlotLock);
+
 // Public: Get a specific slot by ID
 router.get('/:doctorId/slots/:slotId', getSlotById);
 
+// Protected: Doctor's appointment schedule grouped by day (admin or the doctor themself)
+router.get('/:doctorId/appointments', auth, doctorAuth, listDoctorAppointments);
+
+// Protected: Join the waitlist for a doctor
+router.post('/:doctorId/waitlist', auth, joinWaitlist);
+
+// Protected: Leave the waitlist for a doctor
+router.delete('/:doctorId/waitlist', auth, leaveWaitlist);
+
+// Protected: List current user's waitlist entries for a doctor
+router.get('/:doctorId/waitlist', auth, listWaitlist);
+
 module.exports = router;
 
 
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { getDefaultPolicy, updateDefaultPolicy, getDoctorPolicy, updateDoctorPolicy, deleteDoctorPolicy } = require('../controllers/policyController');
+const adminAuth = require('../middleware/adminAuth');
+
+// Public: Get the clinic-wide cancellation/reschedule policy
+router.get('/', getDefaultPolicy);
+
+// Protected: Replace the clinic-wide policy
+router.put('/', auth, adminAuth, updateDefaultPolicy);
+
+// Public: Get the policy that applies to a doctor
+router.get('/doctors/:doctorId', getDoctorPolicy);
+
+// Protected: Set a per-doctor policy override
+router.put('/doctors/:doctorId', auth, adminAuth, updateDoctorPolicy);
+
+// Protected: Remove a per-doctor policy override
+router.delete('/doctors/:doctorId', auth, adminAuth, deleteDoctorPolicy);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { listReviews, moderateReview } = require('../controllers/reviewController');
+const adminAuth = require('../middleware/adminAuth');
+
+// Protected: Moderation queue of reviews, filterable by doctor, status and flag
+router.get('/', auth, adminAuth, listReviews);
+
+// Protected: Hide/show a review and flag/unflag it
+router.patch('/:id/moderation', auth, adminAuth, moderateReview);
+
+module.exports = router;
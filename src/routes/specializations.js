@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const {
+  listSpecializations,
+  createSpecialization,
+  updateSpecialization,
+  deleteSpecialization,
+} = require('../controllers/specializationController');
+const adminAuth = require('../middleware/adminAuth');
+
+// Public: Specialization catalog with the number of active doctors in each
+router.get('/', listSpecializations);
+
+// Protected: Add a catalog entry
+router.post('/', auth, adminAuth, createSpecialization);
+
+// Protected: Rename an entry or change its slug or synonyms
+router.patch('/:slug', auth, adminAuth, updateSpecialization);
+
+// Protected: Remove an entry no doctor is listed under
+router.delete('/:slug', auth, adminAuth, deleteSpecialization);
+
+module.exports = router;
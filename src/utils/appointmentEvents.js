@@ -0,0 +1,29 @@
+const ACTOR_ROLES = {
+  USER: 'USER',
+  ADMIN: 'ADMIN',
+  SYSTEM: 'SYSTEM',
+};
+
+const SYSTEM_ACTOR = { id: null, role: ACTOR_ROLES.SYSTEM };
+
+// Append an audit event for an appointment; pass the transaction client so it commits with the change
+const recordAppointmentEvent = (tx, { appointmentId, actor, previousStatus, newStatus, oldSlotId, newSlotId, reason, details }) =>
+  tx.appointmentEvent.create({
+    data: {
+      appointmentId,
+      actorId: actor?.id || null,
+      actorRole: actor?.role || ACTOR_ROLES.SYSTEM,
+      previousStatus: previousStatus || null,
+      newStatus,
+      oldSlotId: oldSlotId || null,
+      newSlotId: newSlotId || null,
+      reason: reason || null,
+      details: details || undefined,
+    },
+  });
+
+module.exports = {
+  ACTOR_ROLES,
+  SYSTEM_ACTOR,
+  recordAppointmentEvent,
+};
@@ -0,0 +1,62 @@
+// Drop every cached appointment list for the user plus the given single-appointment entries
+const invalidateUserAppointmentCaches = async (redis, userId, appointmentIds = []) => {
+  const cacheSetKey = `user:${userId}:appointments:keys`;
+  const cachedKeys = await redis.smembers(cacheSetKey);
+
+  await Promise.all([
+    ...cachedKeys.map((key) => redis.del(key)),
+    redis.del(cacheSetKey),
+    ...appointmentIds.map((id) => redis.del(`appointment:${userId}:${id}`)),
+  ]);
+};
+
+// Guards against cycles from bad data when walking a reschedule chain
+const MAX_CHAIN_LENGTH = 50;
+
+const chainSelect = {
+  id: true,
+  status: true,
+  rescheduledFromId: true,
+  createdAt: true,
+  timeSlot: { select: { id: true, date: true, startTime: true, endTime: true } },
+};
+
+// Every appointment in a reschedule chain, ordered original -> current
+const getRescheduleChain = async (prisma, appointmentId) => {
+  const start = await prisma.appointment.findUnique({ where: { id: appointmentId }, select: chainSelect });
+  if (!start) return [];
+
+  const chain = [start];
+  const seen = new Set([start.id]);
+
+  // Walk back to the original booking
+  let previousId = start.rescheduledFromId;
+  while (previousId && !seen.has(previousId) && chain.length < MAX_CHAIN_LENGTH) {
+    const previous = await prisma.appointment.findUnique({ where: { id: previousId }, select: chainSelect });
+    if (!previous) break;
+    chain.unshift(previous);
+    seen.add(previous.id);
+    previousId = previous.rescheduledFromId;
+  }
+
+  // Walk forward to the current booking
+  let currentId = start.id;
+  while (chain.length < MAX_CHAIN_LENGTH) {
+    const next = await prisma.appointment.findFirst({
+      where: { rescheduledFromId: currentId },
+      orderBy: { createdAt: 'asc' },
+      select: chainSelect,
+    });
+    if (!next || seen.has(next.id)) break;
+    chain.push(next);
+    seen.add(next.id);
+    currentId = next.id;
+  }
+
+  return chain;
+};
+
+module.exports = {
+  invalidateUserAppointmentCaches,
+  getRescheduleChain,
+};
@@ -0,0 +1,101 @@
+const { invalidateUserAppointmentCaches } = require('./appointmentHelpers');
+const { SYSTEM_ACTOR, recordAppointmentEvent } = require('./appointmentEvents');
+
+// Time after a slot ends before it is finalized, so the front desk can still check a patient in
+const FINALIZE_GRACE_MINUTES = 60;
+
+// Users with this many no-shows cannot book new appointments
+const NO_SHOW_BOOKING_LIMIT = Number(process.env.NO_SHOW_BOOKING_LIMIT) || 3;
+
+// No-shows count only while each follows the previous one within this many days; after that long
+// without one the restriction lifts and the count starts over
+const NO_SHOW_DECAY_DAYS = Number(process.env.NO_SHOW_DECAY_DAYS) || 90;
+
+const getNoShowDecayStart = (nowUtc) => new Date(nowUtc.getTime() - NO_SHOW_DECAY_DAYS * 24 * 60 * 60 * 1000);
+
+const hasReachedNoShowLimit = (user, nowUtc) => {
+  if ((user?.noShowCount || 0) < NO_SHOW_BOOKING_LIMIT) return false;
+  return !user.lastNoShowAt || user.lastNoShowAt > getNoShowDecayStart(nowUtc);
+};
+
+// Count a no-show, starting over when the previous one has decayed
+const recordNoShow = async (tx, userId, nowUtc) => {
+  await tx.user.updateMany({
+    where: { id: userId, lastNoShowAt: { lte: getNoShowDecayStart(nowUtc) } },
+    data: { noShowCount: 0 },
+  });
+  await tx.user.update({
+    where: { id: userId },
+    data: { noShowCount: { increment: 1 }, lastNoShowAt: nowUtc },
+  });
+};
+
+// Slot filter for slots that ended at or before the given instant
+const buildEndedSlotFilter = (cutoff) => ({ endAt: { lte: cutoff } });
+
+// Move BOOKED appointments whose slot has ended to COMPLETED (checked in) or NO_SHOW (not checked in)
+const finalizePastAppointments = async (prisma, redis, nowUtc) => {
+  const cutoff = new Date(nowUtc.getTime() - FINALIZE_GRACE_MINUTES * 60 * 1000);
+
+  const appointments = await prisma.appointment.findMany({
+    where: { status: 'BOOKED', timeSlot: { is: buildEndedSlotFilter(cutoff) } },
+    select: { id: true, userId: true, timeSlotId: true, checkedInAt: true },
+  });
+
+  const summary = { completed: 0, noShow: 0 };
+  const affectedUsers = new Map();
+
+  for (const appt of appointments) {
+    const status = appt.checkedInAt ? 'COMPLETED' : 'NO_SHOW';
+
+    const updated = await prisma.$transaction(async (tx) => {
+      // Guard on BOOKED so a concurrent manual update is not overwritten
+      const result = await tx.appointment.updateMany({
+        where: { id: appt.id, status: 'BOOKED' },
+        data: { status },
+      });
+      if (result.count !== 1) return false;
+
+      await recordAppointmentEvent(tx, {
+        appointmentId: appt.id,
+        actor: SYSTEM_ACTOR,
+        previousStatus: 'BOOKED',
+        newStatus: status,
+        oldSlotId: appt.timeSlotId,
+        newSlotId: appt.timeSlotId,
+        reason: status === 'COMPLETED' ? 'Slot ended after check-in' : 'Slot ended without check-in',
+      });
+
+      if (status === 'NO_SHOW') await recordNoShow(tx, appt.userId, nowUtc);
+      return true;
+    });
+
+    if (!updated) continue;
+
+    if (status === 'COMPLETED') summary.completed += 1;
+    else summary.noShow += 1;
+
+    if (!affectedUsers.has(appt.userId)) affectedUsers.set(appt.userId, []);
+    affectedUsers.get(appt.userId).push(appt.id);
+  }
+
+  for (const [userId, appointmentIds] of affectedUsers) {
+    try {
+      await invalidateUserAppointmentCaches(redis, userId, appointmentIds);
+    } catch (err) {
+      console.warn('Redis cache invalidation failed:', err.message);
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  FINALIZE_GRACE_MINUTES,
+  NO_SHOW_BOOKING_LIMIT,
+  NO_SHOW_DECAY_DAYS,
+  hasReachedNoShowLimit,
+  recordNoShow,
+  buildEndedSlotFilter,
+  finalizePastAppointments,
+};
@@ -0,0 +1,129 @@
+// Used when no clinic-wide policy has been stored yet; matches the original hard-coded 24h rule
+const DEFAULT_POLICY = {
+  cancelCutoffHours: 24,
+  rescheduleCutoffHours: 24,
+  allowLateCancel: true,
+  releaseSlotOnLateCancel: false,
+  maxReschedules: null,
+  lateCancelStrikes: 0,
+};
+
+// Users with this many strikes cannot book new appointments
+const STRIKE_BOOKING_LIMIT = Number(process.env.STRIKE_BOOKING_LIMIT) || 5;
+
+// Strikes count only while each follows the previous one within this many days; after that long
+// without a late cancellation the restriction lifts and the count starts over
+const STRIKE_DECAY_DAYS = Number(process.env.STRIKE_DECAY_DAYS) || 90;
+
+const POLICY_RULES = {
+  CANCEL_BEFORE_CUTOFF: 'CANCEL_BEFORE_CUTOFF',
+  LATE_CANCEL_SLOT_KEPT: 'LATE_CANCEL_SLOT_KEPT',
+  LATE_CANCEL_SLOT_RELEASED: 'LATE_CANCEL_SLOT_RELEASED',
+  LATE_CANCEL_NOT_ALLOWED: 'LATE_CANCEL_NOT_ALLOWED',
+  RESCHEDULE_ALLOWED: 'RESCHEDULE_ALLOWED',
+  RESCHEDULE_WITHIN_CUTOFF: 'RESCHEDULE_WITHIN_CUTOFF',
+  RESCHEDULE_LIMIT_REACHED: 'RESCHEDULE_LIMIT_REACHED',
+};
+
+const policyFields = {
+  cancelCutoffHours: true,
+  rescheduleCutoffHours: true,
+  allowLateCancel: true,
+  releaseSlotOnLateCancel: true,
+  maxReschedules: true,
+  lateCancelStrikes: true,
+};
+
+const pickPolicy = (record) =>
+  Object.keys(DEFAULT_POLICY).reduce((policy, key) => ({ ...policy, [key]: record[key] }), {});
+
+// Doctor override, else clinic-wide default, else the built-in default
+const resolvePolicy = async (prisma, doctorId) => {
+  const policies = await prisma.appointmentPolicy.findMany({
+    where: { OR: [{ doctorId }, { doctorId: null }] },
+    select: { doctorId: true, ...policyFields },
+  });
+
+  const doctorPolicy = doctorId && policies.find((policy) => policy.doctorId === doctorId);
+  if (doctorPolicy) return { ...pickPolicy(doctorPolicy), source: 'doctor' };
+
+  const globalPolicy = policies.find((policy) => policy.doctorId === null);
+  if (globalPolicy) return { ...pickPolicy(globalPolicy), source: 'global' };
+
+  return { ...DEFAULT_POLICY, source: 'default' };
+};
+
+const hoursUntil = (startUtc, nowUtc) => (startUtc.getTime() - nowUtc.getTime()) / (60 * 60 * 1000);
+
+// Decide whether a cancellation is allowed, whether it frees the slot and what penalty applies
+const evaluateCancellation = (policy, slotStartUtc, nowUtc) => {
+  const base = { source: policy.source, cutoffHours: policy.cancelCutoffHours };
+
+  if (!slotStartUtc || hoursUntil(slotStartUtc, nowUtc) > policy.cancelCutoffHours) {
+    return { ...base, rule: POLICY_RULES.CANCEL_BEFORE_CUTOFF, allowed: true, isLate: false, releaseSlot: true, strikes: 0 };
+  }
+
+  if (!policy.allowLateCancel) {
+    return { ...base, rule: POLICY_RULES.LATE_CANCEL_NOT_ALLOWED, allowed: false, isLate: true, releaseSlot: false, strikes: 0 };
+  }
+
+  return {
+    ...base,
+    rule: policy.releaseSlotOnLateCancel ? POLICY_RULES.LATE_CANCEL_SLOT_RELEASED : POLICY_RULES.LATE_CANCEL_SLOT_KEPT,
+    allowed: true,
+    isLate: true,
+    releaseSlot: policy.releaseSlotOnLateCancel,
+    strikes: policy.lateCancelStrikes,
+  };
+};
+
+// Decide whether an appointment may still be rescheduled
+const evaluateReschedule = (policy, slotStartUtc, nowUtc, rescheduleCount = 0) => {
+  const base = {
+    source: policy.source,
+    cutoffHours: policy.rescheduleCutoffHours,
+    maxReschedules: policy.maxReschedules,
+    rescheduleCount,
+  };
+
+  if (policy.maxReschedules !== null && policy.maxReschedules !== undefined && rescheduleCount >= policy.maxReschedules) {
+    return { ...base, rule: POLICY_RULES.RESCHEDULE_LIMIT_REACHED, allowed: false };
+  }
+
+  if (hoursUntil(slotStartUtc, nowUtc) <= policy.rescheduleCutoffHours) {
+    return { ...base, rule: POLICY_RULES.RESCHEDULE_WITHIN_CUTOFF, allowed: false };
+  }
+
+  return { ...base, rule: POLICY_RULES.RESCHEDULE_ALLOWED, allowed: true };
+};
+
+const getStrikeDecayStart = (nowUtc) => new Date(nowUtc.getTime() - STRIKE_DECAY_DAYS * 24 * 60 * 60 * 1000);
+
+const hasReachedStrikeLimit = (user, nowUtc) => {
+  if ((user?.strikeCount || 0) < STRIKE_BOOKING_LIMIT) return false;
+  return !user.lastStrikeAt || user.lastStrikeAt > getStrikeDecayStart(nowUtc);
+};
+
+// Add late-cancellation strikes, starting over when the previous ones have decayed
+const recordStrikes = async (tx, userId, strikes, nowUtc) => {
+  await tx.user.updateMany({
+    where: { id: userId, lastStrikeAt: { lte: getStrikeDecayStart(nowUtc) } },
+    data: { strikeCount: 0 },
+  });
+  await tx.user.update({
+    where: { id: userId },
+    data: { strikeCount: { increment: strikes }, lastStrikeAt: nowUtc },
+  });
+};
+
+module.exports = {
+  DEFAULT_POLICY,
+  STRIKE_BOOKING_LIMIT,
+  STRIKE_DECAY_DAYS,
+  POLICY_RULES,
+  resolvePolicy,
+  evaluateCancellation,
+  evaluateReschedule,
+  hasReachedStrikeLimit,
+  recordStrikes,
+};
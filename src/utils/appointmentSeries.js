@@ -0,0 +1,105 @@
+const { formatDateYmd, addDaysUtc, diffInDaysUtc } = require('./timeSlotHelpers');
+const { selectSeatFields } = require('./slotSeats');
+
+// Days between occurrences for each supported recurrence
+const SERIES_FREQUENCIES = {
+  weekly: 7,
+  biweekly: 14,
+};
+
+const SERIES_SCOPES = {
+  THIS: 'this',
+  FOLLOWING: 'following',
+};
+
+// Dates of every occurrence, starting with the first slot's date
+const buildSeriesDates = (firstDate, frequency, occurrences) => {
+  const intervalDays = SERIES_FREQUENCIES[frequency];
+  return Array.from({ length: occurrences }, (_, index) => addDaysUtc(firstDate, index * intervalDays));
+};
+
+// Resolve one slot per { date, startTime } target; reports targets with no slot at all
+const findSlotsForTargets = async (prisma, doctorId, targets) => {
+  const slots = await prisma.timeSlot.findMany({
+    where: {
+      doctorId,
+      date: { in: targets.map((target) => target.date) },
+      startTime: { in: [...new Set(targets.map((target) => target.startTime))] },
+    },
+    select: { id: true, date: true, startTime: true, endTime: true, startAt: true, endAt: true, status: true, ...selectSeatFields },
+  });
+
+  const byKey = new Map(slots.map((slot) => [`${formatDateYmd(slot.date)}|${slot.startTime}`, slot]));
+
+  const resolved = [];
+  const missing = [];
+  targets.forEach((target) => {
+    const slot = byKey.get(`${formatDateYmd(target.date)}|${target.startTime}`);
+    if (slot) resolved.push(slot);
+    else missing.push({ date: formatDateYmd(target.date), startTime: target.startTime });
+  });
+
+  return { slots: resolved, missing };
+};
+
+// Slots for a new series starting at the given first slot
+const findSeriesSlots = (prisma, firstSlot, frequency, occurrences) =>
+  findSlotsForTargets(
+    prisma,
+    firstSlot.doctorId,
+    buildSeriesDates(firstSlot.date, frequency, occurrences).map((date) => ({ date, startTime: firstSlot.startTime }))
+  );
+
+// The given appointment plus every later BOOKED occurrence of the same series
+const getFollowingOccurrences = (prisma, appt) =>
+  prisma.appointment.findMany({
+    where: {
+      seriesId: appt.seriesId,
+      userId: appt.userId,
+      status: 'BOOKED',
+      seriesIndex: { gte: appt.seriesIndex },
+    },
+    select: {
+      id: true,
+      userId: true,
+      doctorId: true,
+      timeSlotId: true,
+      notes: true,
+      seriesId: true,
+      seriesIndex: true,
+      rescheduleCount: true,
+      timeSlot: { select: { id: true, date: true, startTime: true, startAt: true, status: true, seatsBooked: true } },
+    },
+    orderBy: { seriesIndex: 'asc' },
+  });
+
+// Pair each following occurrence with the slot it moves to, shifting by the same offset as the first one
+const resolveSeriesShift = async (prisma, doctorId, occurrences, newSlot) => {
+  const [first] = occurrences;
+  const dayOffset = diffInDaysUtc(first.timeSlot.date, newSlot.date);
+
+  const rest = occurrences.slice(1).filter((occ) => occ.timeSlot);
+  const { slots, missing } = await findSlotsForTargets(
+    prisma,
+    doctorId,
+    rest.map((occ) => ({ date: addDaysUtc(occ.timeSlot.date, dayOffset), startTime: newSlot.startTime }))
+  );
+
+  if (missing.length > 0) return { pairs: [], missing };
+
+  const pairs = [{ appointment: first, oldSlotId: first.timeSlotId, newSlot }].concat(
+    rest.map((occ, index) => ({ appointment: occ, oldSlotId: occ.timeSlotId, newSlot: slots[index] }))
+  );
+
+  return { pairs, missing };
+};
+
+module.exports = {
+  SERIES_FREQUENCIES,
+  SERIES_SCOPES,
+  buildSeriesDates,
+  findSlotsForTargets,
+  findSeriesSlots,
+  getFollowingOccurrences,
+  resolveSeriesShift,
+};
@@ -0,0 +1,182 @@
+const { parseToMinutes, toTimeString, getZonedToday } = require('./time');
+const {
+  resolveSlotLayout,
+  buildTimeSegments,
+  formatDateYmd,
+  withSlotInstants,
+  addDaysUtc,
+  invalidateDoctorSlotCaches,
+} = require('./timeSlotHelpers');
+const { findBlackouts, isBlackedOut } = require('./blackouts');
+const { releaseSlotOffers } = require('./slotRemoval');
+const { getHeldSeatCounts, clearSlotLocks } = require('./slotLocks');
+
+const selectTemplateDoctor = { id: true, slotDurationMinutes: true, slotBufferMinutes: true, breaks: true, timezone: true, isActive: true };
+
+// Slots a template wants in [fromDate, toDate] (days in the doctor's zone); blacked-out days, segments
+// overlapping an existing or removed slot and segments that already started are skipped
+const buildTemplateSlots = ({ template, doctor, existingSlots, blackouts = [], fromDate, toDate, nowUtc }) => {
+  const takenByDate = new Map();
+  for (const slot of [...existingSlots, ...(template.removedSlots || [])]) {
+    const key = formatDateYmd(slot.date);
+    if (!takenByDate.has(key)) takenByDate.set(key, []);
+    takenByDate.get(key).push({ start: parseToMinutes(slot.startTime), end: parseToMinutes(slot.endTime) });
+  }
+
+  const slots = [];
+  for (let date = new Date(fromDate); date <= toDate; date = addDaysUtc(date, 1)) {
+    if (isBlackedOut(blackouts, doctor.id, date)) continue;
+
+    const taken = takenByDate.get(formatDateYmd(date)) || [];
+
+    for (const window of template.windows) {
+      if (!window.weekdays.includes(date.getUTCDay())) continue;
+
+      const layout = resolveSlotLayout(doctor, { durationMinutes: window.durationMinutes }, parseToMinutes);
+      const segments = buildTimeSegments(parseToMinutes(window.startTime), parseToMinutes(window.endTime), toTimeString, layout.slotMinutes, layout);
+
+      for (const segment of segments) {
+        const start = parseToMinutes(segment.startTime);
+        const end = parseToMinutes(segment.endTime);
+        if (taken.some((range) => range.start < end && range.end > start)) continue;
+
+        const slot = withSlotInstants({ doctorId: doctor.id, templateId: template.id, date: new Date(date), ...segment }, doctor.timezone);
+        if (slot.startAt <= nowUtc) continue;
+
+        taken.push({ start, end });
+        slots.push(slot);
+      }
+    }
+  }
+
+  return slots;
+};
+
+// Make sure the template's slots exist up to its horizon; safe to run repeatedly
+const generateTemplateSlots = async (prisma, doctorId, nowUtc) => {
+  const template = await prisma.availabilityTemplate.findUnique({
+    where: { doctorId },
+    select: {
+      id: true,
+      windows: true,
+      horizonDays: true,
+      isActive: true,
+      removedSlots: true,
+      doctor: { select: selectTemplateDoctor },
+    },
+  });
+  // A deactivated doctor keeps the template, but gets no slots until reactivated
+  if (!template || !template.isActive || !template.doctor.isActive) return { created: 0 };
+
+  const fromDate = getZonedToday(nowUtc, template.doctor.timezone);
+  const toDate = addDaysUtc(fromDate, template.horizonDays - 1);
+
+  const existingSlots = await prisma.timeSlot.findMany({
+    where: { doctorId, date: { gte: fromDate, lte: toDate } },
+    select: { date: true, startTime: true, endTime: true },
+  });
+
+  const blackouts = await findBlackouts(prisma, { doctorIds: [doctorId], fromDate, toDate });
+
+  const data = buildTemplateSlots({ template, doctor: template.doctor, existingSlots, blackouts, fromDate, toDate, nowUtc });
+  if (data.length > 0) await prisma.timeSlot.createMany({ data });
+
+  // Removed slots in the past no longer matter
+  await prisma.availabilityTemplate.update({
+    where: { id: template.id },
+    data: {
+      generatedThrough: toDate,
+      removedSlots: (template.removedSlots || []).filter((slot) => slot.date >= fromDate),
+    },
+  });
+
+  return { created: data.length, generatedThrough: formatDateYmd(toDate) };
+};
+
+// Future template slots nobody has touched: still AVAILABLE and never referenced by an appointment
+const buildUntouchedFutureSlotFilter = (templateId, nowUtc) => ({
+  templateId,
+  status: 'AVAILABLE',
+  appointments: { none: {} },
+  startAt: { gt: nowUtc },
+});
+
+// Remove untouched future slots of the template, e.g. after it was edited or switched off.
+// A seat held in Redis (mid-checkout or a waitlist offer) leaves its slot in place.
+const removeTemplateSlots = async (prisma, redis, templateId, nowUtc) => {
+  const heldSeats = await getHeldSeatCounts(redis, nowUtc);
+  const filter = { ...buildUntouchedFutureSlotFilter(templateId, nowUtc), id: { notIn: [...heldSeats.keys()] } };
+
+  const slots = await prisma.timeSlot.findMany({ where: filter, select: { id: true } });
+  if (slots.length === 0) return 0;
+
+  const slotIds = slots.map((slot) => slot.id);
+  const result = await prisma.$transaction(async (tx) => {
+    await releaseSlotOffers(tx, slotIds);
+    return tx.timeSlot.deleteMany({ where: { ...filter, id: { in: slotIds } } });
+  });
+
+  try {
+    await clearSlotLocks(redis, slotIds);
+  } catch (err) {
+    console.warn('Redis lock cleanup failed:', err.message);
+  }
+
+  return result.count;
+};
+
+// After an edit: drop untouched future slots and generate them again from the new windows
+const regenerateTemplateSlots = async (prisma, redis, doctorId, templateId, nowUtc) => {
+  const removed = await removeTemplateSlots(prisma, redis, templateId, nowUtc);
+  const generated = await generateTemplateSlots(prisma, doctorId, nowUtc);
+  return { removed, ...generated };
+};
+
+// Remember deleted or moved template slots so the generator does not put them back
+const rememberRemovedTemplateSlots = async (tx, slots) => {
+  const byTemplate = new Map();
+  for (const slot of slots) {
+    if (!slot.templateId) continue;
+    if (!byTemplate.has(slot.templateId)) byTemplate.set(slot.templateId, []);
+    byTemplate.get(slot.templateId).push({ date: slot.date, startTime: slot.startTime, endTime: slot.endTime });
+  }
+
+  for (const [templateId, removed] of byTemplate) {
+    await tx.availabilityTemplate.update({ where: { id: templateId }, data: { removedSlots: { push: removed } } });
+  }
+};
+
+// Roll every active template forward; used by the daily cron
+const extendAllTemplates = async (prisma, redis, nowUtc) => {
+  const templates = await prisma.availabilityTemplate.findMany({ where: { isActive: true }, select: { doctorId: true } });
+
+  const summary = { doctors: templates.length, created: 0 };
+  for (const { doctorId } of templates) {
+    try {
+      const { created } = await generateTemplateSlots(prisma, doctorId, nowUtc);
+      summary.created += created;
+
+      if (created > 0) {
+        try {
+          await invalidateDoctorSlotCaches(redis, doctorId);
+        } catch (err) {
+          console.warn('Redis cache invalidation failed:', err.message);
+        }
+      }
+    } catch (err) {
+      // One broken template must not stop the others
+      console.error(`Slot generation failed for doctor ${doctorId}:`, err);
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  buildTemplateSlots,
+  generateTemplateSlots,
+  removeTemplateSlots,
+  regenerateTemplateSlots,
+  rememberRemovedTemplateSlots,
+  extendAllTemplates,
+};
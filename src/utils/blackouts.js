@@ -0,0 +1,233 @@
+const { getSlotStartUtc, parseToMinutes } = require('./time');
+const { formatDateYmd, describeSlotStart } = require('./timeSlotHelpers');
+const { SYSTEM_ACTOR, recordAppointmentEvent } = require('./appointmentEvents');
+const { scheduleAppointmentReminders, cancelAppointmentReminders } = require('./reminders');
+const { bookSeat, releaseSeat } = require('./slotSeats');
+
+const BLACKOUT_ACTIONS = {
+  CANCEL: 'cancel',
+  RESCHEDULE: 'reschedule',
+};
+
+// How many candidate slots are checked when looking for a replacement after a blackout
+const REPLACEMENT_SEARCH_LIMIT = 200;
+
+// Blackouts overlapping [fromDate, toDate] that apply to the given doctors (clinic-wide ones always apply)
+const findBlackouts = (prisma, { doctorIds, fromDate, toDate }) => {
+  const where = { endDate: { gte: fromDate } };
+  if (toDate) where.startDate = { lte: toDate };
+  if (doctorIds) where.OR = [{ doctorId: null }, { doctorId: { in: doctorIds } }];
+
+  return prisma.blackout.findMany({
+    where,
+    select: { id: true, doctorId: true, startDate: true, endDate: true, reason: true },
+    orderBy: { startDate: 'asc' },
+  });
+};
+
+// Blackouts covering the doctor on the given day
+const getBlackoutsOn = (blackouts, doctorId, date) =>
+  blackouts.filter(
+    (blackout) =>
+      (blackout.doctorId === null || blackout.doctorId === doctorId) &&
+      blackout.startDate <= date &&
+      blackout.endDate >= date
+  );
+
+const isBlackedOut = (blackouts, doctorId, date) => getBlackoutsOn(blackouts, doctorId, date).length > 0;
+
+const excludeBlackedOutSlots = (slots, blackouts) =>
+  blackouts.length === 0 ? slots : slots.filter((slot) => !isBlackedOut(blackouts, slot.doctorId, slot.date));
+
+// Slots (with doctorId and date) that fall inside a blackout; used to block locking and offers
+const findBlackedOutSlots = async (prisma, slots) => {
+  if (slots.length === 0) return [];
+
+  const dates = slots.map((slot) => slot.date.getTime());
+  const blackouts = await findBlackouts(prisma, {
+    doctorIds: [...new Set(slots.map((slot) => slot.doctorId))],
+    fromDate: new Date(Math.min(...dates)),
+    toDate: new Date(Math.max(...dates)),
+  });
+
+  return slots.filter((slot) => isBlackedOut(blackouts, slot.doctorId, slot.date));
+};
+
+const formatBlackout = (blackout) => ({
+  ...blackout,
+  scope: blackout.doctorId ? 'doctor' : 'clinic',
+  startDate: formatDateYmd(blackout.startDate),
+  endDate: formatDateYmd(blackout.endDate),
+});
+
+// BOOKED appointments whose slot falls inside the blackout
+const findAffectedAppointments = (prisma, blackout) =>
+  prisma.appointment.findMany({
+    where: {
+      status: 'BOOKED',
+      ...(blackout.doctorId && { doctorId: blackout.doctorId }),
+      timeSlot: { is: { date: { gte: blackout.startDate, lte: blackout.endDate } } },
+    },
+    select: {
+      id: true,
+      userId: true,
+      doctorId: true,
+      timeSlotId: true,
+      seriesId: true,
+      seriesIndex: true,
+      rescheduleCount: true,
+      notes: true,
+      user: { select: { name: true, email: true, phone: true, timezone: true } },
+      doctor: { select: { name: true, specialization: true, timezone: true } },
+      timeSlot: { select: { id: true, date: true, startTime: true, endTime: true, startAt: true, endAt: true } },
+    },
+    orderBy: { createdAt: 'asc' },
+  });
+
+const slotLength = (slot) => parseToMinutes(slot.endTime) - parseToMinutes(slot.startTime);
+
+// Earliest slot with a free seat of the same length after the blackout that is not blacked out itself
+const findReplacementSlot = async (prisma, appt, blackout, excludeSlotIds = []) => {
+  const candidates = await prisma.timeSlot.findMany({
+    where: {
+      doctorId: appt.doctorId,
+      status: 'AVAILABLE',
+      date: { gt: blackout.endDate },
+      id: { notIn: excludeSlotIds },
+    },
+    select: { id: true, doctorId: true, date: true, startTime: true, endTime: true, startAt: true, endAt: true },
+    orderBy: [{ date: 'asc' }, { startTime: 'asc' }],
+    take: REPLACEMENT_SEARCH_LIMIT,
+  });
+
+  const sameLength = candidates.filter((slot) => slotLength(slot) === slotLength(appt.timeSlot));
+  if (sameLength.length === 0) return null;
+
+  const blackouts = await findBlackouts(prisma, {
+    doctorIds: [appt.doctorId],
+    fromDate: sameLength[0].date,
+    toDate: sameLength[sameLength.length - 1].date,
+  });
+
+  return sameLength.find((slot) => !isBlackedOut(blackouts, slot.doctorId, slot.date)) || null;
+};
+
+// Cancel one affected appointment; its seat is freed but the slot stays hidden by the blackout
+const cancelForBlackout = async (tx, { appt, actor, reason, blackout }) => {
+  const result = await tx.appointment.updateMany({
+    where: { id: appt.id, status: 'BOOKED' },
+    data: { status: 'CANCELLED' },
+  });
+  if (result.count !== 1) return false;
+
+  if (appt.timeSlotId) await releaseSeat(tx, appt.timeSlotId);
+
+  await cancelAppointmentReminders(tx, [appt.id]);
+  await recordAppointmentEvent(tx, {
+    appointmentId: appt.id,
+    actor: actor || SYSTEM_ACTOR,
+    previousStatus: 'BOOKED',
+    newStatus: 'CANCELLED',
+    oldSlotId: appt.timeSlotId,
+    reason,
+    details: { blackoutId: blackout.id },
+  });
+
+  return true;
+};
+
+// Move one affected appointment onto the replacement slot, keeping the reschedule chain and series position
+const rescheduleForBlackout = async (tx, { appt, newSlot, actor, reason, blackout, nowUtc }) => {
+  const claimed = await bookSeat(tx, { id: newSlot.id });
+  if (!claimed) return null;
+
+  const moved = await tx.appointment.updateMany({
+    where: { id: appt.id, status: 'BOOKED' },
+    data: { status: 'RESCHEDULED' },
+  });
+  if (moved.count !== 1) throw { code: 'APPOINTMENT_CHANGED' };
+
+  if (appt.timeSlotId) await releaseSeat(tx, appt.timeSlotId);
+
+  const created = await tx.appointment.create({
+    data: {
+      userId: appt.userId,
+      doctorId: appt.doctorId,
+      timeSlotId: newSlot.id,
+      seriesId: appt.seriesId || null,
+      seriesIndex: appt.seriesIndex ?? null,
+      rescheduleCount: (appt.rescheduleCount || 0) + 1,
+      rescheduledFromId: appt.id,
+      status: 'BOOKED',
+      notes: appt.notes,
+    },
+    select: { id: true },
+  });
+
+  await cancelAppointmentReminders(tx, [appt.id]);
+  await scheduleAppointmentReminders(tx, {
+    appointmentId: created.id,
+    userId: appt.userId,
+    slotStartUtc: getSlotStartUtc(newSlot),
+    nowUtc,
+  });
+
+  const eventActor = actor || SYSTEM_ACTOR;
+  const details = { blackoutId: blackout.id };
+  await recordAppointmentEvent(tx, {
+    appointmentId: appt.id,
+    actor: eventActor,
+    previousStatus: 'BOOKED',
+    newStatus: 'RESCHEDULED',
+    oldSlotId: appt.timeSlotId,
+    newSlotId: newSlot.id,
+    reason,
+    details: { ...details, rescheduledTo: created.id },
+  });
+  await recordAppointmentEvent(tx, {
+    appointmentId: created.id,
+    actor: eventActor,
+    newStatus: 'BOOKED',
+    oldSlotId: appt.timeSlotId,
+    newSlotId: newSlot.id,
+    reason,
+    details: { ...details, rescheduledFrom: appt.id },
+  });
+
+  return created;
+};
+
+// Message sent to the patient once their appointment was cancelled or moved because of a blackout
+const buildBlackoutNotice = ({ appt, newSlot, blackout }) => {
+  const { user, doctor, timeSlot } = appt;
+  // Times as the patient reads them: their own zone, else the doctor's
+  const timeZone = user.timezone || doctor.timezone;
+  const why = blackout.reason ? ` (${blackout.reason})` : '';
+  const unavailable = blackout.doctorId ? `${doctor.name} is unavailable` : 'the clinic is closed';
+
+  return {
+    to: { name: user.name, email: user.email, phone: user.phone },
+    subject: newSlot
+      ? `Your appointment with ${doctor.name} has been moved`
+      : `Your appointment with ${doctor.name} has been cancelled`,
+    text: `Hi ${user.name}, ${unavailable} on ${describeSlotStart(timeSlot, timeZone)}${why}. `
+      + (newSlot
+        ? `Your appointment has been moved to ${describeSlotStart(newSlot, timeZone)}.`
+        : 'Your appointment has been cancelled; please book a new time.'),
+  };
+};
+
+module.exports = {
+  BLACKOUT_ACTIONS,
+  findBlackouts,
+  getBlackoutsOn,
+  isBlackedOut,
+  excludeBlackedOutSlots,
+  findBlackedOutSlots,
+  formatBlackout,
+  findAffectedAppointments,
+  findReplacementSlot,
+  cancelForBlackout,
+  rescheduleForBlackout,
+  buildBlackoutNotice,
+};
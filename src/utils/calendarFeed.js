@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const { getSlotStartUtc, getSlotEndUtc } = require('./time');
+
+// Past visits older than this are left out of the feed
+const FEED_HISTORY_DAYS = 180;
+
+// Domain part of every VEVENT UID
+const UID_DOMAIN = 'doctor-appointments';
+
+// Guards against cycles from bad data when resolving reschedule chains
+const MAX_CHAIN_LENGTH = 50;
+
+const generateCalendarToken = () => crypto.randomBytes(24).toString('hex');
+
+const hashCalendarToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// RFC 5545 text escaping
+const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line prefixed by a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// 2025-09-02T09:30:00Z -> 20250902T093000Z
+const formatIcsDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Id of the first appointment in each appointment's reschedule chain
+const resolveChainRoots = (appointments) => {
+  const byId = new Map(appointments.map((appt) => [appt.id, appt]));
+  const roots = new Map();
+
+  for (const appt of appointments) {
+    let root = appt;
+    let hops = 0;
+    while (root.rescheduledFromId && byId.has(root.rescheduledFromId) && hops < MAX_CHAIN_LENGTH) {
+      root = byId.get(root.rescheduledFromId);
+      hops += 1;
+    }
+    roots.set(appt.id, root.rescheduledFromId || root.id);
+  }
+
+  return roots;
+};
+
+const MODE_LABELS = {
+  online: 'Online consultation',
+  in_person: 'In-person visit',
+  both: 'Online or in-person visit',
+};
+
+// One VEVENT per logical visit; the UID follows the chain root so a reschedule updates the same event
+const buildEvent = (appt, uid) => {
+  const start = getSlotStartUtc(appt.timeSlot);
+  const end = getSlotEndUtc(appt.timeSlot);
+  const cancelled = appt.status === 'CANCELLED';
+  const description = [appt.doctor?.specialization, appt.notes].filter(Boolean).join('\n');
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatIcsDateTime(appt.updatedAt)}`,
+    `LAST-MODIFIED:${formatIcsDateTime(appt.updatedAt)}`,
+    `DTSTART:${formatIcsDateTime(start)}`,
+    `DTEND:${formatIcsDateTime(end)}`,
+    // Each reschedule (and a final cancellation) supersedes the previous version of the event
+    `SEQUENCE:${(appt.rescheduleCount || 0) + (cancelled ? 1 : 0)}`,
+    `SUMMARY:${escapeText(`Appointment with ${appt.doctor?.name || 'your doctor'}`)}`,
+  ];
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (appt.doctor?.consultationMode) lines.push(`LOCATION:${escapeText(MODE_LABELS[appt.doctor.consultationMode])}`);
+  lines.push(`STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`, 'END:VEVENT');
+
+  return lines;
+};
+
+// Full VCALENDAR document for the given appointments (RESCHEDULED ones are superseded and skipped)
+const buildCalendarFeed = (appointments, nowUtc) => {
+  const roots = resolveChainRoots(appointments);
+  const historyStart = new Date(nowUtc.getTime() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Doctor Appointments//Appointment Feed//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:My appointments',
+  ];
+
+  for (const appt of appointments) {
+    if (appt.status === 'RESCHEDULED' || !appt.timeSlot) continue;
+    if (appt.timeSlot.date < historyStart) continue;
+    lines.push(...buildEvent(appt, roots.get(appt.id)));
+  }
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  FEED_HISTORY_DAYS,
+  generateCalendarToken,
+  hashCalendarToken,
+  escapeText,
+  foldLine,
+  formatIcsDateTime,
+  resolveChainRoots,
+  buildCalendarFeed,
+};
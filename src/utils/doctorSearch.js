@@ -0,0 +1,175 @@
+const { slugify } = require('./specializations');
+
+// Search mode scores doctors in memory, so only this many doctors matching the other filters are considered
+const SEARCH_CANDIDATE_LIMIT = 500;
+
+// Most words of a query that are matched
+const MAX_SEARCH_TERMS = 8;
+
+// Type-ahead suggestions: results per normalized query, plus the active doctors and catalog they are built from.
+// Both change only when a doctor or catalog entry does, so they live until invalidated or for a day.
+const SUGGEST_CACHE_PREFIX = 'doctors:suggest:';
+const SUGGEST_INDEX_KEY = `${SUGGEST_CACHE_PREFIX}index`;
+const SUGGEST_CACHE_TTL = 24 * 3600;
+
+// A name match counts three times a bio match, a specialization match twice
+const FIELD_WEIGHTS = { name: 3, specialization: 2, bio: 1 };
+const MAX_WEIGHT = Math.max(...Object.values(FIELD_WEIGHTS));
+
+// Words that say nothing about which doctor is meant, e.g. "dr sharma"
+const STOP_WORDS = new Set(['dr', 'doctor', 'the', 'and', 'of', 'for', 'in']);
+
+// How good a match of one query word is: exact, the start of a longer word, or one or two typos away
+const MATCH_QUALITY = { exact: 1, prefix: 0.8, typo: [0.6, 0.4] };
+
+// Lowercase words without accents or punctuation: "Dr. Zoë O'Neil" -> ["dr", "zoe", "o", "neil"]
+const tokenize = (text) => slugify(text).split('-').filter(Boolean);
+
+// Query words worth matching; empty when the query has none
+const parseSearchTerms = (q) =>
+  [...new Set(tokenize(q))].filter((term) => !STOP_WORDS.has(term)).slice(0, MAX_SEARCH_TERMS);
+
+// Typos tolerated in a query word: none for short words where one letter changes the meaning
+const allowedTypos = (term) => (term.length <= 3 ? 0 : term.length <= 6 ? 1 : 2);
+
+// Edits (insert, delete, substitute, swap two neighbours) between two words; max + 1 once it exceeds max
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prevPrev = [];
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], prevPrev[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+
+  return Math.min(prev[b.length], max + 1);
+};
+
+// Best match quality of a query word against the words of one field; 0 when nothing matches
+const matchTerm = (term, words) => {
+  const typos = allowedTypos(term);
+  let best = 0;
+
+  for (const word of words) {
+    if (word === term) return MATCH_QUALITY.exact;
+    if (term.length >= 3 && word.startsWith(term)) best = Math.max(best, MATCH_QUALITY.prefix);
+    else if (typos > 0) {
+      const distance = editDistance(term, word, typos);
+      if (distance <= typos) best = Math.max(best, MATCH_QUALITY.typo[distance - 1]);
+    }
+  }
+
+  return best;
+};
+
+// The searchable words of a doctor per field; specialization covers the displayed one and catalog entries
+const tokenizeDoctor = (doctor) => ({
+  name: tokenize(doctor.name),
+  specialization: tokenize([doctor.specialization, ...(doctor.specializations || []).map(({ name }) => name)].join(' ')),
+  bio: tokenize(doctor.bio),
+});
+
+// Relevance from 0 to 1: every query word has to match some field, each counting by its best weighted match
+const scoreDoctor = (doctor, terms) => {
+  if (terms.length === 0) return 0;
+
+  const fields = tokenizeDoctor(doctor);
+  let total = 0;
+  for (const term of terms) {
+    const best = Math.max(
+      ...Object.entries(FIELD_WEIGHTS).map(([field, weight]) => weight * matchTerm(term, fields[field]))
+    );
+    if (best === 0) return 0;
+    total += best;
+  }
+
+  return Math.round((total / (terms.length * MAX_WEIGHT)) * 100) / 100;
+};
+
+// Matching doctors with their score, best first when ranked by relevance; otherwise in the order given
+const rankDoctors = (doctors, terms, { byRelevance = true } = {}) => {
+  const matches = doctors
+    .map((doctor) => ({ ...doctor, score: scoreDoctor(doctor, terms) }))
+    .filter((doctor) => doctor.score > 0);
+
+  return byRelevance ? matches.sort((a, b) => b.score - a.score) : matches;
+};
+
+// Words typed so far match when all but the last are whole words and the last starts a word: "anil sh" -> "Anil Sharma"
+const matchesPrefix = (terms, words) => {
+  const last = terms[terms.length - 1];
+  return terms.slice(0, -1).every((term) => words.includes(term)) && words.some((word) => word.startsWith(last));
+};
+
+// A catalog entry is found by the words of its name, slug and synonyms
+const specializationWords = ({ name, slug, synonyms }) =>
+  [...tokenize(name), ...[slug, ...synonyms].flatMap((key) => key.split('-'))];
+
+// Suggestions for what has been typed so far: specializations with active doctors, most doctors first,
+// then doctors whose name starts with the text before those with a later word matching. Specializations
+// take up to half the list; either kind fills the places the other leaves empty.
+const buildSuggestions = ({ doctors, specializations }, q, limit) => {
+  const terms = tokenize(q);
+  if (terms.length === 0) return [];
+  const text = terms.join(' ');
+
+  const matchingSpecializations = specializations
+    .filter((entry) => entry.doctorCount > 0)
+    .filter((entry) => matchesPrefix(terms, specializationWords(entry)))
+    .sort((a, b) => b.doctorCount - a.doctorCount || a.name.localeCompare(b.name))
+    .map(({ slug, name, doctorCount }) => ({ type: 'specialization', slug, name, doctorCount }));
+
+  const matchingDoctors = doctors
+    .filter((doctor) => matchesPrefix(terms, tokenize(doctor.name)))
+    .map((doctor) => ({ doctor, leading: tokenize(doctor.name).join(' ').startsWith(text) }))
+    .sort((a, b) => Number(b.leading) - Number(a.leading) || a.doctor.name.localeCompare(b.doctor.name))
+    .map(({ doctor: { id, name, specialization } }) => ({ type: 'doctor', id, name, specialization }));
+
+  const specializationCount = Math.min(
+    matchingSpecializations.length,
+    Math.max(Math.ceil(limit / 2), limit - matchingDoctors.length)
+  );
+  return [
+    ...matchingSpecializations.slice(0, specializationCount),
+    ...matchingDoctors.slice(0, limit - specializationCount),
+  ];
+};
+
+// Suggestions name doctors and catalog entries, so any change to either clears them
+const invalidateSuggestionCache = async (redis) => {
+  let cursor = '0';
+
+  do {
+    const [newCursor, keys] = await redis.scan(cursor, { match: `${SUGGEST_CACHE_PREFIX}*`, count: 100 });
+    cursor = newCursor ?? '0';
+    if (keys.length > 0) await redis.unlink(...keys);
+  } while (cursor !== '0');
+};
+
+module.exports = {
+  SEARCH_CANDIDATE_LIMIT,
+  SUGGEST_CACHE_PREFIX,
+  SUGGEST_INDEX_KEY,
+  SUGGEST_CACHE_TTL,
+  MAX_SEARCH_TERMS,
+  FIELD_WEIGHTS,
+  tokenize,
+  parseSearchTerms,
+  editDistance,
+  scoreDoctor,
+  rankDoctors,
+  buildSuggestions,
+  invalidateSuggestionCache,
+};
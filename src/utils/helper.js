@@ -1,8 +1,12 @@
 const { getDatabaseNow } = require("./time");
+const { describeSlotTimes } = require("./timeSlotHelpers");
+const { parseSpecializationSlugs } = require("./specializations");
+const { parseSearchTerms } = require("./doctorSearch");
 
 const parseDoctorQuery = (query) => {
   const { page, consultation_mode, available, sortBy, specialization, q } = query;
-  const filters = {};
+  // Deactivated doctors never show up in the public listing
+  const filters = { isActive: true };
   const errors = [];
 
   // ✅ Page validation
@@ -50,46 +54,39 @@ if (consultation_mode) {
     }
   }
 
-  // ✅ Specialization filter (MongoDB: case-sensitive contains)
+  // ✅ Specialization filter: catalog names, slugs or synonyms, comma separated; a doctor matches any of them
   if (specialization) {
-    filters.specialization = { contains: String(specialization) };
+    const slugs = parseSpecializationSlugs(specialization);
+    if (!slugs) {
+      errors.push({ status: 400, message: "Invalid specialization. Use catalog names or slugs, comma separated, e.g. ayurveda,yoga-therapy." });
+    } else {
+      filters.specializations = { some: { OR: [{ slug: { in: slugs } }, { synonyms: { hasSome: slugs } }] } };
+    }
   }
 
-  // ✅ Search query filter (MongoDB: case-sensitive contains)
+  // ✅ Search mode: the words of q are matched with typo tolerance and scored in listDoctors
+  let search = null;
   if (q) {
-    const term = String(q);
-  
-    filters.OR = [
-      {
-        name: {
-          contains: term,
-          mode: "insensitive",
-        },
-      },
-      {
-        specialization: {
-          contains: term,
-          mode: "insensitive",
-        },
-      },
-      {
-        bio: {
-          contains: term,
-          mode: "insensitive",
-        },
-      },
-    ];
+    search = String(q).length <= 200 ? parseSearchTerms(String(q)) : [];
+    if (search.length === 0) {
+      errors.push({ status: 400, message: "Invalid q. Use up to 200 characters with at least one word to search for." });
+    }
   }
 
   const allowedSorts = {
     name: { name: "asc" },
-    createdAt: { createdAt: "desc" }
+    createdAt: { createdAt: "desc" },
+    // Best rated first; among equal averages the doctor with more reviews wins
+    rating: [{ ratingAverage: "desc" }, { ratingCount: "desc" }]
   };
-  const sortKey = sortBy && allowedSorts[sortBy] ? sortBy : "createdAt";
-  pagination.orderBy = allowedSorts[sortKey];
+  // Searches are ranked by relevance unless another sort is asked for
+  const defaultSort = search ? "relevance" : "createdAt";
+  const sortKey = sortBy && (allowedSorts[sortBy] || (search && sortBy === "relevance")) ? sortBy : defaultSort;
+  pagination.sortKey = sortKey;
+  pagination.orderBy = allowedSorts[sortKey] || allowedSorts.createdAt;
 
   if (errors.length) throw errors[0];
-  return { filters, pagination, availableNormalized };
+  return { filters, pagination, availableNormalized, search };
 };
 
 
@@ -101,19 +98,14 @@ const getNowUtc = async (prisma) => {
 };
 
 const getEarliestAvailableSlots = async (prisma, doctorIds, nowData) => {
-  const { todayUtc, currentHM } = nowData;
-
   const futureSlots = await prisma.timeSlot.findMany({
     where: {
       doctorId: { in: doctorIds },
       status: "AVAILABLE",
-      OR: [
-        { date: { gt: todayUtc } },
-        { AND: [{ date: todayUtc }, { startTime: { gt: currentHM } }] },
-      ],
+      startAt: { gt: nowData.nowUtc },
     },
-    select: { id: true, doctorId: true, date: true, startTime: true, endTime: true },
-    orderBy: [{ date: "asc" }, { startTime: "asc" }],
+    select: { id: true, doctorId: true, date: true, startTime: true, endTime: true, startAt: true, endAt: true },
+    orderBy: { startAt: "asc" },
   });
 
   const earliestByDoctor = new Map();
@@ -124,22 +116,26 @@ const getEarliestAvailableSlots = async (prisma, doctorIds, nowData) => {
   return earliestByDoctor;
 };
 
-const mapAndSortDoctorsByEarliestSlot = (doctors, earliestByDoctor) => {
-  return doctors
-    .map((doc) => {
-      const slot = earliestByDoctor.get(doc.id);
-      return {
-        ...doc,
-        earliestAvailableSlot: slot
-          ? {
-              slotId: slot.id,
-              date: new Date(slot.date).toISOString().slice(0, 10),
-              startTime: slot.startTime,
-              endTime: slot.endTime,
-            }
-          : null,
-      };
-    })
+// Slot times are shown in the viewer's zone when known, else in each doctor's own zone
+const mapDoctorsWithEarliestSlot = (doctors, earliestByDoctor, viewerTimeZone) =>
+  doctors.map((doc) => {
+    const slot = earliestByDoctor.get(doc.id);
+    return {
+      ...doc,
+      earliestAvailableSlot: slot
+        ? {
+            slotId: slot.id,
+            date: new Date(slot.date).toISOString().slice(0, 10),
+            startTime: slot.startTime,
+            endTime: slot.endTime,
+            ...describeSlotTimes(slot, viewerTimeZone || doc.timezone),
+          }
+        : null,
+    };
+  });
+
+const mapAndSortDoctorsByEarliestSlot = (doctors, earliestByDoctor, viewerTimeZone) => {
+  return mapDoctorsWithEarliestSlot(doctors, earliestByDoctor, viewerTimeZone)
     .sort((a, b) => {
       const sa = a.earliestAvailableSlot;
       const sb = b.earliestAvailableSlot;
@@ -148,11 +144,8 @@ const mapAndSortDoctorsByEarliestSlot = (doctors, earliestByDoctor) => {
       if (!sa) return 1;
       if (!sb) return -1;
 
-      const da = new Date(sa.date).getTime();
-      const db = new Date(sb.date).getTime();
-      if (da !== db) return da - db;
-
-      return sa.startTime.localeCompare(sb.startTime);
+      // Doctors may sit in different zones, so compare absolute start times
+      return new Date(sa.startsAt).getTime() - new Date(sb.startsAt).getTime();
     });
 };
 
@@ -168,6 +161,7 @@ module.exports = {
   parseDoctorQuery,
   getNowUtc,
   getEarliestAvailableSlots,
+  mapDoctorsWithEarliestSlot,
   mapAndSortDoctorsByEarliestSlot,
   sortByConsultationModePriority
 };
@@ -0,0 +1,86 @@
+// Parser for the RRULE subset accepted by batch slot creation:
+// FREQ (DAILY/WEEKLY), INTERVAL, BYDAY, UNTIL, COUNT, plus EXDATE lines
+
+const WEEKDAY_CODES = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+
+const SUPPORTED_FREQUENCIES = ['DAILY', 'WEEKLY'];
+
+// 20250915 or 20250915T090000Z -> 2025-09-15T00:00:00Z (only the date part matters for slots)
+const parseIcsDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return date.getUTCDate() === Number(match[3]) ? date : null;
+};
+
+const parseRulePart = (rule, key, value) => {
+  switch (key) {
+    case 'FREQ':
+      if (!SUPPORTED_FREQUENCIES.includes(value)) return `FREQ must be one of: ${SUPPORTED_FREQUENCIES.join(', ')}`;
+      rule.freq = value;
+      return null;
+    case 'INTERVAL': {
+      const interval = Number(value);
+      if (!Number.isInteger(interval) || interval < 1 || interval > 52) return 'INTERVAL must be an integer between 1 and 52';
+      rule.interval = interval;
+      return null;
+    }
+    case 'BYDAY': {
+      const codes = value.split(',');
+      if (codes.some((code) => !(code in WEEKDAY_CODES))) return 'BYDAY must be a list of SU, MO, TU, WE, TH, FR, SA';
+      rule.byDay = [...new Set(codes.map((code) => WEEKDAY_CODES[code]))];
+      return null;
+    }
+    case 'UNTIL':
+      rule.until = parseIcsDate(value);
+      return rule.until ? null : 'UNTIL must be a date like 20251231';
+    case 'COUNT': {
+      const count = Number(value);
+      if (!Number.isInteger(count) || count < 1 || count > 366) return 'COUNT must be an integer between 1 and 366';
+      rule.count = count;
+      return null;
+    }
+    default:
+      return `Unsupported RRULE part: ${key}`;
+  }
+};
+
+// Returns { rule } or { error }
+const parseRRule = (text) => {
+  const rule = { freq: null, interval: 1, byDay: null, until: null, count: null, exdates: [] };
+  const lines = String(text).split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+
+  for (const line of lines) {
+    const upper = line.toUpperCase();
+
+    // EXDATE:20250915,20250922 (parameters such as ;VALUE=DATE are ignored)
+    if (upper.startsWith('EXDATE')) {
+      const values = upper.slice(upper.indexOf(':') + 1).split(',');
+      for (const value of values) {
+        const date = parseIcsDate(value);
+        if (!date) return { error: `Invalid EXDATE value: ${value}` };
+        rule.exdates.push(date.toISOString().split('T')[0]);
+      }
+      continue;
+    }
+
+    const body = upper.startsWith('RRULE:') ? upper.slice('RRULE:'.length) : upper;
+    for (const part of body.split(';').filter(Boolean)) {
+      const [key, value] = part.split('=');
+      if (!value) return { error: `Invalid RRULE part: ${part}` };
+      const error = parseRulePart(rule, key, value);
+      if (error) return { error };
+    }
+  }
+
+  if (!rule.freq) return { error: 'RRULE must include FREQ' };
+  if (rule.count && rule.until) return { error: 'RRULE cannot combine COUNT and UNTIL' };
+
+  return { rule };
+};
+
+module.exports = {
+  WEEKDAY_CODES,
+  parseRRule,
+};
@@ -0,0 +1,159 @@
+const { getSlotStartUtc, toZonedDateTime } = require('./time');
+const { formatDateYmd, describeSlotStart } = require('./timeSlotHelpers');
+
+// Minutes before the slot start; override with e.g. REMINDER_OFFSETS_MINUTES="1440,60"
+const REMINDER_OFFSETS_MINUTES = (process.env.REMINDER_OFFSETS_MINUTES || '1440,60')
+  .split(',')
+  .map(Number)
+  .filter((minutes) => Number.isInteger(minutes) && minutes > 0);
+
+const REMINDER_MAX_ATTEMPTS = 3;
+const REMINDER_RETRY_MINUTES = 5;
+const REMINDER_BATCH_SIZE = 50;
+
+// A reminder stuck in SENDING this long was abandoned by a stopped worker
+const REMINDER_STALE_MINUTES = 10;
+
+const REMINDER_STATUS = {
+  PENDING: 'PENDING',
+  SENDING: 'SENDING',
+  SENT: 'SENT',
+  FAILED: 'FAILED',
+  CANCELLED: 'CANCELLED',
+  SKIPPED: 'SKIPPED',
+};
+
+// Persist pending reminders for a booked appointment; offsets that already passed are skipped
+const scheduleAppointmentReminders = async (tx, { appointmentId, userId, slotStartUtc, nowUtc }) => {
+  const data = REMINDER_OFFSETS_MINUTES
+    .map((offsetMinutes) => ({
+      appointmentId,
+      userId,
+      offsetMinutes,
+      sendAt: new Date(slotStartUtc.getTime() - offsetMinutes * 60 * 1000),
+    }))
+    .filter((reminder) => reminder.sendAt > nowUtc);
+
+  if (data.length === 0) return 0;
+
+  const result = await tx.appointmentReminder.createMany({ data });
+  return result.count;
+};
+
+// Cancel reminders that have not been delivered yet
+const cancelAppointmentReminders = async (tx, appointmentIds) => {
+  if (appointmentIds.length === 0) return 0;
+
+  const result = await tx.appointmentReminder.updateMany({
+    where: { appointmentId: { in: appointmentIds }, status: REMINDER_STATUS.PENDING },
+    data: { status: REMINDER_STATUS.CANCELLED },
+  });
+  return result.count;
+};
+
+const describeLeadTime = (minutes) => {
+  if (minutes % 1440 === 0) return `${minutes / 1440} day${minutes === 1440 ? '' : 's'}`;
+  if (minutes % 60 === 0) return `${minutes / 60} hour${minutes === 60 ? '' : 's'}`;
+  return `${minutes} minutes`;
+};
+
+// Times are given in the patient's zone, else the doctor's
+const buildReminderMessage = ({ offsetMinutes, user, appointment }) => {
+  const { doctor, timeSlot } = appointment;
+  const timeZone = user.timezone || doctor.timezone || 'UTC';
+  const date = formatDateYmd(toZonedDateTime(getSlotStartUtc(timeSlot), timeZone).date);
+
+  return {
+    to: { name: user.name, email: user.email, phone: user.phone },
+    subject: `Reminder: appointment with ${doctor.name} on ${date}`,
+    text: `Hi ${user.name}, your appointment with ${doctor.name} (${doctor.specialization}) is in ${describeLeadTime(offsetMinutes)}, `
+      + `on ${describeSlotStart(timeSlot, timeZone)}.`,
+  };
+};
+
+// Deliver every due reminder through the transport; safe to run from several workers
+const dispatchDueReminders = async (prisma, transport, nowUtc) => {
+  await prisma.appointmentReminder.updateMany({
+    where: {
+      status: REMINDER_STATUS.SENDING,
+      updatedAt: { lt: new Date(nowUtc.getTime() - REMINDER_STALE_MINUTES * 60 * 1000) },
+    },
+    data: { status: REMINDER_STATUS.PENDING },
+  });
+
+  const due = await prisma.appointmentReminder.findMany({
+    where: { status: REMINDER_STATUS.PENDING, sendAt: { lte: nowUtc } },
+    orderBy: { sendAt: 'asc' },
+    take: REMINDER_BATCH_SIZE,
+    select: {
+      id: true,
+      offsetMinutes: true,
+      attempts: true,
+      user: { select: { name: true, email: true, phone: true, timezone: true } },
+      appointment: {
+        select: {
+          status: true,
+          doctor: { select: { name: true, specialization: true, timezone: true } },
+          timeSlot: { select: { date: true, startTime: true, startAt: true } },
+        },
+      },
+    },
+  });
+
+  const summary = { sent: 0, retried: 0, failed: 0, skipped: 0 };
+
+  for (const reminder of due) {
+    // Claim first so a reminder is never sent twice
+    const claimed = await prisma.appointmentReminder.updateMany({
+      where: { id: reminder.id, status: REMINDER_STATUS.PENDING },
+      data: { status: REMINDER_STATUS.SENDING },
+    });
+    if (claimed.count !== 1) continue;
+
+    const { appointment } = reminder;
+    const slotStartUtc = appointment.timeSlot && getSlotStartUtc(appointment.timeSlot);
+
+    // Visit no longer booked or already started
+    if (appointment.status !== 'BOOKED' || !slotStartUtc || slotStartUtc <= nowUtc) {
+      await prisma.appointmentReminder.update({ where: { id: reminder.id }, data: { status: REMINDER_STATUS.SKIPPED } });
+      summary.skipped += 1;
+      continue;
+    }
+
+    const attempts = reminder.attempts + 1;
+    try {
+      await transport.send(buildReminderMessage(reminder));
+      await prisma.appointmentReminder.update({
+        where: { id: reminder.id },
+        data: { status: REMINDER_STATUS.SENT, sentAt: nowUtc, attempts, transport: transport.name, lastError: null },
+      });
+      summary.sent += 1;
+    } catch (err) {
+      const failed = attempts >= REMINDER_MAX_ATTEMPTS;
+      await prisma.appointmentReminder.update({
+        where: { id: reminder.id },
+        data: {
+          status: failed ? REMINDER_STATUS.FAILED : REMINDER_STATUS.PENDING,
+          sendAt: failed ? undefined : new Date(nowUtc.getTime() + REMINDER_RETRY_MINUTES * 60 * 1000),
+          attempts,
+          transport: transport.name,
+          lastError: String(err?.message || err).slice(0, 500),
+        },
+      });
+      if (failed) summary.failed += 1;
+      else summary.retried += 1;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  REMINDER_OFFSETS_MINUTES,
+  REMINDER_MAX_ATTEMPTS,
+  REMINDER_STATUS,
+  scheduleAppointmentReminders,
+  cancelAppointmentReminders,
+  buildReminderMessage,
+  dispatchDueReminders,
+};
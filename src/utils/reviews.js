@@ -0,0 +1,59 @@
+const REVIEW_STATUS = {
+  VISIBLE: 'VISIBLE',
+  HIDDEN: 'HIDDEN',
+};
+
+// Shown to everyone, so nothing that links a review to a patient's appointment
+const selectReviewFields = {
+  id: true,
+  doctorId: true,
+  rating: true,
+  text: true,
+  createdAt: true,
+  user: { select: { name: true } },
+};
+
+const selectModeratedReviewFields = {
+  ...selectReviewFields,
+  appointmentId: true,
+  userId: true,
+  status: true,
+  flagged: true,
+  moderationReason: true,
+  moderatedBy: true,
+  moderatedAt: true,
+};
+
+// Patients are shown by first name and last initial, e.g. "Jane D."
+const formatReviewAuthor = (name) => {
+  const [first, ...rest] = String(name || '').trim().split(/\s+/);
+  if (!first) return null;
+  const last = rest[rest.length - 1];
+  return last ? `${first} ${last[0].toUpperCase()}.` : first;
+};
+
+const formatReview = ({ user, ...review }) => ({ ...review, author: formatReviewAuthor(user?.name) });
+
+// Average of the doctor's visible reviews, rounded to one decimal, written back to the doctor for listing and sorting
+const refreshDoctorRating = async (prisma, doctorId) => {
+  const result = await prisma.review.aggregate({
+    where: { doctorId, status: REVIEW_STATUS.VISIBLE },
+    _avg: { rating: true },
+    _count: { _all: true },
+  });
+
+  const ratingCount = result._count._all;
+  const ratingAverage = ratingCount > 0 ? Math.round(result._avg.rating * 10) / 10 : 0;
+
+  await prisma.doctor.update({ where: { id: doctorId }, data: { ratingAverage, ratingCount } });
+  return { ratingAverage, ratingCount };
+};
+
+module.exports = {
+  REVIEW_STATUS,
+  selectReviewFields,
+  selectModeratedReviewFields,
+  formatReviewAuthor,
+  formatReview,
+  refreshDoctorRating,
+};
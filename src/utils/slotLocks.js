@@ -0,0 +1,225 @@
+// How long a slot lock (or an extension of it) lasts
+const LOCK_MINUTES = 5;
+
+// Longest a single lock may be held in total, counting every extension
+const MAX_LOCK_MINUTES = 15;
+
+// Most slots one user may hold at the same time through single locks
+const MAX_ACTIVE_LOCKS = 3;
+
+// Most slots one user may hold at the same time once a series is locked: a single series of the longest length
+const MAX_SERIES_LOCKS = 12;
+
+// A lock holds one seat of a slot, so a group slot can be held by several users at once.
+// The holds of a slot are a sorted set of "<userId>|<lockedAt ms>" scored by expiry; the key expires
+// with its last hold, so an abandoned lock simply disappears.
+const slotLockKey = (slotId) => `slot:lock:${slotId}`;
+
+// Sorted sets of lock ids "<slotId>|<userId>|<lockedAt ms>" scored by expiry: every hold, and the holds
+// of one user. The "|" keeps the client from ever reading an id back as a number.
+const LOCK_INDEX_KEY = 'slot:locks';
+
+// Expired index entries are left for the waitlist job to pick up for this long, then dropped on the next read,
+// so the index stays small when that job is not running
+const INDEX_GRACE_MS = 30 * 60 * 1000;
+const userLocksKey = (userId) => `user:${userId}:slot-locks`;
+
+// Keep the slot key alive exactly as long as its longest hold
+const EXPIRE_WITH_LAST_HOLD = "local last = redis.call('zrange', KEYS[1], -1, -1, 'WITHSCORES') "
+  + "if last[2] then redis.call('pexpireat', KEYS[1], last[2]) end ";
+
+// Take a seat if fewer than ARGV[5] seats are held; returns the user's existing hold, 1 when taken, 0 when full
+const ACQUIRE_SCRIPT = "redis.call('zremrangebyscore', KEYS[1], '-inf', ARGV[1]) "
+  + "local holds = redis.call('zrange', KEYS[1], 0, -1, 'WITHSCORES') "
+  + "local prefix = ARGV[2] .. '|' "
+  + 'for i = 1, #holds, 2 do '
+  + 'if string.sub(holds[i], 1, #prefix) == prefix then return { holds[i], holds[i + 1] } end '
+  + 'end '
+  + 'if #holds / 2 >= tonumber(ARGV[5]) then return 0 end '
+  + "redis.call('zadd', KEYS[1], ARGV[4], ARGV[3]) "
+  + EXPIRE_WITH_LAST_HOLD
+  + 'return 1';
+
+// Move a hold's expiry only while it still has the expiry that was read
+const RENEW_SCRIPT = "local score = redis.call('zscore', KEYS[1], ARGV[1]) "
+  + 'if not score or tonumber(score) ~= tonumber(ARGV[2]) then return 0 end '
+  + "redis.call('zadd', KEYS[1], ARGV[3], ARGV[1]) "
+  + EXPIRE_WITH_LAST_HOLD
+  + 'return 1';
+
+const toLock = (slotId, member, score) => {
+  const [userId, lockedAt] = String(member).split('|');
+  return { slotId, userId, lockedAt: new Date(Number(lockedAt)), expiresAt: new Date(Number(score)), member: String(member) };
+};
+
+const lockId = (lock) => `${lock.slotId}|${lock.member}`;
+const slotIdFromLockId = (id) => String(id).split('|')[0];
+
+const indexLock = (redis, lock) => {
+  const entry = { score: lock.expiresAt.getTime(), member: lockId(lock) };
+  return Promise.all([redis.zadd(LOCK_INDEX_KEY, entry), redis.zadd(userLocksKey(lock.userId), entry)]);
+};
+
+const unindexLock = (redis, lock) =>
+  Promise.all([redis.zrem(LOCK_INDEX_KEY, lockId(lock)), redis.zrem(userLocksKey(lock.userId), lockId(lock))]);
+
+// Live holds on one slot
+const getSlotHolds = async (redis, slotId, nowUtc) => {
+  const entries = await redis.zrange(slotLockKey(slotId), nowUtc.getTime() + 1, '+inf', { byScore: true, withScores: true });
+
+  const holds = [];
+  for (let i = 0; i < entries.length; i += 2) holds.push(toLock(slotId, entries[i], entries[i + 1]));
+  return holds;
+};
+
+// The user's live hold on a slot, if any
+const getSlotLock = async (redis, slotId, userId, nowUtc) =>
+  (await getSlotHolds(redis, slotId, nowUtc)).find((lock) => lock.userId === userId) || null;
+
+// The user's live holds on the given slots by slot id
+const getUserSlotLocks = async (redis, slotIds, userId, nowUtc) => {
+  const locks = new Map();
+  for (const slotId of slotIds) {
+    const lock = await getSlotLock(redis, slotId, userId, nowUtc);
+    if (lock) locks.set(slotId, lock);
+  }
+  return locks;
+};
+
+// Seats currently held per slot id; used to hide slots whose free seats are all held
+const getHeldSeatCounts = async (redis, nowUtc) => {
+  await redis.zremrangebyscore(LOCK_INDEX_KEY, 0, nowUtc.getTime() - INDEX_GRACE_MS);
+  const ids = await redis.zrange(LOCK_INDEX_KEY, nowUtc.getTime() + 1, '+inf', { byScore: true });
+
+  const counts = new Map();
+  ids.map(slotIdFromLockId).forEach((slotId) => counts.set(slotId, (counts.get(slotId) || 0) + 1));
+  return counts;
+};
+
+// Holds the user currently has
+const countUserSlotLocks = async (redis, userId, nowUtc) => {
+  await redis.zremrangebyscore(userLocksKey(userId), 0, nowUtc.getTime());
+  return redis.zcount(userLocksKey(userId), nowUtc.getTime() + 1, '+inf');
+};
+
+// Atomically take one of the free seats; a user already holding a seat keeps that hold as is
+const tryAcquire = async (redis, { slotId, userId, nowUtc, minutes, seats }) => {
+  const expiresAt = new Date(nowUtc.getTime() + minutes * 60 * 1000);
+  const lock = toLock(slotId, `${userId}|${nowUtc.getTime()}`, expiresAt.getTime());
+
+  const result = await redis.eval(
+    ACQUIRE_SCRIPT,
+    [slotLockKey(slotId)],
+    [String(nowUtc.getTime()), String(userId), lock.member, String(expiresAt.getTime()), String(seats)]
+  );
+
+  if (Array.isArray(result)) return { lock: toLock(slotId, result[0], result[1]), created: false };
+  if (Number(result) !== 1) return null;
+
+  await indexLock(redis, lock);
+  return { lock, created: true };
+};
+
+// Hold a seat of one slot for the user; null when every free seat is held by others
+const acquireSlotLock = async (redis, { slotId, userId, nowUtc, minutes = LOCK_MINUTES, seats = 1 }) => {
+  const acquired = await tryAcquire(redis, { slotId, userId, nowUtc, minutes, seats });
+  return acquired ? acquired.lock : null;
+};
+
+// Hold a seat of every slot ({ id, seats }) or none: the holds taken so far are given back and a coded error is thrown
+const acquireSlotLocks = async (redis, { slots, userId, nowUtc, minutes = LOCK_MINUTES }) => {
+  const locks = [];
+  const created = [];
+
+  for (const slot of slots) {
+    const acquired = await tryAcquire(redis, { slotId: slot.id, userId, nowUtc, minutes, seats: slot.seats });
+    if (!acquired) {
+      await releaseSlotLocks(redis, created);
+      throw { code: 'SERIES_SLOT_UNAVAILABLE', slotId: slot.id };
+    }
+
+    locks.push(acquired.lock);
+    if (acquired.created) created.push(acquired.lock);
+  }
+
+  return locks;
+};
+
+// Give back a hold read earlier; false when it was already gone
+const releaseSlotLock = async (redis, lock) => {
+  const removed = await redis.zrem(slotLockKey(lock.slotId), lock.member);
+  await unindexLock(redis, lock);
+  return Number(removed) === 1;
+};
+
+const releaseSlotLocks = (redis, locks) => Promise.all(locks.map((lock) => releaseSlotLock(redis, lock)));
+
+// Give back the user's hold on a slot; null when they do not hold one
+const releaseUserSlotLock = async (redis, slotId, userId, nowUtc) => {
+  const lock = await getSlotLock(redis, slotId, userId, nowUtc);
+  if (!lock) return null;
+
+  return (await releaseSlotLock(redis, lock)) ? lock : null;
+};
+
+// Move the expiry of the hold read earlier; null when it was released or renewed in the meantime
+const renewSlotLock = async (redis, lock, expiresAt) => {
+  const renewed = await redis.eval(
+    RENEW_SCRIPT,
+    [slotLockKey(lock.slotId)],
+    [lock.member, String(lock.expiresAt.getTime()), String(expiresAt.getTime())]
+  );
+  if (Number(renewed) !== 1) return null;
+
+  const lockRenewed = { ...lock, expiresAt };
+  await indexLock(redis, lockRenewed);
+  return lockRenewed;
+};
+
+// Drop every hold on the given slots: the slot was moved or removed
+const clearSlotLocks = async (redis, slotIds) => {
+  for (const slotId of slotIds) {
+    const entries = await redis.zrange(slotLockKey(slotId), 0, -1, { withScores: true });
+    if (entries.length === 0) continue;
+
+    await redis.del(slotLockKey(slotId));
+    for (let i = 0; i < entries.length; i += 2) await unindexLock(redis, toLock(slotId, entries[i], entries[i + 1]));
+  }
+};
+
+// Slots with a hold that ran out since the last call; their index entries are dropped
+const popExpiredSlotLocks = async (redis, nowUtc) => {
+  const ids = await redis.zrange(LOCK_INDEX_KEY, 0, nowUtc.getTime(), { byScore: true });
+  if (ids.length > 0) await redis.zremrangebyscore(LOCK_INDEX_KEY, 0, nowUtc.getTime());
+  return [...new Set(ids.map(slotIdFromLockId))];
+};
+
+// New expiry for extending a lock: LOCK_MINUTES from now, capped at MAX_LOCK_MINUTES after it was taken.
+// Null when that would not move the expiry forward.
+const resolveLockExtension = ({ lockedAt, expiresAt: currentExpiry }, nowUtc) => {
+  const maxExpiresAt = new Date((lockedAt || nowUtc).getTime() + MAX_LOCK_MINUTES * 60 * 1000);
+  const expiresAt = new Date(Math.min(nowUtc.getTime() + LOCK_MINUTES * 60 * 1000, maxExpiresAt.getTime()));
+
+  return expiresAt > currentExpiry ? { expiresAt, maxExpiresAt } : null;
+};
+
+module.exports = {
+  LOCK_MINUTES,
+  MAX_LOCK_MINUTES,
+  MAX_ACTIVE_LOCKS,
+  MAX_SERIES_LOCKS,
+  getSlotHolds,
+  getSlotLock,
+  getUserSlotLocks,
+  getHeldSeatCounts,
+  countUserSlotLocks,
+  acquireSlotLock,
+  acquireSlotLocks,
+  releaseSlotLock,
+  releaseSlotLocks,
+  releaseUserSlotLock,
+  renewSlotLock,
+  clearSlotLocks,
+  popExpiredSlotLocks,
+  resolveLockExtension,
+};
@@ -0,0 +1,84 @@
+const { describeSlotStart } = require('./timeSlotHelpers');
+const { recordAppointmentEvent } = require('./appointmentEvents');
+const { cancelAppointmentReminders } = require('./reminders');
+const { WAITLIST_STATUS } = require('./waitlist');
+const { hasBookedSeats } = require('./slotSeats');
+
+// A seat is booked, or held by a live Redis lock (heldSeats maps slot id to held seat count)
+const isSlotInUse = (slot, heldSeats) => hasBookedSeats(slot) || heldSeats.has(slot.id);
+
+// Slots that may be changed without force; slots with held seats are left out by the caller
+const buildFreeSlotFilter = () => ({ status: 'AVAILABLE', seatsBooked: 0 });
+
+// Ids of the slots that earlier appointments (cancelled, completed, no-show, rescheduled) point to.
+// Those slots are history: deleting or moving one would take it away from those appointments.
+const findSlotsWithHistory = async (tx, slotIds) => {
+  const appointments = await tx.appointment.findMany({
+    where: { timeSlotId: { in: slotIds }, status: { not: 'BOOKED' } },
+    select: { timeSlotId: true },
+  });
+  return new Set(appointments.map((appt) => appt.timeSlotId));
+};
+
+// Cancel the BOOKED appointments on the given slots before they are removed or moved
+const cancelSlotBookings = async (tx, { slotIds, actor, reason }) => {
+  const appointments = await tx.appointment.findMany({
+    where: { timeSlotId: { in: slotIds }, status: 'BOOKED' },
+    select: {
+      id: true,
+      userId: true,
+      timeSlotId: true,
+      user: { select: { name: true, email: true, phone: true, timezone: true } },
+      doctor: { select: { name: true, timezone: true } },
+      timeSlot: { select: { date: true, startTime: true, startAt: true } },
+    },
+  });
+  if (appointments.length === 0) return [];
+
+  const ids = appointments.map((appt) => appt.id);
+  await tx.appointment.updateMany({ where: { id: { in: ids } }, data: { status: 'CANCELLED' } });
+  await cancelAppointmentReminders(tx, ids);
+
+  for (const appt of appointments) {
+    await recordAppointmentEvent(tx, {
+      appointmentId: appt.id,
+      actor,
+      previousStatus: 'BOOKED',
+      newStatus: 'CANCELLED',
+      oldSlotId: appt.timeSlotId,
+      reason,
+      details: { slotRemoved: true },
+    });
+  }
+
+  return appointments;
+};
+
+// Put users holding a waitlist offer for these slots back in the queue
+const releaseSlotOffers = (tx, slotIds) =>
+  tx.waitlistEntry.updateMany({
+    where: { offeredSlotId: { in: slotIds }, status: WAITLIST_STATUS.OFFERED },
+    data: { status: WAITLIST_STATUS.WAITING, offeredSlotId: null, offeredAt: null, offerExpires: null },
+  });
+
+// Message sent to a patient whose appointment was cancelled because the clinic removed or moved the slot
+const buildSlotCancellationNotice = (appt) => {
+  const { user, doctor, timeSlot } = appt;
+  const when = describeSlotStart(timeSlot, user.timezone || doctor.timezone);
+
+  return {
+    to: { name: user.name, email: user.email, phone: user.phone },
+    subject: `Your appointment with ${doctor.name} has been cancelled`,
+    text: `Hi ${user.name}, your appointment with ${doctor.name} on ${when} has been cancelled because the time slot `
+      + 'is no longer offered. Please book a new time.',
+  };
+};
+
+module.exports = {
+  isSlotInUse,
+  buildFreeSlotFilter,
+  findSlotsWithHistory,
+  cancelSlotBookings,
+  releaseSlotOffers,
+  buildSlotCancellationNotice,
+};
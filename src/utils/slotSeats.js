@@ -0,0 +1,64 @@
+// Seats of a slot: capacity 1 is a regular appointment, more is a group session such as yoga or
+// group counselling. status is BOOKED once every seat is taken and AVAILABLE while any seat is free.
+const MAX_SLOT_CAPACITY = 50;
+
+// Concurrent bookings of the same group slot retry the seat count comparison a few times
+const MAX_SEAT_ATTEMPTS = 3;
+
+const selectSeatFields = { capacity: true, seatsBooked: true };
+
+const getSlotCapacity = (slot) => slot.capacity ?? 1;
+const getSeatsBooked = (slot) => slot.seatsBooked ?? 0;
+
+// Seats nobody has booked or is holding
+const getFreeSeats = (slot, seatsHeld = 0) => Math.max(0, getSlotCapacity(slot) - getSeatsBooked(slot) - seatsHeld);
+
+// Someone has an appointment on the slot
+const hasBookedSeats = (slot) => slot.status === 'BOOKED' || getSeatsBooked(slot) > 0;
+
+const describeSeats = (slot, seatsHeld = 0) => ({
+  capacity: getSlotCapacity(slot),
+  seatsBooked: getSeatsBooked(slot),
+  seatsHeld,
+  seatsRemaining: getFreeSeats(slot, seatsHeld),
+});
+
+// Book one seat inside a transaction. The write only matches the booked count that was read, so two
+// patients confirming the last seat at once never oversell it. Null when the slot is full or gone.
+const bookSeat = async (tx, where) => {
+  for (let attempt = 0; attempt < MAX_SEAT_ATTEMPTS; attempt += 1) {
+    const slot = await tx.timeSlot.findFirst({
+      where: { ...where, status: 'AVAILABLE' },
+      select: { id: true, ...selectSeatFields },
+    });
+    if (!slot || getFreeSeats(slot) === 0) return null;
+
+    const seatsBooked = getSeatsBooked(slot) + 1;
+    const result = await tx.timeSlot.updateMany({
+      where: { id: slot.id, status: 'AVAILABLE', seatsBooked: getSeatsBooked(slot) },
+      data: { seatsBooked, status: seatsBooked >= getSlotCapacity(slot) ? 'BOOKED' : 'AVAILABLE' },
+    });
+    if (result.count === 1) return { ...slot, seatsBooked };
+  }
+
+  return null;
+};
+
+// Free one seat; the slot is AVAILABLE again since at least that seat is open
+const releaseSeat = (tx, slotId) =>
+  tx.timeSlot.updateMany({
+    where: { id: slotId, seatsBooked: { gt: 0 } },
+    data: { seatsBooked: { decrement: 1 }, status: 'AVAILABLE' },
+  });
+
+module.exports = {
+  MAX_SLOT_CAPACITY,
+  selectSeatFields,
+  getSlotCapacity,
+  getSeatsBooked,
+  getFreeSeats,
+  hasBookedSeats,
+  describeSeats,
+  bookSeat,
+  releaseSeat,
+};
@@ -0,0 +1,101 @@
+// Most catalog entries one doctor may be listed under
+const MAX_DOCTOR_SPECIALIZATIONS = 5;
+
+// Catalog with active doctor counts, as served by GET /api/specializations
+const SPECIALIZATION_CACHE_KEY = 'specializations:catalog';
+const SPECIALIZATION_CACHE_TTL = 3600;
+
+// Lowercase words joined by single dashes, e.g. "panchakarma-therapy"
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const selectSpecializationFields = { id: true, slug: true, name: true, synonyms: true };
+
+// "Panchakarma  Thérapy" -> "panchakarma-therapy"; slugs and synonyms are stored and matched in this form
+const slugify = (value) =>
+  String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+// Slugified synonyms without duplicates or the entry's own slug
+const normalizeSynonyms = (synonyms, slug) =>
+  [...new Set((synonyms || []).map(slugify))].filter((synonym) => synonym && synonym !== slug);
+
+// Comma separated names or slugs of a listing filter, slugified: "Panchakarma Therapy" -> ["panchakarma-therapy"].
+// Null when none of them has letters or digits.
+const parseSpecializationSlugs = (value) => {
+  const slugs = [...new Set(String(value).split(',').map(slugify).filter(Boolean))];
+  return slugs.length > 0 ? slugs : null;
+};
+
+// Catalog entries for the given names, slugs or synonyms, in the order given and without repeats.
+// Throws a coded error listing the terms that match no entry.
+const resolveSpecializations = async (prisma, terms) => {
+  const keys = terms.map(slugify);
+  const entries = await prisma.specialization.findMany({
+    where: { OR: [{ slug: { in: keys } }, { synonyms: { hasSome: keys } }] },
+    select: selectSpecializationFields,
+  });
+
+  const findEntry = (key) =>
+    entries.find((entry) => entry.slug === key) || entries.find((entry) => entry.synonyms.includes(key));
+
+  const unknown = terms.filter((term, index) => !findEntry(keys[index]));
+  if (unknown.length > 0) {
+    throw { code: 'UNKNOWN_SPECIALIZATION', message: `Unknown specialization: ${unknown.join(', ')}`, data: unknown };
+  }
+
+  const resolved = keys.map(findEntry);
+  return resolved.filter((entry, index) => resolved.findIndex((other) => other.id === entry.id) === index);
+};
+
+// Slugs and synonyms of the other catalog entries that clash with the given ones
+const findSlugConflicts = async (prisma, keys, excludeId) => {
+  const clashing = await prisma.specialization.findMany({
+    where: {
+      ...(excludeId && { id: { not: excludeId } }),
+      OR: [{ slug: { in: keys } }, { synonyms: { hasSome: keys } }],
+    },
+    select: { slug: true, synonyms: true },
+  });
+
+  return keys.filter((key) => clashing.some((entry) => entry.slug === key || entry.synonyms.includes(key)));
+};
+
+// Active doctors per specialization id
+const countDoctorsBySpecialization = (doctors) => {
+  const counts = new Map();
+  doctors.forEach((doctor) =>
+    new Set(doctor.specializationIds).forEach((id) => counts.set(id, (counts.get(id) || 0) + 1))
+  );
+  return counts;
+};
+
+const formatSpecialization = ({ id, slug, name, synonyms }, counts) => ({
+  id,
+  slug,
+  name,
+  synonyms,
+  ...(counts && { doctorCount: counts.get(id) || 0 }),
+});
+
+// Counts change whenever a doctor is created, edited, deactivated or reactivated
+const invalidateSpecializationCache = (redis) => redis.unlink(SPECIALIZATION_CACHE_KEY);
+
+module.exports = {
+  MAX_DOCTOR_SPECIALIZATIONS,
+  SPECIALIZATION_CACHE_KEY,
+  SPECIALIZATION_CACHE_TTL,
+  SLUG_PATTERN,
+  selectSpecializationFields,
+  slugify,
+  normalizeSynonyms,
+  parseSpecializationSlugs,
+  resolveSpecializations,
+  findSlugConflicts,
+  countDoctorsBySpecialization,
+  formatSpecialization,
+  invalidateSpecializationCache,
+};
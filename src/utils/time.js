@@ -32,4 +32,99 @@ const parseToMinutes = (t) => {
 // convert minutes to HH:MM
 const toTimeString = (mins) => `${String(Math.floor(mins / 60)).padStart(2, "0")}:${String(mins % 60).padStart(2, "0")}`;
 
-module.exports = { getDatabaseNow, formatTime, parseTime, getUtcDateTime, parseToMinutes, toTimeString };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Building an Intl formatter is slow, so one is kept per IANA zone
+const zonedFormatters = new Map();
+
+const getZonedFormatter = (timeZone) => {
+  if (!zonedFormatters.has(timeZone)) {
+    zonedFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+    }));
+  }
+  return zonedFormatters.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || timeZone.length === 0) return false;
+  try {
+    getZonedFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Wall-clock year, month, day, hour and minute of an instant in the zone
+const getZonedParts = (instant, timeZone) => {
+  const parts = {};
+  getZonedFormatter(timeZone).formatToParts(instant).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value);
+  });
+  return parts;
+};
+
+// Minutes the zone is ahead of UTC at the instant
+const getTimeZoneOffsetMinutes = (instant, timeZone) => {
+  const p = getZonedParts(instant, timeZone);
+  const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+  return Math.round((wallClock - Math.floor(instant.getTime() / 60000) * 60000) / 60000);
+};
+
+// Instant of "HH:mm" on a calendar day (a UTC-midnight date) in the zone.
+// A time skipped by a DST jump moves forward by the jump; a repeated time resolves to its first occurrence.
+const zonedTimeToUtc = (date, time, timeZone = 'UTC') => {
+  const wallClock = getUtcDateTime(date, time).getTime();
+  if (timeZone === 'UTC') return new Date(wallClock);
+
+  // Offsets a day either side cover any transition near the wall-clock time
+  const offsetBefore = getTimeZoneOffsetMinutes(new Date(wallClock - DAY_MS), timeZone);
+  const offsetAfter = getTimeZoneOffsetMinutes(new Date(wallClock + DAY_MS), timeZone);
+
+  const [earliest] = [...new Set([offsetBefore, offsetAfter])]
+    .map((offset) => wallClock - offset * 60000)
+    .filter((instant) => getTimeZoneOffsetMinutes(new Date(instant), timeZone) * 60000 === wallClock - instant)
+    .sort((a, b) => a - b);
+
+  return new Date(earliest ?? wallClock - offsetBefore * 60000);
+};
+
+// Calendar day (UTC midnight) and "HH:mm" of an instant in the zone
+const toZonedDateTime = (instant, timeZone = 'UTC') => {
+  const p = getZonedParts(instant, timeZone);
+  return { date: new Date(Date.UTC(p.year, p.month - 1, p.day)), time: toTimeString(p.hour * 60 + p.minute) };
+};
+
+const getZonedToday = (nowUtc, timeZone = 'UTC') => toZonedDateTime(nowUtc, timeZone).date;
+
+// Slots created before instants were stored have null startAt/endAt; their wall clock was UTC.
+// Accepts dates revived from a JSON cache entry as well.
+const getSlotStartUtc = (slot) => (slot.startAt ? new Date(slot.startAt) : getUtcDateTime(new Date(slot.date), slot.startTime));
+const getSlotEndUtc = (slot) => (slot.endAt ? new Date(slot.endAt) : getUtcDateTime(new Date(slot.date), slot.endTime));
+
+// Header override, else the user's preference, else the given fallback (usually the doctor's zone)
+const resolveDisplayTimeZone = (req, fallback) => req.timeZone || req.user?.timezone || fallback || 'UTC';
+
+module.exports = {
+  getDatabaseNow,
+  formatTime,
+  parseTime,
+  getUtcDateTime,
+  parseToMinutes,
+  toTimeString,
+  isValidTimeZone,
+  getTimeZoneOffsetMinutes,
+  zonedTimeToUtc,
+  toZonedDateTime,
+  getZonedToday,
+  getSlotStartUtc,
+  getSlotEndUtc,
+  resolveDisplayTimeZone,
+};
@@ -1,3 +1,5 @@
+const { formatTime, toTimeString, zonedTimeToUtc, toZonedDateTime, getSlotStartUtc, getSlotEndUtc } = require('./time');
+
 const WEEKDAY_GROUPS = {
   MON_WED_FRI: [1, 3, 5],
   TUE_THU: [2, 4],
@@ -8,6 +10,9 @@ const WEEKDAY_GROUPS = {
   THU_FRI_SAT: [4, 5, 6],
 };
 
+// Slot length used when neither the request nor the doctor sets one
+const DEFAULT_SLOT_MINUTES = 30;
+
 const parseDateUtc = (dateStr) => new Date(`${dateStr}T00:00:00.000Z`);
 
 const getTodayUtc = () => {
@@ -16,34 +21,109 @@ const getTodayUtc = () => {
   return today;
 };
 
-const validateTimeframeRange = (startTime, endTime, parseToMinutes) => {
+// Request override, else the doctor's configured length, else the default
+const resolveSlotDuration = (doctor, requestedMinutes) =>
+  requestedMinutes || doctor?.slotDurationMinutes || DEFAULT_SLOT_MINUTES;
+
+// Doctor breaks as minute ranges, ordered by start
+const toBreakWindows = (breaks, parseToMinutes) =>
+  (breaks || [])
+    .map((window) => ({
+      name: window.name,
+      startTime: window.startTime,
+      endTime: window.endTime,
+      startMinutes: parseToMinutes(window.startTime),
+      endMinutes: parseToMinutes(window.endTime),
+    }))
+    .sort((a, b) => a.startMinutes - b.startMinutes);
+
+// Slot length, buffer and break windows used for generation; overrides win over the doctor's settings.
+// Minutes are coerced to numbers so a form field like "10" is added, never concatenated.
+const resolveSlotLayout = (doctor, overrides, parseToMinutes) => ({
+  slotMinutes: Number(resolveSlotDuration(doctor, overrides.durationMinutes)),
+  bufferMinutes: Number(overrides.bufferMinutes ?? doctor?.slotBufferMinutes ?? 0),
+  breakWindows: toBreakWindows(doctor?.breaks, parseToMinutes),
+});
+
+// Break windows overlapping [startMinutes, endMinutes)
+const findOverlappingBreaks = (startMinutes, endMinutes, breakWindows) =>
+  breakWindows.filter((window) => window.startMinutes < endMinutes && window.endMinutes > startMinutes);
+
+// With buffers or breaks the timeframe is filled with as many whole slots as fit, so it need not be an exact multiple
+const validateTimeframeRange = (startTime, endTime, parseToMinutes, slotMinutes = DEFAULT_SLOT_MINUTES, layout = {}) => {
   const startMinutes = parseToMinutes(startTime);
   const endMinutes = parseToMinutes(endTime);
+  const hasGaps = Boolean(layout.bufferMinutes) || (layout.breakWindows || []).length > 0;
 
   if (endMinutes <= startMinutes) {
     return { error: 'endTime must be greater than startTime' };
   }
-  if ((endMinutes - startMinutes) % 30 !== 0) {
-    return { error: 'Timeframe must be a multiple of 30 minutes' };
+  if (!hasGaps && (endMinutes - startMinutes) % slotMinutes !== 0) {
+    return { error: `Timeframe must be a multiple of ${slotMinutes} minutes` };
   }
 
   return { startMinutes, endMinutes };
 };
 
-const buildTimeSegments = (startMinutes, endMinutes, toTimeString) => {
+// Consecutive slots separated by the buffer; a slot that would touch a break starts after it instead
+const buildTimeSegments = (startMinutes, endMinutes, toTimeString, slotMinutes = DEFAULT_SLOT_MINUTES, layout = {}) => {
+  const { bufferMinutes = 0, breakWindows = [] } = layout;
   const segments = [];
-  for (let cursor = startMinutes; cursor < endMinutes; cursor += 30) {
-    segments.push({ startTime: toTimeString(cursor), endTime: toTimeString(cursor + 30) });
+  let cursor = startMinutes;
+
+  while (cursor + slotMinutes <= endMinutes) {
+    const [blocking] = findOverlappingBreaks(cursor, cursor + slotMinutes, breakWindows);
+    if (blocking) {
+      cursor = blocking.endMinutes;
+      continue;
+    }
+
+    segments.push({ startTime: toTimeString(cursor), endTime: toTimeString(cursor + slotMinutes) });
+    cursor += slotMinutes + bufferMinutes;
   }
+
   return segments;
 };
 
-const getMatchingDatesInRange = (startDate, endDate, weekdayNums) => {
+// Monday of the week containing the date (RRULE default WKST=MO)
+const getWeekStartUtc = (date) => {
+  const result = new Date(date);
+  result.setUTCDate(result.getUTCDate() - ((result.getUTCDay() + 6) % 7));
+  return result;
+};
+
+// Expand a parsed RRULE from startDate (DTSTART) up to endDate; COUNT counts occurrences before EXDATEs are removed
+const expandRecurrence = (startDate, endDate, rule) => {
+  const byDay = rule.byDay || (rule.freq === 'WEEKLY' ? [startDate.getUTCDay()] : null);
+  const lastDate = rule.until && rule.until < endDate ? rule.until : endDate;
+  const firstWeek = getWeekStartUtc(startDate);
+  const dates = [];
+  let occurrences = 0;
+
+  for (const cursor = new Date(startDate); cursor <= lastDate; cursor.setUTCDate(cursor.getUTCDate() + 1)) {
+    if (rule.count && occurrences >= rule.count) break;
+
+    const matches = rule.freq === 'DAILY'
+      ? Math.round((cursor - startDate) / 86400000) % rule.interval === 0 && (!byDay || byDay.includes(cursor.getUTCDay()))
+      : byDay.includes(cursor.getUTCDay()) && Math.round((getWeekStartUtc(cursor) - firstWeek) / (7 * 86400000)) % rule.interval === 0;
+    if (!matches) continue;
+
+    occurrences += 1;
+    if (!rule.exdates.includes(cursor.toISOString().split('T')[0])) dates.push(new Date(cursor));
+  }
+
+  return dates;
+};
+
+// recurrence is either a list of weekday numbers (0 = Sunday) or a rule from parseRRule
+const getMatchingDatesInRange = (startDate, endDate, recurrence) => {
+  if (!Array.isArray(recurrence)) return expandRecurrence(startDate, endDate, recurrence);
+
   const dates = [];
   const cursor = new Date(startDate);
 
   while (cursor <= endDate) {
-    if (weekdayNums.includes(cursor.getUTCDay())) {
+    if (recurrence.includes(cursor.getUTCDay())) {
       dates.push(new Date(cursor));
     }
     cursor.setUTCDate(cursor.getUTCDate() + 1);
@@ -52,19 +132,42 @@ const getMatchingDatesInRange = (startDate, endDate, weekdayNums) => {
   return dates;
 };
 
-const filterSchedulableDates = (dates, startMinutes) => {
-  const now = new Date();
-  const todayUTC = getTodayUtc();
-  const nowMinutesUTC = now.getUTCHours() * 60 + now.getUTCMinutes();
+// Days whose first slot (in the doctor's zone) has not started yet
+const filterSchedulableDates = (dates, startMinutes, timeZone = 'UTC', nowUtc = new Date()) =>
+  dates.filter((parsedDate) => zonedTimeToUtc(parsedDate, toTimeString(startMinutes), timeZone) > nowUtc);
+
+const formatDateYmd = (date) => date.toISOString().split('T')[0];
 
-  return dates.filter((parsedDate) => {
-    if (parsedDate < todayUTC) return false;
-    if (parsedDate.getTime() === todayUTC.getTime() && startMinutes <= nowMinutesUTC) return false;
-    return true;
-  });
+// Slot fields with the absolute instants of its wall-clock times in the doctor's zone
+const withSlotInstants = (slot, timeZone = 'UTC') => ({
+  ...slot,
+  startAt: zonedTimeToUtc(slot.date, slot.startTime, timeZone),
+  endAt: zonedTimeToUtc(slot.date, slot.endTime, timeZone),
+});
+
+// Slot start for patient messages, e.g. "2025-09-03 at 02:30 PM Asia/Kolkata"
+const describeSlotStart = (slot, timeZone = 'UTC') => {
+  const { date, time } = toZonedDateTime(getSlotStartUtc(slot), timeZone);
+  return `${formatDateYmd(date)} at ${formatTime(time)} ${timeZone}`;
 };
 
-const formatDateYmd = (date) => date.toISOString().split('T')[0];
+// Absolute start/end of a slot plus its wall-clock times in the viewer's zone
+const describeSlotTimes = (slot, timeZone = 'UTC') => {
+  const startsAt = getSlotStartUtc(slot);
+  const endsAt = getSlotEndUtc(slot);
+  const start = toZonedDateTime(startsAt, timeZone);
+
+  return {
+    startsAt: startsAt.toISOString(),
+    endsAt: endsAt.toISOString(),
+    display: {
+      timeZone,
+      date: formatDateYmd(start.date),
+      startTime: start.time,
+      endTime: toZonedDateTime(endsAt, timeZone).time,
+    },
+  };
+};
 
 const addDaysUtc = (date, days) => {
   const result = new Date(date);
@@ -72,10 +175,20 @@ const addDaysUtc = (date, days) => {
   return result;
 };
 
-const resolveBatchDateRange = (startDate, endDate) => {
-  const todayUTC = getTodayUtc();
-  const parsedStartDate = startDate ? parseDateUtc(startDate) : todayUTC;
-  const parsedEndDate = endDate ? parseDateUtc(endDate) : addDaysUtc(parsedStartDate, 28);
+const diffInDaysUtc = (from, to) => Math.round((to.getTime() - from.getTime()) / (24 * 60 * 60 * 1000));
+
+// Longest date range a single batch request may cover
+const MAX_BATCH_RANGE_DAYS = 366;
+
+// Without a startDate: today (in the doctor's zone when given).
+// Without an endDate: the rule's UNTIL, as far as COUNT may need, or four weeks
+const resolveBatchDateRange = (startDate, endDate, rule = null, today = getTodayUtc()) => {
+  const parsedStartDate = startDate ? parseDateUtc(startDate) : today;
+
+  let parsedEndDate = addDaysUtc(parsedStartDate, 28);
+  if (endDate) parsedEndDate = parseDateUtc(endDate);
+  else if (rule?.until) parsedEndDate = rule.until;
+  else if (rule?.count) parsedEndDate = addDaysUtc(parsedStartDate, MAX_BATCH_RANGE_DAYS);
 
   return {
     startDate: formatDateYmd(parsedStartDate),
@@ -101,11 +214,17 @@ const invalidateDoctorSlotCaches = async (redis, doctorId) => {
     }
   } while (cursor !== '0');
 
-  await redis.unlink(`doctor:${doctorId}`);
+  // Clinic-wide changes only touch the lists
+  if (doctorId) await redis.unlink(`doctor:${doctorId}`);
 };
 
 module.exports = {
   WEEKDAY_GROUPS,
+  DEFAULT_SLOT_MINUTES,
+  resolveSlotDuration,
+  toBreakWindows,
+  resolveSlotLayout,
+  findOverlappingBreaks,
   parseDateUtc,
   getTodayUtc,
   validateTimeframeRange,
@@ -113,6 +232,12 @@ module.exports = {
   getMatchingDatesInRange,
   filterSchedulableDates,
   formatDateYmd,
+  withSlotInstants,
+  describeSlotTimes,
+  describeSlotStart,
+  addDaysUtc,
+  diffInDaysUtc,
+  MAX_BATCH_RANGE_DAYS,
   resolveBatchDateRange,
   invalidateDoctorSlotCaches,
 };
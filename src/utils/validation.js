@@ -1,15 +1,33 @@
 const Joi = require('joi');
+const { parseRRule } = require('./recurrence');
+const { isValidTimeZone } = require('./time');
+const { MAX_SLOT_CAPACITY } = require('./slotSeats');
+const { MAX_DOCTOR_SPECIALIZATIONS, SLUG_PATTERN } = require('./specializations');
+
+// IANA zone name such as "Europe/Berlin"
+const timeZoneSchema = Joi.string()
+  .max(64)
+  .custom((value, helpers) => (isValidTimeZone(value) ? value : helpers.message(`${helpers.state.path.join('.')} must be an IANA timezone such as Asia/Kolkata`)));
 
 const validateRegistration = (data) => {
   const schema = Joi.object({
     name: Joi.string().min(2).max(50).required(),
     email: Joi.string().email().required(),
     password: Joi.string().min(6).required(),
+    timezone: timeZoneSchema.optional(),
     adminSecret: Joi.string().optional() // optional admin secret
   });
   return schema.validate(data);
 };
 
+// null clears the preference so times follow the doctor's zone again
+const validateProfileUpdate = (data) => {
+  const schema = Joi.object({
+    timezone: timeZoneSchema.allow(null).required()
+  });
+  return schema.validate(data);
+};
+
 const validateLogin = (data) => {
   const schema = Joi.object({
     email: Joi.string().email().required(),
@@ -52,14 +70,16 @@ const validateAppointment = (data) => {
 
 const validateAppointmentStatusUpdate = (data) => {
   const schema = Joi.object({
-    status: Joi.string().valid('BOOKED', 'COMPLETED', 'CANCELLED').required()
+    status: Joi.string().valid('BOOKED', 'COMPLETED', 'CANCELLED', 'NO_SHOW').required(),
+    reason: Joi.string().max(500).optional()
   });
   return schema.validate(data);
 };
 
 const validateAppointmentReschedule = (data) => {
   const schema = Joi.object({
-    newTimeSlotId: Joi.string().required()
+    newTimeSlotId: Joi.string().required(),
+    scope: Joi.string().valid('this', 'following').default('this')
   });
   return schema.validate(data);
 };
@@ -69,21 +89,181 @@ const validateRescheduleConfirm = (data) => {
     appointmentId: Joi.string().required(),
     newSlotId: Joi.string().required(),
     oldSlotId: Joi.string().required(),
-    doctorId: Joi.string().required()
+    doctorId: Joi.string().required(),
+    scope: Joi.string().valid('this', 'following').default('this'),
+    reason: Joi.string().max(500).optional()
   });
   return schema.validate(data);
 };
 
+const validateAppointmentCancel = (data) => {
+  const schema = Joi.object({
+    scope: Joi.string().valid('this', 'following').default('this'),
+    reason: Joi.string().max(500).optional()
+  });
+  return schema.validate(data);
+};
+
+const validateSeriesBooking = (data) => {
+  const schema = Joi.object({
+    doctorId: Joi.string().required(),
+    firstSlotId: Joi.string().required(),
+    frequency: Joi.string().valid('weekly', 'biweekly').required(),
+    occurrences: Joi.number().integer().min(2).max(12).required(),
+    notes: Joi.string().max(500).optional()
+  });
+  return schema.validate(data);
+};
+
+// Supported slot lengths in minutes (quick follow-ups up to long therapy sessions)
+const SLOT_DURATIONS = [15, 30, 45, 60, 90, 120];
+
+const scheduleTimePattern = /^(?:[01]\d|2[0-3]):[0-5]\d$/;
+
+const scheduleBreakSchema = Joi.object({
+  name: Joi.string().min(1).max(50).required(),
+  startTime: Joi.string()
+    .pattern(scheduleTimePattern)
+    .required()
+    .messages({ 'string.pattern.base': 'break startTime must be in HH:MM (24h) format' }),
+  endTime: Joi.string()
+    .pattern(scheduleTimePattern)
+    .required()
+    .messages({ 'string.pattern.base': 'break endTime must be in HH:MM (24h) format' })
+}).custom((value, helpers) => {
+  if (value.startTime >= value.endTime) return helpers.message('break endTime must be after startTime');
+  return value;
+});
+
+// Breaks must not overlap each other
+const scheduleBreaksSchema = Joi.array()
+  .items(scheduleBreakSchema)
+  .max(10)
+  .custom((value, helpers) => {
+    const sorted = [...value].sort((a, b) => a.startTime.localeCompare(b.startTime));
+    for (let i = 1; i < sorted.length; i += 1) {
+      if (sorted[i].startTime < sorted[i - 1].endTime) {
+        return helpers.message(`break "${sorted[i].name}" overlaps break "${sorted[i - 1].name}"`);
+      }
+    }
+    return value;
+  });
+
+const bufferMinutesSchema = Joi.number().integer().min(0).max(60);
+
+// Seats per slot; group sessions host several patients at once
+const slotCapacitySchema = Joi.number().integer().min(1).max(MAX_SLOT_CAPACITY);
+
+// Names, slugs or synonyms of catalog entries; the first one is the doctor's primary specialization
+const specializationTermSchema = Joi.string().trim().min(2).max(100);
+const specializationTermsSchema = Joi.array()
+  .items(specializationTermSchema)
+  .min(1)
+  .max(MAX_DOCTOR_SPECIALIZATIONS)
+  .unique((a, b) => a.toLowerCase() === b.toLowerCase());
+
 const validateDoctorCreate = (data) => {
   const schema = Joi.object({
     name: Joi.string().min(2).max(100).required(),
     email: Joi.string().email().required(),
     phone: Joi.string().max(20).allow(null, ''),
-    specialization: Joi.string().min(2).max(100).required(),
+    // A single specialization is still accepted; specializations lists several
+    specialization: specializationTermSchema,
+    specializations: specializationTermsSchema,
+    // Account that may sign in as this doctor
+    userId: Joi.string().hex().length(24).allow(null),
     consultationMode: Joi.string().valid('online', 'in_person', 'both').required(),
     experience: Joi.number().integer().min(0).max(80).required(),
     bio: Joi.string().max(2000).allow(null, ''),
+    imageUrl: Joi.string().uri().allow(null, ''),
+    slotDurationMinutes: Joi.number()
+      .valid(...SLOT_DURATIONS)
+      .optional()
+      .messages({ 'any.only': `slotDurationMinutes must be one of: ${SLOT_DURATIONS.join(', ')}` }),
+    slotBufferMinutes: bufferMinutesSchema.optional(),
+    breaks: scheduleBreaksSchema.optional(),
+    timezone: timeZoneSchema.optional()
+  }).xor('specialization', 'specializations');
+  return schema.validate(data);
+};
+
+// Profile fields only; slot length, buffer, breaks and timezone go through the schedule settings endpoint
+const validateDoctorUpdate = (data) => {
+  const schema = Joi.object({
+    name: Joi.string().min(2).max(100),
+    email: Joi.string().email(),
+    phone: Joi.string().max(20).allow(null, ''),
+    specialization: specializationTermSchema,
+    specializations: specializationTermsSchema,
+    userId: Joi.string().hex().length(24).allow(null),
+    consultationMode: Joi.string().valid('online', 'in_person', 'both'),
+    experience: Joi.number().integer().min(0).max(80),
+    bio: Joi.string().max(2000).allow(null, ''),
     imageUrl: Joi.string().uri().allow(null, '')
+  }).min(1).oxor('specialization', 'specializations');
+  return schema.validate(data);
+};
+
+// force cancels the doctor's future bookings; without it deactivation is refused while any exist
+const validateDoctorDeactivate = (data) => {
+  const schema = Joi.object({
+    force: Joi.boolean().default(false),
+    reason: Joi.string().max(500).optional(),
+    notify: Joi.boolean().default(true)
+  });
+  return schema.validate(data);
+};
+
+const validateDoctorScheduleSettings = (data) => {
+  const schema = Joi.object({
+    slotDurationMinutes: Joi.number()
+      .valid(...SLOT_DURATIONS)
+      .messages({ 'any.only': `slotDurationMinutes must be one of: ${SLOT_DURATIONS.join(', ')}` }),
+    slotBufferMinutes: bufferMinutesSchema,
+    breaks: scheduleBreaksSchema,
+    timezone: timeZoneSchema
+  }).min(1);
+  return schema.validate(data);
+};
+
+const availabilityWindowSchema = Joi.object({
+  // 0 = Sunday ... 6 = Saturday
+  weekdays: Joi.array().items(Joi.number().integer().min(0).max(6)).min(1).unique().required(),
+  startTime: Joi.string()
+    .pattern(scheduleTimePattern)
+    .required()
+    .messages({ 'string.pattern.base': 'window startTime must be in HH:MM (24h) format' }),
+  endTime: Joi.string()
+    .pattern(scheduleTimePattern)
+    .required()
+    .messages({ 'string.pattern.base': 'window endTime must be in HH:MM (24h) format' }),
+  durationMinutes: Joi.number()
+    .valid(...SLOT_DURATIONS)
+    .allow(null)
+    .messages({ 'any.only': `durationMinutes must be one of: ${SLOT_DURATIONS.join(', ')}` })
+}).custom((value, helpers) => {
+  if (value.startTime >= value.endTime) return helpers.message('window endTime must be after startTime');
+  return value;
+});
+
+const validateAvailabilityTemplate = (data) => {
+  const schema = Joi.object({
+    windows: Joi.array().items(availabilityWindowSchema).min(1).max(20).required(),
+    horizonDays: Joi.number().integer().min(7).max(90).default(28),
+    isActive: Joi.boolean().default(true)
+  }).custom((value, helpers) => {
+    // Windows sharing a weekday must not overlap
+    for (let day = 0; day < 7; day += 1) {
+      const sameDay = value.windows
+        .filter((window) => window.weekdays.includes(day))
+        .sort((a, b) => a.startTime.localeCompare(b.startTime));
+      for (let i = 1; i < sameDay.length; i += 1) {
+        if (sameDay[i].startTime < sameDay[i - 1].endTime) {
+          return helpers.message(`windows ${sameDay[i - 1].startTime}-${sameDay[i - 1].endTime} and ${sameDay[i].startTime}-${sameDay[i].endTime} overlap`);
+        }
+      }
+    }
+    return value;
   });
   return schema.validate(data);
 };
@@ -102,7 +282,13 @@ const validateTimeSlotCreate = (data) => {
     endTime: Joi.string()
       .pattern(timePattern)
       .required()
-      .messages({ 'string.pattern.base': 'endTime must be in HH:MM (24h) format' })
+      .messages({ 'string.pattern.base': 'endTime must be in HH:MM (24h) format' }),
+    durationMinutes: Joi.number()
+      .valid(...SLOT_DURATIONS)
+      .optional()
+      .messages({ 'any.only': `durationMinutes must be one of: ${SLOT_DURATIONS.join(', ')}` }),
+    bufferMinutes: bufferMinutesSchema.optional(),
+    capacity: slotCapacitySchema.default(1),
   });
   return schema.validate(data);
 };
@@ -122,11 +308,19 @@ const validateBatchTimeSlotCreate = (data) => {
   const datePattern = /^\d{4}-\d{2}-\d{2}$/;
 
   const schema = Joi.object({
-    scheduleType: Joi.string().valid('weekly').required(),
+    scheduleType: Joi.string().valid('weekly', 'rrule').optional(),
+    // Exactly one of group, weekdays or rrule picks the dates
     group: Joi.string()
       .valid(...BATCH_SLOT_GROUPS)
-      .required()
       .messages({ 'any.only': `group must be one of: ${BATCH_SLOT_GROUPS.join(', ')}` }),
+    // 0 = Sunday ... 6 = Saturday
+    weekdays: Joi.array().items(Joi.number().integer().min(0).max(6)).min(1).unique(),
+    rrule: Joi.string()
+      .max(1000)
+      .custom((value, helpers) => {
+        const { error } = parseRRule(value);
+        return error ? helpers.message(`rrule: ${error}`) : value;
+      }),
     startDate: Joi.string()
       .pattern(datePattern)
       .optional()
@@ -143,7 +337,15 @@ const validateBatchTimeSlotCreate = (data) => {
       .pattern(timePattern)
       .required()
       .messages({ 'string.pattern.base': 'endTime must be in HH:MM (24h) format' }),
-  }).custom((value, helpers) => {
+    durationMinutes: Joi.number()
+      .valid(...SLOT_DURATIONS)
+      .optional()
+      .messages({ 'any.only': `durationMinutes must be one of: ${SLOT_DURATIONS.join(', ')}` }),
+    bufferMinutes: bufferMinutesSchema.optional(),
+    capacity: slotCapacitySchema.default(1),
+    // Return what would be created without writing anything
+    dryRun: Joi.boolean().default(false),
+  }).xor('group', 'weekdays', 'rrule').custom((value, helpers) => {
     if (value.startDate && value.endDate && value.startDate > value.endDate) {
       return helpers.message('startDate must be on or before endDate');
     }
@@ -165,15 +367,331 @@ const validateSlotsFetchQuery = (data) => {
 
     end: Joi.string()
       .pattern(/^\d{4}-\d{2}-\d{2}$/)
-      .messages({ 'string.pattern.base': 'end must be in YYYY-MM-DD format' })
+      .messages({ 'string.pattern.base': 'end must be in YYYY-MM-DD format' }),
+
+    // Only slots of this length, for doctors offering several visit lengths on one day
+    duration: Joi.number()
+      .valid(...SLOT_DURATIONS)
+      .messages({ 'any.only': `duration must be one of: ${SLOT_DURATIONS.join(', ')}` })
   }).xor('date', 'start'); 
   // 👆 ensures user must provide either `date` OR (`start` + `end`)
   return schema.validate(data);
 };
 
+// Move a single slot to another date and/or start time; its length is kept
+const validateTimeSlotUpdate = (data) => {
+  const schema = Joi.object({
+    date: Joi.string()
+      .pattern(/^\d{4}-\d{2}-\d{2}$/)
+      .optional()
+      .messages({ 'string.pattern.base': 'date must be in YYYY-MM-DD format' }),
+    startTime: Joi.string()
+      .pattern(scheduleTimePattern)
+      .optional()
+      .messages({ 'string.pattern.base': 'startTime must be in HH:MM (24h) format' }),
+    // Cancel a booking / drop a lock on the slot instead of refusing
+    force: Joi.boolean().default(false),
+    reason: Joi.string().max(500).optional(),
+    notify: Joi.boolean().default(true)
+  }).or('date', 'startTime');
+  return schema.validate(data);
+};
+
+const validateTimeSlotDelete = (data) => {
+  const schema = Joi.object({
+    force: Joi.boolean().default(false),
+    reason: Joi.string().max(500).optional(),
+    notify: Joi.boolean().default(true)
+  });
+  return schema.validate(data);
+};
+
+// Bulk delete: every slot of the doctor in the date range, optionally only within a daily time window
+const validateBulkTimeSlotDelete = (data) => {
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+  const schema = Joi.object({
+    startDate: Joi.string()
+      .pattern(datePattern)
+      .required()
+      .messages({ 'string.pattern.base': 'startDate must be in YYYY-MM-DD format' }),
+    endDate: Joi.string()
+      .pattern(datePattern)
+      .required()
+      .messages({ 'string.pattern.base': 'endDate must be in YYYY-MM-DD format' }),
+    startTime: Joi.string()
+      .pattern(scheduleTimePattern)
+      .optional()
+      .messages({ 'string.pattern.base': 'startTime must be in HH:MM (24h) format' }),
+    endTime: Joi.string()
+      .pattern(scheduleTimePattern)
+      .optional()
+      .messages({ 'string.pattern.base': 'endTime must be in HH:MM (24h) format' }),
+    force: Joi.boolean().default(false),
+    reason: Joi.string().max(500).optional(),
+    notify: Joi.boolean().default(true)
+  }).custom((value, helpers) => {
+    if (value.startDate > value.endDate) {
+      return helpers.message('startDate must be on or before endDate');
+    }
+    if (value.startTime && value.endTime && value.startTime >= value.endTime) {
+      return helpers.message('endTime must be greater than startTime');
+    }
+    return value;
+  });
+
+  return schema.validate(data);
+};
+
+const APPOINTMENT_STATUSES = ['BOOKED', 'COMPLETED', 'CANCELLED', 'RESCHEDULED', 'NO_SHOW'];
+
+const validateDoctorScheduleQuery = (data) => {
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+  const schema = Joi.object({
+    from: Joi.string()
+      .pattern(datePattern)
+      .optional()
+      .messages({ 'string.pattern.base': 'from must be in YYYY-MM-DD format' }),
+    to: Joi.string()
+      .pattern(datePattern)
+      .optional()
+      .messages({ 'string.pattern.base': 'to must be in YYYY-MM-DD format' }),
+    // Comma separated list, e.g. "BOOKED,COMPLETED"
+    status: Joi.string()
+      .pattern(new RegExp(`^(${APPOINTMENT_STATUSES.join('|')})(,(${APPOINTMENT_STATUSES.join('|')}))*$`))
+      .optional()
+      .messages({ 'string.pattern.base': `status must be a comma separated list of: ${APPOINTMENT_STATUSES.join(', ')}` })
+  }).custom((value, helpers) => {
+    if (value.from && value.to && value.from > value.to) {
+      return helpers.message('from must be on or before to');
+    }
+    return value;
+  });
+
+  return schema.validate(data);
+};
+
+const APPOINTMENT_LIST_SORTS = ['createdAt', 'slot'];
+
+const validateAppointmentListQuery = (data) => {
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+  const schema = Joi.object({
+    // Comma separated list, e.g. "BOOKED,CANCELLED"
+    status: Joi.string()
+      .uppercase()
+      .pattern(new RegExp(`^(${APPOINTMENT_STATUSES.join('|')})(,(${APPOINTMENT_STATUSES.join('|')}))*$`))
+      .optional()
+      .messages({ 'string.pattern.base': `status must be a comma separated list of: ${APPOINTMENT_STATUSES.join(', ')}` }),
+    type: Joi.string().lowercase().valid('upcoming', 'past', 'all').default('all'),
+    from: Joi.string()
+      .pattern(datePattern)
+      .optional()
+      .messages({ 'string.pattern.base': 'from must be in YYYY-MM-DD format' }),
+    to: Joi.string()
+      .pattern(datePattern)
+      .optional()
+      .messages({ 'string.pattern.base': 'to must be in YYYY-MM-DD format' }),
+    doctorId: Joi.string().hex().length(24).optional(),
+    sortBy: Joi.string().valid(...APPOINTMENT_LIST_SORTS).default('createdAt'),
+    order: Joi.string().lowercase().valid('asc', 'desc').default('desc'),
+    limit: Joi.number().integer().min(1).max(50).default(20),
+    // Id of the last appointment of the previous page
+    cursor: Joi.string().hex().length(24).optional(),
+    collapse: Joi.boolean().default(false)
+  }).custom((value, helpers) => {
+    if (value.from && value.to && value.from > value.to) {
+      return helpers.message('from must be on or before to');
+    }
+    return value;
+  });
+
+  return schema.validate(data);
+};
+
+const validatePolicyUpsert = (data) => {
+  const schema = Joi.object({
+    cancelCutoffHours: Joi.number().integer().min(0).max(720).required(),
+    rescheduleCutoffHours: Joi.number().integer().min(0).max(720).required(),
+    allowLateCancel: Joi.boolean().required(),
+    releaseSlotOnLateCancel: Joi.boolean().required(),
+    maxReschedules: Joi.number().integer().min(0).max(50).allow(null).default(null),
+    lateCancelStrikes: Joi.number().integer().min(0).max(10).default(0)
+  });
+  return schema.validate(data);
+};
+
+const validateWaitlistJoin = (data) => {
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+  const schema = Joi.object({
+    fromDate: Joi.string()
+      .pattern(datePattern)
+      .optional()
+      .messages({ 'string.pattern.base': 'fromDate must be in YYYY-MM-DD format' }),
+    toDate: Joi.string()
+      .pattern(datePattern)
+      .optional()
+      .messages({ 'string.pattern.base': 'toDate must be in YYYY-MM-DD format' }),
+    consultationMode: Joi.string().valid('online', 'in_person').optional()
+  }).custom((value, helpers) => {
+    if (value.fromDate && value.toDate && value.fromDate > value.toDate) {
+      return helpers.message('fromDate must be on or before toDate');
+    }
+    return value;
+  });
+
+  return schema.validate(data);
+};
+
+// Longest blackout a single request may create
+const MAX_BLACKOUT_DAYS = 366;
+
+const validateBlackoutCreate = (data) => {
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+  const schema = Joi.object({
+    // Omit for a clinic-wide closure
+    doctorId: Joi.string().hex().length(24).allow(null).default(null),
+    startDate: Joi.string()
+      .pattern(datePattern)
+      .required()
+      .messages({ 'string.pattern.base': 'startDate must be in YYYY-MM-DD format' }),
+    endDate: Joi.string()
+      .pattern(datePattern)
+      .required()
+      .messages({ 'string.pattern.base': 'endDate must be in YYYY-MM-DD format' }),
+    reason: Joi.string().trim().max(200).optional()
+  }).custom((value, helpers) => {
+    if (value.startDate > value.endDate) {
+      return helpers.message('startDate must be on or before endDate');
+    }
+    const days = (Date.parse(value.endDate) - Date.parse(value.startDate)) / (24 * 60 * 60 * 1000);
+    if (days >= MAX_BLACKOUT_DAYS) {
+      return helpers.message(`A blackout cannot exceed ${MAX_BLACKOUT_DAYS} days`);
+    }
+    return value;
+  });
+
+  return schema.validate(data);
+};
+
+const validateBlackoutListQuery = (data) => {
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+  const schema = Joi.object({
+    doctorId: Joi.string().hex().length(24).optional(),
+    scope: Joi.string().valid('doctor', 'clinic').optional(),
+    from: Joi.string()
+      .pattern(datePattern)
+      .optional()
+      .messages({ 'string.pattern.base': 'from must be in YYYY-MM-DD format' }),
+    to: Joi.string()
+      .pattern(datePattern)
+      .optional()
+      .messages({ 'string.pattern.base': 'to must be in YYYY-MM-DD format' })
+  }).custom((value, helpers) => {
+    if (value.from && value.to && value.from > value.to) {
+      return helpers.message('from must be on or before to');
+    }
+    return value;
+  });
+
+  return schema.validate(data);
+};
+
+// Bulk handling of the BOOKED appointments inside a blackout
+const validateBlackoutResolve = (data) => {
+  const schema = Joi.object({
+    action: Joi.string().valid('cancel', 'reschedule').required(),
+    // Limit the action to some of the affected appointments
+    appointmentIds: Joi.array().items(Joi.string().hex().length(24)).min(1).unique().optional(),
+    reason: Joi.string().max(500).optional(),
+    notify: Joi.boolean().default(true)
+  });
+  return schema.validate(data);
+};
+
+// A patient's review of a completed appointment
+const validateReviewCreate = (data) => {
+  const schema = Joi.object({
+    rating: Joi.number().integer().min(1).max(5).required(),
+    text: Joi.string().trim().max(2000).allow(null, '')
+  });
+  return schema.validate(data);
+};
+
+// Page through a doctor's visible reviews, newest first
+const validateReviewListQuery = (data) => {
+  const schema = Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(50).default(10)
+  });
+  return schema.validate(data);
+};
+
+// Moderation queue for admins, e.g. flagged=true
+const validateReviewModerationQuery = (data) => {
+  const schema = Joi.object({
+    doctorId: Joi.string().hex().length(24).optional(),
+    status: Joi.string().uppercase().valid('VISIBLE', 'HIDDEN').optional(),
+    flagged: Joi.boolean().optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(50).default(20)
+  });
+  return schema.validate(data);
+};
+
+// Hide or show a review and set or clear its flag
+const validateReviewModeration = (data) => {
+  const schema = Joi.object({
+    hidden: Joi.boolean(),
+    flagged: Joi.boolean(),
+    reason: Joi.string().max(500).allow(null, '')
+  }).or('hidden', 'flagged');
+  return schema.validate(data);
+};
+
+// Type-ahead text of the doctor search box
+const validateDoctorSuggestQuery = (data) => {
+  const schema = Joi.object({
+    q: Joi.string().trim().min(1).max(100).required(),
+    limit: Joi.number().integer().min(1).max(10).default(8)
+  });
+  return schema.validate(data);
+};
+
+const specializationSlugSchema = Joi.string()
+  .lowercase()
+  .max(100)
+  .pattern(SLUG_PATTERN)
+  .messages({ 'string.pattern.base': 'slug must be lowercase words joined by dashes, e.g. panchakarma-therapy' });
+
+// Catalog entry; the slug defaults to the slugified name
+const validateSpecializationCreate = (data) => {
+  const schema = Joi.object({
+    name: Joi.string().trim().min(2).max(100).required(),
+    slug: specializationSlugSchema.optional(),
+    synonyms: Joi.array().items(Joi.string().trim().min(2).max(100)).max(20).default([])
+  });
+  return schema.validate(data);
+};
+
+// synonyms replaces the whole list
+const validateSpecializationUpdate = (data) => {
+  const schema = Joi.object({
+    name: Joi.string().trim().min(2).max(100),
+    slug: specializationSlugSchema,
+    synonyms: Joi.array().items(Joi.string().trim().min(2).max(100)).max(20)
+  }).min(1);
+  return schema.validate(data);
+};
 
 module.exports = {
+  SLOT_DURATIONS,
   validateRegistration,
+  validateProfileUpdate,
   validateLogin,
   validateEmail,
   validateOTP,
@@ -182,9 +700,32 @@ module.exports = {
   validateAppointmentStatusUpdate,
   validateAppointmentReschedule,
   validateRescheduleConfirm,
+  validateAppointmentCancel,
+  validateSeriesBooking,
   validateDoctorCreate,
+  validateDoctorUpdate,
+  validateDoctorDeactivate,
+  validateDoctorScheduleSettings,
+  validateAvailabilityTemplate,
   validateTimeSlotCreate,
   validateBatchTimeSlotCreate,
-  validateSlotsFetchQuery
+  validateSlotsFetchQuery,
+  validateTimeSlotUpdate,
+  validateTimeSlotDelete,
+  validateBulkTimeSlotDelete,
+  validateDoctorScheduleQuery,
+  validateAppointmentListQuery,
+  validatePolicyUpsert,
+  validateWaitlistJoin,
+  validateBlackoutCreate,
+  validateBlackoutListQuery,
+  validateBlackoutResolve,
+  validateReviewCreate,
+  validateReviewListQuery,
+  validateReviewModerationQuery,
+  validateReviewModeration,
+  validateSpecializationCreate,
+  validateSpecializationUpdate,
+  validateDoctorSuggestQuery
 };
 
@@ -0,0 +1,185 @@
+const { getSlotStartUtc } = require('./time');
+const { invalidateDoctorSlotCaches } = require('./timeSlotHelpers');
+const { findBlackedOutSlots } = require('./blackouts');
+const { acquireSlotLock } = require('./slotLocks');
+const { selectSeatFields, getFreeSeats } = require('./slotSeats');
+
+// How long a waitlisted user holds an offered slot before it moves on
+const WAITLIST_OFFER_MINUTES = 30;
+
+const WAITLIST_STATUS = {
+  WAITING: 'WAITING',
+  OFFERED: 'OFFERED',
+  BOOKED: 'BOOKED',
+  EXPIRED: 'EXPIRED',
+  CANCELLED: 'CANCELLED',
+};
+
+const ACTIVE_WAITLIST_STATUSES = [WAITLIST_STATUS.WAITING, WAITLIST_STATUS.OFFERED];
+
+// Entries whose optional date window covers the given slot date
+const buildWaitlistWindowFilter = (slotDate) => ({
+  AND: [
+    { OR: [{ fromDate: null }, { fromDate: { lte: slotDate } }] },
+    { OR: [{ toDate: null }, { toDate: { gte: slotDate } }] },
+  ],
+});
+
+// Slots carry no consultation mode of their own; a slot is held the way its doctor consults. A doctor
+// offering both modes suits every entry, otherwise only entries asking for that mode or for none.
+const buildWaitlistModeFilter = (doctorMode) =>
+  !doctorMode || doctorMode === 'both' ? {} : { OR: [{ consultationMode: null }, { consultationMode: doctorMode }] };
+
+// Waiting entries ahead of (and including) the given entry for the same doctor
+const getWaitlistPosition = async (prisma, entry) => {
+  if (entry.status !== WAITLIST_STATUS.WAITING) return null;
+
+  const ahead = await prisma.waitlistEntry.count({
+    where: {
+      doctorId: entry.doctorId,
+      status: WAITLIST_STATUS.WAITING,
+      createdAt: { lt: entry.createdAt },
+    },
+  });
+
+  return ahead + 1;
+};
+
+// Offer a seat of a single AVAILABLE slot to the next matching waitlisted user by holding it for them
+const offerSlotToWaitlist = async (prisma, redis, slot, nowUtc) => {
+  if (getSlotStartUtc(slot) <= nowUtc) return null;
+
+  const offerExpires = new Date(nowUtc.getTime() + WAITLIST_OFFER_MINUTES * 60 * 1000);
+  const skippedIds = [];
+
+  // Walk the queue until an entry can be claimed (another worker may claim the same one)
+  for (;;) {
+    const entry = await prisma.waitlistEntry.findFirst({
+      where: {
+        doctorId: slot.doctorId,
+        status: WAITLIST_STATUS.WAITING,
+        id: { notIn: skippedIds },
+        ...buildWaitlistWindowFilter(slot.date),
+        ...buildWaitlistModeFilter(slot.doctor?.consultationMode),
+      },
+      orderBy: { createdAt: 'asc' },
+      select: { id: true, userId: true },
+    });
+    if (!entry) return null;
+
+    const claimed = await prisma.waitlistEntry.updateMany({
+      where: { id: entry.id, status: WAITLIST_STATUS.WAITING },
+      data: { status: WAITLIST_STATUS.OFFERED, offeredSlotId: slot.id, offeredAt: nowUtc, offerExpires },
+    });
+    if (claimed.count !== 1) {
+      skippedIds.push(entry.id);
+      continue;
+    }
+
+    const lock = await acquireSlotLock(redis, {
+      slotId: slot.id,
+      userId: entry.userId,
+      nowUtc,
+      minutes: WAITLIST_OFFER_MINUTES,
+      seats: getFreeSeats(slot),
+    });
+
+    if (!lock) {
+      // The free seats were held in the meantime, put the entry back in the queue untouched
+      await prisma.waitlistEntry.update({
+        where: { id: entry.id },
+        data: { status: WAITLIST_STATUS.WAITING, offeredSlotId: null, offeredAt: null, offerExpires: null },
+      });
+      return null;
+    }
+
+    return { entryId: entry.id, userId: entry.userId, slotId: slot.id, offerExpires };
+  }
+};
+
+// Offer every released slot that is still AVAILABLE to the waitlist and refresh slot caches
+const offerReleasedSlots = async (prisma, redis, slotIds, nowUtc) => {
+  const ids = [...new Set(slotIds.filter(Boolean))];
+  if (ids.length === 0) return [];
+
+  const slots = await prisma.timeSlot.findMany({
+    where: { id: { in: ids }, status: 'AVAILABLE' },
+    select: {
+      id: true,
+      doctorId: true,
+      date: true,
+      startTime: true,
+      startAt: true,
+      ...selectSeatFields,
+      doctor: { select: { consultationMode: true } },
+    },
+    orderBy: [{ date: 'asc' }, { startTime: 'asc' }],
+  });
+
+  // Slots inside a blackout stay hidden, so they are not offered either
+  const blackedOut = await findBlackedOutSlots(prisma, slots);
+
+  const offers = [];
+  for (const slot of slots) {
+    if (blackedOut.includes(slot)) continue;
+
+    const offer = await offerSlotToWaitlist(prisma, redis, slot, nowUtc);
+    if (offer) offers.push({ ...offer, doctorId: slot.doctorId });
+  }
+
+  const doctorIds = [...new Set(offers.map((offer) => offer.doctorId))];
+  for (const doctorId of doctorIds) {
+    try {
+      await invalidateDoctorSlotCaches(redis, doctorId);
+    } catch (err) {
+      console.warn('Redis cache invalidation failed:', err.message);
+    }
+  }
+
+  return offers;
+};
+
+// Mark offers whose window has passed as EXPIRED; the slot lock itself runs out in Redis at the same time
+const expireWaitlistOffers = async (prisma, nowUtc) => {
+  const result = await prisma.waitlistEntry.updateMany({
+    where: { status: WAITLIST_STATUS.OFFERED, offerExpires: { lt: nowUtc } },
+    data: { status: WAITLIST_STATUS.EXPIRED },
+  });
+  return result.count;
+};
+
+// Mark the user's offer for a slot as BOOKED once they confirm it
+const markWaitlistOfferBooked = (prisma, userId, slotId) =>
+  prisma.waitlistEntry.updateMany({
+    where: { userId, offeredSlotId: slotId, status: WAITLIST_STATUS.OFFERED },
+    data: { status: WAITLIST_STATUS.BOOKED },
+  });
+
+// The user gave back the slot they were offered; the offer ends as if it had run out
+const declineWaitlistOffer = (prisma, userId, slotId) =>
+  prisma.waitlistEntry.updateMany({
+    where: { userId, offeredSlotId: slotId, status: WAITLIST_STATUS.OFFERED },
+    data: { status: WAITLIST_STATUS.EXPIRED },
+  });
+
+// Close every open waitlist entry for a doctor who stopped taking bookings; returns how many were closed
+const cancelDoctorWaitlist = async (prisma, doctorId) => {
+  const result = await prisma.waitlistEntry.updateMany({
+    where: { doctorId, status: { in: ACTIVE_WAITLIST_STATUSES } },
+    data: { status: WAITLIST_STATUS.CANCELLED },
+  });
+  return result.count;
+};
+
+module.exports = {
+  WAITLIST_OFFER_MINUTES,
+  WAITLIST_STATUS,
+  ACTIVE_WAITLIST_STATUSES,
+  getWaitlistPosition,
+  offerSlotToWaitlist,
+  offerReleasedSlots,
+  expireWaitlistOffers,
+  markWaitlistOfferBooked,
+  declineWaitlistOffer,
+  cancelDoctorWaitlist,
+};
@@ -0,0 +1,199 @@
+jest.mock('@prisma/client', () => {
+  const prisma = {
+    doctor: { findUnique: jest.fn() },
+    timeSlot: { findUnique: jest.fn(), findFirst: jest.fn() },
+    user: { findUnique: jest.fn(), update: jest.fn() },
+    appointment: { findFirst: jest.fn(), create: jest.fn(), update: jest.fn() },
+    appointmentPolicy: { findMany: jest.fn() },
+    $transaction: jest.fn(),
+  };
+  return { PrismaClient: jest.fn(() => prisma), prisma };
+});
+jest.mock('../../src/lib/redisClient', () => ({ smembers: jest.fn().mockResolvedValue([]), del: jest.fn() }));
+jest.mock('../../src/utils/time', () => ({
+  ...jest.requireActual('../../src/utils/time'),
+  getDatabaseNow: jest.fn(),
+}));
+jest.mock('../../src/utils/slotLocks', () => ({
+  ...jest.requireActual('../../src/utils/slotLocks'),
+  getSlotLock: jest.fn(),
+  releaseSlotLock: jest.fn(),
+}));
+jest.mock('../../src/utils/slotSeats', () => ({
+  ...jest.requireActual('../../src/utils/slotSeats'),
+  bookSeat: jest.fn(),
+  releaseSeat: jest.fn(),
+}));
+jest.mock('../../src/utils/waitlist', () => ({
+  ...jest.requireActual('../../src/utils/waitlist'),
+  offerReleasedSlots: jest.fn(),
+  markWaitlistOfferBooked: jest.fn(),
+}));
+jest.mock('../../src/utils/reminders', () => ({
+  ...jest.requireActual('../../src/utils/reminders'),
+  scheduleAppointmentReminders: jest.fn(),
+  cancelAppointmentReminders: jest.fn(),
+}));
+jest.mock('../../src/utils/appointmentEvents', () => ({
+  ...jest.requireActual('../../src/utils/appointmentEvents'),
+  recordAppointmentEvent: jest.fn(),
+}));
+jest.mock('../../src/utils/appointmentHelpers', () => ({
+  ...jest.requireActual('../../src/utils/appointmentHelpers'),
+  invalidateUserAppointmentCaches: jest.fn(),
+}));
+const { prisma } = require('@prisma/client');
+const redis = require('../../src/lib/redisClient');
+const { getDatabaseNow } = require('../../src/utils/time');
+const { getSlotLock, releaseSlotLock } = require('../../src/utils/slotLocks');
+const { bookSeat, releaseSeat } = require('../../src/utils/slotSeats');
+const { offerReleasedSlots, markWaitlistOfferBooked } = require('../../src/utils/waitlist');
+const { scheduleAppointmentReminders, cancelAppointmentReminders } = require('../../src/utils/reminders');
+const { recordAppointmentEvent } = require('../../src/utils/appointmentEvents');
+const {
+  confirmBooking,
+  cancelAppointment,
+  rescheduleAppointment,
+  confirmReschedule,
+} = require('../../src/controllers/appointmentController');
+
+const nowUtc = new Date('2026-03-10T08:00:00.000Z');
+const doctorId = 'a'.repeat(24);
+const slotId = 'b'.repeat(24);
+const slot = {
+  id: slotId,
+  doctorId,
+  status: 'AVAILABLE',
+  date: new Date('2026-03-20T00:00:00.000Z'),
+  startTime: '10:00',
+  endTime: '10:30',
+  startAt: new Date('2026-03-20T10:00:00.000Z'),
+  endAt: new Date('2026-03-20T10:30:00.000Z'),
+  seatsBooked: 1,
+  doctor: { isActive: true },
+};
+
+let res;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  getDatabaseNow.mockResolvedValue(nowUtc);
+  prisma.$transaction.mockImplementation((fn) => fn(prisma));
+});
+
+describe('confirmBooking', () => {
+  const req = { user: { id: 'u1' }, body: { doctorId, timeSlotId: slotId } };
+
+  beforeEach(() => {
+    prisma.timeSlot.findUnique.mockResolvedValue(slot);
+    prisma.user.findUnique.mockResolvedValue({ otpVerifiedUntil: new Date('2026-03-10T08:10:00.000Z'), noShowCount: 0, strikeCount: 0 });
+    getSlotLock.mockResolvedValue({ slotId, userId: 'u1', member: 'u1|1' });
+    prisma.appointment.findFirst.mockResolvedValue(null);
+    bookSeat.mockResolvedValue(true);
+    prisma.appointment.create.mockResolvedValue({ id: 'a1', userId: 'u1', doctorId, timeSlotId: slotId, status: 'BOOKED' });
+  });
+
+  it('books the held seat, records it, schedules reminders and closes the waitlist offer', async () => {
+    await confirmBooking(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(bookSeat).toHaveBeenCalledWith(prisma, { id: slotId, doctorId });
+    expect(recordAppointmentEvent).toHaveBeenCalledWith(prisma, expect.objectContaining({ appointmentId: 'a1', newStatus: 'BOOKED', newSlotId: slotId }));
+    expect(scheduleAppointmentReminders).toHaveBeenCalledWith(prisma, expect.objectContaining({ appointmentId: 'a1', slotStartUtc: slot.startAt }));
+    expect(markWaitlistOfferBooked).toHaveBeenCalledWith(prisma, 'u1', slotId);
+    expect(releaseSlotLock).toHaveBeenCalledWith(redis, { slotId, userId: 'u1', member: 'u1|1' });
+  });
+
+  it('refuses a doctor deactivated after the seat was locked', async () => {
+    prisma.timeSlot.findUnique.mockResolvedValueOnce({ ...slot, doctor: { isActive: false } });
+
+    await confirmBooking(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json.mock.calls[0][0].code).toBe('DOCTOR_INACTIVE');
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  it('refuses without a live seat hold', async () => {
+    getSlotLock.mockResolvedValueOnce(null);
+
+    await confirmBooking(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json.mock.calls[0][0].code).toBe('LOCK_INVALID');
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+});
+
+describe('cancelAppointment', () => {
+  const req = { user: { id: 'u1' }, params: { id: 'a1' }, body: {} };
+
+  beforeEach(() => {
+    prisma.appointment.findFirst.mockResolvedValue({
+      id: 'a1',
+      userId: 'u1',
+      doctorId,
+      status: 'BOOKED',
+      timeSlotId: slotId,
+      seriesId: null,
+      timeSlot: slot,
+    });
+    prisma.appointmentPolicy.findMany.mockResolvedValue([]);
+    prisma.appointment.update.mockResolvedValue({ id: 'a1', status: 'CANCELLED', timeSlotId: slotId });
+  });
+
+  it('frees the seat, records the cancellation, drops reminders and offers the slot to the waitlist', async () => {
+    await cancelAppointment(req, res);
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(res.json.mock.calls[0][0].data).toMatchObject({ slotReleased: true, strikesAdded: 0 });
+    expect(releaseSeat).toHaveBeenCalledWith(prisma, slotId);
+    expect(recordAppointmentEvent).toHaveBeenCalledWith(prisma, expect.objectContaining({
+      appointmentId: 'a1',
+      previousStatus: 'BOOKED',
+      newStatus: 'CANCELLED',
+      oldSlotId: slotId,
+    }));
+    expect(cancelAppointmentReminders).toHaveBeenCalledWith(prisma, ['a1']);
+    expect(offerReleasedSlots).toHaveBeenCalledWith(prisma, redis, [slotId], nowUtc);
+  });
+});
+
+describe('rescheduling with a deactivated doctor', () => {
+  const booked = {
+    id: 'a1',
+    userId: 'u1',
+    doctorId,
+    status: 'BOOKED',
+    timeSlotId: 'c'.repeat(24),
+    seriesId: null,
+    rescheduleCount: 0,
+    timeSlot: { id: 'c'.repeat(24), date: new Date('2026-03-18T00:00:00.000Z'), startTime: '10:00', startAt: new Date('2026-03-18T10:00:00.000Z') },
+  };
+
+  beforeEach(() => {
+    prisma.appointment.findFirst.mockResolvedValue(booked);
+    prisma.appointmentPolicy.findMany.mockResolvedValue([]);
+  });
+
+  it('refuses to look up a new slot', async () => {
+    prisma.timeSlot.findFirst.mockResolvedValue({ ...slot, doctor: { isActive: false } });
+
+    await rescheduleAppointment({ user: { id: 'u1' }, params: { id: 'a1' }, body: { newTimeSlotId: slotId } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json.mock.calls[0][0].code).toBe('DOCTOR_INACTIVE');
+  });
+
+  it('refuses to confirm a locked new slot', async () => {
+    prisma.doctor.findUnique.mockResolvedValue({ isActive: false });
+    const body = { appointmentId: 'a1', newSlotId: slotId, oldSlotId: booked.timeSlotId, doctorId };
+
+    await confirmReschedule({ user: { id: 'u1' }, body }, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json.mock.calls[0][0].code).toBe('DOCTOR_INACTIVE');
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,28 @@
+const { getRescheduleChain } = require('../../src/utils/appointmentHelpers');
+
+describe('Appointment helpers', () => {
+  it('orders a reschedule chain from original to current', async () => {
+    const records = {
+      a1: { id: 'a1', status: 'RESCHEDULED', rescheduledFromId: null },
+      a2: { id: 'a2', status: 'RESCHEDULED', rescheduledFromId: 'a1' },
+      a3: { id: 'a3', status: 'BOOKED', rescheduledFromId: 'a2' },
+    };
+    const prisma = {
+      appointment: {
+        findUnique: jest.fn(({ where }) => Promise.resolve(records[where.id] || null)),
+        findFirst: jest.fn(({ where }) =>
+          Promise.resolve(Object.values(records).find((r) => r.rescheduledFromId === where.rescheduledFromId) || null)
+        ),
+      },
+    };
+
+    const chain = await getRescheduleChain(prisma, 'a2');
+
+    expect(chain.map((appt) => appt.id)).toEqual(['a1', 'a2', 'a3']);
+  });
+
+  it('returns an empty chain for an unknown appointment', async () => {
+    const prisma = { appointment: { findUnique: jest.fn().mockResolvedValue(null), findFirst: jest.fn() } };
+    expect(await getRescheduleChain(prisma, 'missing')).toEqual([]);
+  });
+});
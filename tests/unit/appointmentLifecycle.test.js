@@ -0,0 +1,73 @@
+const {
+  buildEndedSlotFilter,
+  finalizePastAppointments,
+  hasReachedNoShowLimit,
+  recordNoShow,
+} = require('../../src/utils/appointmentLifecycle');
+
+describe('Appointment lifecycle utils', () => {
+  it('builds an ended-slot filter from the cutoff instant', () => {
+    expect(buildEndedSlotFilter(new Date('2025-09-02T09:05:00Z'))).toEqual({
+      endAt: { lte: new Date('2025-09-02T09:05:00Z') },
+    });
+  });
+
+  it('flags users at the no-show limit', () => {
+    const now = new Date('2025-09-02T12:00:00Z');
+    expect(hasReachedNoShowLimit({ noShowCount: 3, lastNoShowAt: new Date('2025-08-20T12:00:00Z') }, now)).toBe(true);
+    expect(hasReachedNoShowLimit({ noShowCount: 1, lastNoShowAt: new Date('2025-08-20T12:00:00Z') }, now)).toBe(false);
+    expect(hasReachedNoShowLimit(null, now)).toBe(false);
+  });
+
+  it('lifts the no-show restriction once the last no-show has decayed', () => {
+    const now = new Date('2025-09-02T12:00:00Z');
+    expect(hasReachedNoShowLimit({ noShowCount: 5, lastNoShowAt: new Date('2025-06-01T12:00:00Z') }, now)).toBe(false);
+  });
+
+  it('starts the no-show count over after the decay window', async () => {
+    const tx = { user: { updateMany: jest.fn(), update: jest.fn() } };
+    const now = new Date('2025-09-02T12:00:00Z');
+
+    await recordNoShow(tx, 'u1', now);
+
+    expect(tx.user.updateMany).toHaveBeenCalledWith({
+      where: { id: 'u1', lastNoShowAt: { lte: new Date('2025-06-04T12:00:00Z') } },
+      data: { noShowCount: 0 },
+    });
+    expect(tx.user.update).toHaveBeenCalledWith({
+      where: { id: 'u1' },
+      data: { noShowCount: { increment: 1 }, lastNoShowAt: now },
+    });
+  });
+
+  it('completes checked-in visits and records no-shows', async () => {
+    const tx = {
+      appointment: { updateMany: jest.fn().mockResolvedValue({ count: 1 }) },
+      user: { update: jest.fn(), updateMany: jest.fn() },
+      appointmentEvent: { create: jest.fn() },
+    };
+    const prisma = {
+      appointment: {
+        findMany: jest.fn().mockResolvedValueOnce([
+          { id: 'a1', userId: 'u1', checkedInAt: new Date() },
+          { id: 'a2', userId: 'u2', checkedInAt: null },
+        ]),
+      },
+      $transaction: jest.fn((cb) => cb(tx)),
+    };
+    const redis = { smembers: jest.fn().mockResolvedValue([]), del: jest.fn() };
+    const now = new Date('2025-09-02T12:00:00Z');
+
+    const summary = await finalizePastAppointments(prisma, redis, now);
+
+    expect(summary).toEqual({ completed: 1, noShow: 1 });
+    expect(tx.appointment.updateMany).toHaveBeenCalledWith({ where: { id: 'a1', status: 'BOOKED' }, data: { status: 'COMPLETED' } });
+    expect(tx.appointment.updateMany).toHaveBeenCalledWith({ where: { id: 'a2', status: 'BOOKED' }, data: { status: 'NO_SHOW' } });
+    expect(tx.appointmentEvent.create).toHaveBeenCalledTimes(2);
+    expect(tx.user.update).toHaveBeenCalledTimes(1);
+    expect(tx.user.update).toHaveBeenCalledWith({
+      where: { id: 'u2' },
+      data: { noShowCount: { increment: 1 }, lastNoShowAt: now },
+    });
+  });
+});
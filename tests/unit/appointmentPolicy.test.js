@@ -0,0 +1,93 @@
+const {
+  DEFAULT_POLICY,
+  resolvePolicy,
+  evaluateCancellation,
+  evaluateReschedule,
+  hasReachedStrikeLimit,
+  recordStrikes,
+} = require('../../src/utils/appointmentPolicy');
+
+describe('Appointment policy utils', () => {
+  const now = new Date('2025-09-02T12:00:00Z');
+  const inHours = (h) => new Date(now.getTime() + h * 60 * 60 * 1000);
+  const policy = { ...DEFAULT_POLICY, source: 'default' };
+
+  describe('resolvePolicy', () => {
+    it('prefers the doctor override over the global policy', async () => {
+      const prisma = { appointmentPolicy: { findMany: jest.fn().mockResolvedValueOnce([
+        { ...DEFAULT_POLICY, doctorId: null, cancelCutoffHours: 48 },
+        { ...DEFAULT_POLICY, doctorId: 'd1', cancelCutoffHours: 12 },
+      ]) } };
+      const resolved = await resolvePolicy(prisma, 'd1');
+      expect(resolved.source).toBe('doctor');
+      expect(resolved.cancelCutoffHours).toBe(12);
+    });
+
+    it('falls back to the built-in default', async () => {
+      const prisma = { appointmentPolicy: { findMany: jest.fn().mockResolvedValueOnce([]) } };
+      expect(await resolvePolicy(prisma, 'd1')).toEqual({ ...DEFAULT_POLICY, source: 'default' });
+    });
+  });
+
+  describe('evaluateCancellation', () => {
+    it('releases the slot before the cutoff', () => {
+      const decision = evaluateCancellation(policy, inHours(30), now);
+      expect(decision).toMatchObject({ rule: 'CANCEL_BEFORE_CUTOFF', allowed: true, releaseSlot: true, strikes: 0 });
+    });
+
+    it('keeps the slot on a late cancellation by default', () => {
+      const decision = evaluateCancellation(policy, inHours(5), now);
+      expect(decision).toMatchObject({ rule: 'LATE_CANCEL_SLOT_KEPT', allowed: true, releaseSlot: false });
+    });
+
+    it('applies strikes and release settings from the policy', () => {
+      const custom = { ...policy, releaseSlotOnLateCancel: true, lateCancelStrikes: 2 };
+      expect(evaluateCancellation(custom, inHours(5), now))
+        .toMatchObject({ rule: 'LATE_CANCEL_SLOT_RELEASED', releaseSlot: true, strikes: 2 });
+    });
+
+    it('rejects late cancellation when not allowed', () => {
+      const strict = { ...policy, allowLateCancel: false };
+      expect(evaluateCancellation(strict, inHours(5), now)).toMatchObject({ rule: 'LATE_CANCEL_NOT_ALLOWED', allowed: false });
+    });
+  });
+
+  describe('evaluateReschedule', () => {
+    it('allows rescheduling before the cutoff', () => {
+      expect(evaluateReschedule(policy, inHours(30), now, 0)).toMatchObject({ rule: 'RESCHEDULE_ALLOWED', allowed: true });
+    });
+
+    it('rejects rescheduling within the cutoff', () => {
+      expect(evaluateReschedule(policy, inHours(24), now, 0)).toMatchObject({ rule: 'RESCHEDULE_WITHIN_CUTOFF', allowed: false });
+    });
+
+    it('rejects once the reschedule limit is reached', () => {
+      const limited = { ...policy, maxReschedules: 1 };
+      expect(evaluateReschedule(limited, inHours(48), now, 1)).toMatchObject({ rule: 'RESCHEDULE_LIMIT_REACHED', allowed: false });
+    });
+  });
+
+  describe('strikes', () => {
+    it('restricts users at the strike limit until their last strike decays', () => {
+      expect(hasReachedStrikeLimit({ strikeCount: 5, lastStrikeAt: new Date('2025-08-20T12:00:00Z') }, now)).toBe(true);
+      expect(hasReachedStrikeLimit({ strikeCount: 4, lastStrikeAt: new Date('2025-08-20T12:00:00Z') }, now)).toBe(false);
+      expect(hasReachedStrikeLimit({ strikeCount: 5, lastStrikeAt: new Date('2025-06-01T12:00:00Z') }, now)).toBe(false);
+      expect(hasReachedStrikeLimit(null, now)).toBe(false);
+    });
+
+    it('starts the strike count over after the decay window', async () => {
+      const tx = { user: { updateMany: jest.fn(), update: jest.fn() } };
+
+      await recordStrikes(tx, 'u1', 2, now);
+
+      expect(tx.user.updateMany).toHaveBeenCalledWith({
+        where: { id: 'u1', lastStrikeAt: { lte: new Date('2025-06-04T12:00:00Z') } },
+        data: { strikeCount: 0 },
+      });
+      expect(tx.user.update).toHaveBeenCalledWith({
+        where: { id: 'u1' },
+        data: { strikeCount: { increment: 2 }, lastStrikeAt: now },
+      });
+    });
+  });
+});
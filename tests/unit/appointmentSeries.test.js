@@ -0,0 +1,50 @@
+const {
+  buildSeriesDates,
+  findSeriesSlots,
+  resolveSeriesShift,
+} = require('../../src/utils/appointmentSeries');
+
+describe('Appointment series utils', () => {
+  let prisma;
+
+  beforeEach(() => {
+    prisma = { timeSlot: { findMany: jest.fn() } };
+  });
+
+  it('builds weekly and biweekly occurrence dates', () => {
+    const first = new Date('2025-09-01T00:00:00Z');
+    expect(buildSeriesDates(first, 'weekly', 3).map((d) => d.toISOString().slice(0, 10)))
+      .toEqual(['2025-09-01', '2025-09-08', '2025-09-15']);
+    expect(buildSeriesDates(first, 'biweekly', 2).map((d) => d.toISOString().slice(0, 10)))
+      .toEqual(['2025-09-01', '2025-09-15']);
+  });
+
+  it('reports occurrences without a slot', async () => {
+    prisma.timeSlot.findMany.mockResolvedValueOnce([
+      { id: 's1', date: new Date('2025-09-01T00:00:00Z'), startTime: '10:00' },
+    ]);
+    const firstSlot = { id: 's1', doctorId: 'd1', date: new Date('2025-09-01T00:00:00Z'), startTime: '10:00' };
+
+    const { slots, missing } = await findSeriesSlots(prisma, firstSlot, 'weekly', 2);
+
+    expect(slots.map((s) => s.id)).toEqual(['s1']);
+    expect(missing).toEqual([{ date: '2025-09-08', startTime: '10:00' }]);
+  });
+
+  it('shifts following occurrences by the same day offset and new start time', async () => {
+    const occurrences = [
+      { id: 'a0', timeSlotId: 'old0', timeSlot: { date: new Date('2025-09-01T00:00:00Z'), startTime: '10:00' } },
+      { id: 'a1', timeSlotId: 'old1', timeSlot: { date: new Date('2025-09-08T00:00:00Z'), startTime: '10:00' } },
+    ];
+    const newSlot = { id: 'new0', date: new Date('2025-09-02T00:00:00Z'), startTime: '11:00' };
+    prisma.timeSlot.findMany.mockResolvedValueOnce([
+      { id: 'new1', date: new Date('2025-09-09T00:00:00Z'), startTime: '11:00' },
+    ]);
+
+    const { pairs, missing } = await resolveSeriesShift(prisma, 'd1', occurrences, newSlot);
+
+    expect(missing).toEqual([]);
+    expect(pairs.map((p) => [p.appointment.id, p.oldSlotId, p.newSlot.id]))
+      .toEqual([['a0', 'old0', 'new0'], ['a1', 'old1', 'new1']]);
+  });
+});
@@ -0,0 +1,103 @@
+jest.mock('@prisma/client', () => {
+  const prisma = { timeSlot: { findFirst: jest.fn() }, user: { findUnique: jest.fn() } };
+  return { PrismaClient: jest.fn(() => prisma), prisma };
+});
+jest.mock('../../src/lib/redisClient', () => ({}));
+jest.mock('../../src/utils/time', () => ({
+  ...jest.requireActual('../../src/utils/time'),
+  getDatabaseNow: jest.fn(),
+}));
+jest.mock('../../src/utils/appointmentSeries', () => ({ findSeriesSlots: jest.fn() }));
+jest.mock('../../src/utils/blackouts', () => ({ findBlackedOutSlots: jest.fn().mockResolvedValue([]) }));
+jest.mock('../../src/utils/timeSlotHelpers', () => ({
+  ...jest.requireActual('../../src/utils/timeSlotHelpers'),
+  invalidateDoctorSlotCaches: jest.fn(),
+}));
+jest.mock('../../src/utils/slotLocks', () => ({
+  ...jest.requireActual('../../src/utils/slotLocks'),
+  acquireSlotLocks: jest.fn(),
+  getUserSlotLocks: jest.fn(),
+  countUserSlotLocks: jest.fn(),
+}));
+const { prisma } = require('@prisma/client');
+const { getDatabaseNow } = require('../../src/utils/time');
+const { findSeriesSlots } = require('../../src/utils/appointmentSeries');
+const { acquireSlotLocks, getUserSlotLocks, countUserSlotLocks } = require('../../src/utils/slotLocks');
+const { lockAppointmentSeries } = require('../../src/controllers/appointmentSeriesController');
+
+describe('lockAppointmentSeries', () => {
+  const nowUtc = new Date('2026-03-01T08:00:00.000Z');
+  const slots = Array.from({ length: 10 }, (_, index) => ({
+    id: `s${index}`,
+    date: new Date(Date.UTC(2026, 2, 2 + 7 * index)),
+    startTime: '09:00',
+    endTime: '09:30',
+    status: 'AVAILABLE',
+    capacity: 1,
+    seatsBooked: 0,
+  }));
+  let req, res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = {
+      user: { id: 'u1' },
+      body: { doctorId: 'a'.repeat(24), firstSlotId: 'b'.repeat(24), frequency: 'weekly', occurrences: 10 },
+    };
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    getDatabaseNow.mockResolvedValue(nowUtc);
+    prisma.user.findUnique.mockResolvedValue({ noShowCount: 0, lastNoShowAt: null, strikeCount: 0 });
+    prisma.timeSlot.findFirst.mockResolvedValue({ ...slots[0], startAt: new Date('2026-03-02T09:00:00.000Z'), doctor: { isActive: true } });
+    findSeriesSlots.mockResolvedValue({ slots, missing: [] });
+    getUserSlotLocks.mockResolvedValue(new Map());
+    acquireSlotLocks.mockResolvedValue(slots.map((slot) => ({ slotId: slot.id, expiresAt: new Date('2026-03-01T08:10:00.000Z') })));
+  });
+
+  it('locks the series while the user stays within the series lock limit', async () => {
+    countUserSlotLocks.mockResolvedValueOnce(2);
+
+    await lockAppointmentSeries(req, res);
+
+    expect(acquireSlotLocks).toHaveBeenCalled();
+    expect(res.json.mock.calls[0][0].success).toBe(true);
+  });
+
+  it('refuses a series that would take the user over the limit', async () => {
+    countUserSlotLocks.mockResolvedValueOnce(3);
+
+    await lockAppointmentSeries(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.json.mock.calls[0][0].code).toBe('LOCK_LIMIT');
+    expect(acquireSlotLocks).not.toHaveBeenCalled();
+  });
+
+  it('does not count holds the user already has on the same series twice', async () => {
+    countUserSlotLocks.mockResolvedValueOnce(12);
+    getUserSlotLocks.mockResolvedValueOnce(new Map(slots.map((slot) => [slot.id, {}])));
+
+    await lockAppointmentSeries(req, res);
+
+    expect(acquireSlotLocks).toHaveBeenCalled();
+  });
+
+  it('refuses to lock for users restricted by recent no-shows', async () => {
+    prisma.user.findUnique.mockResolvedValueOnce({ noShowCount: 3, lastNoShowAt: new Date('2026-02-20T00:00:00.000Z'), strikeCount: 0 });
+
+    await lockAppointmentSeries(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json.mock.calls[0][0].code).toBe('NO_SHOW_LIMIT');
+    expect(acquireSlotLocks).not.toHaveBeenCalled();
+  });
+
+  it('refuses to lock a series of a deactivated doctor', async () => {
+    prisma.timeSlot.findFirst.mockResolvedValueOnce({ ...slots[0], startAt: new Date('2026-03-02T09:00:00.000Z'), doctor: { isActive: false } });
+
+    await lockAppointmentSeries(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json.mock.calls[0][0].code).toBe('DOCTOR_INACTIVE');
+    expect(acquireSlotLocks).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,205 @@
+const {
+  buildTemplateSlots,
+  generateTemplateSlots,
+  rememberRemovedTemplateSlots,
+  removeTemplateSlots,
+} = require('../../src/utils/availabilityTemplates');
+
+describe('Availability template utils', () => {
+  const doctor = { id: 'd1', slotDurationMinutes: 30, slotBufferMinutes: 0, breaks: [], isActive: true };
+  const template = {
+    id: 't1',
+    windows: [
+      { weekdays: [1, 3], startTime: '09:00', endTime: '10:00', durationMinutes: null },
+      { weekdays: [1], startTime: '14:00', endTime: '15:00', durationMinutes: 60 },
+    ],
+  };
+  // Monday 2025-09-01 08:00 UTC
+  const nowUtc = new Date('2025-09-01T08:00:00Z');
+  const fromDate = new Date('2025-09-01T00:00:00Z');
+  const toDate = new Date('2025-09-03T00:00:00Z');
+
+  it('builds slots for matching weekdays with per-window lengths', () => {
+    const slots = buildTemplateSlots({ template, doctor, existingSlots: [], fromDate, toDate, nowUtc });
+
+    expect(slots.map((slot) => `${slot.date.toISOString().slice(0, 10)} ${slot.startTime}-${slot.endTime}`)).toEqual([
+      '2025-09-01 09:00-09:30',
+      '2025-09-01 09:30-10:00',
+      '2025-09-01 14:00-15:00',
+      '2025-09-03 09:00-09:30',
+      '2025-09-03 09:30-10:00',
+    ]);
+    expect(slots[0]).toEqual(expect.objectContaining({ doctorId: 'd1', templateId: 't1' }));
+  });
+
+  it('skips slots that overlap existing ones or already started', () => {
+    const slots = buildTemplateSlots({
+      template,
+      doctor,
+      existingSlots: [{ date: fromDate, startTime: '09:15', endTime: '09:45' }],
+      fromDate,
+      toDate: fromDate,
+      nowUtc: new Date('2025-09-01T14:00:00Z'),
+    });
+
+    expect(slots).toEqual([]);
+  });
+
+  it('builds slots in the doctor timezone with absolute instants', () => {
+    const slots = buildTemplateSlots({
+      template,
+      doctor: { ...doctor, timezone: 'Asia/Kolkata' },
+      existingSlots: [],
+      fromDate,
+      toDate: fromDate,
+      // 09:30 in Kolkata: the morning window has passed there, the afternoon one has not
+      nowUtc: new Date('2025-09-01T04:00:00Z'),
+    });
+
+    expect(slots).toEqual([
+      expect.objectContaining({
+        startTime: '14:00',
+        endTime: '15:00',
+        startAt: new Date('2025-09-01T08:30:00Z'),
+        endAt: new Date('2025-09-01T09:30:00Z'),
+      }),
+    ]);
+  });
+
+  it('skips days covered by a doctor or clinic blackout', () => {
+    const blackouts = [
+      { doctorId: null, startDate: fromDate, endDate: fromDate },
+      { doctorId: 'other', startDate: toDate, endDate: toDate },
+    ];
+    const slots = buildTemplateSlots({ template, doctor, existingSlots: [], blackouts, fromDate, toDate, nowUtc });
+
+    expect(slots.map((slot) => `${slot.date.toISOString().slice(0, 10)} ${slot.startTime}`)).toEqual([
+      '2025-09-03 09:00',
+      '2025-09-03 09:30',
+    ]);
+  });
+
+  it('leaves the place of removed template slots empty', () => {
+    const slots = buildTemplateSlots({
+      template: { ...template, removedSlots: [{ date: fromDate, startTime: '09:00', endTime: '09:30' }] },
+      doctor,
+      existingSlots: [],
+      fromDate,
+      toDate: fromDate,
+      nowUtc,
+    });
+
+    expect(slots.map((slot) => slot.startTime)).toEqual(['09:30', '14:00']);
+  });
+
+  it('remembers deleted template slots on their template', async () => {
+    const tx = { availabilityTemplate: { update: jest.fn() } };
+    const date = new Date('2025-09-03T00:00:00Z');
+
+    await rememberRemovedTemplateSlots(tx, [
+      { id: 's1', templateId: 't1', date, startTime: '09:00', endTime: '09:30' },
+      { id: 's2', templateId: null, date, startTime: '11:00', endTime: '11:30' },
+    ]);
+
+    expect(tx.availabilityTemplate.update).toHaveBeenCalledTimes(1);
+    expect(tx.availabilityTemplate.update).toHaveBeenCalledWith({
+      where: { id: 't1' },
+      data: { removedSlots: { push: [{ date, startTime: '09:00', endTime: '09:30' }] } },
+    });
+  });
+
+  it('does nothing for an inactive template', async () => {
+    const prisma = {
+      availabilityTemplate: { findUnique: jest.fn().mockResolvedValue({ ...template, isActive: false }) },
+      timeSlot: { createMany: jest.fn() },
+    };
+
+    expect(await generateTemplateSlots(prisma, 'd1', nowUtc)).toEqual({ created: 0 });
+    expect(prisma.timeSlot.createMany).not.toHaveBeenCalled();
+  });
+
+  it('does nothing while the doctor is deactivated', async () => {
+    const prisma = {
+      availabilityTemplate: {
+        findUnique: jest.fn().mockResolvedValue({ ...template, isActive: true, doctor: { ...doctor, isActive: false } }),
+      },
+      timeSlot: { createMany: jest.fn() },
+    };
+
+    expect(await generateTemplateSlots(prisma, 'd1', nowUtc)).toEqual({ created: 0 });
+    expect(prisma.timeSlot.createMany).not.toHaveBeenCalled();
+  });
+
+  it('only creates slots that do not exist yet', async () => {
+    const prisma = {
+      availabilityTemplate: {
+        findUnique: jest.fn().mockResolvedValue({ ...template, horizonDays: 1, isActive: true, doctor }),
+        update: jest.fn(),
+      },
+      timeSlot: {
+        findMany: jest.fn().mockResolvedValue([
+          { date: fromDate, startTime: '09:00', endTime: '09:30' },
+          { date: fromDate, startTime: '09:30', endTime: '10:00' },
+        ]),
+        createMany: jest.fn(),
+      },
+      blackout: { findMany: jest.fn().mockResolvedValue([]) },
+    };
+
+    const result = await generateTemplateSlots(prisma, 'd1', nowUtc);
+
+    expect(result).toEqual({ created: 1, generatedThrough: '2025-09-01' });
+    expect(prisma.timeSlot.createMany).toHaveBeenCalledWith({
+      data: [expect.objectContaining({ startTime: '14:00', endTime: '15:00' })],
+    });
+  });
+
+  describe('removeTemplateSlots', () => {
+    let prisma;
+    let redis;
+
+    beforeEach(() => {
+      const tx = {
+        waitlistEntry: { updateMany: jest.fn() },
+        timeSlot: { deleteMany: jest.fn().mockResolvedValue({ count: 1 }) },
+      };
+      prisma = {
+        tx,
+        timeSlot: { findMany: jest.fn().mockResolvedValue([{ id: 's2' }]) },
+        $transaction: jest.fn((fn) => fn(tx)),
+      };
+      redis = {
+        // s1 has a seat held mid-checkout
+        zrange: jest.fn().mockResolvedValueOnce(['s1|u1|1']).mockResolvedValue([]),
+        zremrangebyscore: jest.fn(),
+        del: jest.fn(),
+        zrem: jest.fn(),
+      };
+    });
+
+    it('keeps slots with a seat held in Redis', async () => {
+      expect(await removeTemplateSlots(prisma, redis, 't1', nowUtc)).toBe(1);
+
+      const { where } = prisma.timeSlot.findMany.mock.calls[0][0];
+      expect(where).toEqual(expect.objectContaining({ templateId: 't1', status: 'AVAILABLE', id: { notIn: ['s1'] } }));
+      expect(prisma.tx.timeSlot.deleteMany).toHaveBeenCalledWith({
+        where: expect.objectContaining({ templateId: 't1', id: { in: ['s2'] } }),
+      });
+    });
+
+    it('puts waitlist offers for removed slots back in the queue', async () => {
+      await removeTemplateSlots(prisma, redis, 't1', nowUtc);
+
+      expect(prisma.tx.waitlistEntry.updateMany).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { offeredSlotId: { in: ['s2'] }, status: 'OFFERED' } })
+      );
+    });
+
+    it('deletes nothing when every untouched slot is held', async () => {
+      prisma.timeSlot.findMany.mockResolvedValueOnce([]);
+
+      expect(await removeTemplateSlots(prisma, redis, 't1', nowUtc)).toBe(0);
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,54 @@
+jest.mock('@prisma/client', () => {
+  const prisma = { blackout: { findUnique: jest.fn() }, $transaction: jest.fn() };
+  return { PrismaClient: jest.fn(() => prisma), prisma };
+});
+jest.mock('../../src/lib/redisClient', () => ({}));
+jest.mock('../../src/utils/time', () => ({
+  ...jest.requireActual('../../src/utils/time'),
+  getDatabaseNow: jest.fn(),
+}));
+jest.mock('../../src/utils/blackouts', () => ({
+  ...jest.requireActual('../../src/utils/blackouts'),
+  findAffectedAppointments: jest.fn(),
+  cancelForBlackout: jest.fn(),
+}));
+jest.mock('../../src/utils/appointmentHelpers', () => ({ invalidateUserAppointmentCaches: jest.fn() }));
+jest.mock('../../src/utils/timeSlotHelpers', () => ({
+  ...jest.requireActual('../../src/utils/timeSlotHelpers'),
+  invalidateDoctorSlotCaches: jest.fn(),
+}));
+const { prisma } = require('@prisma/client');
+const { getDatabaseNow } = require('../../src/utils/time');
+const { findAffectedAppointments, cancelForBlackout } = require('../../src/utils/blackouts');
+const { resolveBlackoutAppointments } = require('../../src/controllers/blackoutController');
+
+const appointment = (id) => ({
+  id,
+  userId: `u-${id}`,
+  doctorId: 'd1',
+  timeSlotId: `s-${id}`,
+  timeSlot: { date: new Date('2026-03-20T00:00:00.000Z'), startTime: '10:00', startAt: new Date('2026-03-20T10:00:00.000Z') },
+});
+
+describe('resolveBlackoutAppointments', () => {
+  it('reports an appointment that fails and goes on with the rest', async () => {
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    getDatabaseNow.mockResolvedValue(new Date('2026-03-10T08:00:00.000Z'));
+    prisma.blackout.findUnique.mockResolvedValue({ id: 'b1', doctorId: 'd1', reason: 'Leave' });
+    findAffectedAppointments.mockResolvedValue([appointment('a1'), appointment('a2'), appointment('a3')]);
+    prisma.$transaction.mockImplementation((fn) => fn(prisma));
+    cancelForBlackout
+      .mockResolvedValueOnce(true)
+      .mockRejectedValueOnce(new Error('write conflict'))
+      .mockResolvedValueOnce(true);
+
+    await resolveBlackoutAppointments({ params: { id: 'b1' }, body: { action: 'cancel', notify: false }, user: { id: 'admin1' } }, res);
+
+    expect(res.status).not.toHaveBeenCalled();
+    const { data } = res.json.mock.calls[0][0];
+    expect(data.resolved.map((item) => item.appointmentId)).toEqual(['a1', 'a3']);
+    expect(data.unresolved).toEqual([{ appointmentId: 'a2', reason: 'Could not be processed; try again' }]);
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,114 @@
+const {
+  isBlackedOut,
+  excludeBlackedOutSlots,
+  findBlackedOutSlots,
+  findReplacementSlot,
+  cancelForBlackout,
+  buildBlackoutNotice,
+} = require('../../src/utils/blackouts');
+
+describe('Blackout utils', () => {
+  const day = (ymd) => new Date(`${ymd}T00:00:00Z`);
+  const leave = { id: 'b1', doctorId: 'd1', startDate: day('2025-09-10'), endDate: day('2025-09-12'), reason: 'Conference' };
+  const closure = { id: 'b2', doctorId: null, startDate: day('2025-09-15'), endDate: day('2025-09-15'), reason: null };
+
+  it('applies doctor blackouts to that doctor and clinic blackouts to everyone', () => {
+    expect(isBlackedOut([leave, closure], 'd1', day('2025-09-12'))).toBe(true);
+    expect(isBlackedOut([leave, closure], 'd2', day('2025-09-12'))).toBe(false);
+    expect(isBlackedOut([leave, closure], 'd2', day('2025-09-15'))).toBe(true);
+    expect(isBlackedOut([leave, closure], 'd1', day('2025-09-13'))).toBe(false);
+  });
+
+  it('hides slots inside a blackout', () => {
+    const slots = [
+      { id: 's1', doctorId: 'd1', date: day('2025-09-11') },
+      { id: 's2', doctorId: 'd2', date: day('2025-09-11') },
+      { id: 's3', doctorId: 'd2', date: day('2025-09-15') },
+    ];
+
+    expect(excludeBlackedOutSlots(slots, [leave, closure]).map((slot) => slot.id)).toEqual(['s2']);
+  });
+
+  it('looks up blackouts for the doctors and date span of the given slots', async () => {
+    const prisma = { blackout: { findMany: jest.fn().mockResolvedValue([leave]) } };
+    const slots = [
+      { id: 's1', doctorId: 'd1', date: day('2025-09-09') },
+      { id: 's2', doctorId: 'd1', date: day('2025-09-11') },
+    ];
+
+    expect(await findBlackedOutSlots(prisma, slots)).toEqual([slots[1]]);
+    expect(prisma.blackout.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: {
+        endDate: { gte: day('2025-09-09') },
+        startDate: { lte: day('2025-09-11') },
+        OR: [{ doctorId: null }, { doctorId: { in: ['d1'] } }],
+      },
+    }));
+  });
+
+  it('picks the earliest same-length slot after the blackout that is not blacked out itself', async () => {
+    const prisma = {
+      timeSlot: {
+        findMany: jest.fn().mockResolvedValue([
+          { id: 's1', doctorId: 'd1', date: day('2025-09-13'), startTime: '09:00', endTime: '10:00' },
+          { id: 's2', doctorId: 'd1', date: day('2025-09-15'), startTime: '09:00', endTime: '09:30' },
+          { id: 's3', doctorId: 'd1', date: day('2025-09-16'), startTime: '10:00', endTime: '10:30' },
+        ]),
+      },
+      blackout: { findMany: jest.fn().mockResolvedValue([closure]) },
+    };
+    const appt = { doctorId: 'd1', timeSlot: { startTime: '11:00', endTime: '11:30' } };
+
+    const slot = await findReplacementSlot(prisma, appt, leave, ['s0']);
+
+    expect(slot.id).toBe('s3');
+    expect(prisma.timeSlot.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { doctorId: 'd1', status: 'AVAILABLE', date: { gt: leave.endDate }, id: { notIn: ['s0'] } },
+    }));
+  });
+
+  it('cancels a booked appointment, frees its seat and audits the blackout', async () => {
+    const tx = {
+      appointment: { updateMany: jest.fn().mockResolvedValue({ count: 1 }) },
+      timeSlot: { updateMany: jest.fn() },
+      appointmentReminder: { updateMany: jest.fn().mockResolvedValue({ count: 2 }) },
+      appointmentEvent: { create: jest.fn() },
+    };
+    const actor = { id: 'admin1', role: 'ADMIN' };
+
+    const cancelled = await cancelForBlackout(tx, { appt: { id: 'a1', timeSlotId: 's1' }, actor, reason: 'Conference', blackout: leave });
+
+    expect(cancelled).toBe(true);
+    expect(tx.appointment.updateMany).toHaveBeenCalledWith({ where: { id: 'a1', status: 'BOOKED' }, data: { status: 'CANCELLED' } });
+    expect(tx.timeSlot.updateMany).toHaveBeenCalledWith({
+      where: { id: 's1', seatsBooked: { gt: 0 } },
+      data: { seatsBooked: { decrement: 1 }, status: 'AVAILABLE' },
+    });
+    expect(tx.appointmentEvent.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ actorId: 'admin1', newStatus: 'CANCELLED', details: { blackoutId: 'b1' } }),
+    });
+  });
+
+  it('skips appointments that are no longer booked', async () => {
+    const tx = { appointment: { updateMany: jest.fn().mockResolvedValue({ count: 0 }) }, timeSlot: { updateMany: jest.fn() } };
+
+    expect(await cancelForBlackout(tx, { appt: { id: 'a1', timeSlotId: 's1' }, blackout: leave })).toBe(false);
+    expect(tx.timeSlot.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('tells the patient where their appointment went', () => {
+    const appt = {
+      user: { name: 'Asha', email: 'asha@example.com', phone: null },
+      doctor: { name: 'Dr. Rao', specialization: 'Ayurveda' },
+      timeSlot: { date: day('2025-09-11'), startTime: '09:00' },
+    };
+
+    const moved = buildBlackoutNotice({ appt, newSlot: { date: day('2025-09-16'), startTime: '10:00' }, blackout: leave });
+    expect(moved.subject).toBe('Your appointment with Dr. Rao has been moved');
+    expect(moved.text).toBe('Hi Asha, Dr. Rao is unavailable on 2025-09-11 at 09:00 AM UTC (Conference). Your appointment has been moved to 2025-09-16 at 10:00 AM UTC.');
+
+    const cancelled = buildBlackoutNotice({ appt, newSlot: null, blackout: closure });
+    expect(cancelled.subject).toBe('Your appointment with Dr. Rao has been cancelled');
+    expect(cancelled.text).toMatch(/^Hi Asha, the clinic is closed on 2025-09-11 at 09:00 AM UTC\. Your appointment has been cancelled/);
+  });
+});
@@ -0,0 +1,51 @@
+const {
+  buildCalendarFeed,
+  escapeText,
+  foldLine,
+  formatIcsDateTime,
+  hashCalendarToken,
+  generateCalendarToken,
+} = require('../../src/utils/calendarFeed');
+
+const doctor = { name: 'Dr. Rao', specialization: 'Cardiology', consultationMode: 'online' };
+const slot = (date, startTime, endTime) => ({ date: new Date(`${date}T00:00:00Z`), startTime, endTime });
+
+describe('Calendar feed utils', () => {
+  it('formats UTC date-times and escapes text', () => {
+    expect(formatIcsDateTime(new Date('2025-09-02T09:30:00.000Z'))).toBe('20250902T093000Z');
+    expect(escapeText('a;b,c\nd\\e')).toBe('a\\;b\\,c\\nd\\\\e');
+  });
+
+  it('folds long lines at 75 octets', () => {
+    const folded = foldLine(`DESCRIPTION:${'x'.repeat(100)}`);
+    const [first, second] = folded.split('\r\n');
+    expect(first).toHaveLength(75);
+    expect(second.startsWith(' ')).toBe(true);
+  });
+
+  it('generates 48 character tokens and hashes them', () => {
+    const token = generateCalendarToken();
+    expect(token).toMatch(/^[a-f0-9]{48}$/);
+    expect(hashCalendarToken(token)).toHaveLength(64);
+  });
+
+  it('keeps the original UID across reschedules and emits cancellations', () => {
+    const updatedAt = new Date('2025-09-01T08:00:00Z');
+    const feed = buildCalendarFeed(
+      [
+        { id: 'a1', status: 'RESCHEDULED', rescheduleCount: 0, rescheduledFromId: null, updatedAt, doctor, timeSlot: slot('2025-09-10', '09:00', '09:30') },
+        { id: 'a2', status: 'BOOKED', rescheduleCount: 1, rescheduledFromId: 'a1', updatedAt, doctor, timeSlot: slot('2025-09-12', '10:00', '10:30') },
+        { id: 'b1', status: 'CANCELLED', rescheduleCount: 0, rescheduledFromId: null, updatedAt, doctor, timeSlot: slot('2025-09-15', '11:00', '11:30') },
+      ],
+      new Date('2025-09-01T12:00:00Z')
+    );
+
+    expect(feed.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+    expect(feed.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    expect(feed).toContain('UID:a1@doctor-appointments\r\nDTSTAMP');
+    expect(feed).not.toContain('UID:a2@');
+    expect(feed).toContain('DTSTART:20250912T100000Z');
+    expect(feed).toContain('SEQUENCE:1');
+    expect(feed).toContain('STATUS:CANCELLED');
+  });
+});
@@ -0,0 +1,65 @@
+jest.mock('@prisma/client', () => {
+  const prisma = {
+    user: { findUnique: jest.fn() },
+    doctor: { findUnique: jest.fn() },
+  };
+  return { PrismaClient: jest.fn(() => prisma), prisma };
+});
+const { prisma } = require('@prisma/client');
+const doctorAuth = require('../../src/middleware/doctorAuth');
+
+describe('doctorAuth middleware', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = { user: { id: 'u1', email: 'rao@example.com' }, params: { doctorId: 'd1' } };
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    next = jest.fn();
+  });
+
+  it('returns 401 without a logged-in user', async () => {
+    req.user = undefined;
+    await doctorAuth(req, res, next);
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('returns 404 for an unknown doctor', async () => {
+    prisma.user.findUnique.mockResolvedValueOnce({ id: 'u1', role: 'USER' });
+    prisma.doctor.findUnique.mockResolvedValueOnce(null);
+    await doctorAuth(req, res, next);
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  it('lets admins through', async () => {
+    prisma.user.findUnique.mockResolvedValueOnce({ id: 'u1', role: 'ADMIN' });
+    prisma.doctor.findUnique.mockResolvedValueOnce({ id: 'd1', userId: null });
+    await doctorAuth(req, res, next);
+    expect(next).toHaveBeenCalled();
+    expect(req.isAdmin).toBe(true);
+  });
+
+  it('lets the account linked to the doctor through', async () => {
+    prisma.user.findUnique.mockResolvedValueOnce({ id: 'u1', role: 'USER' });
+    prisma.doctor.findUnique.mockResolvedValueOnce({ id: 'd1', userId: 'u1' });
+    await doctorAuth(req, res, next);
+    expect(next).toHaveBeenCalled();
+    expect(req.isAdmin).toBe(false);
+  });
+
+  it('refuses other users, whatever email they registered with', async () => {
+    prisma.user.findUnique.mockResolvedValueOnce({ id: 'u1', role: 'USER' });
+    prisma.doctor.findUnique.mockResolvedValueOnce({ id: 'd1', userId: 'u2' });
+    await doctorAuth(req, res, next);
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('refuses everyone but admins while no account is linked', async () => {
+    prisma.user.findUnique.mockResolvedValueOnce({ id: 'u1', role: 'USER' });
+    prisma.doctor.findUnique.mockResolvedValueOnce({ id: 'd1', userId: null });
+    await doctorAuth(req, res, next);
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
@@ -0,0 +1,70 @@
+jest.mock('@prisma/client', () => {
+  const prisma = { doctor: { findMany: jest.fn() } };
+  return { PrismaClient: jest.fn(() => prisma), prisma };
+});
+jest.mock('../../src/lib/redisClient', () => ({ get: jest.fn(), set: jest.fn() }));
+const { prisma } = require('@prisma/client');
+const redis = require('../../src/lib/redisClient');
+const { SEARCH_CANDIDATE_LIMIT } = require('../../src/utils/doctorSearch');
+const { listDoctors } = require('../../src/controllers/doctorController');
+
+const doctor = (index, name) => ({ id: `d${index}`, name, specialization: 'Ayurveda', bio: '' });
+
+describe('listDoctors search mode', () => {
+  let res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    redis.get.mockResolvedValue(null);
+  });
+
+  it('pages ranked results and caches them with a lowercase ex option', async () => {
+    prisma.doctor.findMany.mockResolvedValue(Array.from({ length: 10 }, (_, index) => doctor(index, `Anil Sharma ${index}`)));
+
+    await listDoctors({ query: { q: 'sharma' } }, res);
+
+    const body = res.json.mock.calls[0][0];
+    expect(body.data).toHaveLength(8);
+    expect(body.pagination).toEqual({ total: 10, page: 1, limit: 8, hasMore: true, truncated: false });
+    expect(redis.set).toHaveBeenCalledWith(expect.any(String), JSON.stringify(body), { ex: 3600 });
+  });
+
+  it('flags results when more doctors matched the filters than were scored', async () => {
+    prisma.doctor.findMany.mockResolvedValue(Array.from({ length: SEARCH_CANDIDATE_LIMIT + 1 }, (_, index) => doctor(index, `Anil Sharma ${index}`)));
+
+    await listDoctors({ query: { q: 'sharma', page: '2' } }, res);
+
+    expect(prisma.doctor.findMany.mock.calls[0][0].take).toBe(SEARCH_CANDIDATE_LIMIT + 1);
+    expect(res.json.mock.calls[0][0].pagination).toMatchObject({ total: SEARCH_CANDIDATE_LIMIT, page: 2, truncated: true });
+  });
+
+  it('serves cached pages that the client already parsed', async () => {
+    const cached = { success: true, data: [], pagination: { total: 0, page: 1, limit: 8, hasMore: false, truncated: false } };
+    redis.get.mockResolvedValue(cached);
+
+    await listDoctors({ query: { q: 'sharma' } }, res);
+
+    expect(res.json).toHaveBeenCalledWith(cached);
+    expect(prisma.doctor.findMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('listDoctors specialization filter', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    redis.get.mockResolvedValue(null);
+    prisma.doctor.findMany.mockResolvedValue([]);
+  });
+
+  it('matches catalog names as well as slugs', async () => {
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+    await listDoctors({ query: { specialization: 'Panchakarma Therapy' } }, res);
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(prisma.doctor.findMany.mock.calls[0][0].where.specializations).toEqual({
+      some: { OR: [{ slug: { in: ['panchakarma-therapy'] } }, { synonyms: { hasSome: ['panchakarma-therapy'] } }] },
+    });
+  });
+});
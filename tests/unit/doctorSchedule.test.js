@@ -0,0 +1,103 @@
+jest.mock('@prisma/client', () => {
+  const prisma = {
+    doctor: { findUnique: jest.fn() },
+    appointment: { findMany: jest.fn() },
+    $queryRaw: jest.fn(),
+  };
+  return { PrismaClient: jest.fn(() => prisma), prisma };
+});
+jest.mock('../../src/lib/redisClient', () => ({}));
+jest.mock('../../src/utils/time', () => ({
+  ...jest.requireActual('../../src/utils/time'),
+  getDatabaseNow: jest.fn(),
+}));
+const { prisma } = require('@prisma/client');
+const { getDatabaseNow } = require('../../src/utils/time');
+const { listDoctorAppointments } = require('../../src/controllers/appointmentController');
+
+const slot = (id, date, startTime, endTime) => ({
+  id,
+  date: new Date(`${date}T00:00:00.000Z`),
+  startTime,
+  endTime,
+  startAt: new Date(`${date}T${startTime}:00.000Z`),
+  endAt: new Date(`${date}T${endTime}:00.000Z`),
+});
+
+const appointment = (id, status, timeSlot) => ({
+  id,
+  status,
+  notes: null,
+  seriesId: null,
+  checkedInAt: null,
+  createdAt: new Date('2026-01-01T00:00:00.000Z'),
+  user: { id: `u-${id}`, name: 'Asha Kumar', email: 'asha@example.com', phone: null },
+  timeSlot,
+});
+
+describe('listDoctorAppointments', () => {
+  let req, res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = { params: { doctorId: 'd1' }, query: {} };
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    prisma.doctor.findUnique.mockResolvedValue({ timezone: 'UTC' });
+    prisma.appointment.findMany.mockResolvedValue([]);
+    getDatabaseNow.mockResolvedValue(new Date('2026-03-10T08:00:00.000Z'));
+  });
+
+  it('defaults to today in the doctor zone and hides superseded appointments', async () => {
+    prisma.doctor.findUnique.mockResolvedValueOnce({ timezone: 'Asia/Kolkata' });
+    getDatabaseNow.mockResolvedValueOnce(new Date('2026-03-10T20:00:00.000Z'));
+
+    await listDoctorAppointments(req, res);
+
+    const { where } = prisma.appointment.findMany.mock.calls[0][0];
+    expect(where.doctorId).toBe('d1');
+    expect(where.status.in).toEqual(['BOOKED', 'COMPLETED', 'CANCELLED', 'NO_SHOW']);
+    expect(where.timeSlot.is.date).toEqual({ gte: new Date('2026-03-11T00:00:00.000Z'), lte: new Date('2026-03-11T00:00:00.000Z') });
+    expect(res.json.mock.calls[0][0].data).toMatchObject({ from: '2026-03-11', to: '2026-03-11', timeZone: 'Asia/Kolkata', total: 0, days: [] });
+  });
+
+  it('filters by the given date range and statuses', async () => {
+    req.query = { from: '2026-03-01', to: '2026-03-07', status: 'BOOKED,RESCHEDULED' };
+
+    await listDoctorAppointments(req, res);
+
+    const { where } = prisma.appointment.findMany.mock.calls[0][0];
+    expect(where.status.in).toEqual(['BOOKED', 'RESCHEDULED']);
+    expect(where.timeSlot.is.date).toEqual({ gte: new Date('2026-03-01T00:00:00.000Z'), lte: new Date('2026-03-07T00:00:00.000Z') });
+  });
+
+  it('rejects ranges over 31 days and malformed queries', async () => {
+    req.query = { from: '2026-03-01', to: '2026-04-15' };
+    await listDoctorAppointments(req, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+
+    req.query = { status: 'LATE' };
+    await listDoctorAppointments(req, res);
+    expect(res.status).toHaveBeenCalledTimes(2);
+    expect(prisma.appointment.findMany).not.toHaveBeenCalled();
+  });
+
+  it('groups appointments by day, ordered by slot time', async () => {
+    req.query = { from: '2026-03-01', to: '2026-03-02' };
+    prisma.appointment.findMany.mockResolvedValueOnce([
+      appointment('a3', 'BOOKED', slot('s3', '2026-03-02', '09:00', '09:30')),
+      appointment('a2', 'COMPLETED', slot('s2', '2026-03-01', '11:00', '11:30')),
+      appointment('a1', 'BOOKED', slot('s1', '2026-03-01', '09:00', '09:30')),
+    ]);
+
+    await listDoctorAppointments(req, res);
+
+    const { data } = res.json.mock.calls[0][0];
+    expect(data.total).toBe(3);
+    expect(data.days.map((day) => [day.date, day.count])).toEqual([['2026-03-01', 2], ['2026-03-02', 1]]);
+    expect(data.days[0].appointments.map((appt) => appt.id)).toEqual(['a1', 'a2']);
+    expect(data.days[0].appointments[0]).toMatchObject({
+      patient: { name: 'Asha Kumar', email: 'asha@example.com' },
+      slot: { slotId: 's1', startTime: '09:00', startsAt: '2026-03-01T09:00:00.000Z' },
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const {
+  tokenize,
+  parseSearchTerms,
+  editDistance,
+  scoreDoctor,
+  rankDoctors,
+  buildSuggestions,
+} = require('../../src/utils/doctorSearch');
+
+describe('Doctor search', () => {
+  const sharma = { id: 'd1', name: 'Anil Sharma', specialization: 'Cardiology', bio: 'Heart care with ayurveda diet advice' };
+  const ayurvedaName = { id: 'd2', name: 'Meera Ayurveda', specialization: 'Dermatology', bio: null };
+  const kumar = {
+    id: 'd3',
+    name: 'Ravi Kumar',
+    specialization: 'Ayurveda',
+    bio: '',
+    specializations: [{ slug: 'panchakarma-therapy', name: 'Panchakarma Therapy' }],
+  };
+
+  it('tokenizes without case, accents or punctuation', () => {
+    expect(tokenize("Dr. Zoë O'Neil")).toEqual(['dr', 'zoe', 'o', 'neil']);
+    expect(tokenize(null)).toEqual([]);
+  });
+
+  it('drops repeated words and stop words from the query', () => {
+    expect(parseSearchTerms('Dr Sharma sharma cardiology')).toEqual(['sharma', 'cardiology']);
+    expect(parseSearchTerms('dr. ')).toEqual([]);
+  });
+
+  it('counts swaps of neighbouring letters as one edit', () => {
+    expect(editDistance('cardiolgy', 'cardiology', 2)).toBe(1);
+    expect(editDistance('sharam', 'sharma', 1)).toBe(1);
+    expect(editDistance('kitten', 'sitting', 2)).toBe(3);
+  });
+
+  it('weights a name match over a specialization match over a bio match', () => {
+    const [first, second, third] = rankDoctors([sharma, kumar, ayurvedaName], ['ayurveda']);
+
+    expect([first.id, second.id, third.id]).toEqual(['d2', 'd3', 'd1']);
+    expect(first.score).toBe(1);
+    expect(first.score).toBeGreaterThan(second.score);
+    expect(second.score).toBeGreaterThan(third.score);
+  });
+
+  it('tolerates small typos and matches word prefixes', () => {
+    expect(scoreDoctor(sharma, parseSearchTerms('Sharmaa cardiolgy'))).toBeGreaterThan(0);
+    expect(scoreDoctor(kumar, ['panch'])).toBeGreaterThan(0);
+    expect(scoreDoctor(sharma, ['sharma'])).toBeGreaterThan(scoreDoctor(sharma, ['sharmaa']));
+  });
+
+  it('does not forgive typos in short words', () => {
+    expect(scoreDoctor(kumar, ['rvi'])).toBe(0);
+    expect(scoreDoctor(kumar, ['ravo'])).toBeGreaterThan(0);
+    expect(scoreDoctor({ name: 'Ent Clinic' }, ['ant'])).toBe(0);
+  });
+
+  it('needs every query word to match', () => {
+    expect(rankDoctors([sharma, kumar], ['sharma', 'dermatology'])).toEqual([]);
+  });
+
+  it('keeps the given order when not ranking by relevance', () => {
+    const ranked = rankDoctors([sharma, kumar, ayurvedaName], ['ayurveda'], { byRelevance: false });
+    expect(ranked.map((doctor) => doctor.id)).toEqual(['d1', 'd3', 'd2']);
+  });
+
+  describe('buildSuggestions', () => {
+    const index = {
+      doctors: [
+        { id: 'd1', name: 'Anil Sharma', specialization: 'Cardiology' },
+        { id: 'd2', name: 'Carla Mendes', specialization: 'Dermatology' },
+        { id: 'd3', name: 'Priya Carvalho', specialization: 'Ayurveda' },
+      ],
+      specializations: [
+        { slug: 'cardiology', name: 'Cardiology', synonyms: ['heart'], doctorCount: 1 },
+        { slug: 'cardiac-surgery', name: 'Cardiac Surgery', synonyms: [], doctorCount: 4 },
+        { slug: 'care-coordination', name: 'Care Coordination', synonyms: [], doctorCount: 0 },
+      ],
+    };
+
+    it('mixes specializations with most doctors first and doctors whose name starts with the text first', () => {
+      expect(buildSuggestions(index, 'car', 8)).toEqual([
+        { type: 'specialization', slug: 'cardiac-surgery', name: 'Cardiac Surgery', doctorCount: 4 },
+        { type: 'specialization', slug: 'cardiology', name: 'Cardiology', doctorCount: 1 },
+        { type: 'doctor', id: 'd2', name: 'Carla Mendes', specialization: 'Dermatology' },
+        { type: 'doctor', id: 'd3', name: 'Priya Carvalho', specialization: 'Ayurveda' },
+      ]);
+    });
+
+    it('matches earlier words whole and the last one as a prefix', () => {
+      expect(buildSuggestions(index, 'Anil sh', 8).map((item) => item.id)).toEqual(['d1']);
+      expect(buildSuggestions(index, 'an sharma', 8)).toEqual([]);
+    });
+
+    it('finds specializations by synonym', () => {
+      expect(buildSuggestions(index, 'hea', 8).map((item) => item.slug)).toEqual(['cardiology']);
+    });
+
+    it('gives specializations at most half of a full list', () => {
+      const many = {
+        doctors: [1, 2, 3, 4].map((n) => ({ id: `x${n}`, name: `Carx Doc${n}`, specialization: 'Cardiology' })),
+        specializations: ['a', 'b', 'c', 'd'].map((key) => ({ slug: `carx-${key}`, name: `Carx ${key}`, synonyms: [], doctorCount: 1 })),
+      };
+
+      const suggestions = buildSuggestions(many, 'carx', 4);
+      expect(suggestions.map((item) => item.type)).toEqual(['specialization', 'specialization', 'doctor', 'doctor']);
+    });
+  });
+});
@@ -0,0 +1,36 @@
+const { createTransport } = require('../../src/lib/notificationTransport');
+
+describe('createTransport', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  it('prints to the console in development when no transport is configured', () => {
+    delete process.env.NOTIFICATION_TRANSPORT;
+    process.env.NODE_ENV = 'development';
+
+    expect(createTransport().name).toBe('console');
+  });
+
+  it('sends nothing in production until a transport is configured', () => {
+    delete process.env.NOTIFICATION_TRANSPORT;
+    process.env.NODE_ENV = 'production';
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(createTransport()).toBeNull();
+  });
+
+  it('uses the configured transport in production', () => {
+    process.env.NOTIFICATION_TRANSPORT = 'file';
+    process.env.NODE_ENV = 'production';
+
+    expect(createTransport().name).toBe('file');
+  });
+
+  it('rejects unknown transports', () => {
+    expect(() => createTransport('pigeon')).toThrow('Unknown notification transport: pigeon');
+  });
+});
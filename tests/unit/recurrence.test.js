@@ -0,0 +1,48 @@
+const { parseRRule } = require('../../src/utils/recurrence');
+const { getMatchingDatesInRange } = require('../../src/utils/timeSlotHelpers');
+
+const ymd = (dates) => dates.map((date) => date.toISOString().slice(0, 10));
+
+describe('Recurrence', () => {
+  // Monday
+  const start = new Date('2025-09-01T00:00:00Z');
+  const end = new Date('2025-09-30T00:00:00Z');
+
+  describe('parseRRule', () => {
+    it('parses the supported parts and EXDATE lines', () => {
+      const { rule, error } = parseRRule('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=SA;COUNT=3\nEXDATE;VALUE=DATE:20250920');
+
+      expect(error).toBeUndefined();
+      expect(rule).toEqual({ freq: 'WEEKLY', interval: 2, byDay: [6], until: null, count: 3, exdates: ['2025-09-20'] });
+    });
+
+    it('rejects unsupported or inconsistent rules', () => {
+      expect(parseRRule('FREQ=MONTHLY').error).toMatch(/FREQ/);
+      expect(parseRRule('FREQ=WEEKLY;BYDAY=1MO').error).toMatch(/BYDAY/);
+      expect(parseRRule('FREQ=WEEKLY;BYSETPOS=1').error).toBe('Unsupported RRULE part: BYSETPOS');
+      expect(parseRRule('FREQ=DAILY;COUNT=2;UNTIL=20250910').error).toBe('RRULE cannot combine COUNT and UNTIL');
+      expect(parseRRule('INTERVAL=2').error).toBe('RRULE must include FREQ');
+    });
+  });
+
+  describe('getMatchingDatesInRange', () => {
+    it('accepts an explicit weekday list', () => {
+      expect(ymd(getMatchingDatesInRange(start, new Date('2025-09-07T00:00:00Z'), [1, 4]))).toEqual(['2025-09-01', '2025-09-04']);
+    });
+
+    it('expands every other Saturday', () => {
+      const { rule } = parseRRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=SA');
+      expect(ymd(getMatchingDatesInRange(start, end, rule))).toEqual(['2025-09-06', '2025-09-20']);
+    });
+
+    it('applies COUNT before removing EXDATEs', () => {
+      const { rule } = parseRRule('FREQ=DAILY;INTERVAL=3;COUNT=3\nEXDATE:20250904');
+      expect(ymd(getMatchingDatesInRange(start, end, rule))).toEqual(['2025-09-01', '2025-09-07']);
+    });
+
+    it('stops at UNTIL', () => {
+      const { rule } = parseRRule('FREQ=WEEKLY;BYDAY=MO,TH;UNTIL=20250908T235959Z');
+      expect(ymd(getMatchingDatesInRange(start, end, rule))).toEqual(['2025-09-01', '2025-09-04', '2025-09-08']);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+const {
+  scheduleAppointmentReminders,
+  cancelAppointmentReminders,
+  dispatchDueReminders,
+  REMINDER_MAX_ATTEMPTS,
+} = require('../../src/utils/reminders');
+
+describe('Reminder utils', () => {
+  const nowUtc = new Date('2025-09-02T12:00:00Z');
+
+  it('schedules 24h and 1h reminders, skipping offsets already passed', async () => {
+    const tx = { appointmentReminder: { createMany: jest.fn().mockResolvedValue({ count: 1 }) } };
+
+    await scheduleAppointmentReminders(tx, {
+      appointmentId: 'a1',
+      userId: 'u1',
+      slotStartUtc: new Date('2025-09-03T10:00:00Z'),
+      nowUtc,
+    });
+
+    expect(tx.appointmentReminder.createMany).toHaveBeenCalledWith({
+      data: [{ appointmentId: 'a1', userId: 'u1', offsetMinutes: 60, sendAt: new Date('2025-09-03T09:00:00Z') }],
+    });
+  });
+
+  it('cancels only pending reminders', async () => {
+    const tx = { appointmentReminder: { updateMany: jest.fn().mockResolvedValue({ count: 2 }) } };
+
+    expect(await cancelAppointmentReminders(tx, [])).toBe(0);
+    expect(await cancelAppointmentReminders(tx, ['a1'])).toBe(2);
+    expect(tx.appointmentReminder.updateMany).toHaveBeenCalledWith({
+      where: { appointmentId: { in: ['a1'] }, status: 'PENDING' },
+      data: { status: 'CANCELLED' },
+    });
+  });
+
+  describe('dispatchDueReminders', () => {
+    const reminder = (overrides = {}) => ({
+      id: 'r1',
+      offsetMinutes: 60,
+      attempts: 0,
+      user: { name: 'Asha', email: 'asha@example.com', phone: null },
+      appointment: {
+        status: 'BOOKED',
+        doctor: { name: 'Dr. Rao', specialization: 'Cardiology' },
+        timeSlot: { date: new Date('2025-09-02T00:00:00Z'), startTime: '13:00' },
+      },
+      ...overrides,
+    });
+
+    let prisma;
+    let transport;
+
+    beforeEach(() => {
+      prisma = {
+        appointmentReminder: {
+          findMany: jest.fn(),
+          updateMany: jest.fn().mockResolvedValue({ count: 1 }),
+          update: jest.fn(),
+        },
+      };
+      transport = { name: 'console', send: jest.fn() };
+    });
+
+    it('sends due reminders and marks them sent', async () => {
+      prisma.appointmentReminder.findMany.mockResolvedValueOnce([reminder()]);
+
+      const summary = await dispatchDueReminders(prisma, transport, nowUtc);
+
+      expect(summary).toEqual({ sent: 1, retried: 0, failed: 0, skipped: 0 });
+      expect(transport.send).toHaveBeenCalledWith(expect.objectContaining({
+        to: { name: 'Asha', email: 'asha@example.com', phone: null },
+        subject: 'Reminder: appointment with Dr. Rao on 2025-09-02',
+      }));
+      expect(prisma.appointmentReminder.update).toHaveBeenCalledWith({
+        where: { id: 'r1' },
+        data: { status: 'SENT', sentAt: nowUtc, attempts: 1, transport: 'console', lastError: null },
+      });
+    });
+
+    it('gives the visit time in the patient timezone', async () => {
+      prisma.appointmentReminder.findMany.mockResolvedValueOnce([
+        reminder({ user: { name: 'Asha', email: 'asha@example.com', phone: null, timezone: 'Asia/Kolkata' } }),
+      ]);
+
+      await dispatchDueReminders(prisma, transport, nowUtc);
+
+      expect(transport.send).toHaveBeenCalledWith(expect.objectContaining({
+        text: expect.stringMatching(/on 2025-09-02 at 06:30 PM Asia\/Kolkata\.$/),
+      }));
+    });
+
+    it('skips reminders for appointments that are no longer booked', async () => {
+      prisma.appointmentReminder.findMany.mockResolvedValueOnce([
+        reminder({ appointment: { ...reminder().appointment, status: 'CANCELLED' } }),
+      ]);
+
+      const summary = await dispatchDueReminders(prisma, transport, nowUtc);
+
+      expect(summary.skipped).toBe(1);
+      expect(transport.send).not.toHaveBeenCalled();
+    });
+
+    it('retries failed deliveries and gives up after the last attempt', async () => {
+      transport.send.mockRejectedValue(new Error('SMTP down'));
+      prisma.appointmentReminder.findMany.mockResolvedValueOnce([
+        reminder(),
+        reminder({ id: 'r2', attempts: REMINDER_MAX_ATTEMPTS - 1 }),
+      ]);
+
+      const summary = await dispatchDueReminders(prisma, transport, nowUtc);
+
+      expect(summary).toEqual({ sent: 0, retried: 1, failed: 1, skipped: 0 });
+      expect(prisma.appointmentReminder.update).toHaveBeenCalledWith({
+        where: { id: 'r2' },
+        data: expect.objectContaining({ status: 'FAILED', lastError: 'SMTP down' }),
+      });
+    });
+
+    it('does not send reminders claimed by another worker', async () => {
+      prisma.appointmentReminder.findMany.mockResolvedValueOnce([reminder()]);
+      prisma.appointmentReminder.updateMany
+        .mockResolvedValueOnce({ count: 0 })
+        .mockResolvedValueOnce({ count: 0 });
+
+      await dispatchDueReminders(prisma, transport, nowUtc);
+
+      expect(transport.send).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,48 @@
+const {
+  selectReviewFields,
+  selectModeratedReviewFields,
+  formatReviewAuthor,
+  formatReview,
+  refreshDoctorRating,
+} = require('../../src/utils/reviews');
+
+describe('Review utils', () => {
+  it('shows patients by first name and last initial', () => {
+    expect(formatReviewAuthor('Jane Mary doe')).toBe('Jane D.');
+    expect(formatReviewAuthor('Ravi')).toBe('Ravi');
+    expect(formatReviewAuthor('  ')).toBeNull();
+  });
+
+  it('keeps the appointment and patient out of public reviews', () => {
+    expect(selectReviewFields).not.toHaveProperty('appointmentId');
+    expect(selectReviewFields).not.toHaveProperty('userId');
+    expect(selectModeratedReviewFields).toMatchObject({ appointmentId: true, userId: true });
+  });
+
+  it('replaces the user with the author name', () => {
+    const review = { id: 'r1', rating: 4, text: 'Very thorough', user: { name: 'Asha Kumar' } };
+    expect(formatReview(review)).toEqual({ id: 'r1', rating: 4, text: 'Very thorough', author: 'Asha K.' });
+  });
+
+  describe('refreshDoctorRating', () => {
+    let prisma;
+
+    beforeEach(() => {
+      prisma = { review: { aggregate: jest.fn() }, doctor: { update: jest.fn() } };
+    });
+
+    it('stores the average of visible reviews rounded to one decimal', async () => {
+      prisma.review.aggregate.mockResolvedValueOnce({ _avg: { rating: 4.333333 }, _count: { _all: 3 } });
+
+      expect(await refreshDoctorRating(prisma, 'd1')).toEqual({ ratingAverage: 4.3, ratingCount: 3 });
+      expect(prisma.review.aggregate).toHaveBeenCalledWith(expect.objectContaining({ where: { doctorId: 'd1', status: 'VISIBLE' } }));
+      expect(prisma.doctor.update).toHaveBeenCalledWith({ where: { id: 'd1' }, data: { ratingAverage: 4.3, ratingCount: 3 } });
+    });
+
+    it('resets the rating once no visible review is left', async () => {
+      prisma.review.aggregate.mockResolvedValueOnce({ _avg: { rating: null }, _count: { _all: 0 } });
+
+      expect(await refreshDoctorRating(prisma, 'd1')).toEqual({ ratingAverage: 0, ratingCount: 0 });
+    });
+  });
+});
@@ -0,0 +1,149 @@
+jest.mock('@prisma/client', () => {
+  const prisma = {
+    doctor: { findUnique: jest.fn(), update: jest.fn() },
+    timeSlot: { findFirst: jest.fn(), findMany: jest.fn(), deleteMany: jest.fn(), updateMany: jest.fn() },
+    appointment: { findMany: jest.fn(), updateMany: jest.fn() },
+    appointmentReminder: { updateMany: jest.fn() },
+    blackout: { findMany: jest.fn() },
+    appointmentEvent: { create: jest.fn() },
+    waitlistEntry: { updateMany: jest.fn() },
+    removedTemplateSlot: { createMany: jest.fn() },
+    $transaction: jest.fn(),
+  };
+  return { PrismaClient: jest.fn(() => prisma), prisma };
+});
+jest.mock('../../src/lib/redisClient', () => ({}));
+jest.mock('../../src/utils/time', () => ({
+  ...jest.requireActual('../../src/utils/time'),
+  getDatabaseNow: jest.fn(),
+}));
+jest.mock('../../src/utils/slotLocks', () => ({
+  ...jest.requireActual('../../src/utils/slotLocks'),
+  getHeldSeatCounts: jest.fn(),
+  clearSlotLocks: jest.fn(),
+}));
+jest.mock('../../src/utils/timeSlotHelpers', () => ({
+  ...jest.requireActual('../../src/utils/timeSlotHelpers'),
+  invalidateDoctorSlotCaches: jest.fn(),
+}));
+jest.mock('../../src/utils/waitlist', () => ({
+  ...jest.requireActual('../../src/utils/waitlist'),
+  cancelDoctorWaitlist: jest.fn(),
+}));
+jest.mock('../../src/utils/doctorSearch', () => ({
+  ...jest.requireActual('../../src/utils/doctorSearch'),
+  invalidateSuggestionCache: jest.fn(),
+}));
+jest.mock('../../src/utils/specializations', () => ({
+  ...jest.requireActual('../../src/utils/specializations'),
+  invalidateSpecializationCache: jest.fn(),
+}));
+const { prisma } = require('@prisma/client');
+const { getDatabaseNow } = require('../../src/utils/time');
+const { getHeldSeatCounts } = require('../../src/utils/slotLocks');
+const { deleteTimeSlot, updateTimeSlot, deactivateDoctor } = require('../../src/controllers/doctorController');
+
+const slot = (id, status = 'AVAILABLE', seatsBooked = 0) => ({
+  id,
+  doctorId: 'd1',
+  date: new Date('2026-03-20T00:00:00.000Z'),
+  startTime: '10:00',
+  endTime: '10:30',
+  startAt: new Date('2026-03-20T10:00:00.000Z'),
+  endAt: new Date('2026-03-20T10:30:00.000Z'),
+  status,
+  capacity: 1,
+  seatsBooked,
+  templateId: null,
+});
+
+describe('Changing slots with appointment history', () => {
+  let res;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    getDatabaseNow.mockResolvedValue(new Date('2026-03-10T08:00:00.000Z'));
+    getHeldSeatCounts.mockResolvedValue(new Map());
+    prisma.$transaction.mockImplementation((fn) => fn(prisma));
+    prisma.appointment.findMany.mockResolvedValue([]);
+    prisma.timeSlot.deleteMany.mockResolvedValue({ count: 1 });
+    prisma.appointmentReminder.updateMany.mockResolvedValue({ count: 0 });
+    prisma.blackout.findMany.mockResolvedValue([]);
+  });
+
+  it('refuses to delete a slot that earlier appointments refer to', async () => {
+    prisma.timeSlot.findFirst.mockResolvedValue(slot('s1'));
+    prisma.appointment.findMany.mockResolvedValueOnce([{ timeSlotId: 's1' }]);
+
+    await deleteTimeSlot({ params: { doctorId: 'd1', slotId: 's1' }, query: {} }, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json.mock.calls[0][0].code).toBe('SLOT_HAS_HISTORY');
+    expect(prisma.appointment.findMany.mock.calls[0][0].where).toEqual({ timeSlotId: { in: ['s1'] }, status: { not: 'BOOKED' } });
+    expect(prisma.timeSlot.deleteMany).not.toHaveBeenCalled();
+    expect(prisma.appointment.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('unlinks only the bookings it cancels when force deletes a booked slot', async () => {
+    prisma.timeSlot.findFirst.mockResolvedValue(slot('s1', 'BOOKED', 1));
+    prisma.appointment.findMany
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([{ id: 'a1', userId: 'u1', timeSlotId: 's1' }]);
+
+    await deleteTimeSlot({ params: { doctorId: 'd1', slotId: 's1' }, query: { force: 'true', notify: 'false' } }, res);
+
+    expect(prisma.appointment.updateMany).toHaveBeenCalledWith({
+      where: { id: { in: ['a1'] }, timeSlotId: { in: ['s1'] } },
+      data: { timeSlotId: null },
+    });
+    expect(prisma.appointment.updateMany).not.toHaveBeenCalledWith(expect.objectContaining({ where: { timeSlotId: { in: ['s1'] } } }));
+    expect(res.json.mock.calls[0][0].data.cancelledAppointments).toEqual(['a1']);
+  });
+
+  it('still reports a committed deletion when the notification transport is misconfigured', async () => {
+    const transport = process.env.NOTIFICATION_TRANSPORT;
+    process.env.NOTIFICATION_TRANSPORT = 'pigeon';
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    prisma.timeSlot.findFirst.mockResolvedValue(slot('s1', 'BOOKED', 1));
+    prisma.appointment.findMany
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([{ id: 'a1', userId: 'u1', timeSlotId: 's1' }]);
+
+    await deleteTimeSlot({ params: { doctorId: 'd1', slotId: 's1' }, query: { force: 'true' } }, res);
+
+    if (transport === undefined) delete process.env.NOTIFICATION_TRANSPORT;
+    else process.env.NOTIFICATION_TRANSPORT = transport;
+    console.warn.mockRestore();
+    expect(res.status).not.toHaveBeenCalled();
+    expect(res.json.mock.calls[0][0].data).toMatchObject({ cancelledAppointments: ['a1'], notified: 0 });
+  });
+
+  it('refuses to move a slot that earlier appointments refer to', async () => {
+    prisma.doctor.findUnique.mockResolvedValue({ timezone: 'UTC', slotDuration: 30, bufferMinutes: 0, breakWindows: [] });
+    prisma.timeSlot.findFirst.mockResolvedValue(slot('s1'));
+    prisma.timeSlot.findMany.mockResolvedValue([]);
+    prisma.appointment.findMany.mockResolvedValueOnce([{ timeSlotId: 's1' }]);
+
+    await updateTimeSlot({ params: { doctorId: 'd1', slotId: 's1' }, body: { startTime: '11:00' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json.mock.calls[0][0].code).toBe('SLOT_HAS_HISTORY');
+    expect(prisma.timeSlot.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('keeps slots with history when a doctor is deactivated and deletes the rest', async () => {
+    prisma.doctor.findUnique.mockResolvedValue({ id: 'd1' });
+    prisma.timeSlot.findMany.mockResolvedValue([slot('s1'), slot('s2')]);
+    prisma.appointment.findMany.mockResolvedValueOnce([{ timeSlotId: 's2' }]);
+    prisma.timeSlot.updateMany.mockResolvedValue({ count: 1 });
+
+    await deactivateDoctor({ params: { id: 'd1' }, query: {} }, res);
+
+    expect(prisma.timeSlot.deleteMany).toHaveBeenCalledWith({ where: { id: { in: ['s1'] }, status: 'AVAILABLE', seatsBooked: 0 } });
+    expect(prisma.timeSlot.updateMany).toHaveBeenCalledWith(expect.objectContaining({ where: expect.objectContaining({ id: { in: ['s2'] } }) }));
+    expect(res.json.mock.calls[0][0].data).toMatchObject({ slotsRemoved: 1, slotsKept: 1 });
+  });
+});
@@ -0,0 +1,71 @@
+jest.mock('@prisma/client', () => {
+  const prisma = {
+    doctor: { findUnique: jest.fn() },
+    timeSlot: { findMany: jest.fn(), createMany: jest.fn() },
+    blackout: { findMany: jest.fn() },
+  };
+  return { PrismaClient: jest.fn(() => prisma), prisma };
+});
+jest.mock('../../src/lib/redisClient', () => ({ scan: jest.fn().mockResolvedValue(['0', []]), unlink: jest.fn() }));
+jest.mock('../../src/utils/time', () => ({
+  ...jest.requireActual('../../src/utils/time'),
+  getDatabaseNow: jest.fn(),
+}));
+const { prisma } = require('@prisma/client');
+const { getDatabaseNow } = require('../../src/utils/time');
+const { createTimeSlot, createBatchTimeSlot } = require('../../src/controllers/doctorController');
+
+describe('Creating slots from string form fields', () => {
+  let res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    getDatabaseNow.mockResolvedValue(new Date('2026-03-10T08:00:00.000Z'));
+    prisma.doctor.findUnique.mockResolvedValue({
+      id: 'd1',
+      slotDurationMinutes: 30,
+      slotBufferMinutes: 0,
+      breaks: [],
+      timezone: 'UTC',
+      isActive: true,
+    });
+    prisma.blackout.findMany.mockResolvedValue([]);
+    prisma.timeSlot.findMany.mockResolvedValue([]);
+  });
+
+  it('adds numeric strings for the slot length and buffer', async () => {
+    const req = {
+      params: { doctorId: 'd1' },
+      body: { date: '2026-03-20', startTime: '09:00', endTime: '12:00', durationMinutes: '60', bufferMinutes: '10' },
+    };
+
+    await createTimeSlot(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    const { data } = prisma.timeSlot.createMany.mock.calls[0][0];
+    expect(data.map((slot) => [slot.startTime, slot.endTime])).toEqual([['09:00', '10:00'], ['10:10', '11:10']]);
+  });
+
+  it('previews a batch built from numeric strings', async () => {
+    const req = {
+      params: { doctorId: 'd1' },
+      body: {
+        weekdays: [5],
+        startDate: '2026-03-20',
+        endDate: '2026-03-20',
+        startTime: '09:00',
+        endTime: '12:00',
+        durationMinutes: '60',
+        bufferMinutes: '10',
+        dryRun: true,
+      },
+    };
+
+    await createBatchTimeSlot(req, res);
+
+    const { data } = res.json.mock.calls[0][0];
+    expect(data).toMatchObject({ durationMinutes: 60, bufferMinutes: 10, slotsToCreate: 2 });
+    expect(data.slots.map((slot) => slot.startTime)).toEqual(['09:00', '10:10']);
+  });
+});
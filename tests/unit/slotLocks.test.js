@@ -0,0 +1,137 @@
+const {
+  resolveLockExtension,
+  acquireSlotLock,
+  acquireSlotLocks,
+  releaseUserSlotLock,
+  renewSlotLock,
+  getSlotLock,
+  getHeldSeatCounts,
+  popExpiredSlotLocks,
+} = require('../../src/utils/slotLocks');
+
+describe('Slot lock utils', () => {
+  const lockedAt = new Date('2025-09-01T10:00:00Z');
+
+  it('extends a lock by five minutes from now', () => {
+    const nowUtc = new Date('2025-09-01T10:04:00Z');
+
+    expect(resolveLockExtension({ lockedAt, expiresAt: new Date('2025-09-01T10:05:00Z') }, nowUtc)).toEqual({
+      expiresAt: new Date('2025-09-01T10:09:00Z'),
+      maxExpiresAt: new Date('2025-09-01T10:15:00Z'),
+    });
+  });
+
+  it('caps the expiry at fifteen minutes after the lock was taken', () => {
+    const nowUtc = new Date('2025-09-01T10:12:00Z');
+
+    expect(resolveLockExtension({ lockedAt, expiresAt: new Date('2025-09-01T10:13:00Z') }, nowUtc).expiresAt)
+      .toEqual(new Date('2025-09-01T10:15:00Z'));
+  });
+
+  it('refuses once the cap is reached or the lock already runs longer', () => {
+    expect(resolveLockExtension({ lockedAt, expiresAt: new Date('2025-09-01T10:15:00Z') }, new Date('2025-09-01T10:14:00Z'))).toBeNull();
+    // Waitlist offers hold the slot for 30 minutes from the start
+    expect(resolveLockExtension({ lockedAt, expiresAt: new Date('2025-09-01T10:30:00Z') }, new Date('2025-09-01T10:01:00Z'))).toBeNull();
+  });
+});
+
+describe('Redis slot locks', () => {
+  let redis;
+  const nowUtc = new Date('2025-09-01T10:00:00Z');
+  const expiry = (minutes = 5) => nowUtc.getTime() + minutes * 60 * 1000;
+  const member = (userId) => `${userId}|${nowUtc.getTime()}`;
+
+  beforeEach(() => {
+    redis = {
+      eval: jest.fn(),
+      zadd: jest.fn(),
+      zrem: jest.fn(),
+      zrange: jest.fn(),
+      zremrangebyscore: jest.fn(),
+    };
+  });
+
+  it('holds one seat of a slot and indexes the hold', async () => {
+    redis.eval.mockResolvedValueOnce(1);
+
+    const lock = await acquireSlotLock(redis, { slotId: 's1', userId: 'u1', nowUtc, seats: 3 });
+
+    expect(redis.eval).toHaveBeenCalledWith(
+      expect.any(String),
+      ['slot:lock:s1'],
+      [String(nowUtc.getTime()), 'u1', member('u1'), String(expiry()), '3']
+    );
+    expect(redis.zadd).toHaveBeenCalledWith('slot:locks', { score: expiry(), member: `s1|${member('u1')}` });
+    expect(redis.zadd).toHaveBeenCalledWith('user:u1:slot-locks', { score: expiry(), member: `s1|${member('u1')}` });
+    expect(lock.expiresAt).toEqual(new Date('2025-09-01T10:05:00Z'));
+  });
+
+  it('keeps the current hold of the same user and refuses once every seat is held', async () => {
+    redis.eval.mockResolvedValueOnce([member('u1'), String(expiry(3))]).mockResolvedValueOnce(0);
+
+    const own = await acquireSlotLock(redis, { slotId: 's1', userId: 'u1', nowUtc });
+    expect(own.expiresAt).toEqual(new Date('2025-09-01T10:03:00Z'));
+    expect(redis.zadd).not.toHaveBeenCalled();
+
+    expect(await acquireSlotLock(redis, { slotId: 's1', userId: 'u2', nowUtc })).toBeNull();
+  });
+
+  it('gives back the holds it took when any slot has no seat left', async () => {
+    redis.eval.mockResolvedValueOnce(1).mockResolvedValueOnce(0);
+
+    await expect(acquireSlotLocks(redis, { slots: [{ id: 's1', seats: 1 }, { id: 's2', seats: 2 }], userId: 'u1', nowUtc }))
+      .rejects.toEqual({ code: 'SERIES_SLOT_UNAVAILABLE', slotId: 's2' });
+    expect(redis.zrem).toHaveBeenCalledWith('slot:lock:s1', member('u1'));
+    expect(redis.zrem).toHaveBeenCalledWith('slot:locks', `s1|${member('u1')}`);
+  });
+
+  it('finds the hold of one user among the live holds of a slot', async () => {
+    redis.zrange.mockResolvedValue([member('u2'), String(expiry()), member('u1'), String(expiry(2))]);
+
+    expect((await getSlotLock(redis, 's1', 'u1', nowUtc)).expiresAt).toEqual(new Date('2025-09-01T10:02:00Z'));
+    expect(await getSlotLock(redis, 's1', 'u3', nowUtc)).toBeNull();
+    expect(redis.zrange).toHaveBeenCalledWith('slot:lock:s1', nowUtc.getTime() + 1, '+inf', { byScore: true, withScores: true });
+  });
+
+  it('only releases a hold the user has', async () => {
+    redis.zrange.mockResolvedValueOnce([member('u2'), String(expiry())]);
+
+    expect(await releaseUserSlotLock(redis, 's1', 'u1', nowUtc)).toBeNull();
+    expect(redis.zrem).not.toHaveBeenCalled();
+  });
+
+  it('renews only the expiry that was read', async () => {
+    const current = { slotId: 's1', userId: 'u1', lockedAt: nowUtc, expiresAt: new Date(expiry()), member: member('u1') };
+    const expiresAt = new Date('2025-09-01T10:09:00Z');
+    redis.eval.mockResolvedValueOnce(1).mockResolvedValueOnce(0);
+
+    const renewed = await renewSlotLock(redis, current, expiresAt);
+
+    expect(redis.eval).toHaveBeenCalledWith(
+      expect.any(String),
+      ['slot:lock:s1'],
+      [member('u1'), String(expiry()), String(expiresAt.getTime())]
+    );
+    expect(renewed.expiresAt).toEqual(expiresAt);
+    expect(await renewSlotLock(redis, current, expiresAt)).toBeNull();
+  });
+
+  it('counts held seats per slot and pops the slots whose holds ran out', async () => {
+    redis.zrange
+      .mockResolvedValueOnce(['s1|u1|1', 's1|u2|1', '123|u1|1'])
+      .mockResolvedValueOnce(['s9|u1|1', 's9|u2|1']);
+
+    expect(await getHeldSeatCounts(redis, nowUtc)).toEqual(new Map([['s1', 2], ['123', 1]]));
+    expect(await popExpiredSlotLocks(redis, nowUtc)).toEqual(['s9']);
+    expect(redis.zremrangebyscore).toHaveBeenCalledWith('slot:locks', 0, nowUtc.getTime());
+  });
+
+  it('drops index entries that expired long ago when counting held seats', async () => {
+    redis.zrange.mockResolvedValueOnce([]);
+
+    await getHeldSeatCounts(redis, nowUtc);
+
+    // Recently expired entries stay for the waitlist job
+    expect(redis.zremrangebyscore).toHaveBeenCalledWith('slot:locks', 0, nowUtc.getTime() - 30 * 60 * 1000);
+  });
+});
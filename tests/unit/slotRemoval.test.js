@@ -0,0 +1,75 @@
+const {
+  isSlotInUse,
+  buildFreeSlotFilter,
+  cancelSlotBookings,
+  releaseSlotOffers,
+  buildSlotCancellationNotice,
+} = require('../../src/utils/slotRemoval');
+
+describe('Slot removal utils', () => {
+  it('treats booked slots, slots with booked seats and slots with held seats as in use', () => {
+    const heldSeats = new Map([['s2', 1]]);
+    expect(isSlotInUse({ id: 's1', status: 'AVAILABLE', seatsBooked: 0 }, heldSeats)).toBe(false);
+    expect(isSlotInUse({ id: 's1', status: 'BOOKED', seatsBooked: 1 }, heldSeats)).toBe(true);
+    expect(isSlotInUse({ id: 's1', status: 'AVAILABLE', capacity: 5, seatsBooked: 2 }, heldSeats)).toBe(true);
+    expect(isSlotInUse({ id: 's2', status: 'AVAILABLE', seatsBooked: 0 }, heldSeats)).toBe(true);
+  });
+
+  it('only lets free slots through without force', () => {
+    expect(buildFreeSlotFilter()).toEqual({ status: 'AVAILABLE', seatsBooked: 0 });
+  });
+
+  it('cancels bookings on the slots with reminders and audit events', async () => {
+    const booked = [
+      { id: 'a1', userId: 'u1', timeSlotId: 's1' },
+      { id: 'a2', userId: 'u2', timeSlotId: 's2' },
+    ];
+    const tx = {
+      appointment: { findMany: jest.fn().mockResolvedValue(booked), updateMany: jest.fn() },
+      appointmentReminder: { updateMany: jest.fn().mockResolvedValue({ count: 1 }) },
+      appointmentEvent: { create: jest.fn() },
+    };
+    const actor = { id: 'admin1', role: 'ADMIN' };
+
+    const cancelled = await cancelSlotBookings(tx, { slotIds: ['s1', 's2'], actor, reason: 'Time slots removed' });
+
+    expect(cancelled).toBe(booked);
+    expect(tx.appointment.updateMany).toHaveBeenCalledWith({ where: { id: { in: ['a1', 'a2'] } }, data: { status: 'CANCELLED' } });
+    expect(tx.appointmentReminder.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { appointmentId: { in: ['a1', 'a2'] }, status: 'PENDING' },
+    }));
+    expect(tx.appointmentEvent.create).toHaveBeenCalledTimes(2);
+    expect(tx.appointmentEvent.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ appointmentId: 'a1', actorRole: 'ADMIN', newStatus: 'CANCELLED', oldSlotId: 's1' }),
+    });
+  });
+
+  it('does nothing when no slot is booked', async () => {
+    const tx = { appointment: { findMany: jest.fn().mockResolvedValue([]), updateMany: jest.fn() } };
+
+    expect(await cancelSlotBookings(tx, { slotIds: ['s1'] })).toEqual([]);
+    expect(tx.appointment.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('puts offered waitlist entries back in the queue', async () => {
+    const tx = { waitlistEntry: { updateMany: jest.fn() } };
+
+    await releaseSlotOffers(tx, ['s1']);
+
+    expect(tx.waitlistEntry.updateMany).toHaveBeenCalledWith({
+      where: { offeredSlotId: { in: ['s1'] }, status: 'OFFERED' },
+      data: { status: 'WAITING', offeredSlotId: null, offeredAt: null, offerExpires: null },
+    });
+  });
+
+  it('builds the cancellation notice', () => {
+    const notice = buildSlotCancellationNotice({
+      user: { name: 'Asha', email: 'asha@example.com', phone: null },
+      doctor: { name: 'Dr. Rao' },
+      timeSlot: { date: new Date('2025-09-03T00:00:00Z'), startTime: '14:30' },
+    });
+
+    expect(notice.to.email).toBe('asha@example.com');
+    expect(notice.text).toMatch(/^Hi Asha, your appointment with Dr\. Rao on 2025-09-03 at 02:30 PM UTC has been cancelled/);
+  });
+});
@@ -0,0 +1,74 @@
+const { getFreeSeats, hasBookedSeats, describeSeats, bookSeat, releaseSeat } = require('../../src/utils/slotSeats');
+
+describe('Slot seat utils', () => {
+  it('treats slots without seat fields as a single seat', () => {
+    expect(getFreeSeats({ status: 'AVAILABLE' })).toBe(1);
+    expect(getFreeSeats({ status: 'AVAILABLE' }, 1)).toBe(0);
+    expect(hasBookedSeats({ status: 'BOOKED' })).toBe(true);
+  });
+
+  it('counts booked and held seats of a group slot', () => {
+    const slot = { status: 'AVAILABLE', capacity: 10, seatsBooked: 4 };
+
+    expect(hasBookedSeats(slot)).toBe(true);
+    expect(describeSeats(slot, 2)).toEqual({ capacity: 10, seatsBooked: 4, seatsHeld: 2, seatsRemaining: 4 });
+    expect(getFreeSeats(slot, 8)).toBe(0);
+  });
+
+  describe('bookSeat', () => {
+    let tx;
+
+    beforeEach(() => {
+      tx = { timeSlot: { findFirst: jest.fn(), updateMany: jest.fn() } };
+    });
+
+    it('takes a seat and keeps the slot AVAILABLE while seats remain', async () => {
+      tx.timeSlot.findFirst.mockResolvedValueOnce({ id: 's1', capacity: 3, seatsBooked: 1 });
+      tx.timeSlot.updateMany.mockResolvedValueOnce({ count: 1 });
+
+      expect(await bookSeat(tx, { id: 's1' })).toEqual({ id: 's1', capacity: 3, seatsBooked: 2 });
+      expect(tx.timeSlot.updateMany).toHaveBeenCalledWith({
+        where: { id: 's1', status: 'AVAILABLE', seatsBooked: 1 },
+        data: { seatsBooked: 2, status: 'AVAILABLE' },
+      });
+    });
+
+    it('marks the slot BOOKED when the last seat is taken', async () => {
+      tx.timeSlot.findFirst.mockResolvedValueOnce({ id: 's1', capacity: 1, seatsBooked: 0 });
+      tx.timeSlot.updateMany.mockResolvedValueOnce({ count: 1 });
+
+      await bookSeat(tx, { id: 's1' });
+
+      expect(tx.timeSlot.updateMany.mock.calls[0][0].data).toEqual({ seatsBooked: 1, status: 'BOOKED' });
+    });
+
+    it('retries when another booking changed the count in the meantime', async () => {
+      tx.timeSlot.findFirst
+        .mockResolvedValueOnce({ id: 's1', capacity: 2, seatsBooked: 0 })
+        .mockResolvedValueOnce({ id: 's1', capacity: 2, seatsBooked: 1 });
+      tx.timeSlot.updateMany.mockResolvedValueOnce({ count: 0 }).mockResolvedValueOnce({ count: 1 });
+
+      expect((await bookSeat(tx, { id: 's1' })).seatsBooked).toBe(2);
+      expect(tx.timeSlot.updateMany.mock.calls[1][0].data).toEqual({ seatsBooked: 2, status: 'BOOKED' });
+    });
+
+    it('returns null when the slot is full or gone', async () => {
+      tx.timeSlot.findFirst.mockResolvedValueOnce(null).mockResolvedValueOnce({ id: 's1', capacity: 2, seatsBooked: 2 });
+
+      expect(await bookSeat(tx, { id: 's1' })).toBeNull();
+      expect(await bookSeat(tx, { id: 's1' })).toBeNull();
+      expect(tx.timeSlot.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  it('frees one seat and reopens the slot', async () => {
+    const tx = { timeSlot: { updateMany: jest.fn() } };
+
+    await releaseSeat(tx, 's1');
+
+    expect(tx.timeSlot.updateMany).toHaveBeenCalledWith({
+      where: { id: 's1', seatsBooked: { gt: 0 } },
+      data: { seatsBooked: { decrement: 1 }, status: 'AVAILABLE' },
+    });
+  });
+});
@@ -0,0 +1,61 @@
+const {
+  slugify,
+  normalizeSynonyms,
+  parseSpecializationSlugs,
+  resolveSpecializations,
+  countDoctorsBySpecialization,
+} = require('../../src/utils/specializations');
+
+describe('Specialization utils', () => {
+  it('slugifies names regardless of case, accents and punctuation', () => {
+    expect(slugify('Panchakarma  Thérapy')).toBe('panchakarma-therapy');
+    expect(slugify(' Ear, Nose & Throat ')).toBe('ear-nose-throat');
+    expect(slugify('')).toBe('');
+  });
+
+  it('slugifies synonyms and drops repeats and the entry slug', () => {
+    expect(normalizeSynonyms(['Yoga', 'yoga', 'Yoga Therapy', 'Asana'], 'yoga-therapy')).toEqual(['yoga', 'asana']);
+  });
+
+  it('parses comma separated slugs of the listing filter', () => {
+    expect(parseSpecializationSlugs('ayurveda, Yoga-Therapy,ayurveda')).toEqual(['ayurveda', 'yoga-therapy']);
+    expect(parseSpecializationSlugs('Panchakarma Therapy')).toEqual(['panchakarma-therapy']);
+    expect(parseSpecializationSlugs(', &')).toBeNull();
+  });
+
+  it('counts each doctor once per specialization', () => {
+    const counts = countDoctorsBySpecialization([
+      { specializationIds: ['s1', 's2'] },
+      { specializationIds: ['s1', 's1'] },
+      { specializationIds: [] },
+    ]);
+    expect(counts.get('s1')).toBe(2);
+    expect(counts.get('s2')).toBe(1);
+  });
+
+  describe('resolveSpecializations', () => {
+    const ayurveda = { id: 's1', slug: 'ayurveda', name: 'Ayurveda', synonyms: ['ayurvedic-medicine'] };
+    const yoga = { id: 's2', slug: 'yoga-therapy', name: 'Yoga Therapy', synonyms: ['yoga'] };
+    let prisma;
+
+    beforeEach(() => {
+      prisma = { specialization: { findMany: jest.fn().mockResolvedValue([ayurveda, yoga]) } };
+    });
+
+    it('matches names, slugs and synonyms in the order given without repeats', async () => {
+      const resolved = await resolveSpecializations(prisma, ['Yoga', 'Ayurvedic Medicine', 'ayurveda']);
+
+      expect(resolved).toEqual([yoga, ayurveda]);
+      expect(prisma.specialization.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { OR: [{ slug: { in: ['yoga', 'ayurvedic-medicine', 'ayurveda'] } }, { synonyms: { hasSome: ['yoga', 'ayurvedic-medicine', 'ayurveda'] } }] },
+      }));
+    });
+
+    it('throws a coded error listing unknown terms', async () => {
+      await expect(resolveSpecializations(prisma, ['Ayurveda', 'Astrology'])).rejects.toMatchObject({
+        code: 'UNKNOWN_SPECIALIZATION',
+        data: ['Astrology'],
+      });
+    });
+  });
+});
@@ -1,4 +1,14 @@
-const { formatTime, parseTime } = require('../../src/utils/time');
+const {
+  formatTime,
+  parseTime,
+  isValidTimeZone,
+  zonedTimeToUtc,
+  toZonedDateTime,
+  getSlotStartUtc,
+  resolveDisplayTimeZone,
+} = require('../../src/utils/time');
+
+const day = (ymd) => new Date(`${ymd}T00:00:00Z`);
 
 describe('Time Utils', () => {
   test('formatTime should format time correctly', () => {
@@ -10,4 +20,52 @@ describe('Time Utils', () => {
     expect(parseTime('01:00 PM')).toBe('13:00');
     expect(parseTime('12:00 AM')).toBe('00:00');
   });
+
+  test('isValidTimeZone accepts IANA names only', () => {
+    expect(isValidTimeZone('Asia/Kolkata')).toBe(true);
+    expect(isValidTimeZone('UTC')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+    expect(isValidTimeZone('')).toBe(false);
+    expect(isValidTimeZone(null)).toBe(false);
+  });
+
+  test('zonedTimeToUtc converts a local wall clock to an instant', () => {
+    expect(zonedTimeToUtc(day('2026-05-01'), '09:00', 'Asia/Kolkata').toISOString()).toBe('2026-05-01T03:30:00.000Z');
+    expect(zonedTimeToUtc(day('2026-01-15'), '09:00', 'America/New_York').toISOString()).toBe('2026-01-15T14:00:00.000Z');
+    expect(zonedTimeToUtc(day('2026-07-15'), '09:00', 'America/New_York').toISOString()).toBe('2026-07-15T13:00:00.000Z');
+    expect(zonedTimeToUtc(day('2026-07-15'), '09:00').toISOString()).toBe('2026-07-15T09:00:00.000Z');
+  });
+
+  test('zonedTimeToUtc moves times skipped by spring-forward past the gap', () => {
+    // New York jumps 02:00 -> 03:00 on 2026-03-08, Berlin on 2026-03-29
+    expect(zonedTimeToUtc(day('2026-03-08'), '01:30', 'America/New_York').toISOString()).toBe('2026-03-08T06:30:00.000Z');
+    expect(zonedTimeToUtc(day('2026-03-08'), '02:30', 'America/New_York').toISOString()).toBe('2026-03-08T07:30:00.000Z');
+    expect(zonedTimeToUtc(day('2026-03-08'), '03:30', 'America/New_York').toISOString()).toBe('2026-03-08T07:30:00.000Z');
+    expect(zonedTimeToUtc(day('2026-03-29'), '02:30', 'Europe/Berlin').toISOString()).toBe('2026-03-29T01:30:00.000Z');
+  });
+
+  test('zonedTimeToUtc resolves times repeated by fall-back to the first occurrence', () => {
+    // New York repeats 01:00-02:00 on 2026-11-01, Berlin repeats 02:00-03:00 on 2026-10-25
+    expect(zonedTimeToUtc(day('2026-11-01'), '01:30', 'America/New_York').toISOString()).toBe('2026-11-01T05:30:00.000Z');
+    expect(zonedTimeToUtc(day('2026-11-01'), '02:30', 'America/New_York').toISOString()).toBe('2026-11-01T07:30:00.000Z');
+    expect(zonedTimeToUtc(day('2026-10-25'), '02:30', 'Europe/Berlin').toISOString()).toBe('2026-10-25T00:30:00.000Z');
+  });
+
+  test('toZonedDateTime gives the calendar day and wall clock in the zone', () => {
+    expect(toZonedDateTime(new Date('2026-05-01T20:00:00Z'), 'Asia/Kolkata')).toEqual({ date: day('2026-05-02'), time: '01:30' });
+    expect(toZonedDateTime(new Date('2026-05-01T02:00:00Z'), 'America/New_York')).toEqual({ date: day('2026-04-30'), time: '22:00' });
+  });
+
+  test('getSlotStartUtc prefers the stored instant and reads legacy slots as UTC', () => {
+    const startAt = new Date('2026-05-01T03:30:00Z');
+    expect(getSlotStartUtc({ date: day('2026-05-01'), startTime: '09:00', startAt })).toEqual(startAt);
+    expect(getSlotStartUtc({ date: day('2026-05-01'), startTime: '09:00', startAt: null })).toEqual(new Date('2026-05-01T09:00:00Z'));
+  });
+
+  test('resolveDisplayTimeZone prefers the header, then the user, then the fallback', () => {
+    expect(resolveDisplayTimeZone({ timeZone: 'Europe/Berlin', user: { timezone: 'Asia/Kolkata' } }, 'UTC')).toBe('Europe/Berlin');
+    expect(resolveDisplayTimeZone({ user: { timezone: 'Asia/Kolkata' } }, 'UTC')).toBe('Asia/Kolkata');
+    expect(resolveDisplayTimeZone({ user: { timezone: null } }, 'America/New_York')).toBe('America/New_York');
+    expect(resolveDisplayTimeZone({})).toBe('UTC');
+  });
 });
@@ -0,0 +1,84 @@
+const { parseToMinutes, toTimeString } = require('../../src/utils/time');
+const {
+  buildTimeSegments,
+  validateTimeframeRange,
+  resolveSlotDuration,
+  resolveSlotLayout,
+  toBreakWindows,
+  findOverlappingBreaks,
+  filterSchedulableDates,
+  withSlotInstants,
+  describeSlotTimes,
+  describeSlotStart,
+} = require('../../src/utils/timeSlotHelpers');
+
+describe('Time slot helpers', () => {
+  test('resolveSlotDuration prefers the request, then the doctor, then 30 minutes', () => {
+    expect(resolveSlotDuration({ slotDurationMinutes: 60 }, 15)).toBe(15);
+    expect(resolveSlotDuration({ slotDurationMinutes: 60 })).toBe(60);
+    expect(resolveSlotDuration(null)).toBe(30);
+  });
+
+  test('resolveSlotLayout turns string minutes into numbers', () => {
+    const layout = resolveSlotLayout({ slotDurationMinutes: 30, slotBufferMinutes: 5 }, { durationMinutes: '60', bufferMinutes: '10' }, parseToMinutes);
+    expect(layout).toMatchObject({ slotMinutes: 60, bufferMinutes: 10, breakWindows: [] });
+    expect(resolveSlotLayout({ slotDurationMinutes: 30, slotBufferMinutes: 5 }, {}, parseToMinutes)).toMatchObject({ slotMinutes: 30, bufferMinutes: 5 });
+  });
+
+  test('validateTimeframeRange checks the timeframe against the slot length', () => {
+    expect(validateTimeframeRange('09:00', '12:00', parseToMinutes, 90)).toEqual({ startMinutes: 540, endMinutes: 720 });
+    expect(validateTimeframeRange('09:00', '10:00', parseToMinutes, 90).error).toBe('Timeframe must be a multiple of 90 minutes');
+    expect(validateTimeframeRange('10:00', '09:00', parseToMinutes).error).toBe('endTime must be greater than startTime');
+  });
+
+  test('buildTimeSegments splits the timeframe into slots of the given length', () => {
+    expect(buildTimeSegments(540, 600, toTimeString, 15)).toEqual([
+      { startTime: '09:00', endTime: '09:15' },
+      { startTime: '09:15', endTime: '09:30' },
+      { startTime: '09:30', endTime: '09:45' },
+      { startTime: '09:45', endTime: '10:00' },
+    ]);
+    expect(buildTimeSegments(540, 600, toTimeString)).toHaveLength(2);
+  });
+
+  test('buildTimeSegments leaves buffers and skips breaks', () => {
+    const breakWindows = toBreakWindows([{ name: 'Lunch', startTime: '13:00', endTime: '14:00' }], parseToMinutes);
+
+    expect(buildTimeSegments(720, 900, toTimeString, 30, { bufferMinutes: 10, breakWindows })).toEqual([
+      { startTime: '12:00', endTime: '12:30' },
+      { startTime: '14:00', endTime: '14:30' },
+    ]);
+  });
+
+  test('validateTimeframeRange accepts uneven timeframes when gaps are configured', () => {
+    expect(validateTimeframeRange('09:00', '10:00', parseToMinutes, 45, { bufferMinutes: 5 }).error).toBeUndefined();
+  });
+
+  test('findOverlappingBreaks reports breaks touching a timeframe', () => {
+    const breakWindows = toBreakWindows([{ name: 'Lunch', startTime: '13:00', endTime: '14:00' }], parseToMinutes);
+
+    expect(findOverlappingBreaks(780, 810, breakWindows).map((window) => window.name)).toEqual(['Lunch']);
+    expect(findOverlappingBreaks(720, 780, breakWindows)).toEqual([]);
+  });
+
+  test('filterSchedulableDates compares the first slot against now in the doctor zone', () => {
+    const dates = [new Date('2026-05-01T00:00:00Z'), new Date('2026-05-02T00:00:00Z')];
+    // 04:00 UTC is 09:30 in Kolkata, so a 09:00 start on May 1 has passed there but not in UTC
+    const nowUtc = new Date('2026-05-01T04:00:00Z');
+
+    expect(filterSchedulableDates(dates, 540, 'Asia/Kolkata', nowUtc)).toEqual([dates[1]]);
+    expect(filterSchedulableDates(dates, 540, 'UTC', nowUtc)).toEqual(dates);
+  });
+
+  test('withSlotInstants and describeSlotTimes render a slot in another zone', () => {
+    const slot = withSlotInstants({ date: new Date('2026-05-01T00:00:00Z'), startTime: '09:00', endTime: '09:30' }, 'Asia/Kolkata');
+
+    expect(slot.startAt.toISOString()).toBe('2026-05-01T03:30:00.000Z');
+    expect(describeSlotTimes(slot, 'America/New_York')).toEqual({
+      startsAt: '2026-05-01T03:30:00.000Z',
+      endsAt: '2026-05-01T04:00:00.000Z',
+      display: { timeZone: 'America/New_York', date: '2026-04-30', startTime: '23:30', endTime: '00:00' },
+    });
+    expect(describeSlotStart(slot, 'Europe/Berlin')).toBe('2026-05-01 at 05:30 AM Europe/Berlin');
+  });
+});
@@ -54,4 +54,136 @@ describe('Validation utils', () => {
       expect(result.error).toBeFalsy();
     });
   });
+
+  describe('timezone fields', () => {
+    it('accepts IANA timezones on registration and doctor settings', () => {
+      expect(validation.validateRegistration({ name: 'Ak', email: 'a@b.com', password: '123456', timezone: 'Asia/Kolkata' }).error).toBeFalsy();
+      expect(validation.validateDoctorScheduleSettings({ timezone: 'Europe/Berlin' }).error).toBeFalsy();
+    });
+    it('rejects unknown timezones', () => {
+      const { error } = validation.validateDoctorScheduleSettings({ timezone: 'Mars/Olympus' });
+      expect(error.details[0].message).toBe('timezone must be an IANA timezone such as Asia/Kolkata');
+    });
+    it('lets a user clear their preferred timezone', () => {
+      expect(validation.validateProfileUpdate({ timezone: null }).error).toBeFalsy();
+      expect(validation.validateProfileUpdate({}).error).toBeTruthy();
+    });
+  });
+
+  describe('validateAppointmentListQuery', () => {
+    it('applies defaults for an empty query', () => {
+      const { error, value } = validation.validateAppointmentListQuery({});
+      expect(error).toBeFalsy();
+      expect(value).toEqual({ type: 'all', sortBy: 'createdAt', order: 'desc', limit: 20, collapse: false });
+    });
+    it('accepts a comma separated status list', () => {
+      const { error, value } = validation.validateAppointmentListQuery({ status: 'booked,cancelled', sortBy: 'slot', limit: '10' });
+      expect(error).toBeFalsy();
+      expect(value.status).toBe('BOOKED,CANCELLED');
+      expect(value.limit).toBe(10);
+    });
+    it('rejects unknown statuses, types and parameters', () => {
+      expect(validation.validateAppointmentListQuery({ status: 'BOOKED,DONE' }).error).toBeTruthy();
+      expect(validation.validateAppointmentListQuery({ type: 'soon' }).error).toBeTruthy();
+      expect(validation.validateAppointmentListQuery({ page: '2' }).error).toBeTruthy();
+    });
+    it('rejects an inverted date range', () => {
+      const result = validation.validateAppointmentListQuery({ from: '2025-09-10', to: '2025-09-01' });
+      expect(result.error).toBeTruthy();
+    });
+  });
+
+  describe('validateBatchTimeSlotCreate', () => {
+    const base = { startTime: '09:00', endTime: '12:00' };
+    it('accepts exactly one of group, weekdays or rrule', () => {
+      expect(validation.validateBatchTimeSlotCreate({ ...base, weekdays: [1, 4] }).error).toBeFalsy();
+      expect(validation.validateBatchTimeSlotCreate({ ...base, rrule: 'FREQ=WEEKLY;BYDAY=SA;INTERVAL=2' }).error).toBeFalsy();
+      expect(validation.validateBatchTimeSlotCreate(base).error).toBeTruthy();
+      expect(validation.validateBatchTimeSlotCreate({ ...base, group: 'SAT_SUN', weekdays: [1] }).error).toBeTruthy();
+    });
+    it('rejects an invalid rrule', () => {
+      const result = validation.validateBatchTimeSlotCreate({ ...base, rrule: 'FREQ=YEARLY' });
+      expect(result.error.details[0].message).toMatch(/^rrule: FREQ/);
+    });
+  });
+
+  describe('validateBlackoutCreate', () => {
+    it('defaults to a clinic-wide blackout', () => {
+      const { error, value } = validation.validateBlackoutCreate({ startDate: '2025-12-25', endDate: '2025-12-26' });
+      expect(error).toBeFalsy();
+      expect(value.doctorId).toBeNull();
+    });
+    it('rejects an end before the start or an over-long range', () => {
+      expect(validation.validateBlackoutCreate({ startDate: '2025-12-26', endDate: '2025-12-25' }).error.details[0].message)
+        .toBe('startDate must be on or before endDate');
+      expect(validation.validateBlackoutCreate({ startDate: '2025-01-01', endDate: '2026-01-02' }).error).toBeTruthy();
+    });
+  });
+
+  describe('validateDoctorUpdate', () => {
+    it('accepts a partial profile update', () => {
+      expect(validation.validateDoctorUpdate({ bio: 'Pediatric cardiology', experience: 12 }).error).toBeFalsy();
+    });
+    it('rejects an empty body and schedule settings', () => {
+      expect(validation.validateDoctorUpdate({}).error).toBeTruthy();
+      expect(validation.validateDoctorUpdate({ timezone: 'Europe/Berlin' }).error).toBeTruthy();
+      expect(validation.validateDoctorUpdate({ isActive: false }).error).toBeTruthy();
+    });
+  });
+
+  describe('doctor specializations', () => {
+    const doctor = { name: 'Dr Rao', email: 'rao@example.com', consultationMode: 'online', experience: 8 };
+
+    it('accepts one specialization or a list of them', () => {
+      expect(validation.validateDoctorCreate({ ...doctor, specialization: 'Ayurveda' }).error).toBeFalsy();
+      expect(validation.validateDoctorCreate({ ...doctor, specializations: ['Ayurveda', 'yoga-therapy'] }).error).toBeFalsy();
+    });
+    it('needs exactly one of specialization and specializations', () => {
+      expect(validation.validateDoctorCreate(doctor).error).toBeTruthy();
+      expect(validation.validateDoctorCreate({ ...doctor, specialization: 'Ayurveda', specializations: ['Ayurveda'] }).error).toBeTruthy();
+      expect(validation.validateDoctorUpdate({ specialization: 'Ayurveda', specializations: ['Ayurveda'] }).error).toBeTruthy();
+    });
+    it('rejects repeated or too many specializations', () => {
+      expect(validation.validateDoctorCreate({ ...doctor, specializations: ['Ayurveda', 'ayurveda'] }).error).toBeTruthy();
+      expect(validation.validateDoctorCreate({ ...doctor, specializations: ['aa', 'bb', 'cc', 'dd', 'ee', 'ff'] }).error).toBeTruthy();
+    });
+  });
+
+  describe('validateSpecializationCreate', () => {
+    it('accepts a name with an optional slug and synonyms', () => {
+      expect(validation.validateSpecializationCreate({ name: 'Panchakarma Therapy' }).error).toBeFalsy();
+      expect(validation.validateSpecializationCreate({ name: 'Yoga', slug: 'yoga-therapy', synonyms: ['yoga'] }).error).toBeFalsy();
+    });
+    it('rejects slugs that are not dash separated words', () => {
+      expect(validation.validateSpecializationCreate({ name: 'Yoga', slug: 'yoga therapy' }).error).toBeTruthy();
+      expect(validation.validateSpecializationCreate({ name: 'Yoga', slug: 'yoga--therapy' }).error).toBeTruthy();
+    });
+  });
+
+  describe('validateDoctorSuggestQuery', () => {
+    it('needs some text and defaults the limit', () => {
+      expect(validation.validateDoctorSuggestQuery({ q: 'car' }).value.limit).toBe(8);
+      expect(validation.validateDoctorSuggestQuery({ q: ' ' }).error).toBeTruthy();
+      expect(validation.validateDoctorSuggestQuery({ q: 'car', limit: 20 }).error).toBeTruthy();
+    });
+  });
+
+  describe('validateReviewCreate', () => {
+    it('accepts a whole rating from 1 to 5 with optional text', () => {
+      expect(validation.validateReviewCreate({ rating: 5 }).error).toBeFalsy();
+      expect(validation.validateReviewCreate({ rating: 1, text: 'Long wait' }).error).toBeFalsy();
+    });
+    it('rejects ratings outside 1-5 or fractional ones', () => {
+      expect(validation.validateReviewCreate({ rating: 0 }).error).toBeTruthy();
+      expect(validation.validateReviewCreate({ rating: 6 }).error).toBeTruthy();
+      expect(validation.validateReviewCreate({ rating: 4.5 }).error).toBeTruthy();
+    });
+  });
+
+  describe('validateReviewModeration', () => {
+    it('needs hidden or flagged', () => {
+      expect(validation.validateReviewModeration({ hidden: true, reason: 'Abusive' }).error).toBeFalsy();
+      expect(validation.validateReviewModeration({ reason: 'Abusive' }).error).toBeTruthy();
+    });
+  });
 });
@@ -0,0 +1,128 @@
+const { offerSlotToWaitlist, expireWaitlistOffers, declineWaitlistOffer, cancelDoctorWaitlist } = require('../../src/utils/waitlist');
+
+describe('Waitlist utils', () => {
+  let prisma;
+  let redis;
+  const nowUtc = new Date('2025-09-02T12:00:00Z');
+  const slot = { id: 's1', doctorId: 'd1', date: new Date('2025-09-05T00:00:00Z'), startTime: '10:00' };
+
+  beforeEach(() => {
+    prisma = {
+      waitlistEntry: { findFirst: jest.fn(), updateMany: jest.fn(), update: jest.fn() },
+    };
+    redis = { eval: jest.fn(), zadd: jest.fn() };
+  });
+
+  it('returns null when the slot has already started', async () => {
+    const pastSlot = { ...slot, date: new Date('2025-09-01T00:00:00Z') };
+    expect(await offerSlotToWaitlist(prisma, redis, pastSlot, nowUtc)).toBeNull();
+    expect(prisma.waitlistEntry.findFirst).not.toHaveBeenCalled();
+  });
+
+  it('returns null when nobody is waiting', async () => {
+    prisma.waitlistEntry.findFirst.mockResolvedValueOnce(null);
+    expect(await offerSlotToWaitlist(prisma, redis, slot, nowUtc)).toBeNull();
+  });
+
+  it('holds a seat in Redis for the first waiting user', async () => {
+    prisma.waitlistEntry.findFirst.mockResolvedValueOnce({ id: 'w1', userId: 'u1' });
+    prisma.waitlistEntry.updateMany.mockResolvedValueOnce({ count: 1 });
+    redis.eval.mockResolvedValueOnce(1);
+
+    const offer = await offerSlotToWaitlist(prisma, redis, slot, nowUtc);
+
+    expect(offer).toEqual({
+      entryId: 'w1',
+      userId: 'u1',
+      slotId: 's1',
+      offerExpires: new Date('2025-09-02T12:30:00Z'),
+    });
+    expect(redis.eval).toHaveBeenCalledWith(
+      expect.any(String),
+      ['slot:lock:s1'],
+      [String(nowUtc.getTime()), 'u1', `u1|${nowUtc.getTime()}`, String(offer.offerExpires.getTime()), '1']
+    );
+  });
+
+  it('only offers a slot to entries asking for a mode its doctor consults in', async () => {
+    prisma.waitlistEntry.findFirst.mockResolvedValueOnce(null);
+
+    await offerSlotToWaitlist(prisma, redis, { ...slot, doctor: { consultationMode: 'in_person' } }, nowUtc);
+
+    expect(prisma.waitlistEntry.findFirst.mock.calls[0][0].where.OR).toEqual([
+      { consultationMode: null },
+      { consultationMode: 'in_person' },
+    ]);
+  });
+
+  it('offers slots of doctors consulting both ways to every entry', async () => {
+    prisma.waitlistEntry.findFirst.mockResolvedValueOnce(null);
+
+    await offerSlotToWaitlist(prisma, redis, { ...slot, doctor: { consultationMode: 'both' } }, nowUtc);
+
+    expect(prisma.waitlistEntry.findFirst.mock.calls[0][0].where).not.toHaveProperty('OR');
+  });
+
+  it('offers one of the free seats of a group slot', async () => {
+    prisma.waitlistEntry.findFirst.mockResolvedValueOnce({ id: 'w1', userId: 'u1' });
+    prisma.waitlistEntry.updateMany.mockResolvedValueOnce({ count: 1 });
+    redis.eval.mockResolvedValueOnce(1);
+
+    await offerSlotToWaitlist(prisma, redis, { ...slot, capacity: 8, seatsBooked: 5 }, nowUtc);
+
+    expect(redis.eval.mock.calls[0][2][4]).toBe('3');
+  });
+
+  it('skips entries claimed by another worker', async () => {
+    prisma.waitlistEntry.findFirst
+      .mockResolvedValueOnce({ id: 'w1', userId: 'u1' })
+      .mockResolvedValueOnce({ id: 'w2', userId: 'u2' });
+    prisma.waitlistEntry.updateMany
+      .mockResolvedValueOnce({ count: 0 })
+      .mockResolvedValueOnce({ count: 1 });
+    redis.eval.mockResolvedValueOnce(1);
+
+    const offer = await offerSlotToWaitlist(prisma, redis, slot, nowUtc);
+
+    expect(offer.userId).toBe('u2');
+    expect(prisma.waitlistEntry.findFirst.mock.calls[1][0].where.id).toEqual({ notIn: ['w1'] });
+  });
+
+  it('puts the entry back when every free seat is held by someone else', async () => {
+    prisma.waitlistEntry.findFirst.mockResolvedValueOnce({ id: 'w1', userId: 'u1' });
+    prisma.waitlistEntry.updateMany.mockResolvedValueOnce({ count: 1 });
+    redis.eval.mockResolvedValueOnce(0);
+
+    expect(await offerSlotToWaitlist(prisma, redis, slot, nowUtc)).toBeNull();
+    expect(prisma.waitlistEntry.update).toHaveBeenCalledWith({
+      where: { id: 'w1' },
+      data: { status: 'WAITING', offeredSlotId: null, offeredAt: null, offerExpires: null },
+    });
+  });
+
+  it('expires offers past their window', async () => {
+    prisma.waitlistEntry.updateMany.mockResolvedValueOnce({ count: 2 });
+    expect(await expireWaitlistOffers(prisma, nowUtc)).toBe(2);
+    expect(prisma.waitlistEntry.updateMany).toHaveBeenCalledWith({
+      where: { status: 'OFFERED', offerExpires: { lt: nowUtc } },
+      data: { status: 'EXPIRED' },
+    });
+  });
+
+  it('ends the user offer for a slot they handed back', async () => {
+    await declineWaitlistOffer(prisma, 'u1', 's1');
+    expect(prisma.waitlistEntry.updateMany).toHaveBeenCalledWith({
+      where: { userId: 'u1', offeredSlotId: 's1', status: 'OFFERED' },
+      data: { status: 'EXPIRED' },
+    });
+  });
+
+  it('closes every open entry for a deactivated doctor', async () => {
+    prisma.waitlistEntry.updateMany.mockResolvedValueOnce({ count: 3 });
+    expect(await cancelDoctorWaitlist(prisma, 'd1')).toBe(3);
+    expect(prisma.waitlistEntry.updateMany).toHaveBeenCalledWith({
+      where: { doctorId: 'd1', status: { in: ['WAITING', 'OFFERED'] } },
+      data: { status: 'CANCELLED' },
+    });
+  });
+});